@@ -216,7 +216,7 @@ Error generating stack: `+i.message+`
 `),position:b,pageIndex:E-1,rect:d.slice(0),rotation:h,annotationElementId:f,id:f,deleted:!1,popupRef:p,comment:(m==null?void 0:m.str)||null,richText:v,creationDate:x,modificationDate:g}}const o=await super.deserialize(t,r,s);return y(o,rr,t.fontSize),o.color=ee.makeHexColor(...t.color),y(o,nr,C(a=Ge,ao,b1).call(a,t.value)),o._initialData=i,t.comment&&o.setCommentData(t),o}serialize(t=!1){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const r=ze._colorManager.convert(this.isAttachedToDOM?getComputedStyle(this.editorDiv).color:this.color),s=Object.assign(super.serialize(t),{color:r,fontSize:l(this,rr),value:C(this,xt,TN).call(this)});return this.addComment(s),t?(s.isCopy=!0,s):this.annotationElementId&&!C(this,xt,kN).call(this,s)?null:(s.id=this.annotationElementId,s)}renderAnnotationElement(t){const r=super.renderAnnotationElement(t);if(!r)return null;const{style:s}=r;s.fontSize=`calc(${l(this,rr)}px * var(--total-scale-factor))`,s.color=this.color,r.replaceChildren();for(const i of l(this,nr).split(`
 `)){const o=document.createElement("div");o.append(i?document.createTextNode(i):document.createElement("br")),r.append(o)}return t.updateEdited({rect:this.getPDFRect(),popup:this._uiManager.hasCommentManager()||this.hasEditedComment?this.comment:{text:l(this,nr)}}),r}resetAnnotationElement(t){super.resetAnnotationElement(t),t.resetEdited()}};nr=new WeakMap,Rm=new WeakMap,cc=new WeakMap,rr=new WeakMap,xt=new WeakSet,EN=function(t){const r=i=>{this.editorDiv.style.fontSize=`calc(${i}px * var(--total-scale-factor))`,this.translate(0,-(i-l(this,rr))*this.parentScale),y(this,rr,i),C(this,xt,Fy).call(this)},s=l(this,rr);this.addCommands({cmd:r.bind(this,t),undo:r.bind(this,s),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.FREETEXT_SIZE,overwriteIfSameType:!0,keepUndo:!0})},CN=function(t){const r=i=>{this.color=i,this.onUpdatedColor()},s=this.color;this.addCommands({cmd:r.bind(this,t),undo:r.bind(this,s),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.FREETEXT_COLOR,overwriteIfSameType:!0,keepUndo:!0})},_N=function(){var s;const t=[];this.editorDiv.normalize();let r=null;for(const i of this.editorDiv.childNodes)(r==null?void 0:r.nodeType)===Node.TEXT_NODE&&i.nodeName==="BR"||(t.push(C(s=Ge,ao,jy).call(s,i)),r=i);return t.join(`
 `)},Fy=function(){const[t,r]=this.parentDimensions;let s;if(this.isAttachedToDOM)s=this.div.getBoundingClientRect();else{const{currentLayer:i,div:o}=this,a=o.style.display,c=o.classList.contains("hidden");o.classList.remove("hidden"),o.style.display="hidden",i.div.append(this.div),s=o.getBoundingClientRect(),o.remove(),o.style.display=a,o.classList.toggle("hidden",c)}this.rotation%180===this.parentRotation%180?(this.width=s.width/t,this.height=s.height/r):(this.width=s.height/t,this.height=s.width/r),this.fixAndSetPosition()},ao=new WeakSet,jy=function(t){return(t.nodeType===Node.TEXT_NODE?t.nodeValue:t.innerText).replaceAll(Yg,"")},By=function(){if(this.editorDiv.replaceChildren(),!!l(this,nr))for(const t of l(this,nr).split(`
-`)){const r=document.createElement("div");r.append(t?document.createTextNode(t):document.createElement("br")),this.editorDiv.append(r)}},TN=function(){return l(this,nr).replaceAll(" "," ")},b1=function(t){return t.replaceAll(" "," ")},kN=function(t){const{value:r,fontSize:s,color:i,pageIndex:o}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||t.value!==r||t.fontSize!==s||t.color.some((a,c)=>a!==i[c])||t.pageIndex!==o},A(Ge,ao),G(Ge,"_freeTextDefaultContent",""),G(Ge,"_internalPadding",0),G(Ge,"_defaultColor",null),G(Ge,"_defaultFontSize",10),G(Ge,"_type","freetext"),G(Ge,"_editorType",ce.FREETEXT);let w1=Ge;class J{toSVGPath(){je("Abstract method `toSVGPath` must be implemented.")}get box(){je("Abstract getter `box` must be implemented.")}serialize(e,t){je("Abstract method `serialize` must be implemented.")}static _rescale(e,t,r,s,i,o){o||(o=new Float32Array(e.length));for(let a=0,c=e.length;a<c;a+=2)o[a]=t+e[a]*s,o[a+1]=r+e[a+1]*i;return o}static _rescaleAndSwap(e,t,r,s,i,o){o||(o=new Float32Array(e.length));for(let a=0,c=e.length;a<c;a+=2)o[a]=t+e[a+1]*s,o[a+1]=r+e[a]*i;return o}static _translate(e,t,r,s){s||(s=new Float32Array(e.length));for(let i=0,o=e.length;i<o;i+=2)s[i]=t+e[i],s[i+1]=r+e[i+1];return s}static svgRound(e){return Math.round(e*1e4)}static _normalizePoint(e,t,r,s,i){switch(i){case 90:return[1-t/r,e/s];case 180:return[1-e/r,1-t/s];case 270:return[t/r,1-e/s];default:return[e/r,t/s]}}static _normalizePagePoint(e,t,r){switch(r){case 90:return[1-t,e];case 180:return[1-e,1-t];case 270:return[t,1-e];default:return[e,t]}}static createBezierPoints(e,t,r,s,i,o){return[(e+5*r)/6,(t+5*s)/6,(5*r+i)/6,(5*s+o)/6,(r+i)/2,(s+o)/2]}}G(J,"PRECISION",1e-4);var sr,as,qd,Yd,Xs,me,uc,dc,Mm,Nm,Qd,Jd,ga,Im,s0,i0,Pt,bf,PN,RN,MN,NN,IN,LN;const wi=class wi{constructor({x:e,y:t},r,s,i,o,a=0){A(this,Pt);A(this,sr);A(this,as,[]);A(this,qd);A(this,Yd);A(this,Xs,[]);A(this,me,new Float32Array(18));A(this,uc);A(this,dc);A(this,Mm);A(this,Nm);A(this,Qd);A(this,Jd);A(this,ga,[]);y(this,sr,r),y(this,Jd,i*s),y(this,Yd,o),l(this,me).set([NaN,NaN,NaN,NaN,e,t],6),y(this,qd,a),y(this,Nm,l(wi,Im)*s),y(this,Mm,l(wi,i0)*s),y(this,Qd,s),l(this,ga).push(e,t)}isEmpty(){return isNaN(l(this,me)[8])}add({x:e,y:t}){var D;y(this,uc,e),y(this,dc,t);const[r,s,i,o]=l(this,sr);let[a,c,u,d]=l(this,me).subarray(8,12);const h=e-u,f=t-d,p=Math.hypot(h,f);if(p<l(this,Mm))return!1;const v=p-l(this,Nm),m=v/p,x=m*h,g=m*f;let w=a,b=c;a=u,c=d,u+=x,d+=g,(D=l(this,ga))==null||D.push(e,t);const E=-g/v,_=x/v,k=E*l(this,Jd),P=_*l(this,Jd);return l(this,me).set(l(this,me).subarray(2,8),0),l(this,me).set([u+k,d+P],4),l(this,me).set(l(this,me).subarray(14,18),12),l(this,me).set([u-k,d-P],16),isNaN(l(this,me)[6])?(l(this,Xs).length===0&&(l(this,me).set([a+k,c+P],2),l(this,Xs).push(NaN,NaN,NaN,NaN,(a+k-r)/i,(c+P-s)/o),l(this,me).set([a-k,c-P],14),l(this,as).push(NaN,NaN,NaN,NaN,(a-k-r)/i,(c-P-s)/o)),l(this,me).set([w,b,a,c,u,d],6),!this.isEmpty()):(l(this,me).set([w,b,a,c,u,d],6),Math.abs(Math.atan2(b-c,w-a)-Math.atan2(g,x))<Math.PI/2?([a,c,u,d]=l(this,me).subarray(2,6),l(this,Xs).push(NaN,NaN,NaN,NaN,((a+u)/2-r)/i,((c+d)/2-s)/o),[a,c,w,b]=l(this,me).subarray(14,18),l(this,as).push(NaN,NaN,NaN,NaN,((w+a)/2-r)/i,((b+c)/2-s)/o),!0):([w,b,a,c,u,d]=l(this,me).subarray(0,6),l(this,Xs).push(((w+5*a)/6-r)/i,((b+5*c)/6-s)/o,((5*a+u)/6-r)/i,((5*c+d)/6-s)/o,((a+u)/2-r)/i,((c+d)/2-s)/o),[u,d,a,c,w,b]=l(this,me).subarray(12,18),l(this,as).push(((w+5*a)/6-r)/i,((b+5*c)/6-s)/o,((5*a+u)/6-r)/i,((5*c+d)/6-s)/o,((a+u)/2-r)/i,((c+d)/2-s)/o),!0))}toSVGPath(){if(this.isEmpty())return"";const e=l(this,Xs),t=l(this,as);if(isNaN(l(this,me)[6])&&!this.isEmpty())return C(this,Pt,PN).call(this);const r=[];r.push(`M${e[4]} ${e[5]}`);for(let s=6;s<e.length;s+=6)isNaN(e[s])?r.push(`L${e[s+4]} ${e[s+5]}`):r.push(`C${e[s]} ${e[s+1]} ${e[s+2]} ${e[s+3]} ${e[s+4]} ${e[s+5]}`);C(this,Pt,MN).call(this,r);for(let s=t.length-6;s>=6;s-=6)isNaN(t[s])?r.push(`L${t[s+4]} ${t[s+5]}`):r.push(`C${t[s]} ${t[s+1]} ${t[s+2]} ${t[s+3]} ${t[s+4]} ${t[s+5]}`);return C(this,Pt,RN).call(this,r),r.join(" ")}newFreeDrawOutline(e,t,r,s,i,o){return new DN(e,t,r,s,i,o)}getOutlines(){var h;const e=l(this,Xs),t=l(this,as),r=l(this,me),[s,i,o,a]=l(this,sr),c=new Float32Array((((h=l(this,ga))==null?void 0:h.length)??0)+2);for(let f=0,p=c.length-2;f<p;f+=2)c[f]=(l(this,ga)[f]-s)/o,c[f+1]=(l(this,ga)[f+1]-i)/a;if(c[c.length-2]=(l(this,uc)-s)/o,c[c.length-1]=(l(this,dc)-i)/a,isNaN(r[6])&&!this.isEmpty())return C(this,Pt,NN).call(this,c);const u=new Float32Array(l(this,Xs).length+24+l(this,as).length);let d=e.length;for(let f=0;f<d;f+=2){if(isNaN(e[f])){u[f]=u[f+1]=NaN;continue}u[f]=e[f],u[f+1]=e[f+1]}d=C(this,Pt,LN).call(this,u,d);for(let f=t.length-6;f>=6;f-=6)for(let p=0;p<6;p+=2){if(isNaN(t[f+p])){u[d]=u[d+1]=NaN,d+=2;continue}u[d]=t[f+p],u[d+1]=t[f+p+1],d+=2}return C(this,Pt,IN).call(this,u,d),this.newFreeDrawOutline(u,c,l(this,sr),l(this,Qd),l(this,qd),l(this,Yd))}};sr=new WeakMap,as=new WeakMap,qd=new WeakMap,Yd=new WeakMap,Xs=new WeakMap,me=new WeakMap,uc=new WeakMap,dc=new WeakMap,Mm=new WeakMap,Nm=new WeakMap,Qd=new WeakMap,Jd=new WeakMap,ga=new WeakMap,Im=new WeakMap,s0=new WeakMap,i0=new WeakMap,Pt=new WeakSet,bf=function(){const e=l(this,me).subarray(4,6),t=l(this,me).subarray(16,18),[r,s,i,o]=l(this,sr);return[(l(this,uc)+(e[0]-t[0])/2-r)/i,(l(this,dc)+(e[1]-t[1])/2-s)/o,(l(this,uc)+(t[0]-e[0])/2-r)/i,(l(this,dc)+(t[1]-e[1])/2-s)/o]},PN=function(){const[e,t,r,s]=l(this,sr),[i,o,a,c]=C(this,Pt,bf).call(this);return`M${(l(this,me)[2]-e)/r} ${(l(this,me)[3]-t)/s} L${(l(this,me)[4]-e)/r} ${(l(this,me)[5]-t)/s} L${i} ${o} L${a} ${c} L${(l(this,me)[16]-e)/r} ${(l(this,me)[17]-t)/s} L${(l(this,me)[14]-e)/r} ${(l(this,me)[15]-t)/s} Z`},RN=function(e){const t=l(this,as);e.push(`L${t[4]} ${t[5]} Z`)},MN=function(e){const[t,r,s,i]=l(this,sr),o=l(this,me).subarray(4,6),a=l(this,me).subarray(16,18),[c,u,d,h]=C(this,Pt,bf).call(this);e.push(`L${(o[0]-t)/s} ${(o[1]-r)/i} L${c} ${u} L${d} ${h} L${(a[0]-t)/s} ${(a[1]-r)/i}`)},NN=function(e){const t=l(this,me),[r,s,i,o]=l(this,sr),[a,c,u,d]=C(this,Pt,bf).call(this),h=new Float32Array(36);return h.set([NaN,NaN,NaN,NaN,(t[2]-r)/i,(t[3]-s)/o,NaN,NaN,NaN,NaN,(t[4]-r)/i,(t[5]-s)/o,NaN,NaN,NaN,NaN,a,c,NaN,NaN,NaN,NaN,u,d,NaN,NaN,NaN,NaN,(t[16]-r)/i,(t[17]-s)/o,NaN,NaN,NaN,NaN,(t[14]-r)/i,(t[15]-s)/o],0),this.newFreeDrawOutline(h,e,l(this,sr),l(this,Qd),l(this,qd),l(this,Yd))},IN=function(e,t){const r=l(this,as);return e.set([NaN,NaN,NaN,NaN,r[4],r[5]],t),t+=6},LN=function(e,t){const r=l(this,me).subarray(4,6),s=l(this,me).subarray(16,18),[i,o,a,c]=l(this,sr),[u,d,h,f]=C(this,Pt,bf).call(this);return e.set([NaN,NaN,NaN,NaN,(r[0]-i)/a,(r[1]-o)/c,NaN,NaN,NaN,NaN,u,d,NaN,NaN,NaN,NaN,h,f,NaN,NaN,NaN,NaN,(s[0]-i)/a,(s[1]-o)/c],t),t+=24},A(wi,Im,8),A(wi,s0,2),A(wi,i0,l(wi,Im)+l(wi,s0));let Bv=wi;var Zd,hc,Xi,Lm,ir,Dm,mt,o0,ON;class DN extends J{constructor(t,r,s,i,o,a){super();A(this,o0);A(this,Zd);A(this,hc,new Float32Array(4));A(this,Xi);A(this,Lm);A(this,ir);A(this,Dm);A(this,mt);y(this,mt,t),y(this,ir,r),y(this,Zd,s),y(this,Dm,i),y(this,Xi,o),y(this,Lm,a),this.firstPoint=[NaN,NaN],this.lastPoint=[NaN,NaN],C(this,o0,ON).call(this,a);const[c,u,d,h]=l(this,hc);for(let f=0,p=t.length;f<p;f+=2)t[f]=(t[f]-c)/d,t[f+1]=(t[f+1]-u)/h;for(let f=0,p=r.length;f<p;f+=2)r[f]=(r[f]-c)/d,r[f+1]=(r[f+1]-u)/h}toSVGPath(){const t=[`M${l(this,mt)[4]} ${l(this,mt)[5]}`];for(let r=6,s=l(this,mt).length;r<s;r+=6){if(isNaN(l(this,mt)[r])){t.push(`L${l(this,mt)[r+4]} ${l(this,mt)[r+5]}`);continue}t.push(`C${l(this,mt)[r]} ${l(this,mt)[r+1]} ${l(this,mt)[r+2]} ${l(this,mt)[r+3]} ${l(this,mt)[r+4]} ${l(this,mt)[r+5]}`)}return t.push("Z"),t.join(" ")}serialize([t,r,s,i],o){const a=s-t,c=i-r;let u,d;switch(o){case 0:u=J._rescale(l(this,mt),t,i,a,-c),d=J._rescale(l(this,ir),t,i,a,-c);break;case 90:u=J._rescaleAndSwap(l(this,mt),t,r,a,c),d=J._rescaleAndSwap(l(this,ir),t,r,a,c);break;case 180:u=J._rescale(l(this,mt),s,r,-a,c),d=J._rescale(l(this,ir),s,r,-a,c);break;case 270:u=J._rescaleAndSwap(l(this,mt),s,i,-a,-c),d=J._rescaleAndSwap(l(this,ir),s,i,-a,-c);break}return{outline:Array.from(u),points:[Array.from(d)]}}get box(){return l(this,hc)}newOutliner(t,r,s,i,o,a=0){return new Bv(t,r,s,i,o,a)}getNewOutline(t,r){const[s,i,o,a]=l(this,hc),[c,u,d,h]=l(this,Zd),f=o*d,p=a*h,v=s*d+c,m=i*h+u,x=this.newOutliner({x:l(this,ir)[0]*f+v,y:l(this,ir)[1]*p+m},l(this,Zd),l(this,Dm),t,l(this,Lm),r??l(this,Xi));for(let g=2;g<l(this,ir).length;g+=2)x.add({x:l(this,ir)[g]*f+v,y:l(this,ir)[g+1]*p+m});return x.getOutlines()}}Zd=new WeakMap,hc=new WeakMap,Xi=new WeakMap,Lm=new WeakMap,ir=new WeakMap,Dm=new WeakMap,mt=new WeakMap,o0=new WeakSet,ON=function(t){const r=l(this,mt);let s=r[4],i=r[5];const o=[s,i,s,i];let a=s,c=i,u=s,d=i;const h=t?Math.max:Math.min,f=new Float32Array(4);for(let v=6,m=r.length;v<m;v+=6){const x=r[v+4],g=r[v+5];isNaN(r[v])?(ee.pointBoundingBox(x,g,o),c>g?(a=x,c=g):c===g&&(a=h(a,x)),d<g?(u=x,d=g):d===g&&(u=h(u,x))):(f[0]=f[1]=1/0,f[2]=f[3]=-1/0,ee.bezierBoundingBox(s,i,...r.slice(v,v+6),f),ee.rectBoundingBox(f[0],f[1],f[2],f[3],o),c>f[1]?(a=f[0],c=f[1]):c===f[1]&&(a=h(a,f[0])),d<f[3]?(u=f[2],d=f[3]):d===f[3]&&(u=h(u,f[2]))),s=x,i=g}const p=l(this,hc);p[0]=o[0]-l(this,Xi),p[1]=o[1]-l(this,Xi),p[2]=o[2]-o[0]+2*l(this,Xi),p[3]=o[3]-o[1]+2*l(this,Xi),this.firstPoint=[a,c],this.lastPoint=[u,d]};var Om,Fm,jm,ya,ls,Cn,FN,Uy,jN,BN,S1;class x1{constructor(e,t=0,r=0,s=!0){A(this,Cn);A(this,Om);A(this,Fm);A(this,jm);A(this,ya,[]);A(this,ls,[]);const i=[1/0,1/0,-1/0,-1/0],a=10**-4;for(const{x,y:g,width:w,height:b}of e){const E=Math.floor((x-t)/a)*a,_=Math.ceil((x+w+t)/a)*a,k=Math.floor((g-t)/a)*a,P=Math.ceil((g+b+t)/a)*a,M=[E,k,P,!0],D=[_,k,P,!1];l(this,ya).push(M,D),ee.rectBoundingBox(E,k,_,P,i)}const c=i[2]-i[0]+2*r,u=i[3]-i[1]+2*r,d=i[0]-r,h=i[1]-r;let f=s?-1/0:1/0,p=1/0;const v=l(this,ya).at(s?-1:-2),m=[v[0],v[2]];for(const x of l(this,ya)){const[g,w,b,E]=x;!E&&s?w<p?(p=w,f=g):w===p&&(f=Math.max(f,g)):E&&!s&&(w<p?(p=w,f=g):w===p&&(f=Math.min(f,g))),x[0]=(g-d)/c,x[1]=(w-h)/u,x[2]=(b-h)/u}y(this,Om,new Float32Array([d,h,c,u])),y(this,Fm,[f,p]),y(this,jm,m)}getOutlines(){l(this,ya).sort((t,r)=>t[0]-r[0]||t[1]-r[1]||t[2]-r[2]);const e=[];for(const t of l(this,ya))t[3]?(e.push(...C(this,Cn,S1).call(this,t)),C(this,Cn,jN).call(this,t)):(C(this,Cn,BN).call(this,t),e.push(...C(this,Cn,S1).call(this,t)));return C(this,Cn,FN).call(this,e)}}Om=new WeakMap,Fm=new WeakMap,jm=new WeakMap,ya=new WeakMap,ls=new WeakMap,Cn=new WeakSet,FN=function(e){const t=[],r=new Set;for(const o of e){const[a,c,u]=o;t.push([a,c,o],[a,u,o])}t.sort((o,a)=>o[1]-a[1]||o[0]-a[0]);for(let o=0,a=t.length;o<a;o+=2){const c=t[o][2],u=t[o+1][2];c.push(u),u.push(c),r.add(c),r.add(u)}const s=[];let i;for(;r.size>0;){const o=r.values().next().value;let[a,c,u,d,h]=o;r.delete(o);let f=a,p=c;for(i=[a,u],s.push(i);;){let v;if(r.has(d))v=d;else if(r.has(h))v=h;else break;r.delete(v),[a,c,u,d,h]=v,f!==a&&(i.push(f,p,a,p===c?c:u),f=a),p=p===c?u:c}i.push(f,p)}return new xH(s,l(this,Om),l(this,Fm),l(this,jm))},Uy=function(e){const t=l(this,ls);let r=0,s=t.length-1;for(;r<=s;){const i=r+s>>1,o=t[i][0];if(o===e)return i;o<e?r=i+1:s=i-1}return s+1},jN=function([,e,t]){const r=C(this,Cn,Uy).call(this,e);l(this,ls).splice(r,0,[e,t])},BN=function([,e,t]){const r=C(this,Cn,Uy).call(this,e);for(let s=r;s<l(this,ls).length;s++){const[i,o]=l(this,ls)[s];if(i!==e)break;if(i===e&&o===t){l(this,ls).splice(s,1);return}}for(let s=r-1;s>=0;s--){const[i,o]=l(this,ls)[s];if(i!==e)break;if(i===e&&o===t){l(this,ls).splice(s,1);return}}},S1=function(e){const[t,r,s]=e,i=[[t,r,s]],o=C(this,Cn,Uy).call(this,s);for(let a=0;a<o;a++){const[c,u]=l(this,ls)[a];for(let d=0,h=i.length;d<h;d++){const[,f,p]=i[d];if(!(u<=f||p<=c)){if(f>=c){if(p>u)i[d][1]=u;else{if(h===1)return[];i.splice(d,1),d--,h--}continue}i[d][2]=c,p>u&&i.push([t,u,p])}}}return i};var Bm,eh;class xH extends J{constructor(t,r,s,i){super();A(this,Bm);A(this,eh);y(this,eh,t),y(this,Bm,r),this.firstPoint=s,this.lastPoint=i}toSVGPath(){const t=[];for(const r of l(this,eh)){let[s,i]=r;t.push(`M${s} ${i}`);for(let o=2;o<r.length;o+=2){const a=r[o],c=r[o+1];a===s?(t.push(`V${c}`),i=c):c===i&&(t.push(`H${a}`),s=a)}t.push("Z")}return t.join(" ")}serialize([t,r,s,i],o){const a=[],c=s-t,u=i-r;for(const d of l(this,eh)){const h=new Array(d.length);for(let f=0;f<d.length;f+=2)h[f]=t+d[f]*c,h[f+1]=i-d[f+1]*u;a.push(h)}return a}get box(){return l(this,Bm)}get classNamesForOutlining(){return["highlightOutline"]}}Bm=new WeakMap,eh=new WeakMap;class A1 extends Bv{newFreeDrawOutline(e,t,r,s,i,o){return new SH(e,t,r,s,i,o)}}class SH extends DN{newOutliner(e,t,r,s,i,o=0){return new A1(e,t,r,s,i,o)}}var th,Um,qi,fc,$m,Fn,zm,Hm,pc,or,ar,Vt,nh,rh,un,sh,Or,Vm,he,E1,$y,UN,$N,zN,C1,ol,Ur,au,HN,zy,Hy,VN,GN,WN,KN,XN;const Ee=class Ee extends ze{constructor(t){super({...t,name:"highlightEditor"});A(this,he);A(this,th,null);A(this,Um,0);A(this,qi);A(this,fc,null);A(this,$m,null);A(this,Fn,null);A(this,zm,null);A(this,Hm,0);A(this,pc,null);A(this,or,null);A(this,ar,null);A(this,Vt,!1);A(this,nh,null);A(this,rh,null);A(this,un,null);A(this,sh,"");A(this,Or);A(this,Vm,"");this.color=t.color||Ee._defaultColor,y(this,Or,t.thickness||Ee._defaultThickness),this.opacity=t.opacity||Ee._defaultOpacity,y(this,qi,t.boxes||null),y(this,Vm,t.methodOfCreation||""),y(this,sh,t.text||""),this._isDraggable=!1,this.defaultL10nId="pdfjs-editor-highlight-editor",t.highlightId>-1?(y(this,Vt,!0),C(this,he,$y).call(this,t),C(this,he,ol).call(this)):l(this,qi)&&(y(this,th,t.anchorNode),y(this,Um,t.anchorOffset),y(this,zm,t.focusNode),y(this,Hm,t.focusOffset),C(this,he,E1).call(this),C(this,he,ol).call(this),this.rotate(this.rotation)),this.annotationElementId||this._uiManager.a11yAlert("pdfjs-editor-highlight-added-alert")}static get _keyboardManager(){const t=Ee.prototype;return pe(this,"_keyboardManager",new lg([[["ArrowLeft","mac+ArrowLeft"],t._moveCaret,{args:[0]}],[["ArrowRight","mac+ArrowRight"],t._moveCaret,{args:[1]}],[["ArrowUp","mac+ArrowUp"],t._moveCaret,{args:[2]}],[["ArrowDown","mac+ArrowDown"],t._moveCaret,{args:[3]}]]))}get telemetryInitialData(){return{action:"added",type:l(this,Vt)?"free_highlight":"highlight",color:this._uiManager.getNonHCMColorName(this.color),thickness:l(this,Or),methodOfCreation:l(this,Vm)}}get telemetryFinalData(){return{type:"highlight",color:this._uiManager.getNonHCMColorName(this.color)}}static computeTelemetryFinalData(t){return{numberOfColors:t.get("color").size}}static initialize(t,r){var s;ze.initialize(t,r),Ee._defaultColor||(Ee._defaultColor=((s=r.highlightColors)==null?void 0:s.values().next().value)||"#fff066")}static updateDefaultParams(t,r){switch(t){case ve.HIGHLIGHT_COLOR:Ee._defaultColor=r;break;case ve.HIGHLIGHT_THICKNESS:Ee._defaultThickness=r;break}}translateInPage(t,r){}get toolbarPosition(){return l(this,rh)}get commentButtonPosition(){return l(this,nh)}updateParams(t,r){switch(t){case ve.HIGHLIGHT_COLOR:C(this,he,UN).call(this,r);break;case ve.HIGHLIGHT_THICKNESS:C(this,he,$N).call(this,r);break}}static get defaultPropertiesToUpdate(){return[[ve.HIGHLIGHT_COLOR,Ee._defaultColor],[ve.HIGHLIGHT_THICKNESS,Ee._defaultThickness]]}get propertiesToUpdate(){return[[ve.HIGHLIGHT_COLOR,this.color||Ee._defaultColor],[ve.HIGHLIGHT_THICKNESS,l(this,Or)||Ee._defaultThickness],[ve.HIGHLIGHT_FREE,l(this,Vt)]]}onUpdatedColor(){var t,r;(t=this.parent)==null||t.drawLayer.updateProperties(l(this,ar),{root:{fill:this.color,"fill-opacity":this.opacity}}),(r=l(this,$m))==null||r.updateColor(this.color),super.onUpdatedColor()}get toolbarButtons(){return this._uiManager.highlightColors?[["colorPicker",y(this,$m,new Ov({editor:this}))]]:super.toolbarButtons}disableEditing(){super.disableEditing(),this.div.classList.toggle("disabled",!0)}enableEditing(){super.enableEditing(),this.div.classList.toggle("disabled",!1)}fixAndSetPosition(){return super.fixAndSetPosition(C(this,he,Hy).call(this))}getBaseTranslation(){return[0,0]}getRect(t,r){return super.getRect(t,r,C(this,he,Hy).call(this))}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this),t&&this.div.focus()}remove(){C(this,he,C1).call(this),this._reportTelemetry({action:"deleted"}),super.remove()}rebuild(){this.parent&&(super.rebuild(),this.div!==null&&(C(this,he,ol).call(this),this.isAttachedToDOM||this.parent.add(this)))}setParent(t){var s;let r=!1;this.parent&&!t?C(this,he,C1).call(this):t&&(C(this,he,ol).call(this,t),r=!this.parent&&((s=this.div)==null?void 0:s.classList.contains("selectedEditor"))),super.setParent(t),this.show(this._isVisible),r&&this.select()}rotate(t){var i,o,a;const{drawLayer:r}=this.parent;let s;l(this,Vt)?(t=(t-this.rotation+360)%360,s=C(i=Ee,Ur,au).call(i,l(this,or).box,t)):s=C(o=Ee,Ur,au).call(o,[this.x,this.y,this.width,this.height],t),r.updateProperties(l(this,ar),{bbox:s,root:{"data-main-rotation":t}}),r.updateProperties(l(this,un),{bbox:C(a=Ee,Ur,au).call(a,l(this,Fn).box,t),root:{"data-main-rotation":t}})}render(){if(this.div)return this.div;const t=super.render();l(this,sh)&&(t.setAttribute("aria-label",l(this,sh)),t.setAttribute("role","mark")),l(this,Vt)?t.classList.add("free"):this.div.addEventListener("keydown",C(this,he,HN).bind(this),{signal:this._uiManager._signal});const r=y(this,pc,document.createElement("div"));return t.append(r),r.setAttribute("aria-hidden","true"),r.className="internal",r.style.clipPath=l(this,fc),this.setDims(this.width,this.height),p2(this,l(this,pc),["pointerover","pointerleave"]),this.enableEditing(),t}pointerover(){var t;this.isSelected||(t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!0}})}pointerleave(){var t;this.isSelected||(t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!1}})}_moveCaret(t){switch(this.parent.unselect(this),t){case 0:case 2:C(this,he,zy).call(this,!0);break;case 1:case 3:C(this,he,zy).call(this,!1);break}}select(){var t;super.select(),l(this,un)&&((t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!1,selected:!0}}))}unselect(){var t;super.unselect(),l(this,un)&&((t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{selected:!1}}),l(this,Vt)||C(this,he,zy).call(this,!1))}get _mustFixPosition(){return!l(this,Vt)}show(t=this._isVisible){super.show(t),this.parent&&(this.parent.drawLayer.updateProperties(l(this,ar),{rootClass:{hidden:!t}}),this.parent.drawLayer.updateProperties(l(this,un),{rootClass:{hidden:!t}}))}static startHighlighting(t,r,{target:s,x:i,y:o}){const{x:a,y:c,width:u,height:d}=s.getBoundingClientRect(),h=new AbortController,f=t.combinedSignal(h),p=v=>{h.abort(),C(this,Ur,KN).call(this,t,v)};window.addEventListener("blur",p,{signal:f}),window.addEventListener("pointerup",p,{signal:f}),window.addEventListener("pointerdown",ft,{capture:!0,passive:!1,signal:f}),window.addEventListener("contextmenu",Kr,{signal:f}),s.addEventListener("pointermove",C(this,Ur,WN).bind(this,t),{signal:f}),this._freeHighlight=new A1({x:i,y:o},[a,c,u,d],t.scale,this._defaultThickness/2,r,.001),{id:this._freeHighlightId,clipPathId:this._freeHighlightClipId}=t.drawLayer.draw({bbox:[0,0,1,1],root:{viewBox:"0 0 1 1",fill:this._defaultColor,"fill-opacity":this._defaultOpacity},rootClass:{highlight:!0,free:!0},path:{d:this._freeHighlight.toSVGPath()}},!0,!0)}static async deserialize(t,r,s){var m,x,g,w;let i=null;if(t instanceof SN){const{data:{quadPoints:b,rect:E,rotation:_,id:k,color:P,opacity:M,popupRef:D,richText:O,contentsObj:j,creationDate:U,modificationDate:V},parent:{page:{pageNumber:$}}}=t;i=t={annotationType:ce.HIGHLIGHT,color:Array.from(P),opacity:M,quadPoints:b,boxes:null,pageIndex:$-1,rect:E.slice(0),rotation:_,annotationElementId:k,id:k,deleted:!1,popupRef:D,richText:O,comment:(j==null?void 0:j.str)||null,creationDate:U,modificationDate:V}}else if(t instanceof NA){const{data:{inkLists:b,rect:E,rotation:_,id:k,color:P,borderStyle:{rawWidth:M},popupRef:D,richText:O,contentsObj:j,creationDate:U,modificationDate:V},parent:{page:{pageNumber:$}}}=t;i=t={annotationType:ce.HIGHLIGHT,color:Array.from(P),thickness:M,inkLists:b,boxes:null,pageIndex:$-1,rect:E.slice(0),rotation:_,annotationElementId:k,id:k,deleted:!1,popupRef:D,richText:O,comment:(j==null?void 0:j.str)||null,creationDate:U,modificationDate:V}}const{color:o,quadPoints:a,inkLists:c,opacity:u}=t,d=await super.deserialize(t,r,s);d.color=ee.makeHexColor(...o),d.opacity=u||1,c&&y(d,Or,t.thickness),d._initialData=i,t.comment&&d.setCommentData(t);const[h,f]=d.pageDimensions,[p,v]=d.pageTranslation;if(a){const b=y(d,qi,[]);for(let E=0;E<a.length;E+=8)b.push({x:(a[E]-p)/h,y:1-(a[E+1]-v)/f,width:(a[E+2]-a[E])/h,height:(a[E+1]-a[E+5])/f});C(m=d,he,E1).call(m),C(x=d,he,ol).call(x),d.rotate(d.rotation)}else if(c){y(d,Vt,!0);const b=c[0],E={x:b[0]-p,y:f-(b[1]-v)},_=new A1(E,[0,0,h,f],1,l(d,Or)/2,!0,.001);for(let M=0,D=b.length;M<D;M+=2)E.x=b[M]-p,E.y=f-(b[M+1]-v),_.add(E);const{id:k,clipPathId:P}=r.drawLayer.draw({bbox:[0,0,1,1],root:{viewBox:"0 0 1 1",fill:d.color,"fill-opacity":d._defaultOpacity},rootClass:{highlight:!0,free:!0},path:{d:_.toSVGPath()}},!0,!0);C(g=d,he,$y).call(g,{highlightOutlines:_.getOutlines(),highlightId:k,clipPathId:P}),C(w=d,he,ol).call(w),d.rotate(d.parentRotation)}return d}serialize(t=!1){if(this.isEmpty()||t)return null;if(this.deleted)return this.serializeDeleted();const r=ze._colorManager.convert(this._uiManager.getNonHCMColor(this.color)),s=super.serialize(t);return Object.assign(s,{color:r,opacity:this.opacity,thickness:l(this,Or),quadPoints:C(this,he,VN).call(this),outlines:C(this,he,GN).call(this,s.rect)}),this.addComment(s),this.annotationElementId&&!C(this,he,XN).call(this,s)?null:(s.id=this.annotationElementId,s)}renderAnnotationElement(t){return this.deleted?(t.hide(),null):(t.updateEdited({rect:this.getPDFRect(),popup:this.comment}),null)}static canCreateNewEmptyEditor(){return!1}};th=new WeakMap,Um=new WeakMap,qi=new WeakMap,fc=new WeakMap,$m=new WeakMap,Fn=new WeakMap,zm=new WeakMap,Hm=new WeakMap,pc=new WeakMap,or=new WeakMap,ar=new WeakMap,Vt=new WeakMap,nh=new WeakMap,rh=new WeakMap,un=new WeakMap,sh=new WeakMap,Or=new WeakMap,Vm=new WeakMap,he=new WeakSet,E1=function(){const t=new x1(l(this,qi),.001);y(this,or,t.getOutlines()),[this.x,this.y,this.width,this.height]=l(this,or).box;const r=new x1(l(this,qi),.0025,.001,this._uiManager.direction==="ltr");y(this,Fn,r.getOutlines());const{firstPoint:s}=l(this,or);y(this,nh,[(s[0]-this.x)/this.width,(s[1]-this.y)/this.height]);const{lastPoint:i}=l(this,Fn);y(this,rh,[(i[0]-this.x)/this.width,(i[1]-this.y)/this.height])},$y=function({highlightOutlines:t,highlightId:r,clipPathId:s}){var f,p;if(y(this,or,t),y(this,Fn,t.getNewOutline(l(this,Or)/2+1.5,.0025)),r>=0)y(this,ar,r),y(this,fc,s),this.parent.drawLayer.finalizeDraw(r,{bbox:t.box,path:{d:t.toSVGPath()}}),y(this,un,this.parent.drawLayer.drawOutline({rootClass:{highlightOutline:!0,free:!0},bbox:l(this,Fn).box,path:{d:l(this,Fn).toSVGPath()}},!0));else if(this.parent){const v=this.parent.viewport.rotation;this.parent.drawLayer.updateProperties(l(this,ar),{bbox:C(f=Ee,Ur,au).call(f,l(this,or).box,(v-this.rotation+360)%360),path:{d:t.toSVGPath()}}),this.parent.drawLayer.updateProperties(l(this,un),{bbox:C(p=Ee,Ur,au).call(p,l(this,Fn).box,v),path:{d:l(this,Fn).toSVGPath()}})}const[o,a,c,u]=t.box;switch(this.rotation){case 0:this.x=o,this.y=a,this.width=c,this.height=u;break;case 90:{const[v,m]=this.parentDimensions;this.x=a,this.y=1-o,this.width=c*m/v,this.height=u*v/m;break}case 180:this.x=1-o,this.y=1-a,this.width=c,this.height=u;break;case 270:{const[v,m]=this.parentDimensions;this.x=1-a,this.y=o,this.width=c*m/v,this.height=u*v/m;break}}const{firstPoint:d}=t;y(this,nh,[(d[0]-o)/c,(d[1]-a)/u]);const{lastPoint:h}=l(this,Fn);y(this,rh,[(h[0]-o)/c,(h[1]-a)/u])},UN=function(t){const r=(o,a)=>{this.color=o,this.opacity=a,this.onUpdatedColor()},s=this.color,i=this.opacity;this.addCommands({cmd:r.bind(this,t,Ee._defaultOpacity),undo:r.bind(this,s,i),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.HIGHLIGHT_COLOR,overwriteIfSameType:!0,keepUndo:!0}),this._reportTelemetry({action:"color_changed",color:this._uiManager.getNonHCMColorName(t)},!0)},$N=function(t){const r=l(this,Or),s=i=>{y(this,Or,i),C(this,he,zN).call(this,i)};this.addCommands({cmd:s.bind(this,t),undo:s.bind(this,r),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.INK_THICKNESS,overwriteIfSameType:!0,keepUndo:!0}),this._reportTelemetry({action:"thickness_changed",thickness:t},!0)},zN=function(t){l(this,Vt)&&(C(this,he,$y).call(this,{highlightOutlines:l(this,or).getNewOutline(t/2)}),this.fixAndSetPosition(),this.setDims(this.width,this.height))},C1=function(){l(this,ar)===null||!this.parent||(this.parent.drawLayer.remove(l(this,ar)),y(this,ar,null),this.parent.drawLayer.remove(l(this,un)),y(this,un,null))},ol=function(t=this.parent){l(this,ar)===null&&({id:ot(this,ar)._,clipPathId:ot(this,fc)._}=t.drawLayer.draw({bbox:l(this,or).box,root:{viewBox:"0 0 1 1",fill:this.color,"fill-opacity":this.opacity},rootClass:{highlight:!0,free:l(this,Vt)},path:{d:l(this,or).toSVGPath()}},!1,!0),y(this,un,t.drawLayer.drawOutline({rootClass:{highlightOutline:!0,free:l(this,Vt)},bbox:l(this,Fn).box,path:{d:l(this,Fn).toSVGPath()}},l(this,Vt))),l(this,pc)&&(l(this,pc).style.clipPath=l(this,fc)))},Ur=new WeakSet,au=function([t,r,s,i],o){switch(o){case 90:return[1-r-i,t,i,s];case 180:return[1-t-s,1-r-i,s,i];case 270:return[r,1-t-s,i,s]}return[t,r,s,i]},HN=function(t){Ee._keyboardManager.exec(this,t)},zy=function(t){if(!l(this,th))return;const r=window.getSelection();t?r.setPosition(l(this,th),l(this,Um)):r.setPosition(l(this,zm),l(this,Hm))},Hy=function(){return l(this,Vt)?this.rotation:0},VN=function(){if(l(this,Vt))return null;const[t,r]=this.pageDimensions,[s,i]=this.pageTranslation,o=l(this,qi),a=new Float32Array(o.length*8);let c=0;for(const{x:u,y:d,width:h,height:f}of o){const p=u*t+s,v=(1-d)*r+i;a[c]=a[c+4]=p,a[c+1]=a[c+3]=v,a[c+2]=a[c+6]=p+h*t,a[c+5]=a[c+7]=v-f*r,c+=8}return a},GN=function(t){return l(this,or).serialize(t,C(this,he,Hy).call(this))},WN=function(t,r){this._freeHighlight.add(r)&&t.drawLayer.updateProperties(this._freeHighlightId,{path:{d:this._freeHighlight.toSVGPath()}})},KN=function(t,r){this._freeHighlight.isEmpty()?t.drawLayer.remove(this._freeHighlightId):t.createAndAddNewEditor(r,!1,{highlightId:this._freeHighlightId,highlightOutlines:this._freeHighlight.getOutlines(),clipPathId:this._freeHighlightClipId,methodOfCreation:"main_toolbar"}),this._freeHighlightId=-1,this._freeHighlight=null,this._freeHighlightClipId=""},XN=function(t){const{color:r}=this._initialData;return this.hasEditedComment||t.color.some((s,i)=>s!==r[i])},A(Ee,Ur),G(Ee,"_defaultColor",null),G(Ee,"_defaultOpacity",1),G(Ee,"_defaultThickness",12),G(Ee,"_type","highlight"),G(Ee,"_editorType",ce.HIGHLIGHT),G(Ee,"_freeHighlightId",-1),G(Ee,"_freeHighlight",null),G(Ee,"_freeHighlightClipId","");let Uv=Ee;var mc;class qN{constructor(){A(this,mc,Object.create(null))}updateProperty(e,t){this[e]=t,this.updateSVGProperty(e,t)}updateProperties(e){if(e)for(const[t,r]of Object.entries(e))t.startsWith("_")||this.updateProperty(t,r)}updateSVGProperty(e,t){l(this,mc)[e]=t}toSVGProperties(){const e=l(this,mc);return y(this,mc,Object.create(null)),{root:e}}reset(){y(this,mc,Object.create(null))}updateAll(e=this){this.updateProperties(e)}clone(){je("Not implemented")}}mc=new WeakMap;var lr,ih,Nt,gc,yc,va,wa,ba,vc,xe,_1,T1,k1,xf,YN,Vy,Sf,lu;const te=class te extends ze{constructor(t){super(t);A(this,xe);A(this,lr,null);A(this,ih);G(this,"_colorPicker",null);G(this,"_drawId",null);y(this,ih,t.mustBeCommitted||!1),this._addOutlines(t)}onUpdatedColor(){var t;(t=this._colorPicker)==null||t.update(this.color),super.onUpdatedColor()}_addOutlines(t){t.drawOutlines&&(C(this,xe,_1).call(this,t),C(this,xe,xf).call(this))}static _mergeSVGProperties(t,r){const s=new Set(Object.keys(t));for(const[i,o]of Object.entries(r))s.has(i)?Object.assign(t[i],o):t[i]=o;return t}static getDefaultDrawingOptions(t){je("Not implemented")}static get typesMap(){je("Not implemented")}static get isDrawer(){return!0}static get supportMultipleDrawings(){return!1}static updateDefaultParams(t,r){const s=this.typesMap.get(t);s&&this._defaultDrawingOptions.updateProperty(s,r),this._currentParent&&(l(te,Nt).updateProperty(s,r),this._currentParent.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties()))}updateParams(t,r){const s=this.constructor.typesMap.get(t);s&&this._updateProperty(t,s,r)}static get defaultPropertiesToUpdate(){const t=[],r=this._defaultDrawingOptions;for(const[s,i]of this.typesMap)t.push([s,r[i]]);return t}get propertiesToUpdate(){const t=[],{_drawingOptions:r}=this;for(const[s,i]of this.constructor.typesMap)t.push([s,r[i]]);return t}_updateProperty(t,r,s){const i=this._drawingOptions,o=i[r],a=c=>{var d;i.updateProperty(r,c);const u=l(this,lr).updateProperty(r,c);u&&C(this,xe,Sf).call(this,u),(d=this.parent)==null||d.drawLayer.updateProperties(this._drawId,i.toSVGProperties()),t===this.colorType&&this.onUpdatedColor()};this.addCommands({cmd:a.bind(this,s),undo:a.bind(this,o),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:t,overwriteIfSameType:!0,keepUndo:!0})}_onResizing(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathResizingSVGProperties(C(this,xe,Vy).call(this)),{bbox:C(this,xe,lu).call(this)}))}_onResized(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathResizedSVGProperties(C(this,xe,Vy).call(this)),{bbox:C(this,xe,lu).call(this)}))}_onTranslating(t,r){var s;(s=this.parent)==null||s.drawLayer.updateProperties(this._drawId,{bbox:C(this,xe,lu).call(this)})}_onTranslated(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathTranslatedSVGProperties(C(this,xe,Vy).call(this),this.parentDimensions),{bbox:C(this,xe,lu).call(this)}))}_onStartDragging(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!0}})}_onStopDragging(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!1}})}commit(){super.commit(),this.disableEditMode(),this.disableEditing()}disableEditing(){super.disableEditing(),this.div.classList.toggle("disabled",!0)}enableEditing(){super.enableEditing(),this.div.classList.toggle("disabled",!1)}getBaseTranslation(){return[0,0]}get isResizable(){return!0}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this),this._isDraggable=!0,l(this,ih)&&(y(this,ih,!1),this.commit(),this.parent.setSelected(this),t&&this.isOnScreen&&this.div.focus())}remove(){C(this,xe,k1).call(this),super.remove()}rebuild(){this.parent&&(super.rebuild(),this.div!==null&&(C(this,xe,xf).call(this),C(this,xe,Sf).call(this,l(this,lr).box),this.isAttachedToDOM||this.parent.add(this)))}setParent(t){var s;let r=!1;this.parent&&!t?(this._uiManager.removeShouldRescale(this),C(this,xe,k1).call(this)):t&&(this._uiManager.addShouldRescale(this),C(this,xe,xf).call(this,t),r=!this.parent&&((s=this.div)==null?void 0:s.classList.contains("selectedEditor"))),super.setParent(t),r&&this.select()}rotate(){this.parent&&this.parent.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties({bbox:C(this,xe,lu).call(this)},l(this,lr).updateRotation((this.parentRotation-this.rotation+360)%360)))}onScaleChanging(){this.parent&&C(this,xe,Sf).call(this,l(this,lr).updateParentDimensions(this.parentDimensions,this.parent.scale))}static onScaleChangingWhenDrawing(){}render(){if(this.div)return this.div;let t,r;this._isCopy&&(t=this.x,r=this.y);const s=super.render();s.classList.add("draw");const i=document.createElement("div");return s.append(i),i.setAttribute("aria-hidden","true"),i.className="internal",this.setDims(),this._uiManager.addShouldRescale(this),this.disableEditing(),this._isCopy&&this._moveAfterPaste(t,r),s}static createDrawerInstance(t,r,s,i,o){je("Not implemented")}static startDrawing(t,r,s,i){var x;const{target:o,offsetX:a,offsetY:c,pointerId:u,pointerType:d}=i;if(l(te,wa)&&l(te,wa)!==d)return;const{viewport:{rotation:h}}=t,{width:f,height:p}=o.getBoundingClientRect(),v=y(te,gc,new AbortController),m=t.combinedSignal(v);if(l(te,va)||y(te,va,u),l(te,wa)??y(te,wa,d),window.addEventListener("pointerup",g=>{var w;l(te,va)===g.pointerId?this._endDraw(g):(w=l(te,ba))==null||w.delete(g.pointerId)},{signal:m}),window.addEventListener("pointercancel",g=>{var w;l(te,va)===g.pointerId?this._currentParent.endDrawingSession():(w=l(te,ba))==null||w.delete(g.pointerId)},{signal:m}),window.addEventListener("pointerdown",g=>{l(te,wa)===g.pointerType&&((l(te,ba)||y(te,ba,new Set)).add(g.pointerId),l(te,Nt).isCancellable()&&(l(te,Nt).removeLastElement(),l(te,Nt).isEmpty()?this._currentParent.endDrawingSession(!0):this._endDraw(null)))},{capture:!0,passive:!1,signal:m}),window.addEventListener("contextmenu",Kr,{signal:m}),o.addEventListener("pointermove",this._drawMove.bind(this),{signal:m}),o.addEventListener("touchmove",g=>{g.timeStamp===l(te,vc)&&ft(g)},{signal:m}),t.toggleDrawing(),(x=r._editorUndoBar)==null||x.hide(),l(te,Nt)){t.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).startNew(a,c,f,p,h));return}r.updateUIForDefaultProperties(this),y(te,Nt,this.createDrawerInstance(a,c,f,p,h)),y(te,yc,this.getDefaultDrawingOptions()),this._currentParent=t,{id:this._currentDrawId}=t.drawLayer.draw(this._mergeSVGProperties(l(te,yc).toSVGProperties(),l(te,Nt).defaultSVGProperties),!0,!1)}static _drawMove(t){var o;if(y(te,vc,-1),!l(te,Nt))return;const{offsetX:r,offsetY:s,pointerId:i}=t;if(l(te,va)===i){if(((o=l(te,ba))==null?void 0:o.size)>=1){this._endDraw(t);return}this._currentParent.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).add(r,s)),y(te,vc,t.timeStamp),ft(t)}}static _cleanup(t){t&&(this._currentDrawId=-1,this._currentParent=null,y(te,Nt,null),y(te,yc,null),y(te,wa,null),y(te,vc,NaN)),l(te,gc)&&(l(te,gc).abort(),y(te,gc,null),y(te,va,NaN),y(te,ba,null))}static _endDraw(t){const r=this._currentParent;if(r){if(r.toggleDrawing(!0),this._cleanup(!1),(t==null?void 0:t.target)===r.div&&r.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).end(t.offsetX,t.offsetY)),this.supportMultipleDrawings){const s=l(te,Nt),i=this._currentDrawId,o=s.getLastElement();r.addCommands({cmd:()=>{r.drawLayer.updateProperties(i,s.setLastElement(o))},undo:()=>{r.drawLayer.updateProperties(i,s.removeLastElement())},mustExec:!1,type:ve.DRAW_STEP});return}this.endDrawing(!1)}}static endDrawing(t){const r=this._currentParent;if(!r)return null;if(r.toggleDrawing(!0),r.cleanUndoStack(ve.DRAW_STEP),!l(te,Nt).isEmpty()){const{pageDimensions:[s,i],scale:o}=r,a=r.createAndAddNewEditor({offsetX:0,offsetY:0},!1,{drawId:this._currentDrawId,drawOutlines:l(te,Nt).getOutlines(s*o,i*o,o,this._INNER_MARGIN),drawingOptions:l(te,yc),mustBeCommitted:!t});return this._cleanup(!0),a}return r.drawLayer.remove(this._currentDrawId),this._cleanup(!0),null}createDrawingOptions(t){}static deserializeDraw(t,r,s,i,o,a){je("Not implemented")}static async deserialize(t,r,s){var h,f;const{rawDims:{pageWidth:i,pageHeight:o,pageX:a,pageY:c}}=r.viewport,u=this.deserializeDraw(a,c,i,o,this._INNER_MARGIN,t),d=await super.deserialize(t,r,s);return d.createDrawingOptions(t),C(h=d,xe,_1).call(h,{drawOutlines:u}),C(f=d,xe,xf).call(f),d.onScaleChanging(),d.rotate(),d}serializeDraw(t){const[r,s]=this.pageTranslation,[i,o]=this.pageDimensions;return l(this,lr).serialize([r,s,i,o],t)}renderAnnotationElement(t){return t.updateEdited({rect:this.getPDFRect()}),null}static canCreateNewEmptyEditor(){return!1}};lr=new WeakMap,ih=new WeakMap,Nt=new WeakMap,gc=new WeakMap,yc=new WeakMap,va=new WeakMap,wa=new WeakMap,ba=new WeakMap,vc=new WeakMap,xe=new WeakSet,_1=function({drawOutlines:t,drawId:r,drawingOptions:s}){y(this,lr,t),this._drawingOptions||(this._drawingOptions=s),this.annotationElementId||this._uiManager.a11yAlert(`pdfjs-editor-${this.editorType}-added-alert`),r>=0?(this._drawId=r,this.parent.drawLayer.finalizeDraw(r,t.defaultProperties)):this._drawId=C(this,xe,T1).call(this,t,this.parent),C(this,xe,Sf).call(this,t.box)},T1=function(t,r){const{id:s}=r.drawLayer.draw(te._mergeSVGProperties(this._drawingOptions.toSVGProperties(),t.defaultSVGProperties),!1,!1);return s},k1=function(){this._drawId===null||!this.parent||(this.parent.drawLayer.remove(this._drawId),this._drawId=null,this._drawingOptions.reset())},xf=function(t=this.parent){if(!(this._drawId!==null&&this.parent===t)){if(this._drawId!==null){this.parent.drawLayer.updateParent(this._drawId,t.drawLayer);return}this._drawingOptions.updateAll(),this._drawId=C(this,xe,T1).call(this,l(this,lr),t)}},YN=function([t,r,s,i]){const{parentDimensions:[o,a],rotation:c}=this;switch(c){case 90:return[r,1-t,s*(a/o),i*(o/a)];case 180:return[1-t,1-r,s,i];case 270:return[1-r,t,s*(a/o),i*(o/a)];default:return[t,r,s,i]}},Vy=function(){const{x:t,y:r,width:s,height:i,parentDimensions:[o,a],rotation:c}=this;switch(c){case 90:return[1-r,t,s*(o/a),i*(a/o)];case 180:return[1-t,1-r,s,i];case 270:return[r,1-t,s*(o/a),i*(a/o)];default:return[t,r,s,i]}},Sf=function(t){[this.x,this.y,this.width,this.height]=C(this,xe,YN).call(this,t),this.div&&(this.fixAndSetPosition(),this.setDims()),this._onResized()},lu=function(){const{x:t,y:r,width:s,height:i,rotation:o,parentRotation:a,parentDimensions:[c,u]}=this;switch((o*4+a)/90){case 1:return[1-r-i,t,i,s];case 2:return[1-t-s,1-r-i,s,i];case 3:return[r,1-t-s,i,s];case 4:return[t,r-s*(c/u),i*(u/c),s*(c/u)];case 5:return[1-r,t,s*(c/u),i*(u/c)];case 6:return[1-t-i*(u/c),1-r,i*(u/c),s*(c/u)];case 7:return[r-s*(c/u),1-t-i*(u/c),s*(c/u),i*(u/c)];case 8:return[t-s,r-i,s,i];case 9:return[1-r,t-s,i,s];case 10:return[1-t,1-r,s,i];case 11:return[r-i,1-t,i,s];case 12:return[t-i*(u/c),r,i*(u/c),s*(c/u)];case 13:return[1-r-s*(c/u),t-i*(u/c),s*(c/u),i*(u/c)];case 14:return[1-t,1-r-s*(c/u),i*(u/c),s*(c/u)];case 15:return[r,1-t,s*(c/u),i*(u/c)];default:return[t,r,s,i]}},G(te,"_currentDrawId",-1),G(te,"_currentParent",null),A(te,Nt,null),A(te,gc,null),A(te,yc,null),A(te,va,NaN),A(te,wa,null),A(te,ba,null),A(te,vc,NaN),G(te,"_INNER_MARGIN",3);let $v=te;var qs,It,Lt,wc,oh,gn,Gt,Fr,bc,xc,Sc,ah,Gy;class AH{constructor(e,t,r,s,i,o){A(this,ah);A(this,qs,new Float64Array(6));A(this,It);A(this,Lt);A(this,wc);A(this,oh);A(this,gn);A(this,Gt,"");A(this,Fr,0);A(this,bc,new ug);A(this,xc);A(this,Sc);y(this,xc,r),y(this,Sc,s),y(this,wc,i),y(this,oh,o),[e,t]=C(this,ah,Gy).call(this,e,t);const a=y(this,It,[NaN,NaN,NaN,NaN,e,t]);y(this,gn,[e,t]),y(this,Lt,[{line:a,points:l(this,gn)}]),l(this,qs).set(a,0)}updateProperty(e,t){e==="stroke-width"&&y(this,oh,t)}isEmpty(){return!l(this,Lt)||l(this,Lt).length===0}isCancellable(){return l(this,gn).length<=10}add(e,t){[e,t]=C(this,ah,Gy).call(this,e,t);const[r,s,i,o]=l(this,qs).subarray(2,6),a=e-i,c=t-o;return Math.hypot(l(this,xc)*a,l(this,Sc)*c)<=2?null:(l(this,gn).push(e,t),isNaN(r)?(l(this,qs).set([i,o,e,t],2),l(this,It).push(NaN,NaN,NaN,NaN,e,t),{path:{d:this.toSVGPath()}}):(isNaN(l(this,qs)[0])&&l(this,It).splice(6,6),l(this,qs).set([r,s,i,o,e,t],0),l(this,It).push(...J.createBezierPoints(r,s,i,o,e,t)),{path:{d:this.toSVGPath()}}))}end(e,t){const r=this.add(e,t);return r||(l(this,gn).length===2?{path:{d:this.toSVGPath()}}:null)}startNew(e,t,r,s,i){y(this,xc,r),y(this,Sc,s),y(this,wc,i),[e,t]=C(this,ah,Gy).call(this,e,t);const o=y(this,It,[NaN,NaN,NaN,NaN,e,t]);y(this,gn,[e,t]);const a=l(this,Lt).at(-1);return a&&(a.line=new Float32Array(a.line),a.points=new Float32Array(a.points)),l(this,Lt).push({line:o,points:l(this,gn)}),l(this,qs).set(o,0),y(this,Fr,0),this.toSVGPath(),null}getLastElement(){return l(this,Lt).at(-1)}setLastElement(e){return l(this,Lt)?(l(this,Lt).push(e),y(this,It,e.line),y(this,gn,e.points),y(this,Fr,0),{path:{d:this.toSVGPath()}}):l(this,bc).setLastElement(e)}removeLastElement(){if(!l(this,Lt))return l(this,bc).removeLastElement();l(this,Lt).pop(),y(this,Gt,"");for(let e=0,t=l(this,Lt).length;e<t;e++){const{line:r,points:s}=l(this,Lt)[e];y(this,It,r),y(this,gn,s),y(this,Fr,0),this.toSVGPath()}return{path:{d:l(this,Gt)}}}toSVGPath(){const e=J.svgRound(l(this,It)[4]),t=J.svgRound(l(this,It)[5]);if(l(this,gn).length===2)return y(this,Gt,`${l(this,Gt)} M ${e} ${t} Z`),l(this,Gt);if(l(this,gn).length<=6){const s=l(this,Gt).lastIndexOf("M");y(this,Gt,`${l(this,Gt).slice(0,s)} M ${e} ${t}`),y(this,Fr,6)}if(l(this,gn).length===4){const s=J.svgRound(l(this,It)[10]),i=J.svgRound(l(this,It)[11]);return y(this,Gt,`${l(this,Gt)} L ${s} ${i}`),y(this,Fr,12),l(this,Gt)}const r=[];l(this,Fr)===0&&(r.push(`M ${e} ${t}`),y(this,Fr,6));for(let s=l(this,Fr),i=l(this,It).length;s<i;s+=6){const[o,a,c,u,d,h]=l(this,It).slice(s,s+6).map(J.svgRound);r.push(`C${o} ${a} ${c} ${u} ${d} ${h}`)}return y(this,Gt,l(this,Gt)+r.join(" ")),y(this,Fr,l(this,It).length),l(this,Gt)}getOutlines(e,t,r,s){const i=l(this,Lt).at(-1);return i.line=new Float32Array(i.line),i.points=new Float32Array(i.points),l(this,bc).build(l(this,Lt),e,t,r,l(this,wc),l(this,oh),s),y(this,qs,null),y(this,It,null),y(this,Lt,null),y(this,Gt,null),l(this,bc)}get defaultSVGProperties(){return{root:{viewBox:"0 0 10000 10000"},rootClass:{draw:!0},bbox:[0,0,1,1]}}}qs=new WeakMap,It=new WeakMap,Lt=new WeakMap,wc=new WeakMap,oh=new WeakMap,gn=new WeakMap,Gt=new WeakMap,Fr=new WeakMap,bc=new WeakMap,xc=new WeakMap,Sc=new WeakMap,ah=new WeakSet,Gy=function(e,t){return J._normalizePoint(e,t,l(this,xc),l(this,Sc),l(this,wc))};var yn,Gm,Wm,cr,Ys,Qs,lh,ch,Ac,Xt,gi,QN,JN,ZN;class ug extends J{constructor(){super(...arguments);A(this,Xt);A(this,yn);A(this,Gm,0);A(this,Wm);A(this,cr);A(this,Ys);A(this,Qs);A(this,lh);A(this,ch);A(this,Ac)}build(t,r,s,i,o,a,c){y(this,Ys,r),y(this,Qs,s),y(this,lh,i),y(this,ch,o),y(this,Ac,a),y(this,Wm,c??0),y(this,cr,t),C(this,Xt,JN).call(this)}get thickness(){return l(this,Ac)}setLastElement(t){return l(this,cr).push(t),{path:{d:this.toSVGPath()}}}removeLastElement(){return l(this,cr).pop(),{path:{d:this.toSVGPath()}}}toSVGPath(){const t=[];for(const{line:r}of l(this,cr)){if(t.push(`M${J.svgRound(r[4])} ${J.svgRound(r[5])}`),r.length===6){t.push("Z");continue}if(r.length===12&&isNaN(r[6])){t.push(`L${J.svgRound(r[10])} ${J.svgRound(r[11])}`);continue}for(let s=6,i=r.length;s<i;s+=6){const[o,a,c,u,d,h]=r.subarray(s,s+6).map(J.svgRound);t.push(`C${o} ${a} ${c} ${u} ${d} ${h}`)}}return t.join("")}serialize([t,r,s,i],o){const a=[],c=[],[u,d,h,f]=C(this,Xt,QN).call(this);let p,v,m,x,g,w,b,E,_;switch(l(this,ch)){case 0:_=J._rescale,p=t,v=r+i,m=s,x=-i,g=t+u*s,w=r+(1-d-f)*i,b=t+(u+h)*s,E=r+(1-d)*i;break;case 90:_=J._rescaleAndSwap,p=t,v=r,m=s,x=i,g=t+d*s,w=r+u*i,b=t+(d+f)*s,E=r+(u+h)*i;break;case 180:_=J._rescale,p=t+s,v=r,m=-s,x=i,g=t+(1-u-h)*s,w=r+d*i,b=t+(1-u)*s,E=r+(d+f)*i;break;case 270:_=J._rescaleAndSwap,p=t+s,v=r+i,m=-s,x=-i,g=t+(1-d-f)*s,w=r+(1-u-h)*i,b=t+(1-d)*s,E=r+(1-u)*i;break}for(const{line:k,points:P}of l(this,cr))a.push(_(k,p,v,m,x,o?new Array(k.length):null)),c.push(_(P,p,v,m,x,o?new Array(P.length):null));return{lines:a,points:c,rect:[g,w,b,E]}}static deserialize(t,r,s,i,o,{paths:{lines:a,points:c},rotation:u,thickness:d}){const h=[];let f,p,v,m,x;switch(u){case 0:x=J._rescale,f=-t/s,p=r/i+1,v=1/s,m=-1/i;break;case 90:x=J._rescaleAndSwap,f=-r/i,p=-t/s,v=1/i,m=1/s;break;case 180:x=J._rescale,f=t/s+1,p=-r/i,v=-1/s,m=1/i;break;case 270:x=J._rescaleAndSwap,f=r/i+1,p=t/s+1,v=-1/i,m=-1/s;break}if(!a){a=[];for(const w of c){const b=w.length;if(b===2){a.push(new Float32Array([NaN,NaN,NaN,NaN,w[0],w[1]]));continue}if(b===4){a.push(new Float32Array([NaN,NaN,NaN,NaN,w[0],w[1],NaN,NaN,NaN,NaN,w[2],w[3]]));continue}const E=new Float32Array(3*(b-2));a.push(E);let[_,k,P,M]=w.subarray(0,4);E.set([NaN,NaN,NaN,NaN,_,k],0);for(let D=4;D<b;D+=2){const O=w[D],j=w[D+1];E.set(J.createBezierPoints(_,k,P,M,O,j),(D-2)*3),[_,k,P,M]=[P,M,O,j]}}}for(let w=0,b=a.length;w<b;w++)h.push({line:x(a[w].map(E=>E??NaN),f,p,v,m),points:x(c[w].map(E=>E??NaN),f,p,v,m)});const g=new this.prototype.constructor;return g.build(h,s,i,1,u,d,o),g}get box(){return l(this,yn)}updateProperty(t,r){return t==="stroke-width"?C(this,Xt,ZN).call(this,r):null}updateParentDimensions([t,r],s){const[i,o]=C(this,Xt,gi).call(this);y(this,Ys,t),y(this,Qs,r),y(this,lh,s);const[a,c]=C(this,Xt,gi).call(this),u=a-i,d=c-o,h=l(this,yn);return h[0]-=u,h[1]-=d,h[2]+=2*u,h[3]+=2*d,h}updateRotation(t){return y(this,Gm,t),{path:{transform:this.rotationTransform}}}get viewBox(){return l(this,yn).map(J.svgRound).join(" ")}get defaultProperties(){const[t,r]=l(this,yn);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`}}}get rotationTransform(){const[,,t,r]=l(this,yn);let s=0,i=0,o=0,a=0,c=0,u=0;switch(l(this,Gm)){case 90:i=r/t,o=-t/r,c=t;break;case 180:s=-1,a=-1,c=t,u=r;break;case 270:i=-r/t,o=t/r,u=r;break;default:return""}return`matrix(${s} ${i} ${o} ${a} ${J.svgRound(c)} ${J.svgRound(u)})`}getPathResizingSVGProperties([t,r,s,i]){const[o,a]=C(this,Xt,gi).call(this),[c,u,d,h]=l(this,yn);if(Math.abs(d-o)<=J.PRECISION||Math.abs(h-a)<=J.PRECISION){const x=t+s/2-(c+d/2),g=r+i/2-(u+h/2);return{path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:`${this.rotationTransform} translate(${x} ${g})`}}}const f=(s-2*o)/(d-2*o),p=(i-2*a)/(h-2*a),v=d/s,m=h/i;return{path:{"transform-origin":`${J.svgRound(c)} ${J.svgRound(u)}`,transform:`${this.rotationTransform} scale(${v} ${m}) translate(${J.svgRound(o)} ${J.svgRound(a)}) scale(${f} ${p}) translate(${J.svgRound(-o)} ${J.svgRound(-a)})`}}}getPathResizedSVGProperties([t,r,s,i]){const[o,a]=C(this,Xt,gi).call(this),c=l(this,yn),[u,d,h,f]=c;if(c[0]=t,c[1]=r,c[2]=s,c[3]=i,Math.abs(h-o)<=J.PRECISION||Math.abs(f-a)<=J.PRECISION){const g=t+s/2-(u+h/2),w=r+i/2-(d+f/2);for(const{line:b,points:E}of l(this,cr))J._translate(b,g,w,b),J._translate(E,g,w,E);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}const p=(s-2*o)/(h-2*o),v=(i-2*a)/(f-2*a),m=-p*(u+o)+t+o,x=-v*(d+a)+r+a;if(p!==1||v!==1||m!==0||x!==0)for(const{line:g,points:w}of l(this,cr))J._rescale(g,m,x,p,v,g),J._rescale(w,m,x,p,v,w);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}getPathTranslatedSVGProperties([t,r],s){const[i,o]=s,a=l(this,yn),c=t-a[0],u=r-a[1];if(l(this,Ys)===i&&l(this,Qs)===o)for(const{line:d,points:h}of l(this,cr))J._translate(d,c,u,d),J._translate(h,c,u,h);else{const d=l(this,Ys)/i,h=l(this,Qs)/o;y(this,Ys,i),y(this,Qs,o);for(const{line:f,points:p}of l(this,cr))J._rescale(f,c,u,d,h,f),J._rescale(p,c,u,d,h,p);a[2]*=d,a[3]*=h}return a[0]=t,a[1]=r,{root:{viewBox:this.viewBox},path:{d:this.toSVGPath(),"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`}}}get defaultSVGProperties(){const t=l(this,yn);return{root:{viewBox:this.viewBox},rootClass:{draw:!0},path:{d:this.toSVGPath(),"transform-origin":`${J.svgRound(t[0])} ${J.svgRound(t[1])}`,transform:this.rotationTransform||null},bbox:t}}}yn=new WeakMap,Gm=new WeakMap,Wm=new WeakMap,cr=new WeakMap,Ys=new WeakMap,Qs=new WeakMap,lh=new WeakMap,ch=new WeakMap,Ac=new WeakMap,Xt=new WeakSet,gi=function(t=l(this,Ac)){const r=l(this,Wm)+t/2*l(this,lh);return l(this,ch)%180===0?[r/l(this,Ys),r/l(this,Qs)]:[r/l(this,Qs),r/l(this,Ys)]},QN=function(){const[t,r,s,i]=l(this,yn),[o,a]=C(this,Xt,gi).call(this,0);return[t+o,r+a,s-2*o,i-2*a]},JN=function(){const t=y(this,yn,new Float32Array([1/0,1/0,-1/0,-1/0]));for(const{line:i}of l(this,cr)){if(i.length<=12){for(let c=4,u=i.length;c<u;c+=6)ee.pointBoundingBox(i[c],i[c+1],t);continue}let o=i[4],a=i[5];for(let c=6,u=i.length;c<u;c+=6){const[d,h,f,p,v,m]=i.subarray(c,c+6);ee.bezierBoundingBox(o,a,d,h,f,p,v,m,t),o=v,a=m}}const[r,s]=C(this,Xt,gi).call(this);t[0]=bn(t[0]-r,0,1),t[1]=bn(t[1]-s,0,1),t[2]=bn(t[2]+r,0,1),t[3]=bn(t[3]+s,0,1),t[2]-=t[0],t[3]-=t[1]},ZN=function(t){const[r,s]=C(this,Xt,gi).call(this);y(this,Ac,t);const[i,o]=C(this,Xt,gi).call(this),[a,c]=[i-r,o-s],u=l(this,yn);return u[0]-=a,u[1]-=c,u[2]+=2*a,u[3]+=2*c,u};class q0 extends qN{constructor(e){super(),this._viewParameters=e,super.updateProperties({fill:"none",stroke:ze._defaultLineColor,"stroke-opacity":1,"stroke-width":1,"stroke-linecap":"round","stroke-linejoin":"round","stroke-miterlimit":10})}updateSVGProperty(e,t){e==="stroke-width"&&(t??(t=this["stroke-width"]),t*=this._viewParameters.realScale),super.updateSVGProperty(e,t)}clone(){const e=new q0(this._viewParameters);return e.updateAll(this),e}}var a0,eI;const Cu=class Cu extends $v{constructor(t){super({...t,name:"inkEditor"});A(this,a0);this._willKeepAspectRatio=!0,this.defaultL10nId="pdfjs-editor-ink-editor"}static initialize(t,r){ze.initialize(t,r),this._defaultDrawingOptions=new q0(r.viewParameters)}static getDefaultDrawingOptions(t){const r=this._defaultDrawingOptions.clone();return r.updateProperties(t),r}static get supportMultipleDrawings(){return!0}static get typesMap(){return pe(this,"typesMap",new Map([[ve.INK_THICKNESS,"stroke-width"],[ve.INK_COLOR,"stroke"],[ve.INK_OPACITY,"stroke-opacity"]]))}static createDrawerInstance(t,r,s,i,o){return new AH(t,r,s,i,o,this._defaultDrawingOptions["stroke-width"])}static deserializeDraw(t,r,s,i,o,a){return ug.deserialize(t,r,s,i,o,a)}static async deserialize(t,r,s){let i=null;if(t instanceof NA){const{data:{inkLists:a,rect:c,rotation:u,id:d,color:h,opacity:f,borderStyle:{rawWidth:p},popupRef:v,richText:m,contentsObj:x,creationDate:g,modificationDate:w},parent:{page:{pageNumber:b}}}=t;i=t={annotationType:ce.INK,color:Array.from(h),thickness:p,opacity:f,paths:{points:a},boxes:null,pageIndex:b-1,rect:c.slice(0),rotation:u,annotationElementId:d,id:d,deleted:!1,popupRef:v,richText:m,comment:(x==null?void 0:x.str)||null,creationDate:g,modificationDate:w}}const o=await super.deserialize(t,r,s);return o._initialData=i,t.comment&&o.setCommentData(t),o}get toolbarButtons(){return this._colorPicker||(this._colorPicker=new Fv(this)),[["colorPicker",this._colorPicker]]}get colorType(){return ve.INK_COLOR}get color(){return this._drawingOptions.stroke}get opacity(){return this._drawingOptions["stroke-opacity"]}onScaleChanging(){if(!this.parent)return;super.onScaleChanging();const{_drawId:t,_drawingOptions:r,parent:s}=this;r.updateSVGProperty("stroke-width"),s.drawLayer.updateProperties(t,r.toSVGProperties())}static onScaleChangingWhenDrawing(){const t=this._currentParent;t&&(super.onScaleChangingWhenDrawing(),this._defaultDrawingOptions.updateSVGProperty("stroke-width"),t.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties()))}createDrawingOptions({color:t,thickness:r,opacity:s}){this._drawingOptions=Cu.getDefaultDrawingOptions({stroke:ee.makeHexColor(...t),"stroke-width":r,"stroke-opacity":s})}serialize(t=!1){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const{lines:r,points:s}=this.serializeDraw(t),{_drawingOptions:{stroke:i,"stroke-opacity":o,"stroke-width":a}}=this,c=Object.assign(super.serialize(t),{color:ze._colorManager.convert(i),opacity:o,thickness:a,paths:{lines:r,points:s}});return this.addComment(c),t?(c.isCopy=!0,c):this.annotationElementId&&!C(this,a0,eI).call(this,c)?null:(c.id=this.annotationElementId,c)}renderAnnotationElement(t){if(this.deleted)return t.hide(),null;const{points:r,rect:s}=this.serializeDraw(!1);return t.updateEdited({rect:s,thickness:this._drawingOptions["stroke-width"],points:r,popup:this.comment}),null}};a0=new WeakSet,eI=function(t){const{color:r,thickness:s,opacity:i,pageIndex:o}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||this._hasBeenResized||t.color.some((a,c)=>a!==r[c])||t.thickness!==s||t.opacity!==i||t.pageIndex!==o},G(Cu,"_type","ink"),G(Cu,"_editorType",ce.INK),G(Cu,"_defaultDrawingOptions",null);let P1=Cu;class R1 extends ug{toSVGPath(){let e=super.toSVGPath();return e.endsWith("Z")||(e+="Z"),e}}const Qg=8,Yh=3;var Ec,Ce,M1,cs,tI,nI,N1,Wy,rI,sI,iI,I1,L1,oI;class to{static extractContoursFromText(e,{fontFamily:t,fontStyle:r,fontWeight:s},i,o,a,c){let u=new OffscreenCanvas(1,1),d=u.getContext("2d",{alpha:!1});const h=200,f=d.font=`${r} ${s} ${h}px ${t}`,{actualBoundingBoxLeft:p,actualBoundingBoxRight:v,actualBoundingBoxAscent:m,actualBoundingBoxDescent:x,fontBoundingBoxAscent:g,fontBoundingBoxDescent:w,width:b}=d.measureText(e),E=1.5,_=Math.ceil(Math.max(Math.abs(p)+Math.abs(v)||0,b)*E),k=Math.ceil(Math.max(Math.abs(m)+Math.abs(x)||h,Math.abs(g)+Math.abs(w)||h)*E);u=new OffscreenCanvas(_,k),d=u.getContext("2d",{alpha:!0,willReadFrequently:!0}),d.font=f,d.filter="grayscale(1)",d.fillStyle="white",d.fillRect(0,0,_,k),d.fillStyle="black",d.fillText(e,_*(E-1)/2,k*(3-E)/2);const P=C(this,Ce,I1).call(this,d.getImageData(0,0,_,k).data),M=C(this,Ce,iI).call(this,P),D=C(this,Ce,L1).call(this,M),O=C(this,Ce,N1).call(this,P,_,k,D);return this.processDrawnLines({lines:{curves:O,width:_,height:k},pageWidth:i,pageHeight:o,rotation:a,innerMargin:c,mustSmooth:!0,areContours:!0})}static process(e,t,r,s,i){const[o,a,c]=C(this,Ce,oI).call(this,e),[u,d]=C(this,Ce,sI).call(this,o,a,c,Math.hypot(a,c)*l(this,Ec).sigmaSFactor,l(this,Ec).sigmaR,l(this,Ec).kernelSize),h=C(this,Ce,L1).call(this,d),f=C(this,Ce,N1).call(this,u,a,c,h);return this.processDrawnLines({lines:{curves:f,width:a,height:c},pageWidth:t,pageHeight:r,rotation:s,innerMargin:i,mustSmooth:!0,areContours:!0})}static processDrawnLines({lines:e,pageWidth:t,pageHeight:r,rotation:s,innerMargin:i,mustSmooth:o,areContours:a}){s%180!==0&&([t,r]=[r,t]);const{curves:c,width:u,height:d}=e,h=e.thickness??0,f=[],p=Math.min(t/u,r/d),v=p/t,m=p/r,x=[];for(const{points:w}of c){const b=o?C(this,Ce,rI).call(this,w):w;if(!b)continue;x.push(b);const E=b.length,_=new Float32Array(E),k=new Float32Array(3*(E===2?2:E-2));if(f.push({line:k,points:_}),E===2){_[0]=b[0]*v,_[1]=b[1]*m,k.set([NaN,NaN,NaN,NaN,_[0],_[1]],0);continue}let[P,M,D,O]=b;P*=v,M*=m,D*=v,O*=m,_.set([P,M,D,O],0),k.set([NaN,NaN,NaN,NaN,P,M],0);for(let j=4;j<E;j+=2){const U=_[j]=b[j]*v,V=_[j+1]=b[j+1]*m;k.set(J.createBezierPoints(P,M,D,O,U,V),(j-2)*3),[P,M,D,O]=[D,O,U,V]}}if(f.length===0)return null;const g=a?new R1:new ug;return g.build(f,t,r,1,s,a?0:h,i),{outline:g,newCurves:x,areContours:a,thickness:h,width:u,height:d}}static async compressSignature({outlines:e,areContours:t,thickness:r,width:s,height:i}){let o=1/0,a=-1/0,c=0;for(const b of e){c+=b.length;for(let E=2,_=b.length;E<_;E++){const k=b[E]-b[E-2];o=Math.min(o,k),a=Math.max(a,k)}}let u;o>=-128&&a<=127?u=Int8Array:o>=-32768&&a<=32767?u=Int16Array:u=Int32Array;const d=e.length,h=Qg+Yh*d,f=new Uint32Array(h);let p=0;f[p++]=h*Uint32Array.BYTES_PER_ELEMENT+(c-2*d)*u.BYTES_PER_ELEMENT,f[p++]=0,f[p++]=s,f[p++]=i,f[p++]=t?0:1,f[p++]=Math.max(0,Math.floor(r??0)),f[p++]=d,f[p++]=u.BYTES_PER_ELEMENT;for(const b of e)f[p++]=b.length-2,f[p++]=b[0],f[p++]=b[1];const v=new CompressionStream("deflate-raw"),m=v.writable.getWriter();await m.ready,m.write(f);const x=u.prototype.constructor;for(const b of e){const E=new x(b.length-2);for(let _=2,k=b.length;_<k;_++)E[_-2]=b[_]-b[_-2];m.write(E)}m.close();const g=await new Response(v.readable).arrayBuffer(),w=new Uint8Array(g);return o2(w)}static async decompressSignature(e){try{const t=Uz(e),{readable:r,writable:s}=new DecompressionStream("deflate-raw"),i=s.getWriter();await i.ready,i.write(t).then(async()=>{await i.ready,await i.close()}).catch(()=>{});let o=null,a=0;for await(const b of r)o||(o=new Uint8Array(new Uint32Array(b.buffer,0,4)[0])),o.set(b,a),a+=b.length;const c=new Uint32Array(o.buffer,0,o.length>>2),u=c[1];if(u!==0)throw new Error(`Invalid version: ${u}`);const d=c[2],h=c[3],f=c[4]===0,p=c[5],v=c[6],m=c[7],x=[],g=(Qg+Yh*v)*Uint32Array.BYTES_PER_ELEMENT;let w;switch(m){case Int8Array.BYTES_PER_ELEMENT:w=new Int8Array(o.buffer,g);break;case Int16Array.BYTES_PER_ELEMENT:w=new Int16Array(o.buffer,g);break;case Int32Array.BYTES_PER_ELEMENT:w=new Int32Array(o.buffer,g);break}a=0;for(let b=0;b<v;b++){const E=c[Yh*b+Qg],_=new Float32Array(E+2);x.push(_);for(let k=0;k<Yh-1;k++)_[k]=c[Yh*b+Qg+k+1];for(let k=0;k<E;k++)_[k+2]=_[k]+w[a++]}return{areContours:f,thickness:p,outlines:x,width:d,height:h}}catch(t){return ae(`decompressSignature: ${t}`),null}}}Ec=new WeakMap,Ce=new WeakSet,M1=function(e,t,r,s){return r-=e,s-=t,r===0?s>0?0:4:r===1?s+6:2-s},cs=new WeakMap,tI=function(e,t,r,s,i,o,a){const c=C(this,Ce,M1).call(this,r,s,i,o);for(let u=0;u<8;u++){const d=(-u+c-a+16)%8,h=l(this,cs)[2*d],f=l(this,cs)[2*d+1];if(e[(r+h)*t+(s+f)]!==0)return d}return-1},nI=function(e,t,r,s,i,o,a){const c=C(this,Ce,M1).call(this,r,s,i,o);for(let u=0;u<8;u++){const d=(u+c+a+16)%8,h=l(this,cs)[2*d],f=l(this,cs)[2*d+1];if(e[(r+h)*t+(s+f)]!==0)return d}return-1},N1=function(e,t,r,s){const i=e.length,o=new Int32Array(i);for(let d=0;d<i;d++)o[d]=e[d]<=s?1:0;for(let d=1;d<r-1;d++)o[d*t]=o[d*t+t-1]=0;for(let d=0;d<t;d++)o[d]=o[t*r-1-d]=0;let a=1,c;const u=[];for(let d=1;d<r-1;d++){c=1;for(let h=1;h<t-1;h++){const f=d*t+h,p=o[f];if(p===0)continue;let v=d,m=h;if(p===1&&o[f-1]===0)a+=1,m-=1;else if(p>=1&&o[f+1]===0)a+=1,m+=1,p>1&&(c=p);else{p!==1&&(c=Math.abs(p));continue}const x=[h,d],g=m===h+1,w={isHole:g,points:x,id:a,parent:0};u.push(w);let b;for(const j of u)if(j.id===c){b=j;break}b?b.isHole?w.parent=g?b.parent:c:w.parent=g?c:b.parent:w.parent=g?c:0;const E=C(this,Ce,tI).call(this,o,t,d,h,v,m,0);if(E===-1){o[f]=-a,o[f]!==1&&(c=Math.abs(o[f]));continue}let _=l(this,cs)[2*E],k=l(this,cs)[2*E+1];const P=d+_,M=h+k;v=P,m=M;let D=d,O=h;for(;;){const j=C(this,Ce,nI).call(this,o,t,D,O,v,m,1);_=l(this,cs)[2*j],k=l(this,cs)[2*j+1];const U=D+_,V=O+k;x.push(V,U);const $=D*t+O;if(o[$+1]===0?o[$]=-a:o[$]===1&&(o[$]=a),U===d&&V===h&&D===P&&O===M){o[f]!==1&&(c=Math.abs(o[f]));break}else v=D,m=O,D=U,O=V}}}return u},Wy=function(e,t,r,s){if(r-t<=4){for(let P=t;P<r-2;P+=2)s.push(e[P],e[P+1]);return}const i=e[t],o=e[t+1],a=e[r-4]-i,c=e[r-3]-o,u=Math.hypot(a,c),d=a/u,h=c/u,f=d*o-h*i,p=c/a,v=1/u,m=Math.atan(p),x=Math.cos(m),g=Math.sin(m),w=v*(Math.abs(x)+Math.abs(g)),b=v*(1-w+w**2),E=Math.max(Math.atan(Math.abs(g+x)*b),Math.atan(Math.abs(g-x)*b));let _=0,k=t;for(let P=t+2;P<r-2;P+=2){const M=Math.abs(f-d*e[P+1]+h*e[P]);M>_&&(k=P,_=M)}_>(u*E)**2?(C(this,Ce,Wy).call(this,e,t,k+2,s),C(this,Ce,Wy).call(this,e,k,r,s)):s.push(i,o)},rI=function(e){const t=[],r=e.length;return C(this,Ce,Wy).call(this,e,0,r,t),t.push(e[r-2],e[r-1]),t.length<=4?null:t},sI=function(e,t,r,s,i,o){const a=new Float32Array(o**2),c=-2*s**2,u=o>>1;for(let m=0;m<o;m++){const x=(m-u)**2;for(let g=0;g<o;g++)a[m*o+g]=Math.exp((x+(g-u)**2)/c)}const d=new Float32Array(256),h=-2*i**2;for(let m=0;m<256;m++)d[m]=Math.exp(m**2/h);const f=e.length,p=new Uint8Array(f),v=new Uint32Array(256);for(let m=0;m<r;m++)for(let x=0;x<t;x++){const g=m*t+x,w=e[g];let b=0,E=0;for(let k=0;k<o;k++){const P=m+k-u;if(!(P<0||P>=r))for(let M=0;M<o;M++){const D=x+M-u;if(D<0||D>=t)continue;const O=e[P*t+D],j=a[k*o+M]*d[Math.abs(O-w)];b+=O*j,E+=j}}const _=p[g]=Math.round(b/E);v[_]++}return[p,v]},iI=function(e){const t=new Uint32Array(256);for(const r of e)t[r]++;return t},I1=function(e){const t=e.length,r=new Uint8ClampedArray(t>>2);let s=-1/0,i=1/0;for(let a=0,c=r.length;a<c;a++){const u=r[a]=e[a<<2];s=Math.max(s,u),i=Math.min(i,u)}const o=255/(s-i);for(let a=0,c=r.length;a<c;a++)r[a]=(r[a]-i)*o;return r},L1=function(e){let t,r=-1/0,s=-1/0;const i=e.findIndex(c=>c!==0);let o=i,a=i;for(t=i;t<256;t++){const c=e[t];c>r&&(t-o>s&&(s=t-o,a=t-1),r=c,o=t)}for(t=a-1;t>=0&&!(e[t]>e[t+1]);t--);return t},oI=function(e){const t=e,{width:r,height:s}=e,{maxDim:i}=l(this,Ec);let o=r,a=s;if(r>i||s>i){let f=r,p=s,v=Math.log2(Math.max(r,s)/i);const m=Math.floor(v);v=v===m?m-1:m;for(let g=0;g<v;g++){o=Math.ceil(f/2),a=Math.ceil(p/2);const w=new OffscreenCanvas(o,a);w.getContext("2d").drawImage(e,0,0,f,p,0,0,o,a),f=o,p=a,e!==t&&e.close(),e=w.transferToImageBitmap()}const x=Math.min(i/o,i/a);o=Math.round(o*x),a=Math.round(a*x)}const u=new OffscreenCanvas(o,a).getContext("2d",{willReadFrequently:!0});u.fillStyle="white",u.fillRect(0,0,o,a),u.filter="grayscale(1)",u.drawImage(e,0,0,e.width,e.height,0,0,o,a);const d=u.getImageData(0,0,o,a).data;return[C(this,Ce,I1).call(this,d),o,a]},A(to,Ce),A(to,Ec,{maxDim:512,sigmaSFactor:.02,sigmaR:25,kernelSize:16}),A(to,cs,new Int32Array([0,1,-1,1,-1,0,-1,-1,0,-1,1,-1,1,0,1,1]));class IA extends qN{constructor(){super(),super.updateProperties({fill:ze._defaultLineColor,"stroke-width":0})}clone(){const e=new IA;return e.updateAll(this),e}}class LA extends q0{constructor(e){super(e),super.updateProperties({stroke:ze._defaultLineColor,"stroke-width":1})}clone(){const e=new LA(this._viewParameters);return e.updateAll(this),e}}var xa,Js,Sa,Cc;const Wn=class Wn extends $v{constructor(t){super({...t,mustBeCommitted:!0,name:"signatureEditor"});A(this,xa,!1);A(this,Js,null);A(this,Sa,null);A(this,Cc,null);this._willKeepAspectRatio=!0,y(this,Sa,t.signatureData||null),y(this,Js,null),this.defaultL10nId="pdfjs-editor-signature-editor1"}static initialize(t,r){ze.initialize(t,r),this._defaultDrawingOptions=new IA,this._defaultDrawnSignatureOptions=new LA(r.viewParameters)}static getDefaultDrawingOptions(t){const r=this._defaultDrawingOptions.clone();return r.updateProperties(t),r}static get supportMultipleDrawings(){return!1}static get typesMap(){return pe(this,"typesMap",new Map)}static get isDrawer(){return!1}get telemetryFinalData(){return{type:"signature",hasDescription:!!l(this,Js)}}static computeTelemetryFinalData(t){const r=t.get("hasDescription");return{hasAltText:r.get(!0)??0,hasNoAltText:r.get(!1)??0}}get isResizable(){return!0}onScaleChanging(){this._drawId!==null&&super.onScaleChanging()}render(){if(this.div)return this.div;let t,r;const{_isCopy:s}=this;if(s&&(this._isCopy=!1,t=this.x,r=this.y),super.render(),this._drawId===null)if(l(this,Sa)){const{lines:i,mustSmooth:o,areContours:a,description:c,uuid:u,heightInPage:d}=l(this,Sa),{rawDims:{pageWidth:h,pageHeight:f},rotation:p}=this.parent.viewport,v=to.processDrawnLines({lines:i,pageWidth:h,pageHeight:f,rotation:p,innerMargin:Wn._INNER_MARGIN,mustSmooth:o,areContours:a});this.addSignature(v,d,c,u)}else this.div.setAttribute("data-l10n-args",JSON.stringify({description:""})),this.div.hidden=!0,this._uiManager.getSignature(this);else this.div.setAttribute("data-l10n-args",JSON.stringify({description:l(this,Js)||""}));return s&&(this._isCopy=!0,this._moveAfterPaste(t,r)),this.div}setUuid(t){y(this,Cc,t),this.addEditToolbar()}getUuid(){return l(this,Cc)}get description(){return l(this,Js)}set description(t){y(this,Js,t),this.div&&(this.div.setAttribute("data-l10n-args",JSON.stringify({description:t})),super.addEditToolbar().then(r=>{r==null||r.updateEditSignatureButton(t)}))}getSignaturePreview(){const{newCurves:t,areContours:r,thickness:s,width:i,height:o}=l(this,Sa),a=Math.max(i,o),c=to.processDrawnLines({lines:{curves:t.map(u=>({points:u})),thickness:s,width:i,height:o},pageWidth:a,pageHeight:a,rotation:0,innerMargin:0,mustSmooth:!1,areContours:r});return{areContours:r,outline:c.outline}}get toolbarButtons(){return this._uiManager.signatureManager?[["editSignature",this._uiManager.signatureManager]]:super.toolbarButtons}addSignature(t,r,s,i){const{x:o,y:a}=this,{outline:c}=y(this,Sa,t);y(this,xa,c instanceof R1),this.description=s;let u;l(this,xa)?u=Wn.getDefaultDrawingOptions():(u=Wn._defaultDrawnSignatureOptions.clone(),u.updateProperties({"stroke-width":c.thickness})),this._addOutlines({drawOutlines:c,drawingOptions:u});const[,d]=this.pageDimensions;let h=r/d;h=h>=1?.5:h,this.width*=h/this.height,this.width>=1&&(h*=.9/this.width,this.width=.9),this.height=h,this.setDims(),this.x=o,this.y=a,this.center(),this._onResized(),this.onScaleChanging(),this.rotate(),this._uiManager.addToAnnotationStorage(this),this.setUuid(i),this._reportTelemetry({action:"pdfjs.signature.inserted",data:{hasBeenSaved:!!i,hasDescription:!!s}}),this.div.hidden=!1}getFromImage(t){const{rawDims:{pageWidth:r,pageHeight:s},rotation:i}=this.parent.viewport;return to.process(t,r,s,i,Wn._INNER_MARGIN)}getFromText(t,r){const{rawDims:{pageWidth:s,pageHeight:i},rotation:o}=this.parent.viewport;return to.extractContoursFromText(t,r,s,i,o,Wn._INNER_MARGIN)}getDrawnSignature(t){const{rawDims:{pageWidth:r,pageHeight:s},rotation:i}=this.parent.viewport;return to.processDrawnLines({lines:t,pageWidth:r,pageHeight:s,rotation:i,innerMargin:Wn._INNER_MARGIN,mustSmooth:!1,areContours:!1})}createDrawingOptions({areContours:t,thickness:r}){t?this._drawingOptions=Wn.getDefaultDrawingOptions():(this._drawingOptions=Wn._defaultDrawnSignatureOptions.clone(),this._drawingOptions.updateProperties({"stroke-width":r}))}serialize(t=!1){if(this.isEmpty())return null;const{lines:r,points:s}=this.serializeDraw(t),{_drawingOptions:{"stroke-width":i}}=this,o=Object.assign(super.serialize(t),{isSignature:!0,areContours:l(this,xa),color:[0,0,0],thickness:l(this,xa)?0:i});return this.addComment(o),t?(o.paths={lines:r,points:s},o.uuid=l(this,Cc),o.isCopy=!0):o.lines=r,l(this,Js)&&(o.accessibilityData={type:"Figure",alt:l(this,Js)}),o}static deserializeDraw(t,r,s,i,o,a){return a.areContours?R1.deserialize(t,r,s,i,o,a):ug.deserialize(t,r,s,i,o,a)}static async deserialize(t,r,s){var o;const i=await super.deserialize(t,r,s);return y(i,xa,t.areContours),i.description=((o=t.accessibilityData)==null?void 0:o.alt)||"",y(i,Cc,t.uuid),i}};xa=new WeakMap,Js=new WeakMap,Sa=new WeakMap,Cc=new WeakMap,G(Wn,"_type","signature"),G(Wn,"_editorType",ce.SIGNATURE),G(Wn,"_defaultDrawingOptions",null);let D1=Wn;var qe,Dt,Aa,Yi,Ea,uh,Qi,_c,Zs,ur,dh,Se,Af,Ef,Ky,Xy,qy,F1,Yy,aI;class O1 extends ze{constructor(t){super({...t,name:"stampEditor"});A(this,Se);A(this,qe,null);A(this,Dt,null);A(this,Aa,null);A(this,Yi,null);A(this,Ea,null);A(this,uh,"");A(this,Qi,null);A(this,_c,!1);A(this,Zs,null);A(this,ur,!1);A(this,dh,!1);y(this,Yi,t.bitmapUrl),y(this,Ea,t.bitmapFile),this.defaultL10nId="pdfjs-editor-stamp-editor"}static initialize(t,r){ze.initialize(t,r)}static isHandlingMimeForPasting(t){return wx.includes(t)}static paste(t,r){r.pasteEditor({mode:ce.STAMP},{bitmapFile:t.getAsFile()})}altTextFinish(){this._uiManager.useNewAltTextFlow&&(this.div.hidden=!1),super.altTextFinish()}get telemetryFinalData(){var t;return{type:"stamp",hasAltText:!!((t=this.altTextData)!=null&&t.altText)}}static computeTelemetryFinalData(t){const r=t.get("hasAltText");return{hasAltText:r.get(!0)??0,hasNoAltText:r.get(!1)??0}}async mlGuessAltText(t=null,r=!0){if(this.hasAltTextData())return null;const{mlManager:s}=this._uiManager;if(!s)throw new Error("No ML.");if(!await s.isEnabledFor("altText"))throw new Error("ML isn't enabled for alt text.");const{data:i,width:o,height:a}=t||this.copyCanvas(null,null,!0).imageData,c=await s.guess({name:"altText",request:{data:i,width:o,height:a,channels:i.length/(o*a)}});if(!c)throw new Error("No response from the AI service.");if(c.error)throw new Error("Error from the AI service.");if(c.cancel)return null;if(!c.output)throw new Error("No valid response from the AI service.");const u=c.output;return await this.setGuessedAltText(u),r&&!this.hasAltTextData()&&(this.altTextData={alt:u,decorative:!1}),u}remove(){var t;l(this,Dt)&&(y(this,qe,null),this._uiManager.imageManager.deleteId(l(this,Dt)),(t=l(this,Qi))==null||t.remove(),y(this,Qi,null),l(this,Zs)&&(clearTimeout(l(this,Zs)),y(this,Zs,null))),super.remove()}rebuild(){if(!this.parent){l(this,Dt)&&C(this,Se,Ky).call(this);return}super.rebuild(),this.div!==null&&(l(this,Dt)&&l(this,Qi)===null&&C(this,Se,Ky).call(this),this.isAttachedToDOM||this.parent.add(this))}onceAdded(t){this._isDraggable=!0,t&&this.div.focus()}isEmpty(){return!(l(this,Aa)||l(this,qe)||l(this,Yi)||l(this,Ea)||l(this,Dt)||l(this,_c))}get toolbarButtons(){return[["altText",this.createAltText()]]}get isResizable(){return!0}render(){if(this.div)return this.div;let t,r;return this._isCopy&&(t=this.x,r=this.y),super.render(),this.div.hidden=!0,this.createAltText(),l(this,_c)||(l(this,qe)?C(this,Se,Xy).call(this):C(this,Se,Ky).call(this)),this._isCopy&&this._moveAfterPaste(t,r),this._uiManager.addShouldRescale(this),this.div}setCanvas(t,r){const{id:s,bitmap:i}=this._uiManager.imageManager.getFromCanvas(t,r);r.remove(),s&&this._uiManager.imageManager.isValidId(s)&&(y(this,Dt,s),i&&y(this,qe,i),y(this,_c,!1),C(this,Se,Xy).call(this))}_onResized(){this.onScaleChanging()}onScaleChanging(){if(!this.parent)return;l(this,Zs)!==null&&clearTimeout(l(this,Zs)),y(this,Zs,setTimeout(()=>{y(this,Zs,null),C(this,Se,F1).call(this)},200))}copyCanvas(t,r,s=!1){t||(t=224);const{width:i,height:o}=l(this,qe),a=new ai;let c=l(this,qe),u=i,d=o,h=null;if(r){if(i>r||o>r){const P=Math.min(r/i,r/o);u=Math.floor(i*P),d=Math.floor(o*P)}h=document.createElement("canvas");const p=h.width=Math.ceil(u*a.sx),v=h.height=Math.ceil(d*a.sy);l(this,ur)||(c=C(this,Se,qy).call(this,p,v));const m=h.getContext("2d");m.filter=this._uiManager.hcmFilter;let x="white",g="#cfcfd8";this._uiManager.hcmFilter!=="none"?g="black":Wz.isDarkMode&&(x="#8f8f9d",g="#42414d");const w=15,b=w*a.sx,E=w*a.sy,_=new OffscreenCanvas(b*2,E*2),k=_.getContext("2d");k.fillStyle=x,k.fillRect(0,0,b*2,E*2),k.fillStyle=g,k.fillRect(0,0,b,E),k.fillRect(b,E,b,E),m.fillStyle=m.createPattern(_,"repeat"),m.fillRect(0,0,p,v),m.drawImage(c,0,0,c.width,c.height,0,0,p,v)}let f=null;if(s){let p,v;if(a.symmetric&&c.width<t&&c.height<t)p=c.width,v=c.height;else if(c=l(this,qe),i>t||o>t){const g=Math.min(t/i,t/o);p=Math.floor(i*g),v=Math.floor(o*g),l(this,ur)||(c=C(this,Se,qy).call(this,p,v))}const x=new OffscreenCanvas(p,v).getContext("2d",{willReadFrequently:!0});x.drawImage(c,0,0,c.width,c.height,0,0,p,v),f={width:p,height:v,data:x.getImageData(0,0,p,v).data}}return{canvas:h,width:u,height:d,imageData:f}}static async deserialize(t,r,s){var x;let i=null,o=!1;if(t instanceof AN){const{data:{rect:g,rotation:w,id:b,structParent:E,popupRef:_,richText:k,contentsObj:P,creationDate:M,modificationDate:D},container:O,parent:{page:{pageNumber:j}},canvas:U}=t;let V,$;U?(delete t.canvas,{id:V,bitmap:$}=s.imageManager.getFromCanvas(O.id,U),U.remove()):(o=!0,t._hasNoCanvas=!0);const X=((x=await r._structTree.getAriaAttributes(`${CA}${b}`))==null?void 0:x.get("aria-label"))||"";i=t={annotationType:ce.STAMP,bitmapId:V,bitmap:$,pageIndex:j-1,rect:g.slice(0),rotation:w,annotationElementId:b,id:b,deleted:!1,accessibilityData:{decorative:!1,altText:X},isSvg:!1,structParent:E,popupRef:_,richText:k,comment:(P==null?void 0:P.str)||null,creationDate:M,modificationDate:D}}const a=await super.deserialize(t,r,s),{rect:c,bitmap:u,bitmapUrl:d,bitmapId:h,isSvg:f,accessibilityData:p}=t;o?(s.addMissingCanvas(t.id,a),y(a,_c,!0)):h&&s.imageManager.isValidId(h)?(y(a,Dt,h),u&&y(a,qe,u)):y(a,Yi,d),y(a,ur,f);const[v,m]=a.pageDimensions;return a.width=(c[2]-c[0])/v,a.height=(c[3]-c[1])/m,p&&(a.altTextData=p),a._initialData=i,t.comment&&a.setCommentData(t),y(a,dh,!!i),a}serialize(t=!1,r=null){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const s=Object.assign(super.serialize(t),{bitmapId:l(this,Dt),isSvg:l(this,ur)});if(this.addComment(s),t)return s.bitmapUrl=C(this,Se,Yy).call(this,!0),s.accessibilityData=this.serializeAltText(!0),s.isCopy=!0,s;const{decorative:i,altText:o}=this.serializeAltText(!1);if(!i&&o&&(s.accessibilityData={type:"Figure",alt:o}),this.annotationElementId){const c=C(this,Se,aI).call(this,s);return c.isSame?null:(c.isSameAltText?delete s.accessibilityData:s.accessibilityData.structParent=this._initialData.structParent??-1,s.id=this.annotationElementId,delete s.bitmapId,s)}if(r===null)return s;r.stamps||(r.stamps=new Map);const a=l(this,ur)?(s.rect[2]-s.rect[0])*(s.rect[3]-s.rect[1]):null;if(!r.stamps.has(l(this,Dt)))r.stamps.set(l(this,Dt),{area:a,serialized:s}),s.bitmap=C(this,Se,Yy).call(this,!1);else if(l(this,ur)){const c=r.stamps.get(l(this,Dt));a>c.area&&(c.area=a,c.serialized.bitmap.close(),c.serialized.bitmap=C(this,Se,Yy).call(this,!1))}return s}renderAnnotationElement(t){return this.deleted?(t.hide(),null):(t.updateEdited({rect:this.getPDFRect(),popup:this.comment}),null)}}qe=new WeakMap,Dt=new WeakMap,Aa=new WeakMap,Yi=new WeakMap,Ea=new WeakMap,uh=new WeakMap,Qi=new WeakMap,_c=new WeakMap,Zs=new WeakMap,ur=new WeakMap,dh=new WeakMap,Se=new WeakSet,Af=function(t,r=!1){if(!t){this.remove();return}y(this,qe,t.bitmap),r||(y(this,Dt,t.id),y(this,ur,t.isSvg)),t.file&&y(this,uh,t.file.name),C(this,Se,Xy).call(this)},Ef=function(){if(y(this,Aa,null),this._uiManager.enableWaiting(!1),!!l(this,Qi)){if(this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&l(this,qe)){this.addEditToolbar().then(()=>{this._editToolbar.hide(),this._uiManager.editAltText(this,!0)});return}if(!this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&l(this,qe)){this._reportTelemetry({action:"pdfjs.image.image_added",data:{alt_text_modal:!1,alt_text_type:"empty"}});try{this.mlGuessAltText()}catch{}}this.div.focus()}},Ky=function(){if(l(this,Dt)){this._uiManager.enableWaiting(!0),this._uiManager.imageManager.getFromId(l(this,Dt)).then(s=>C(this,Se,Af).call(this,s,!0)).finally(()=>C(this,Se,Ef).call(this));return}if(l(this,Yi)){const s=l(this,Yi);y(this,Yi,null),this._uiManager.enableWaiting(!0),y(this,Aa,this._uiManager.imageManager.getFromUrl(s).then(i=>C(this,Se,Af).call(this,i)).finally(()=>C(this,Se,Ef).call(this)));return}if(l(this,Ea)){const s=l(this,Ea);y(this,Ea,null),this._uiManager.enableWaiting(!0),y(this,Aa,this._uiManager.imageManager.getFromFile(s).then(i=>C(this,Se,Af).call(this,i)).finally(()=>C(this,Se,Ef).call(this)));return}const t=document.createElement("input");t.type="file",t.accept=wx.join(",");const r=this._uiManager._signal;y(this,Aa,new Promise(s=>{t.addEventListener("change",async()=>{if(!t.files||t.files.length===0)this.remove();else{this._uiManager.enableWaiting(!0);const i=await this._uiManager.imageManager.getFromFile(t.files[0]);this._reportTelemetry({action:"pdfjs.image.image_selected",data:{alt_text_modal:this._uiManager.useNewAltTextFlow}}),C(this,Se,Af).call(this,i)}s()},{signal:r}),t.addEventListener("cancel",()=>{this.remove(),s()},{signal:r})}).finally(()=>C(this,Se,Ef).call(this))),t.click()},Xy=function(){var u;const{div:t}=this;let{width:r,height:s}=l(this,qe);const[i,o]=this.pageDimensions,a=.75;if(this.width)r=this.width*i,s=this.height*o;else if(r>a*i||s>a*o){const d=Math.min(a*i/r,a*o/s);r*=d,s*=d}this._uiManager.enableWaiting(!1);const c=y(this,Qi,document.createElement("canvas"));c.setAttribute("role","img"),this.addContainer(c),this.width=r/i,this.height=s/o,this.setDims(),(u=this._initialOptions)!=null&&u.isCentered?this.center():this.fixAndSetPosition(),this._initialOptions=null,(!this._uiManager.useNewAltTextWhenAddingImage||!this._uiManager.useNewAltTextFlow||this.annotationElementId)&&(t.hidden=!1),C(this,Se,F1).call(this),l(this,dh)||(this.parent.addUndoableEditor(this),y(this,dh,!0)),this._reportTelemetry({action:"inserted_image"}),l(this,uh)&&this.div.setAttribute("aria-description",l(this,uh)),this.annotationElementId||this._uiManager.a11yAlert("pdfjs-editor-stamp-added-alert")},qy=function(t,r){const{width:s,height:i}=l(this,qe);let o=s,a=i,c=l(this,qe);for(;o>2*t||a>2*r;){const u=o,d=a;o>2*t&&(o=o>=16384?Math.floor(o/2)-1:Math.ceil(o/2)),a>2*r&&(a=a>=16384?Math.floor(a/2)-1:Math.ceil(a/2));const h=new OffscreenCanvas(o,a);h.getContext("2d").drawImage(c,0,0,u,d,0,0,o,a),c=h.transferToImageBitmap()}return c},F1=function(){const[t,r]=this.parentDimensions,{width:s,height:i}=this,o=new ai,a=Math.ceil(s*t*o.sx),c=Math.ceil(i*r*o.sy),u=l(this,Qi);if(!u||u.width===a&&u.height===c)return;u.width=a,u.height=c;const d=l(this,ur)?l(this,qe):C(this,Se,qy).call(this,a,c),h=u.getContext("2d");h.filter=this._uiManager.hcmFilter,h.drawImage(d,0,0,d.width,d.height,0,0,a,c)},Yy=function(t){if(t){if(l(this,ur)){const i=this._uiManager.imageManager.getSvgUrl(l(this,Dt));if(i)return i}const r=document.createElement("canvas");return{width:r.width,height:r.height}=l(this,qe),r.getContext("2d").drawImage(l(this,qe),0,0),r.toDataURL()}if(l(this,ur)){const[r,s]=this.pageDimensions,i=Math.round(this.width*r*Xa.PDF_TO_CSS_UNITS),o=Math.round(this.height*s*Xa.PDF_TO_CSS_UNITS),a=new OffscreenCanvas(i,o);return a.getContext("2d").drawImage(l(this,qe),0,0,l(this,qe).width,l(this,qe).height,0,0,i,o),a.transferToImageBitmap()}return structuredClone(l(this,qe))},aI=function(t){var a;const{pageIndex:r,accessibilityData:{altText:s}}=this._initialData,i=t.pageIndex===r,o=(((a=t.accessibilityData)==null?void 0:a.alt)||"")===s;return{isSame:!this.hasEditedComment&&!this._hasBeenMoved&&!this._hasBeenResized&&i&&o,isSameAltText:o}},G(O1,"_type","stamp"),G(O1,"_editorType",ce.STAMP);var Tc,hh,Ca,_a,Ji,jn,Ta,fh,ph,us,Zi,Ot,eo,ka,mh,ne,Pa,Fe,B1,lI,_s,U1,$1,Qy;const Yr=class Yr{constructor({uiManager:e,pageIndex:t,div:r,structTreeLayer:s,accessibilityManager:i,annotationLayer:o,drawLayer:a,textLayer:c,viewport:u,l10n:d}){A(this,Fe);A(this,Tc);A(this,hh,!1);A(this,Ca,null);A(this,_a,null);A(this,Ji,null);A(this,jn,new Map);A(this,Ta,!1);A(this,fh,!1);A(this,ph,!1);A(this,us,null);A(this,Zi,null);A(this,Ot,null);A(this,eo,null);A(this,ka,null);A(this,mh,-1);A(this,ne);const h=[...l(Yr,Pa).values()];if(!Yr._initialized){Yr._initialized=!0;for(const f of h)f.initialize(d,e)}e.registerEditorTypes(h),y(this,ne,e),this.pageIndex=t,this.div=r,y(this,Tc,i),y(this,Ca,o),this.viewport=u,y(this,Ot,c),this.drawLayer=a,this._structTree=s,l(this,ne).addLayer(this)}get isEmpty(){return l(this,jn).size===0}get isInvisible(){return this.isEmpty&&l(this,ne).getMode()===ce.NONE}updateToolbar(e){l(this,ne).updateToolbar(e)}updateMode(e=l(this,ne).getMode()){switch(C(this,Fe,Qy).call(this),e){case ce.NONE:this.div.classList.toggle("nonEditing",!0),this.disableTextSelection(),this.togglePointerEvents(!1),this.toggleAnnotationLayerPointerEvents(!0),this.disableClick();return;case ce.INK:this.disableTextSelection(),this.togglePointerEvents(!0),this.enableClick();break;case ce.HIGHLIGHT:this.enableTextSelection(),this.togglePointerEvents(!1),this.disableClick();break;default:this.disableTextSelection(),this.togglePointerEvents(!0),this.enableClick()}this.toggleAnnotationLayerPointerEvents(!1);const{classList:t}=this.div;if(t.toggle("nonEditing",!1),e===ce.POPUP)t.toggle("commentEditing",!0);else{t.toggle("commentEditing",!1);for(const r of l(Yr,Pa).values())t.toggle(`${r._type}Editing`,e===r._editorType)}this.div.hidden=!1}hasTextLayer(e){var t;return e===((t=l(this,Ot))==null?void 0:t.div)}setEditingState(e){l(this,ne).setEditingState(e)}addCommands(e){l(this,ne).addCommands(e)}cleanUndoStack(e){l(this,ne).cleanUndoStack(e)}toggleDrawing(e=!1){this.div.classList.toggle("drawing",!e)}togglePointerEvents(e=!1){this.div.classList.toggle("disabled",!e)}toggleAnnotationLayerPointerEvents(e=!1){var t;(t=l(this,Ca))==null||t.div.classList.toggle("disabled",!e)}async enable(){var r;y(this,ph,!0),this.div.tabIndex=0,this.togglePointerEvents(!0),this.div.classList.toggle("nonEditing",!1),(r=l(this,ka))==null||r.abort(),y(this,ka,null);const e=new Set;for(const s of l(this,Fe,B1))s.enableEditing(),s.show(!0),s.annotationElementId&&(l(this,ne).removeChangedExistingAnnotation(s),e.add(s.annotationElementId));const t=l(this,Ca);if(t)for(const s of t.getEditableAnnotations()){if(s.hide(),l(this,ne).isDeletedAnnotationElement(s.data.id)||e.has(s.data.id))continue;const i=await this.deserialize(s);i&&(this.addOrRebuild(i),i.enableEditing())}y(this,ph,!1),l(this,ne)._eventBus.dispatch("editorsrendered",{source:this,pageNumber:this.pageIndex+1})}disable(){var r;if(y(this,fh,!0),this.div.tabIndex=-1,this.togglePointerEvents(!1),this.div.classList.toggle("nonEditing",!0),l(this,Ot)&&!l(this,ka)){y(this,ka,new AbortController);const s=l(this,ne).combinedSignal(l(this,ka));l(this,Ot).div.addEventListener("pointerdown",i=>{const{clientX:a,clientY:c,timeStamp:u}=i,d=l(this,mh);if(u-d>500){y(this,mh,u);return}y(this,mh,-1);const{classList:h}=this.div;h.toggle("getElements",!0);const f=document.elementsFromPoint(a,c);if(h.toggle("getElements",!1),!this.div.contains(f[0]))return;let p;const v=new RegExp(`^${op}[0-9]+$`);for(const x of f)if(v.test(x.id)){p=x.id;break}if(!p)return;const m=l(this,jn).get(p);(m==null?void 0:m.annotationElementId)===null&&(i.stopPropagation(),i.preventDefault(),m.dblclick(i))},{signal:s,capture:!0})}const e=l(this,Ca);if(e){const s=new Map,i=new Map;for(const a of l(this,Fe,B1)){if(a.disableEditing(),!a.annotationElementId){a.updateFakeAnnotationElement(e);continue}if(a.serialize()!==null){s.set(a.annotationElementId,a);continue}else i.set(a.annotationElementId,a);(r=this.getEditableAnnotation(a.annotationElementId))==null||r.show(),a.remove()}const o=e.getEditableAnnotations();for(const a of o){const{id:c}=a.data;if(l(this,ne).isDeletedAnnotationElement(c)){a.updateEdited({deleted:!0});continue}let u=i.get(c);if(u){u.resetAnnotationElement(a),u.show(!1),a.show();continue}u=s.get(c),u&&(l(this,ne).addChangedExistingAnnotation(u),u.renderAnnotationElement(a)&&u.show(!1)),a.show()}}C(this,Fe,Qy).call(this),this.isEmpty&&(this.div.hidden=!0);const{classList:t}=this.div;for(const s of l(Yr,Pa).values())t.remove(`${s._type}Editing`);this.disableTextSelection(),this.toggleAnnotationLayerPointerEvents(!0),y(this,fh,!1)}getEditableAnnotation(e){var t;return((t=l(this,Ca))==null?void 0:t.getEditableAnnotation(e))||null}setActiveEditor(e){l(this,ne).getActive()!==e&&l(this,ne).setActiveEditor(e)}enableTextSelection(){var e;if(this.div.tabIndex=-1,(e=l(this,Ot))!=null&&e.div&&!l(this,eo)){y(this,eo,new AbortController);const t=l(this,ne).combinedSignal(l(this,eo));l(this,Ot).div.addEventListener("pointerdown",C(this,Fe,lI).bind(this),{signal:t}),l(this,Ot).div.classList.add("highlighting")}}disableTextSelection(){var e;this.div.tabIndex=0,(e=l(this,Ot))!=null&&e.div&&l(this,eo)&&(l(this,eo).abort(),y(this,eo,null),l(this,Ot).div.classList.remove("highlighting"))}enableClick(){if(l(this,_a))return;y(this,_a,new AbortController);const e=l(this,ne).combinedSignal(l(this,_a));this.div.addEventListener("pointerdown",this.pointerdown.bind(this),{signal:e});const t=this.pointerup.bind(this);this.div.addEventListener("pointerup",t,{signal:e}),this.div.addEventListener("pointercancel",t,{signal:e})}disableClick(){var e;(e=l(this,_a))==null||e.abort(),y(this,_a,null)}attach(e){l(this,jn).set(e.id,e);const{annotationElementId:t}=e;t&&l(this,ne).isDeletedAnnotationElement(t)&&l(this,ne).removeDeletedAnnotationElement(e)}detach(e){var t;l(this,jn).delete(e.id),(t=l(this,Tc))==null||t.removePointerInTextLayer(e.contentDiv),!l(this,fh)&&e.annotationElementId&&l(this,ne).addDeletedAnnotationElement(e)}remove(e){this.detach(e),l(this,ne).removeEditor(e),e.div.remove(),e.isAttachedToDOM=!1}changeParent(e){var t;e.parent!==this&&(e.parent&&e.annotationElementId&&(l(this,ne).addDeletedAnnotationElement(e.annotationElementId),ze.deleteAnnotationElement(e),e.annotationElementId=null),this.attach(e),(t=e.parent)==null||t.detach(e),e.setParent(this),e.div&&e.isAttachedToDOM&&(e.div.remove(),this.div.append(e.div)))}add(e){if(!(e.parent===this&&e.isAttachedToDOM)){if(this.changeParent(e),l(this,ne).addEditor(e),this.attach(e),!e.isAttachedToDOM){const t=e.render();this.div.append(t),e.isAttachedToDOM=!0}e.fixAndSetPosition(),e.onceAdded(!l(this,ph)),l(this,ne).addToAnnotationStorage(e),e._reportTelemetry(e.telemetryInitialData)}}moveEditorInDOM(e){var r;if(!e.isAttachedToDOM)return;const{activeElement:t}=document;e.div.contains(t)&&!l(this,Ji)&&(e._focusEventsAllowed=!1,y(this,Ji,setTimeout(()=>{y(this,Ji,null),e.div.contains(document.activeElement)?e._focusEventsAllowed=!0:(e.div.addEventListener("focusin",()=>{e._focusEventsAllowed=!0},{once:!0,signal:l(this,ne)._signal}),t.focus())},0))),e._structTreeParentId=(r=l(this,Tc))==null?void 0:r.moveElementInDOM(this.div,e.div,e.contentDiv,!0)}addOrRebuild(e){e.needsToBeRebuilt()?(e.parent||(e.parent=this),e.rebuild(),e.show()):this.add(e)}addUndoableEditor(e){const t=()=>e._uiManager.rebuild(e),r=()=>{e.remove()};this.addCommands({cmd:t,undo:r,mustExec:!1})}getEditorByUID(e){for(const t of l(this,jn).values())if(t.uid===e)return t;return null}getNextId(){return l(this,ne).getId()}combinedSignal(e){return l(this,ne).combinedSignal(e)}canCreateNewEmptyEditor(){var e;return(e=l(this,Fe,_s))==null?void 0:e.canCreateNewEmptyEditor()}async pasteEditor(e,t){this.updateToolbar(e),await l(this,ne).updateMode(e.mode);const{offsetX:r,offsetY:s}=C(this,Fe,$1).call(this),i=this.getNextId(),o=C(this,Fe,U1).call(this,{parent:this,id:i,x:r,y:s,uiManager:l(this,ne),isCentered:!0,...t});o&&this.add(o)}async deserialize(e){var t;return await((t=l(Yr,Pa).get(e.annotationType??e.annotationEditorType))==null?void 0:t.deserialize(e,this,l(this,ne)))||null}createAndAddNewEditor(e,t,r={}){const s=this.getNextId(),i=C(this,Fe,U1).call(this,{parent:this,id:s,x:e.offsetX,y:e.offsetY,uiManager:l(this,ne),isCentered:t,...r});return i&&this.add(i),i}get boundingClientRect(){return this.div.getBoundingClientRect()}addNewEditor(e={}){this.createAndAddNewEditor(C(this,Fe,$1).call(this),!0,e)}setSelected(e){l(this,ne).setSelected(e)}toggleSelected(e){l(this,ne).toggleSelected(e)}unselect(e){l(this,ne).unselect(e)}pointerup(e){var s;const{isMac:t}=Qt.platform;if(e.button!==0||e.ctrlKey&&t||e.target!==this.div||!l(this,Ta)||(y(this,Ta,!1),(s=l(this,Fe,_s))!=null&&s.isDrawer&&l(this,Fe,_s).supportMultipleDrawings))return;if(!l(this,hh)){y(this,hh,!0);return}const r=l(this,ne).getMode();if(r===ce.STAMP||r===ce.SIGNATURE){l(this,ne).unselectAll();return}this.createAndAddNewEditor(e,!1)}pointerdown(e){var s;if(l(this,ne).getMode()===ce.HIGHLIGHT&&this.enableTextSelection(),l(this,Ta)){y(this,Ta,!1);return}const{isMac:t}=Qt.platform;if(e.button!==0||e.ctrlKey&&t||e.target!==this.div)return;if(y(this,Ta,!0),(s=l(this,Fe,_s))!=null&&s.isDrawer){this.startDrawingSession(e);return}const r=l(this,ne).getActive();y(this,hh,!r||r.isEmpty())}startDrawingSession(e){if(this.div.focus({preventScroll:!0}),l(this,us)){l(this,Fe,_s).startDrawing(this,l(this,ne),!1,e);return}l(this,ne).setCurrentDrawingSession(this),y(this,us,new AbortController);const t=l(this,ne).combinedSignal(l(this,us));this.div.addEventListener("blur",({relatedTarget:r})=>{r&&!this.div.contains(r)&&(y(this,Zi,null),this.commitOrRemove())},{signal:t}),l(this,Fe,_s).startDrawing(this,l(this,ne),!1,e)}pause(e){if(e){const{activeElement:t}=document;this.div.contains(t)&&y(this,Zi,t);return}l(this,Zi)&&setTimeout(()=>{var t;(t=l(this,Zi))==null||t.focus(),y(this,Zi,null)},0)}endDrawingSession(e=!1){return l(this,us)?(l(this,ne).setCurrentDrawingSession(null),l(this,us).abort(),y(this,us,null),y(this,Zi,null),l(this,Fe,_s).endDrawing(e)):null}findNewParent(e,t,r){const s=l(this,ne).findParent(t,r);return s===null||s===this?!1:(s.changeParent(e),!0)}commitOrRemove(){return l(this,us)?(this.endDrawingSession(),!0):!1}onScaleChanging(){l(this,us)&&l(this,Fe,_s).onScaleChangingWhenDrawing(this)}destroy(){var e,t;this.commitOrRemove(),((e=l(this,ne).getActive())==null?void 0:e.parent)===this&&(l(this,ne).commitOrRemove(),l(this,ne).setActiveEditor(null)),l(this,Ji)&&(clearTimeout(l(this,Ji)),y(this,Ji,null));for(const r of l(this,jn).values())(t=l(this,Tc))==null||t.removePointerInTextLayer(r.contentDiv),r.setParent(null),r.isAttachedToDOM=!1,r.div.remove();this.div=null,l(this,jn).clear(),l(this,ne).removeLayer(this)}render({viewport:e}){this.viewport=e,Fc(this.div,e);for(const t of l(this,ne).getEditors(this.pageIndex))this.add(t),t.rebuild();this.updateMode()}update({viewport:e}){l(this,ne).commitOrRemove(),C(this,Fe,Qy).call(this);const t=this.viewport.rotation,r=e.rotation;if(this.viewport=e,Fc(this.div,{rotation:r}),t!==r)for(const s of l(this,jn).values())s.rotate(r)}get pageDimensions(){const{pageWidth:e,pageHeight:t}=this.viewport.rawDims;return[e,t]}get scale(){return l(this,ne).viewParameters.realScale}};Tc=new WeakMap,hh=new WeakMap,Ca=new WeakMap,_a=new WeakMap,Ji=new WeakMap,jn=new WeakMap,Ta=new WeakMap,fh=new WeakMap,ph=new WeakMap,us=new WeakMap,Zi=new WeakMap,Ot=new WeakMap,eo=new WeakMap,ka=new WeakMap,mh=new WeakMap,ne=new WeakMap,Pa=new WeakMap,Fe=new WeakSet,B1=function(){return l(this,jn).size!==0?l(this,jn).values():l(this,ne).getEditors(this.pageIndex)},lI=function(e){l(this,ne).unselectAll();const{target:t}=e;if(t===l(this,Ot).div||(t.getAttribute("role")==="img"||t.classList.contains("endOfContent"))&&l(this,Ot).div.contains(t)){const{isMac:r}=Qt.platform;if(e.button!==0||e.ctrlKey&&r)return;l(this,ne).showAllEditors("highlight",!0,!0),l(this,Ot).div.classList.add("free"),this.toggleDrawing(),Uv.startHighlighting(this,l(this,ne).direction==="ltr",{target:l(this,Ot).div,x:e.x,y:e.y}),l(this,Ot).div.addEventListener("pointerup",()=>{l(this,Ot).div.classList.remove("free"),this.toggleDrawing(!0)},{once:!0,signal:l(this,ne)._signal}),e.preventDefault()}},_s=function(){return l(Yr,Pa).get(l(this,ne).getMode())},U1=function(e){const t=l(this,Fe,_s);return t?new t.prototype.constructor(e):null},$1=function(){const{x:e,y:t,width:r,height:s}=this.boundingClientRect,i=Math.max(0,e),o=Math.max(0,t),a=Math.min(window.innerWidth,e+r),c=Math.min(window.innerHeight,t+s),u=(i+a)/2-e,d=(o+c)/2-t,[h,f]=this.viewport.rotation%180===0?[u,d]:[d,u];return{offsetX:h,offsetY:f}},Qy=function(){for(const e of l(this,jn).values())e.isEmpty()&&e.remove()},G(Yr,"_initialized",!1),A(Yr,Pa,new Map([w1,P1,O1,Uv,D1].map(e=>[e._editorType,e])));let j1=Yr;var ds,vn,kc,Km,l0,cI,li,H1,uI,V1;const Et=class Et{constructor({pageIndex:e}){A(this,li);A(this,ds,null);A(this,vn,new Map);A(this,kc,new Map);this.pageIndex=e}setParent(e){if(!l(this,ds)){y(this,ds,e);return}if(l(this,ds)!==e){if(l(this,vn).size>0)for(const t of l(this,vn).values())t.remove(),e.append(t);y(this,ds,e)}}static get _svgFactory(){return pe(this,"_svgFactory",new jv)}draw(e,t=!1,r=!1){const s=ot(Et,Km)._++,i=C(this,li,H1).call(this),o=Et._svgFactory.createElement("defs");i.append(o);const a=Et._svgFactory.createElement("path");o.append(a);const c=`path_p${this.pageIndex}_${s}`;a.setAttribute("id",c),a.setAttribute("vector-effect","non-scaling-stroke"),t&&l(this,kc).set(s,a);const u=r?C(this,li,uI).call(this,o,c):null,d=Et._svgFactory.createElement("use");return i.append(d),d.setAttribute("href",`#${c}`),this.updateProperties(i,e),l(this,vn).set(s,i),{id:s,clipPathId:`url(#${u})`}}drawOutline(e,t){const r=ot(Et,Km)._++,s=C(this,li,H1).call(this),i=Et._svgFactory.createElement("defs");s.append(i);const o=Et._svgFactory.createElement("path");i.append(o);const a=`path_p${this.pageIndex}_${r}`;o.setAttribute("id",a),o.setAttribute("vector-effect","non-scaling-stroke");let c;if(t){const h=Et._svgFactory.createElement("mask");i.append(h),c=`mask_p${this.pageIndex}_${r}`,h.setAttribute("id",c),h.setAttribute("maskUnits","objectBoundingBox");const f=Et._svgFactory.createElement("rect");h.append(f),f.setAttribute("width","1"),f.setAttribute("height","1"),f.setAttribute("fill","white");const p=Et._svgFactory.createElement("use");h.append(p),p.setAttribute("href",`#${a}`),p.setAttribute("stroke","none"),p.setAttribute("fill","black"),p.setAttribute("fill-rule","nonzero"),p.classList.add("mask")}const u=Et._svgFactory.createElement("use");s.append(u),u.setAttribute("href",`#${a}`),c&&u.setAttribute("mask",`url(#${c})`);const d=u.cloneNode();return s.append(d),u.classList.add("mainOutline"),d.classList.add("secondaryOutline"),this.updateProperties(s,e),l(this,vn).set(r,s),r}finalizeDraw(e,t){l(this,kc).delete(e),this.updateProperties(e,t)}updateProperties(e,t){var c;if(!t)return;const{root:r,bbox:s,rootClass:i,path:o}=t,a=typeof e=="number"?l(this,vn).get(e):e;if(a){if(r&&C(this,li,V1).call(this,a,r),s&&C(c=Et,l0,cI).call(c,a,s),i){const{classList:u}=a;for(const[d,h]of Object.entries(i))u.toggle(d,h)}if(o){const d=a.firstChild.firstChild;C(this,li,V1).call(this,d,o)}}}updateParent(e,t){if(t===this)return;const r=l(this,vn).get(e);r&&(l(t,ds).append(r),l(this,vn).delete(e),l(t,vn).set(e,r))}remove(e){l(this,kc).delete(e),l(this,ds)!==null&&(l(this,vn).get(e).remove(),l(this,vn).delete(e))}destroy(){y(this,ds,null);for(const e of l(this,vn).values())e.remove();l(this,vn).clear(),l(this,kc).clear()}};ds=new WeakMap,vn=new WeakMap,kc=new WeakMap,Km=new WeakMap,l0=new WeakSet,cI=function(e,[t,r,s,i]){const{style:o}=e;o.top=`${100*r}%`,o.left=`${100*t}%`,o.width=`${100*s}%`,o.height=`${100*i}%`},li=new WeakSet,H1=function(){const e=Et._svgFactory.create(1,1,!0);return l(this,ds).append(e),e.setAttribute("aria-hidden",!0),e},uI=function(e,t){const r=Et._svgFactory.createElement("clipPath");e.append(r);const s=`clip_${t}`;r.setAttribute("id",s),r.setAttribute("clipPathUnits","objectBoundingBox");const i=Et._svgFactory.createElement("use");return r.append(i),i.setAttribute("href",`#${t}`),i.classList.add("clip"),s},V1=function(e,t){for(const[r,s]of Object.entries(t))s===null?e.removeAttribute(r):e.setAttribute(r,s)},A(Et,l0),A(Et,Km,0);let z1=Et;globalThis._pdfjsTestingUtils={HighlightOutliner:x1};globalThis.pdfjsLib={AbortException:Ka,AnnotationEditorLayer:j1,AnnotationEditorParamsType:ve,AnnotationEditorType:ce,AnnotationEditorUIManager:jc,AnnotationLayer:g1,AnnotationMode:Ro,AnnotationType:vt,applyOpacity:Xz,build:eH,ColorPicker:Ov,createValidAbsoluteUrl:n2,CSSConstants:Kz,DOMSVGFactory:jv,DrawLayer:z1,FeatureTest:Qt,fetchData:ig,findContrastColor:qz,getDocument:aN,getFilenameFromUrl:$z,getPdfFilenameFromUrl:zz,getRGB:ag,getUuid:i2,getXfaPageViewport:Vz,GlobalWorkerOptions:ni,ImageKind:wy,InvalidPDFException:yx,isDataScheme:K0,isPdfFile:TA,isValidExplicitDest:i5,MathClamp:bn,noContextMenu:Kr,normalizeUnicode:jz,OPS:ap,OutputScale:ai,PasswordResponses:Pz,PDFDataRangeTransport:lN,PDFDateString:Rv,PDFWorker:up,PermissionFlag:kz,PixelsPerInch:Xa,RenderingCancelledException:_A,renderRichText:l2,ResponseException:Pv,setLayerDimensions:Fc,shadow:pe,SignatureExtractor:to,stopEvent:ft,SupportedImageMimeTypes:wx,TextLayer:cp,TouchManager:Nv,updateUrlHash:r2,Util:ee,VerbosityLevel:V0,version:dN,XfaLayer:a2};ni.workerSrc=`https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${dN}/pdf.worker.min.js`;async function EH(n){return new Promise((e,t)=>{const r=new FileReader;r.onload=()=>{const s=r.result.split(",")[1];e(s)},r.onerror=t,r.readAsDataURL(n)})}async function dI(n,e){try{return(await Tz.recognize(n,"eng",{logger:r=>{r.status==="recognizing text"&&e&&e(Math.round(r.progress*100))}})).data.text.trim()}catch(t){return console.error("OCR error for image:",t),""}}async function CH(n,e){try{const t=await n.arrayBuffer(),s=await aN({data:t}).promise,i=s.numPages,o=[];for(let a=1;a<=i;a++){e&&e(Math.round(a/i*100));const c=await s.getPage(a),d=(await c.getTextContent()).items.map(h=>h.str).join(" ");if(d.trim())o.push(d);else{const h=c.getViewport({scale:2}),f=document.createElement("canvas"),p=f.getContext("2d");if(p){f.height=h.height,f.width=h.width,await c.render({canvasContext:p,viewport:h,canvas:f}).promise;const v=await new Promise(g=>{f.toBlob(w=>g(w),"image/png")}),m=new File([v],`page-${a}.png`,{type:"image/png"}),x=await dI(m);x&&o.push(x)}}}return o.join(`
+`)){const r=document.createElement("div");r.append(t?document.createTextNode(t):document.createElement("br")),this.editorDiv.append(r)}},TN=function(){return l(this,nr).replaceAll(" "," ")},b1=function(t){return t.replaceAll(" "," ")},kN=function(t){const{value:r,fontSize:s,color:i,pageIndex:o}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||t.value!==r||t.fontSize!==s||t.color.some((a,c)=>a!==i[c])||t.pageIndex!==o},A(Ge,ao),G(Ge,"_freeTextDefaultContent",""),G(Ge,"_internalPadding",0),G(Ge,"_defaultColor",null),G(Ge,"_defaultFontSize",10),G(Ge,"_type","freetext"),G(Ge,"_editorType",ce.FREETEXT);let w1=Ge;class J{toSVGPath(){je("Abstract method `toSVGPath` must be implemented.")}get box(){je("Abstract getter `box` must be implemented.")}serialize(e,t){je("Abstract method `serialize` must be implemented.")}static _rescale(e,t,r,s,i,o){o||(o=new Float32Array(e.length));for(let a=0,c=e.length;a<c;a+=2)o[a]=t+e[a]*s,o[a+1]=r+e[a+1]*i;return o}static _rescaleAndSwap(e,t,r,s,i,o){o||(o=new Float32Array(e.length));for(let a=0,c=e.length;a<c;a+=2)o[a]=t+e[a+1]*s,o[a+1]=r+e[a]*i;return o}static _translate(e,t,r,s){s||(s=new Float32Array(e.length));for(let i=0,o=e.length;i<o;i+=2)s[i]=t+e[i],s[i+1]=r+e[i+1];return s}static svgRound(e){return Math.round(e*1e4)}static _normalizePoint(e,t,r,s,i){switch(i){case 90:return[1-t/r,e/s];case 180:return[1-e/r,1-t/s];case 270:return[t/r,1-e/s];default:return[e/r,t/s]}}static _normalizePagePoint(e,t,r){switch(r){case 90:return[1-t,e];case 180:return[1-e,1-t];case 270:return[t,1-e];default:return[e,t]}}static createBezierPoints(e,t,r,s,i,o){return[(e+5*r)/6,(t+5*s)/6,(5*r+i)/6,(5*s+o)/6,(r+i)/2,(s+o)/2]}}G(J,"PRECISION",1e-4);var sr,as,qd,Yd,Xs,me,uc,dc,Mm,Nm,Qd,Jd,ga,Im,s0,i0,Pt,bf,PN,RN,MN,NN,IN,LN;const wi=class wi{constructor({x:e,y:t},r,s,i,o,a=0){A(this,Pt);A(this,sr);A(this,as,[]);A(this,qd);A(this,Yd);A(this,Xs,[]);A(this,me,new Float32Array(18));A(this,uc);A(this,dc);A(this,Mm);A(this,Nm);A(this,Qd);A(this,Jd);A(this,ga,[]);y(this,sr,r),y(this,Jd,i*s),y(this,Yd,o),l(this,me).set([NaN,NaN,NaN,NaN,e,t],6),y(this,qd,a),y(this,Nm,l(wi,Im)*s),y(this,Mm,l(wi,i0)*s),y(this,Qd,s),l(this,ga).push(e,t)}isEmpty(){return isNaN(l(this,me)[8])}add({x:e,y:t}){var D;y(this,uc,e),y(this,dc,t);const[r,s,i,o]=l(this,sr);let[a,c,u,d]=l(this,me).subarray(8,12);const h=e-u,f=t-d,p=Math.hypot(h,f);if(p<l(this,Mm))return!1;const v=p-l(this,Nm),m=v/p,x=m*h,g=m*f;let w=a,b=c;a=u,c=d,u+=x,d+=g,(D=l(this,ga))==null||D.push(e,t);const E=-g/v,_=x/v,k=E*l(this,Jd),P=_*l(this,Jd);return l(this,me).set(l(this,me).subarray(2,8),0),l(this,me).set([u+k,d+P],4),l(this,me).set(l(this,me).subarray(14,18),12),l(this,me).set([u-k,d-P],16),isNaN(l(this,me)[6])?(l(this,Xs).length===0&&(l(this,me).set([a+k,c+P],2),l(this,Xs).push(NaN,NaN,NaN,NaN,(a+k-r)/i,(c+P-s)/o),l(this,me).set([a-k,c-P],14),l(this,as).push(NaN,NaN,NaN,NaN,(a-k-r)/i,(c-P-s)/o)),l(this,me).set([w,b,a,c,u,d],6),!this.isEmpty()):(l(this,me).set([w,b,a,c,u,d],6),Math.abs(Math.atan2(b-c,w-a)-Math.atan2(g,x))<Math.PI/2?([a,c,u,d]=l(this,me).subarray(2,6),l(this,Xs).push(NaN,NaN,NaN,NaN,((a+u)/2-r)/i,((c+d)/2-s)/o),[a,c,w,b]=l(this,me).subarray(14,18),l(this,as).push(NaN,NaN,NaN,NaN,((w+a)/2-r)/i,((b+c)/2-s)/o),!0):([w,b,a,c,u,d]=l(this,me).subarray(0,6),l(this,Xs).push(((w+5*a)/6-r)/i,((b+5*c)/6-s)/o,((5*a+u)/6-r)/i,((5*c+d)/6-s)/o,((a+u)/2-r)/i,((c+d)/2-s)/o),[u,d,a,c,w,b]=l(this,me).subarray(12,18),l(this,as).push(((w+5*a)/6-r)/i,((b+5*c)/6-s)/o,((5*a+u)/6-r)/i,((5*c+d)/6-s)/o,((a+u)/2-r)/i,((c+d)/2-s)/o),!0))}toSVGPath(){if(this.isEmpty())return"";const e=l(this,Xs),t=l(this,as);if(isNaN(l(this,me)[6])&&!this.isEmpty())return C(this,Pt,PN).call(this);const r=[];r.push(`M${e[4]} ${e[5]}`);for(let s=6;s<e.length;s+=6)isNaN(e[s])?r.push(`L${e[s+4]} ${e[s+5]}`):r.push(`C${e[s]} ${e[s+1]} ${e[s+2]} ${e[s+3]} ${e[s+4]} ${e[s+5]}`);C(this,Pt,MN).call(this,r);for(let s=t.length-6;s>=6;s-=6)isNaN(t[s])?r.push(`L${t[s+4]} ${t[s+5]}`):r.push(`C${t[s]} ${t[s+1]} ${t[s+2]} ${t[s+3]} ${t[s+4]} ${t[s+5]}`);return C(this,Pt,RN).call(this,r),r.join(" ")}newFreeDrawOutline(e,t,r,s,i,o){return new DN(e,t,r,s,i,o)}getOutlines(){var h;const e=l(this,Xs),t=l(this,as),r=l(this,me),[s,i,o,a]=l(this,sr),c=new Float32Array((((h=l(this,ga))==null?void 0:h.length)??0)+2);for(let f=0,p=c.length-2;f<p;f+=2)c[f]=(l(this,ga)[f]-s)/o,c[f+1]=(l(this,ga)[f+1]-i)/a;if(c[c.length-2]=(l(this,uc)-s)/o,c[c.length-1]=(l(this,dc)-i)/a,isNaN(r[6])&&!this.isEmpty())return C(this,Pt,NN).call(this,c);const u=new Float32Array(l(this,Xs).length+24+l(this,as).length);let d=e.length;for(let f=0;f<d;f+=2){if(isNaN(e[f])){u[f]=u[f+1]=NaN;continue}u[f]=e[f],u[f+1]=e[f+1]}d=C(this,Pt,LN).call(this,u,d);for(let f=t.length-6;f>=6;f-=6)for(let p=0;p<6;p+=2){if(isNaN(t[f+p])){u[d]=u[d+1]=NaN,d+=2;continue}u[d]=t[f+p],u[d+1]=t[f+p+1],d+=2}return C(this,Pt,IN).call(this,u,d),this.newFreeDrawOutline(u,c,l(this,sr),l(this,Qd),l(this,qd),l(this,Yd))}};sr=new WeakMap,as=new WeakMap,qd=new WeakMap,Yd=new WeakMap,Xs=new WeakMap,me=new WeakMap,uc=new WeakMap,dc=new WeakMap,Mm=new WeakMap,Nm=new WeakMap,Qd=new WeakMap,Jd=new WeakMap,ga=new WeakMap,Im=new WeakMap,s0=new WeakMap,i0=new WeakMap,Pt=new WeakSet,bf=function(){const e=l(this,me).subarray(4,6),t=l(this,me).subarray(16,18),[r,s,i,o]=l(this,sr);return[(l(this,uc)+(e[0]-t[0])/2-r)/i,(l(this,dc)+(e[1]-t[1])/2-s)/o,(l(this,uc)+(t[0]-e[0])/2-r)/i,(l(this,dc)+(t[1]-e[1])/2-s)/o]},PN=function(){const[e,t,r,s]=l(this,sr),[i,o,a,c]=C(this,Pt,bf).call(this);return`M${(l(this,me)[2]-e)/r} ${(l(this,me)[3]-t)/s} L${(l(this,me)[4]-e)/r} ${(l(this,me)[5]-t)/s} L${i} ${o} L${a} ${c} L${(l(this,me)[16]-e)/r} ${(l(this,me)[17]-t)/s} L${(l(this,me)[14]-e)/r} ${(l(this,me)[15]-t)/s} Z`},RN=function(e){const t=l(this,as);e.push(`L${t[4]} ${t[5]} Z`)},MN=function(e){const[t,r,s,i]=l(this,sr),o=l(this,me).subarray(4,6),a=l(this,me).subarray(16,18),[c,u,d,h]=C(this,Pt,bf).call(this);e.push(`L${(o[0]-t)/s} ${(o[1]-r)/i} L${c} ${u} L${d} ${h} L${(a[0]-t)/s} ${(a[1]-r)/i}`)},NN=function(e){const t=l(this,me),[r,s,i,o]=l(this,sr),[a,c,u,d]=C(this,Pt,bf).call(this),h=new Float32Array(36);return h.set([NaN,NaN,NaN,NaN,(t[2]-r)/i,(t[3]-s)/o,NaN,NaN,NaN,NaN,(t[4]-r)/i,(t[5]-s)/o,NaN,NaN,NaN,NaN,a,c,NaN,NaN,NaN,NaN,u,d,NaN,NaN,NaN,NaN,(t[16]-r)/i,(t[17]-s)/o,NaN,NaN,NaN,NaN,(t[14]-r)/i,(t[15]-s)/o],0),this.newFreeDrawOutline(h,e,l(this,sr),l(this,Qd),l(this,qd),l(this,Yd))},IN=function(e,t){const r=l(this,as);return e.set([NaN,NaN,NaN,NaN,r[4],r[5]],t),t+=6},LN=function(e,t){const r=l(this,me).subarray(4,6),s=l(this,me).subarray(16,18),[i,o,a,c]=l(this,sr),[u,d,h,f]=C(this,Pt,bf).call(this);return e.set([NaN,NaN,NaN,NaN,(r[0]-i)/a,(r[1]-o)/c,NaN,NaN,NaN,NaN,u,d,NaN,NaN,NaN,NaN,h,f,NaN,NaN,NaN,NaN,(s[0]-i)/a,(s[1]-o)/c],t),t+=24},A(wi,Im,8),A(wi,s0,2),A(wi,i0,l(wi,Im)+l(wi,s0));let Bv=wi;var Zd,hc,Xi,Lm,ir,Dm,mt,o0,ON;class DN extends J{constructor(t,r,s,i,o,a){super();A(this,o0);A(this,Zd);A(this,hc,new Float32Array(4));A(this,Xi);A(this,Lm);A(this,ir);A(this,Dm);A(this,mt);y(this,mt,t),y(this,ir,r),y(this,Zd,s),y(this,Dm,i),y(this,Xi,o),y(this,Lm,a),this.firstPoint=[NaN,NaN],this.lastPoint=[NaN,NaN],C(this,o0,ON).call(this,a);const[c,u,d,h]=l(this,hc);for(let f=0,p=t.length;f<p;f+=2)t[f]=(t[f]-c)/d,t[f+1]=(t[f+1]-u)/h;for(let f=0,p=r.length;f<p;f+=2)r[f]=(r[f]-c)/d,r[f+1]=(r[f+1]-u)/h}toSVGPath(){const t=[`M${l(this,mt)[4]} ${l(this,mt)[5]}`];for(let r=6,s=l(this,mt).length;r<s;r+=6){if(isNaN(l(this,mt)[r])){t.push(`L${l(this,mt)[r+4]} ${l(this,mt)[r+5]}`);continue}t.push(`C${l(this,mt)[r]} ${l(this,mt)[r+1]} ${l(this,mt)[r+2]} ${l(this,mt)[r+3]} ${l(this,mt)[r+4]} ${l(this,mt)[r+5]}`)}return t.push("Z"),t.join(" ")}serialize([t,r,s,i],o){const a=s-t,c=i-r;let u,d;switch(o){case 0:u=J._rescale(l(this,mt),t,i,a,-c),d=J._rescale(l(this,ir),t,i,a,-c);break;case 90:u=J._rescaleAndSwap(l(this,mt),t,r,a,c),d=J._rescaleAndSwap(l(this,ir),t,r,a,c);break;case 180:u=J._rescale(l(this,mt),s,r,-a,c),d=J._rescale(l(this,ir),s,r,-a,c);break;case 270:u=J._rescaleAndSwap(l(this,mt),s,i,-a,-c),d=J._rescaleAndSwap(l(this,ir),s,i,-a,-c);break}return{outline:Array.from(u),points:[Array.from(d)]}}get box(){return l(this,hc)}newOutliner(t,r,s,i,o,a=0){return new Bv(t,r,s,i,o,a)}getNewOutline(t,r){const[s,i,o,a]=l(this,hc),[c,u,d,h]=l(this,Zd),f=o*d,p=a*h,v=s*d+c,m=i*h+u,x=this.newOutliner({x:l(this,ir)[0]*f+v,y:l(this,ir)[1]*p+m},l(this,Zd),l(this,Dm),t,l(this,Lm),r??l(this,Xi));for(let g=2;g<l(this,ir).length;g+=2)x.add({x:l(this,ir)[g]*f+v,y:l(this,ir)[g+1]*p+m});return x.getOutlines()}}Zd=new WeakMap,hc=new WeakMap,Xi=new WeakMap,Lm=new WeakMap,ir=new WeakMap,Dm=new WeakMap,mt=new WeakMap,o0=new WeakSet,ON=function(t){const r=l(this,mt);let s=r[4],i=r[5];const o=[s,i,s,i];let a=s,c=i,u=s,d=i;const h=t?Math.max:Math.min,f=new Float32Array(4);for(let v=6,m=r.length;v<m;v+=6){const x=r[v+4],g=r[v+5];isNaN(r[v])?(ee.pointBoundingBox(x,g,o),c>g?(a=x,c=g):c===g&&(a=h(a,x)),d<g?(u=x,d=g):d===g&&(u=h(u,x))):(f[0]=f[1]=1/0,f[2]=f[3]=-1/0,ee.bezierBoundingBox(s,i,...r.slice(v,v+6),f),ee.rectBoundingBox(f[0],f[1],f[2],f[3],o),c>f[1]?(a=f[0],c=f[1]):c===f[1]&&(a=h(a,f[0])),d<f[3]?(u=f[2],d=f[3]):d===f[3]&&(u=h(u,f[2]))),s=x,i=g}const p=l(this,hc);p[0]=o[0]-l(this,Xi),p[1]=o[1]-l(this,Xi),p[2]=o[2]-o[0]+2*l(this,Xi),p[3]=o[3]-o[1]+2*l(this,Xi),this.firstPoint=[a,c],this.lastPoint=[u,d]};var Om,Fm,jm,ya,ls,Cn,FN,Uy,jN,BN,S1;class x1{constructor(e,t=0,r=0,s=!0){A(this,Cn);A(this,Om);A(this,Fm);A(this,jm);A(this,ya,[]);A(this,ls,[]);const i=[1/0,1/0,-1/0,-1/0],a=10**-4;for(const{x,y:g,width:w,height:b}of e){const E=Math.floor((x-t)/a)*a,_=Math.ceil((x+w+t)/a)*a,k=Math.floor((g-t)/a)*a,P=Math.ceil((g+b+t)/a)*a,M=[E,k,P,!0],D=[_,k,P,!1];l(this,ya).push(M,D),ee.rectBoundingBox(E,k,_,P,i)}const c=i[2]-i[0]+2*r,u=i[3]-i[1]+2*r,d=i[0]-r,h=i[1]-r;let f=s?-1/0:1/0,p=1/0;const v=l(this,ya).at(s?-1:-2),m=[v[0],v[2]];for(const x of l(this,ya)){const[g,w,b,E]=x;!E&&s?w<p?(p=w,f=g):w===p&&(f=Math.max(f,g)):E&&!s&&(w<p?(p=w,f=g):w===p&&(f=Math.min(f,g))),x[0]=(g-d)/c,x[1]=(w-h)/u,x[2]=(b-h)/u}y(this,Om,new Float32Array([d,h,c,u])),y(this,Fm,[f,p]),y(this,jm,m)}getOutlines(){l(this,ya).sort((t,r)=>t[0]-r[0]||t[1]-r[1]||t[2]-r[2]);const e=[];for(const t of l(this,ya))t[3]?(e.push(...C(this,Cn,S1).call(this,t)),C(this,Cn,jN).call(this,t)):(C(this,Cn,BN).call(this,t),e.push(...C(this,Cn,S1).call(this,t)));return C(this,Cn,FN).call(this,e)}}Om=new WeakMap,Fm=new WeakMap,jm=new WeakMap,ya=new WeakMap,ls=new WeakMap,Cn=new WeakSet,FN=function(e){const t=[],r=new Set;for(const o of e){const[a,c,u]=o;t.push([a,c,o],[a,u,o])}t.sort((o,a)=>o[1]-a[1]||o[0]-a[0]);for(let o=0,a=t.length;o<a;o+=2){const c=t[o][2],u=t[o+1][2];c.push(u),u.push(c),r.add(c),r.add(u)}const s=[];let i;for(;r.size>0;){const o=r.values().next().value;let[a,c,u,d,h]=o;r.delete(o);let f=a,p=c;for(i=[a,u],s.push(i);;){let v;if(r.has(d))v=d;else if(r.has(h))v=h;else break;r.delete(v),[a,c,u,d,h]=v,f!==a&&(i.push(f,p,a,p===c?c:u),f=a),p=p===c?u:c}i.push(f,p)}return new xH(s,l(this,Om),l(this,Fm),l(this,jm))},Uy=function(e){const t=l(this,ls);let r=0,s=t.length-1;for(;r<=s;){const i=r+s>>1,o=t[i][0];if(o===e)return i;o<e?r=i+1:s=i-1}return s+1},jN=function([,e,t]){const r=C(this,Cn,Uy).call(this,e);l(this,ls).splice(r,0,[e,t])},BN=function([,e,t]){const r=C(this,Cn,Uy).call(this,e);for(let s=r;s<l(this,ls).length;s++){const[i,o]=l(this,ls)[s];if(i!==e)break;if(i===e&&o===t){l(this,ls).splice(s,1);return}}for(let s=r-1;s>=0;s--){const[i,o]=l(this,ls)[s];if(i!==e)break;if(i===e&&o===t){l(this,ls).splice(s,1);return}}},S1=function(e){const[t,r,s]=e,i=[[t,r,s]],o=C(this,Cn,Uy).call(this,s);for(let a=0;a<o;a++){const[c,u]=l(this,ls)[a];for(let d=0,h=i.length;d<h;d++){const[,f,p]=i[d];if(!(u<=f||p<=c)){if(f>=c){if(p>u)i[d][1]=u;else{if(h===1)return[];i.splice(d,1),d--,h--}continue}i[d][2]=c,p>u&&i.push([t,u,p])}}}return i};var Bm,eh;class xH extends J{constructor(t,r,s,i){super();A(this,Bm);A(this,eh);y(this,eh,t),y(this,Bm,r),this.firstPoint=s,this.lastPoint=i}toSVGPath(){const t=[];for(const r of l(this,eh)){let[s,i]=r;t.push(`M${s} ${i}`);for(let o=2;o<r.length;o+=2){const a=r[o],c=r[o+1];a===s?(t.push(`V${c}`),i=c):c===i&&(t.push(`H${a}`),s=a)}t.push("Z")}return t.join(" ")}serialize([t,r,s,i],o){const a=[],c=s-t,u=i-r;for(const d of l(this,eh)){const h=new Array(d.length);for(let f=0;f<d.length;f+=2)h[f]=t+d[f]*c,h[f+1]=i-d[f+1]*u;a.push(h)}return a}get box(){return l(this,Bm)}get classNamesForOutlining(){return["highlightOutline"]}}Bm=new WeakMap,eh=new WeakMap;class A1 extends Bv{newFreeDrawOutline(e,t,r,s,i,o){return new SH(e,t,r,s,i,o)}}class SH extends DN{newOutliner(e,t,r,s,i,o=0){return new A1(e,t,r,s,i,o)}}var th,Um,qi,fc,$m,Fn,zm,Hm,pc,or,ar,Vt,nh,rh,un,sh,Or,Vm,he,E1,$y,UN,$N,zN,C1,ol,Ur,au,HN,zy,Hy,VN,GN,WN,KN,XN;const Ee=class Ee extends ze{constructor(t){super({...t,name:"highlightEditor"});A(this,he);A(this,th,null);A(this,Um,0);A(this,qi);A(this,fc,null);A(this,$m,null);A(this,Fn,null);A(this,zm,null);A(this,Hm,0);A(this,pc,null);A(this,or,null);A(this,ar,null);A(this,Vt,!1);A(this,nh,null);A(this,rh,null);A(this,un,null);A(this,sh,"");A(this,Or);A(this,Vm,"");this.color=t.color||Ee._defaultColor,y(this,Or,t.thickness||Ee._defaultThickness),this.opacity=t.opacity||Ee._defaultOpacity,y(this,qi,t.boxes||null),y(this,Vm,t.methodOfCreation||""),y(this,sh,t.text||""),this._isDraggable=!1,this.defaultL10nId="pdfjs-editor-highlight-editor",t.highlightId>-1?(y(this,Vt,!0),C(this,he,$y).call(this,t),C(this,he,ol).call(this)):l(this,qi)&&(y(this,th,t.anchorNode),y(this,Um,t.anchorOffset),y(this,zm,t.focusNode),y(this,Hm,t.focusOffset),C(this,he,E1).call(this),C(this,he,ol).call(this),this.rotate(this.rotation)),this.annotationElementId||this._uiManager.a11yAlert("pdfjs-editor-highlight-added-alert")}static get _keyboardManager(){const t=Ee.prototype;return pe(this,"_keyboardManager",new lg([[["ArrowLeft","mac+ArrowLeft"],t._moveCaret,{args:[0]}],[["ArrowRight","mac+ArrowRight"],t._moveCaret,{args:[1]}],[["ArrowUp","mac+ArrowUp"],t._moveCaret,{args:[2]}],[["ArrowDown","mac+ArrowDown"],t._moveCaret,{args:[3]}]]))}get telemetryInitialData(){return{action:"added",type:l(this,Vt)?"free_highlight":"highlight",color:this._uiManager.getNonHCMColorName(this.color),thickness:l(this,Or),methodOfCreation:l(this,Vm)}}get telemetryFinalData(){return{type:"highlight",color:this._uiManager.getNonHCMColorName(this.color)}}static computeTelemetryFinalData(t){return{numberOfColors:t.get("color").size}}static initialize(t,r){var s;ze.initialize(t,r),Ee._defaultColor||(Ee._defaultColor=((s=r.highlightColors)==null?void 0:s.values().next().value)||"#fff066")}static updateDefaultParams(t,r){switch(t){case ve.HIGHLIGHT_COLOR:Ee._defaultColor=r;break;case ve.HIGHLIGHT_THICKNESS:Ee._defaultThickness=r;break}}translateInPage(t,r){}get toolbarPosition(){return l(this,rh)}get commentButtonPosition(){return l(this,nh)}updateParams(t,r){switch(t){case ve.HIGHLIGHT_COLOR:C(this,he,UN).call(this,r);break;case ve.HIGHLIGHT_THICKNESS:C(this,he,$N).call(this,r);break}}static get defaultPropertiesToUpdate(){return[[ve.HIGHLIGHT_COLOR,Ee._defaultColor],[ve.HIGHLIGHT_THICKNESS,Ee._defaultThickness]]}get propertiesToUpdate(){return[[ve.HIGHLIGHT_COLOR,this.color||Ee._defaultColor],[ve.HIGHLIGHT_THICKNESS,l(this,Or)||Ee._defaultThickness],[ve.HIGHLIGHT_FREE,l(this,Vt)]]}onUpdatedColor(){var t,r;(t=this.parent)==null||t.drawLayer.updateProperties(l(this,ar),{root:{fill:this.color,"fill-opacity":this.opacity}}),(r=l(this,$m))==null||r.updateColor(this.color),super.onUpdatedColor()}get toolbarButtons(){return this._uiManager.highlightColors?[["colorPicker",y(this,$m,new Ov({editor:this}))]]:super.toolbarButtons}disableEditing(){super.disableEditing(),this.div.classList.toggle("disabled",!0)}enableEditing(){super.enableEditing(),this.div.classList.toggle("disabled",!1)}fixAndSetPosition(){return super.fixAndSetPosition(C(this,he,Hy).call(this))}getBaseTranslation(){return[0,0]}getRect(t,r){return super.getRect(t,r,C(this,he,Hy).call(this))}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this),t&&this.div.focus()}remove(){C(this,he,C1).call(this),this._reportTelemetry({action:"deleted"}),super.remove()}rebuild(){this.parent&&(super.rebuild(),this.div!==null&&(C(this,he,ol).call(this),this.isAttachedToDOM||this.parent.add(this)))}setParent(t){var s;let r=!1;this.parent&&!t?C(this,he,C1).call(this):t&&(C(this,he,ol).call(this,t),r=!this.parent&&((s=this.div)==null?void 0:s.classList.contains("selectedEditor"))),super.setParent(t),this.show(this._isVisible),r&&this.select()}rotate(t){var i,o,a;const{drawLayer:r}=this.parent;let s;l(this,Vt)?(t=(t-this.rotation+360)%360,s=C(i=Ee,Ur,au).call(i,l(this,or).box,t)):s=C(o=Ee,Ur,au).call(o,[this.x,this.y,this.width,this.height],t),r.updateProperties(l(this,ar),{bbox:s,root:{"data-main-rotation":t}}),r.updateProperties(l(this,un),{bbox:C(a=Ee,Ur,au).call(a,l(this,Fn).box,t),root:{"data-main-rotation":t}})}render(){if(this.div)return this.div;const t=super.render();l(this,sh)&&(t.setAttribute("aria-label",l(this,sh)),t.setAttribute("role","mark")),l(this,Vt)?t.classList.add("free"):this.div.addEventListener("keydown",C(this,he,HN).bind(this),{signal:this._uiManager._signal});const r=y(this,pc,document.createElement("div"));return t.append(r),r.setAttribute("aria-hidden","true"),r.className="internal",r.style.clipPath=l(this,fc),this.setDims(this.width,this.height),p2(this,l(this,pc),["pointerover","pointerleave"]),this.enableEditing(),t}pointerover(){var t;this.isSelected||(t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!0}})}pointerleave(){var t;this.isSelected||(t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!1}})}_moveCaret(t){switch(this.parent.unselect(this),t){case 0:case 2:C(this,he,zy).call(this,!0);break;case 1:case 3:C(this,he,zy).call(this,!1);break}}select(){var t;super.select(),l(this,un)&&((t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{hovered:!1,selected:!0}}))}unselect(){var t;super.unselect(),l(this,un)&&((t=this.parent)==null||t.drawLayer.updateProperties(l(this,un),{rootClass:{selected:!1}}),l(this,Vt)||C(this,he,zy).call(this,!1))}get _mustFixPosition(){return!l(this,Vt)}show(t=this._isVisible){super.show(t),this.parent&&(this.parent.drawLayer.updateProperties(l(this,ar),{rootClass:{hidden:!t}}),this.parent.drawLayer.updateProperties(l(this,un),{rootClass:{hidden:!t}}))}static startHighlighting(t,r,{target:s,x:i,y:o}){const{x:a,y:c,width:u,height:d}=s.getBoundingClientRect(),h=new AbortController,f=t.combinedSignal(h),p=v=>{h.abort(),C(this,Ur,KN).call(this,t,v)};window.addEventListener("blur",p,{signal:f}),window.addEventListener("pointerup",p,{signal:f}),window.addEventListener("pointerdown",ft,{capture:!0,passive:!1,signal:f}),window.addEventListener("contextmenu",Kr,{signal:f}),s.addEventListener("pointermove",C(this,Ur,WN).bind(this,t),{signal:f}),this._freeHighlight=new A1({x:i,y:o},[a,c,u,d],t.scale,this._defaultThickness/2,r,.001),{id:this._freeHighlightId,clipPathId:this._freeHighlightClipId}=t.drawLayer.draw({bbox:[0,0,1,1],root:{viewBox:"0 0 1 1",fill:this._defaultColor,"fill-opacity":this._defaultOpacity},rootClass:{highlight:!0,free:!0},path:{d:this._freeHighlight.toSVGPath()}},!0,!0)}static async deserialize(t,r,s){var m,x,g,w;let i=null;if(t instanceof SN){const{data:{quadPoints:b,rect:E,rotation:_,id:k,color:P,opacity:M,popupRef:D,richText:O,contentsObj:j,creationDate:U,modificationDate:V},parent:{page:{pageNumber:$}}}=t;i=t={annotationType:ce.HIGHLIGHT,color:Array.from(P),opacity:M,quadPoints:b,boxes:null,pageIndex:$-1,rect:E.slice(0),rotation:_,annotationElementId:k,id:k,deleted:!1,popupRef:D,richText:O,comment:(j==null?void 0:j.str)||null,creationDate:U,modificationDate:V}}else if(t instanceof NA){const{data:{inkLists:b,rect:E,rotation:_,id:k,color:P,borderStyle:{rawWidth:M},popupRef:D,richText:O,contentsObj:j,creationDate:U,modificationDate:V},parent:{page:{pageNumber:$}}}=t;i=t={annotationType:ce.HIGHLIGHT,color:Array.from(P),thickness:M,inkLists:b,boxes:null,pageIndex:$-1,rect:E.slice(0),rotation:_,annotationElementId:k,id:k,deleted:!1,popupRef:D,richText:O,comment:(j==null?void 0:j.str)||null,creationDate:U,modificationDate:V}}const{color:o,quadPoints:a,inkLists:c,opacity:u}=t,d=await super.deserialize(t,r,s);d.color=ee.makeHexColor(...o),d.opacity=u||1,c&&y(d,Or,t.thickness),d._initialData=i,t.comment&&d.setCommentData(t);const[h,f]=d.pageDimensions,[p,v]=d.pageTranslation;if(a){const b=y(d,qi,[]);for(let E=0;E<a.length;E+=8)b.push({x:(a[E]-p)/h,y:1-(a[E+1]-v)/f,width:(a[E+2]-a[E])/h,height:(a[E+1]-a[E+5])/f});C(m=d,he,E1).call(m),C(x=d,he,ol).call(x),d.rotate(d.rotation)}else if(c){y(d,Vt,!0);const b=c[0],E={x:b[0]-p,y:f-(b[1]-v)},_=new A1(E,[0,0,h,f],1,l(d,Or)/2,!0,.001);for(let M=0,D=b.length;M<D;M+=2)E.x=b[M]-p,E.y=f-(b[M+1]-v),_.add(E);const{id:k,clipPathId:P}=r.drawLayer.draw({bbox:[0,0,1,1],root:{viewBox:"0 0 1 1",fill:d.color,"fill-opacity":d._defaultOpacity},rootClass:{highlight:!0,free:!0},path:{d:_.toSVGPath()}},!0,!0);C(g=d,he,$y).call(g,{highlightOutlines:_.getOutlines(),highlightId:k,clipPathId:P}),C(w=d,he,ol).call(w),d.rotate(d.parentRotation)}return d}serialize(t=!1){if(this.isEmpty()||t)return null;if(this.deleted)return this.serializeDeleted();const r=ze._colorManager.convert(this._uiManager.getNonHCMColor(this.color)),s=super.serialize(t);return Object.assign(s,{color:r,opacity:this.opacity,thickness:l(this,Or),quadPoints:C(this,he,VN).call(this),outlines:C(this,he,GN).call(this,s.rect)}),this.addComment(s),this.annotationElementId&&!C(this,he,XN).call(this,s)?null:(s.id=this.annotationElementId,s)}renderAnnotationElement(t){return this.deleted?(t.hide(),null):(t.updateEdited({rect:this.getPDFRect(),popup:this.comment}),null)}static canCreateNewEmptyEditor(){return!1}};th=new WeakMap,Um=new WeakMap,qi=new WeakMap,fc=new WeakMap,$m=new WeakMap,Fn=new WeakMap,zm=new WeakMap,Hm=new WeakMap,pc=new WeakMap,or=new WeakMap,ar=new WeakMap,Vt=new WeakMap,nh=new WeakMap,rh=new WeakMap,un=new WeakMap,sh=new WeakMap,Or=new WeakMap,Vm=new WeakMap,he=new WeakSet,E1=function(){const t=new x1(l(this,qi),.001);y(this,or,t.getOutlines()),[this.x,this.y,this.width,this.height]=l(this,or).box;const r=new x1(l(this,qi),.0025,.001,this._uiManager.direction==="ltr");y(this,Fn,r.getOutlines());const{firstPoint:s}=l(this,or);y(this,nh,[(s[0]-this.x)/this.width,(s[1]-this.y)/this.height]);const{lastPoint:i}=l(this,Fn);y(this,rh,[(i[0]-this.x)/this.width,(i[1]-this.y)/this.height])},$y=function({highlightOutlines:t,highlightId:r,clipPathId:s}){var f,p;if(y(this,or,t),y(this,Fn,t.getNewOutline(l(this,Or)/2+1.5,.0025)),r>=0)y(this,ar,r),y(this,fc,s),this.parent.drawLayer.finalizeDraw(r,{bbox:t.box,path:{d:t.toSVGPath()}}),y(this,un,this.parent.drawLayer.drawOutline({rootClass:{highlightOutline:!0,free:!0},bbox:l(this,Fn).box,path:{d:l(this,Fn).toSVGPath()}},!0));else if(this.parent){const v=this.parent.viewport.rotation;this.parent.drawLayer.updateProperties(l(this,ar),{bbox:C(f=Ee,Ur,au).call(f,l(this,or).box,(v-this.rotation+360)%360),path:{d:t.toSVGPath()}}),this.parent.drawLayer.updateProperties(l(this,un),{bbox:C(p=Ee,Ur,au).call(p,l(this,Fn).box,v),path:{d:l(this,Fn).toSVGPath()}})}const[o,a,c,u]=t.box;switch(this.rotation){case 0:this.x=o,this.y=a,this.width=c,this.height=u;break;case 90:{const[v,m]=this.parentDimensions;this.x=a,this.y=1-o,this.width=c*m/v,this.height=u*v/m;break}case 180:this.x=1-o,this.y=1-a,this.width=c,this.height=u;break;case 270:{const[v,m]=this.parentDimensions;this.x=1-a,this.y=o,this.width=c*m/v,this.height=u*v/m;break}}const{firstPoint:d}=t;y(this,nh,[(d[0]-o)/c,(d[1]-a)/u]);const{lastPoint:h}=l(this,Fn);y(this,rh,[(h[0]-o)/c,(h[1]-a)/u])},UN=function(t){const r=(o,a)=>{this.color=o,this.opacity=a,this.onUpdatedColor()},s=this.color,i=this.opacity;this.addCommands({cmd:r.bind(this,t,Ee._defaultOpacity),undo:r.bind(this,s,i),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.HIGHLIGHT_COLOR,overwriteIfSameType:!0,keepUndo:!0}),this._reportTelemetry({action:"color_changed",color:this._uiManager.getNonHCMColorName(t)},!0)},$N=function(t){const r=l(this,Or),s=i=>{y(this,Or,i),C(this,he,zN).call(this,i)};this.addCommands({cmd:s.bind(this,t),undo:s.bind(this,r),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:ve.INK_THICKNESS,overwriteIfSameType:!0,keepUndo:!0}),this._reportTelemetry({action:"thickness_changed",thickness:t},!0)},zN=function(t){l(this,Vt)&&(C(this,he,$y).call(this,{highlightOutlines:l(this,or).getNewOutline(t/2)}),this.fixAndSetPosition(),this.setDims(this.width,this.height))},C1=function(){l(this,ar)===null||!this.parent||(this.parent.drawLayer.remove(l(this,ar)),y(this,ar,null),this.parent.drawLayer.remove(l(this,un)),y(this,un,null))},ol=function(t=this.parent){l(this,ar)===null&&({id:ot(this,ar)._,clipPathId:ot(this,fc)._}=t.drawLayer.draw({bbox:l(this,or).box,root:{viewBox:"0 0 1 1",fill:this.color,"fill-opacity":this.opacity},rootClass:{highlight:!0,free:l(this,Vt)},path:{d:l(this,or).toSVGPath()}},!1,!0),y(this,un,t.drawLayer.drawOutline({rootClass:{highlightOutline:!0,free:l(this,Vt)},bbox:l(this,Fn).box,path:{d:l(this,Fn).toSVGPath()}},l(this,Vt))),l(this,pc)&&(l(this,pc).style.clipPath=l(this,fc)))},Ur=new WeakSet,au=function([t,r,s,i],o){switch(o){case 90:return[1-r-i,t,i,s];case 180:return[1-t-s,1-r-i,s,i];case 270:return[r,1-t-s,i,s]}return[t,r,s,i]},HN=function(t){Ee._keyboardManager.exec(this,t)},zy=function(t){if(!l(this,th))return;const r=window.getSelection();t?r.setPosition(l(this,th),l(this,Um)):r.setPosition(l(this,zm),l(this,Hm))},Hy=function(){return l(this,Vt)?this.rotation:0},VN=function(){if(l(this,Vt))return null;const[t,r]=this.pageDimensions,[s,i]=this.pageTranslation,o=l(this,qi),a=new Float32Array(o.length*8);let c=0;for(const{x:u,y:d,width:h,height:f}of o){const p=u*t+s,v=(1-d)*r+i;a[c]=a[c+4]=p,a[c+1]=a[c+3]=v,a[c+2]=a[c+6]=p+h*t,a[c+5]=a[c+7]=v-f*r,c+=8}return a},GN=function(t){return l(this,or).serialize(t,C(this,he,Hy).call(this))},WN=function(t,r){this._freeHighlight.add(r)&&t.drawLayer.updateProperties(this._freeHighlightId,{path:{d:this._freeHighlight.toSVGPath()}})},KN=function(t,r){this._freeHighlight.isEmpty()?t.drawLayer.remove(this._freeHighlightId):t.createAndAddNewEditor(r,!1,{highlightId:this._freeHighlightId,highlightOutlines:this._freeHighlight.getOutlines(),clipPathId:this._freeHighlightClipId,methodOfCreation:"main_toolbar"}),this._freeHighlightId=-1,this._freeHighlight=null,this._freeHighlightClipId=""},XN=function(t){const{color:r}=this._initialData;return this.hasEditedComment||t.color.some((s,i)=>s!==r[i])},A(Ee,Ur),G(Ee,"_defaultColor",null),G(Ee,"_defaultOpacity",1),G(Ee,"_defaultThickness",12),G(Ee,"_type","highlight"),G(Ee,"_editorType",ce.HIGHLIGHT),G(Ee,"_freeHighlightId",-1),G(Ee,"_freeHighlight",null),G(Ee,"_freeHighlightClipId","");let Uv=Ee;var mc;class qN{constructor(){A(this,mc,Object.create(null))}updateProperty(e,t){this[e]=t,this.updateSVGProperty(e,t)}updateProperties(e){if(e)for(const[t,r]of Object.entries(e))t.startsWith("_")||this.updateProperty(t,r)}updateSVGProperty(e,t){l(this,mc)[e]=t}toSVGProperties(){const e=l(this,mc);return y(this,mc,Object.create(null)),{root:e}}reset(){y(this,mc,Object.create(null))}updateAll(e=this){this.updateProperties(e)}clone(){je("Not implemented")}}mc=new WeakMap;var lr,ih,Nt,gc,yc,va,wa,ba,vc,xe,_1,T1,k1,xf,YN,Vy,Sf,lu;const te=class te extends ze{constructor(t){super(t);A(this,xe);A(this,lr,null);A(this,ih);G(this,"_colorPicker",null);G(this,"_drawId",null);y(this,ih,t.mustBeCommitted||!1),this._addOutlines(t)}onUpdatedColor(){var t;(t=this._colorPicker)==null||t.update(this.color),super.onUpdatedColor()}_addOutlines(t){t.drawOutlines&&(C(this,xe,_1).call(this,t),C(this,xe,xf).call(this))}static _mergeSVGProperties(t,r){const s=new Set(Object.keys(t));for(const[i,o]of Object.entries(r))s.has(i)?Object.assign(t[i],o):t[i]=o;return t}static getDefaultDrawingOptions(t){je("Not implemented")}static get typesMap(){je("Not implemented")}static get isDrawer(){return!0}static get supportMultipleDrawings(){return!1}static updateDefaultParams(t,r){const s=this.typesMap.get(t);s&&this._defaultDrawingOptions.updateProperty(s,r),this._currentParent&&(l(te,Nt).updateProperty(s,r),this._currentParent.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties()))}updateParams(t,r){const s=this.constructor.typesMap.get(t);s&&this._updateProperty(t,s,r)}static get defaultPropertiesToUpdate(){const t=[],r=this._defaultDrawingOptions;for(const[s,i]of this.typesMap)t.push([s,r[i]]);return t}get propertiesToUpdate(){const t=[],{_drawingOptions:r}=this;for(const[s,i]of this.constructor.typesMap)t.push([s,r[i]]);return t}_updateProperty(t,r,s){const i=this._drawingOptions,o=i[r],a=c=>{var d;i.updateProperty(r,c);const u=l(this,lr).updateProperty(r,c);u&&C(this,xe,Sf).call(this,u),(d=this.parent)==null||d.drawLayer.updateProperties(this._drawId,i.toSVGProperties()),t===this.colorType&&this.onUpdatedColor()};this.addCommands({cmd:a.bind(this,s),undo:a.bind(this,o),post:this._uiManager.updateUI.bind(this._uiManager,this),mustExec:!0,type:t,overwriteIfSameType:!0,keepUndo:!0})}_onResizing(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathResizingSVGProperties(C(this,xe,Vy).call(this)),{bbox:C(this,xe,lu).call(this)}))}_onResized(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathResizedSVGProperties(C(this,xe,Vy).call(this)),{bbox:C(this,xe,lu).call(this)}))}_onTranslating(t,r){var s;(s=this.parent)==null||s.drawLayer.updateProperties(this._drawId,{bbox:C(this,xe,lu).call(this)})}_onTranslated(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties(l(this,lr).getPathTranslatedSVGProperties(C(this,xe,Vy).call(this),this.parentDimensions),{bbox:C(this,xe,lu).call(this)}))}_onStartDragging(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!0}})}_onStopDragging(){var t;(t=this.parent)==null||t.drawLayer.updateProperties(this._drawId,{rootClass:{moving:!1}})}commit(){super.commit(),this.disableEditMode(),this.disableEditing()}disableEditing(){super.disableEditing(),this.div.classList.toggle("disabled",!0)}enableEditing(){super.enableEditing(),this.div.classList.toggle("disabled",!1)}getBaseTranslation(){return[0,0]}get isResizable(){return!0}onceAdded(t){this.annotationElementId||this.parent.addUndoableEditor(this),this._isDraggable=!0,l(this,ih)&&(y(this,ih,!1),this.commit(),this.parent.setSelected(this),t&&this.isOnScreen&&this.div.focus())}remove(){C(this,xe,k1).call(this),super.remove()}rebuild(){this.parent&&(super.rebuild(),this.div!==null&&(C(this,xe,xf).call(this),C(this,xe,Sf).call(this,l(this,lr).box),this.isAttachedToDOM||this.parent.add(this)))}setParent(t){var s;let r=!1;this.parent&&!t?(this._uiManager.removeShouldRescale(this),C(this,xe,k1).call(this)):t&&(this._uiManager.addShouldRescale(this),C(this,xe,xf).call(this,t),r=!this.parent&&((s=this.div)==null?void 0:s.classList.contains("selectedEditor"))),super.setParent(t),r&&this.select()}rotate(){this.parent&&this.parent.drawLayer.updateProperties(this._drawId,te._mergeSVGProperties({bbox:C(this,xe,lu).call(this)},l(this,lr).updateRotation((this.parentRotation-this.rotation+360)%360)))}onScaleChanging(){this.parent&&C(this,xe,Sf).call(this,l(this,lr).updateParentDimensions(this.parentDimensions,this.parent.scale))}static onScaleChangingWhenDrawing(){}render(){if(this.div)return this.div;let t,r;this._isCopy&&(t=this.x,r=this.y);const s=super.render();s.classList.add("draw");const i=document.createElement("div");return s.append(i),i.setAttribute("aria-hidden","true"),i.className="internal",this.setDims(),this._uiManager.addShouldRescale(this),this.disableEditing(),this._isCopy&&this._moveAfterPaste(t,r),s}static createDrawerInstance(t,r,s,i,o){je("Not implemented")}static startDrawing(t,r,s,i){var x;const{target:o,offsetX:a,offsetY:c,pointerId:u,pointerType:d}=i;if(l(te,wa)&&l(te,wa)!==d)return;const{viewport:{rotation:h}}=t,{width:f,height:p}=o.getBoundingClientRect(),v=y(te,gc,new AbortController),m=t.combinedSignal(v);if(l(te,va)||y(te,va,u),l(te,wa)??y(te,wa,d),window.addEventListener("pointerup",g=>{var w;l(te,va)===g.pointerId?this._endDraw(g):(w=l(te,ba))==null||w.delete(g.pointerId)},{signal:m}),window.addEventListener("pointercancel",g=>{var w;l(te,va)===g.pointerId?this._currentParent.endDrawingSession():(w=l(te,ba))==null||w.delete(g.pointerId)},{signal:m}),window.addEventListener("pointerdown",g=>{l(te,wa)===g.pointerType&&((l(te,ba)||y(te,ba,new Set)).add(g.pointerId),l(te,Nt).isCancellable()&&(l(te,Nt).removeLastElement(),l(te,Nt).isEmpty()?this._currentParent.endDrawingSession(!0):this._endDraw(null)))},{capture:!0,passive:!1,signal:m}),window.addEventListener("contextmenu",Kr,{signal:m}),o.addEventListener("pointermove",this._drawMove.bind(this),{signal:m}),o.addEventListener("touchmove",g=>{g.timeStamp===l(te,vc)&&ft(g)},{signal:m}),t.toggleDrawing(),(x=r._editorUndoBar)==null||x.hide(),l(te,Nt)){t.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).startNew(a,c,f,p,h));return}r.updateUIForDefaultProperties(this),y(te,Nt,this.createDrawerInstance(a,c,f,p,h)),y(te,yc,this.getDefaultDrawingOptions()),this._currentParent=t,{id:this._currentDrawId}=t.drawLayer.draw(this._mergeSVGProperties(l(te,yc).toSVGProperties(),l(te,Nt).defaultSVGProperties),!0,!1)}static _drawMove(t){var o;if(y(te,vc,-1),!l(te,Nt))return;const{offsetX:r,offsetY:s,pointerId:i}=t;if(l(te,va)===i){if(((o=l(te,ba))==null?void 0:o.size)>=1){this._endDraw(t);return}this._currentParent.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).add(r,s)),y(te,vc,t.timeStamp),ft(t)}}static _cleanup(t){t&&(this._currentDrawId=-1,this._currentParent=null,y(te,Nt,null),y(te,yc,null),y(te,wa,null),y(te,vc,NaN)),l(te,gc)&&(l(te,gc).abort(),y(te,gc,null),y(te,va,NaN),y(te,ba,null))}static _endDraw(t){const r=this._currentParent;if(r){if(r.toggleDrawing(!0),this._cleanup(!1),(t==null?void 0:t.target)===r.div&&r.drawLayer.updateProperties(this._currentDrawId,l(te,Nt).end(t.offsetX,t.offsetY)),this.supportMultipleDrawings){const s=l(te,Nt),i=this._currentDrawId,o=s.getLastElement();r.addCommands({cmd:()=>{r.drawLayer.updateProperties(i,s.setLastElement(o))},undo:()=>{r.drawLayer.updateProperties(i,s.removeLastElement())},mustExec:!1,type:ve.DRAW_STEP});return}this.endDrawing(!1)}}static endDrawing(t){const r=this._currentParent;if(!r)return null;if(r.toggleDrawing(!0),r.cleanUndoStack(ve.DRAW_STEP),!l(te,Nt).isEmpty()){const{pageDimensions:[s,i],scale:o}=r,a=r.createAndAddNewEditor({offsetX:0,offsetY:0},!1,{drawId:this._currentDrawId,drawOutlines:l(te,Nt).getOutlines(s*o,i*o,o,this._INNER_MARGIN),drawingOptions:l(te,yc),mustBeCommitted:!t});return this._cleanup(!0),a}return r.drawLayer.remove(this._currentDrawId),this._cleanup(!0),null}createDrawingOptions(t){}static deserializeDraw(t,r,s,i,o,a){je("Not implemented")}static async deserialize(t,r,s){var h,f;const{rawDims:{pageWidth:i,pageHeight:o,pageX:a,pageY:c}}=r.viewport,u=this.deserializeDraw(a,c,i,o,this._INNER_MARGIN,t),d=await super.deserialize(t,r,s);return d.createDrawingOptions(t),C(h=d,xe,_1).call(h,{drawOutlines:u}),C(f=d,xe,xf).call(f),d.onScaleChanging(),d.rotate(),d}serializeDraw(t){const[r,s]=this.pageTranslation,[i,o]=this.pageDimensions;return l(this,lr).serialize([r,s,i,o],t)}renderAnnotationElement(t){return t.updateEdited({rect:this.getPDFRect()}),null}static canCreateNewEmptyEditor(){return!1}};lr=new WeakMap,ih=new WeakMap,Nt=new WeakMap,gc=new WeakMap,yc=new WeakMap,va=new WeakMap,wa=new WeakMap,ba=new WeakMap,vc=new WeakMap,xe=new WeakSet,_1=function({drawOutlines:t,drawId:r,drawingOptions:s}){y(this,lr,t),this._drawingOptions||(this._drawingOptions=s),this.annotationElementId||this._uiManager.a11yAlert(`pdfjs-editor-${this.editorType}-added-alert`),r>=0?(this._drawId=r,this.parent.drawLayer.finalizeDraw(r,t.defaultProperties)):this._drawId=C(this,xe,T1).call(this,t,this.parent),C(this,xe,Sf).call(this,t.box)},T1=function(t,r){const{id:s}=r.drawLayer.draw(te._mergeSVGProperties(this._drawingOptions.toSVGProperties(),t.defaultSVGProperties),!1,!1);return s},k1=function(){this._drawId===null||!this.parent||(this.parent.drawLayer.remove(this._drawId),this._drawId=null,this._drawingOptions.reset())},xf=function(t=this.parent){if(!(this._drawId!==null&&this.parent===t)){if(this._drawId!==null){this.parent.drawLayer.updateParent(this._drawId,t.drawLayer);return}this._drawingOptions.updateAll(),this._drawId=C(this,xe,T1).call(this,l(this,lr),t)}},YN=function([t,r,s,i]){const{parentDimensions:[o,a],rotation:c}=this;switch(c){case 90:return[r,1-t,s*(a/o),i*(o/a)];case 180:return[1-t,1-r,s,i];case 270:return[1-r,t,s*(a/o),i*(o/a)];default:return[t,r,s,i]}},Vy=function(){const{x:t,y:r,width:s,height:i,parentDimensions:[o,a],rotation:c}=this;switch(c){case 90:return[1-r,t,s*(o/a),i*(a/o)];case 180:return[1-t,1-r,s,i];case 270:return[r,1-t,s*(o/a),i*(a/o)];default:return[t,r,s,i]}},Sf=function(t){[this.x,this.y,this.width,this.height]=C(this,xe,YN).call(this,t),this.div&&(this.fixAndSetPosition(),this.setDims()),this._onResized()},lu=function(){const{x:t,y:r,width:s,height:i,rotation:o,parentRotation:a,parentDimensions:[c,u]}=this;switch((o*4+a)/90){case 1:return[1-r-i,t,i,s];case 2:return[1-t-s,1-r-i,s,i];case 3:return[r,1-t-s,i,s];case 4:return[t,r-s*(c/u),i*(u/c),s*(c/u)];case 5:return[1-r,t,s*(c/u),i*(u/c)];case 6:return[1-t-i*(u/c),1-r,i*(u/c),s*(c/u)];case 7:return[r-s*(c/u),1-t-i*(u/c),s*(c/u),i*(u/c)];case 8:return[t-s,r-i,s,i];case 9:return[1-r,t-s,i,s];case 10:return[1-t,1-r,s,i];case 11:return[r-i,1-t,i,s];case 12:return[t-i*(u/c),r,i*(u/c),s*(c/u)];case 13:return[1-r-s*(c/u),t-i*(u/c),s*(c/u),i*(u/c)];case 14:return[1-t,1-r-s*(c/u),i*(u/c),s*(c/u)];case 15:return[r,1-t,s*(c/u),i*(u/c)];default:return[t,r,s,i]}},G(te,"_currentDrawId",-1),G(te,"_currentParent",null),A(te,Nt,null),A(te,gc,null),A(te,yc,null),A(te,va,NaN),A(te,wa,null),A(te,ba,null),A(te,vc,NaN),G(te,"_INNER_MARGIN",3);let $v=te;var qs,It,Lt,wc,oh,gn,Gt,Fr,bc,xc,Sc,ah,Gy;class AH{constructor(e,t,r,s,i,o){A(this,ah);A(this,qs,new Float64Array(6));A(this,It);A(this,Lt);A(this,wc);A(this,oh);A(this,gn);A(this,Gt,"");A(this,Fr,0);A(this,bc,new ug);A(this,xc);A(this,Sc);y(this,xc,r),y(this,Sc,s),y(this,wc,i),y(this,oh,o),[e,t]=C(this,ah,Gy).call(this,e,t);const a=y(this,It,[NaN,NaN,NaN,NaN,e,t]);y(this,gn,[e,t]),y(this,Lt,[{line:a,points:l(this,gn)}]),l(this,qs).set(a,0)}updateProperty(e,t){e==="stroke-width"&&y(this,oh,t)}isEmpty(){return!l(this,Lt)||l(this,Lt).length===0}isCancellable(){return l(this,gn).length<=10}add(e,t){[e,t]=C(this,ah,Gy).call(this,e,t);const[r,s,i,o]=l(this,qs).subarray(2,6),a=e-i,c=t-o;return Math.hypot(l(this,xc)*a,l(this,Sc)*c)<=2?null:(l(this,gn).push(e,t),isNaN(r)?(l(this,qs).set([i,o,e,t],2),l(this,It).push(NaN,NaN,NaN,NaN,e,t),{path:{d:this.toSVGPath()}}):(isNaN(l(this,qs)[0])&&l(this,It).splice(6,6),l(this,qs).set([r,s,i,o,e,t],0),l(this,It).push(...J.createBezierPoints(r,s,i,o,e,t)),{path:{d:this.toSVGPath()}}))}end(e,t){const r=this.add(e,t);return r||(l(this,gn).length===2?{path:{d:this.toSVGPath()}}:null)}startNew(e,t,r,s,i){y(this,xc,r),y(this,Sc,s),y(this,wc,i),[e,t]=C(this,ah,Gy).call(this,e,t);const o=y(this,It,[NaN,NaN,NaN,NaN,e,t]);y(this,gn,[e,t]);const a=l(this,Lt).at(-1);return a&&(a.line=new Float32Array(a.line),a.points=new Float32Array(a.points)),l(this,Lt).push({line:o,points:l(this,gn)}),l(this,qs).set(o,0),y(this,Fr,0),this.toSVGPath(),null}getLastElement(){return l(this,Lt).at(-1)}setLastElement(e){return l(this,Lt)?(l(this,Lt).push(e),y(this,It,e.line),y(this,gn,e.points),y(this,Fr,0),{path:{d:this.toSVGPath()}}):l(this,bc).setLastElement(e)}removeLastElement(){if(!l(this,Lt))return l(this,bc).removeLastElement();l(this,Lt).pop(),y(this,Gt,"");for(let e=0,t=l(this,Lt).length;e<t;e++){const{line:r,points:s}=l(this,Lt)[e];y(this,It,r),y(this,gn,s),y(this,Fr,0),this.toSVGPath()}return{path:{d:l(this,Gt)}}}toSVGPath(){const e=J.svgRound(l(this,It)[4]),t=J.svgRound(l(this,It)[5]);if(l(this,gn).length===2)return y(this,Gt,`${l(this,Gt)} M ${e} ${t} Z`),l(this,Gt);if(l(this,gn).length<=6){const s=l(this,Gt).lastIndexOf("M");y(this,Gt,`${l(this,Gt).slice(0,s)} M ${e} ${t}`),y(this,Fr,6)}if(l(this,gn).length===4){const s=J.svgRound(l(this,It)[10]),i=J.svgRound(l(this,It)[11]);return y(this,Gt,`${l(this,Gt)} L ${s} ${i}`),y(this,Fr,12),l(this,Gt)}const r=[];l(this,Fr)===0&&(r.push(`M ${e} ${t}`),y(this,Fr,6));for(let s=l(this,Fr),i=l(this,It).length;s<i;s+=6){const[o,a,c,u,d,h]=l(this,It).slice(s,s+6).map(J.svgRound);r.push(`C${o} ${a} ${c} ${u} ${d} ${h}`)}return y(this,Gt,l(this,Gt)+r.join(" ")),y(this,Fr,l(this,It).length),l(this,Gt)}getOutlines(e,t,r,s){const i=l(this,Lt).at(-1);return i.line=new Float32Array(i.line),i.points=new Float32Array(i.points),l(this,bc).build(l(this,Lt),e,t,r,l(this,wc),l(this,oh),s),y(this,qs,null),y(this,It,null),y(this,Lt,null),y(this,Gt,null),l(this,bc)}get defaultSVGProperties(){return{root:{viewBox:"0 0 10000 10000"},rootClass:{draw:!0},bbox:[0,0,1,1]}}}qs=new WeakMap,It=new WeakMap,Lt=new WeakMap,wc=new WeakMap,oh=new WeakMap,gn=new WeakMap,Gt=new WeakMap,Fr=new WeakMap,bc=new WeakMap,xc=new WeakMap,Sc=new WeakMap,ah=new WeakSet,Gy=function(e,t){return J._normalizePoint(e,t,l(this,xc),l(this,Sc),l(this,wc))};var yn,Gm,Wm,cr,Ys,Qs,lh,ch,Ac,Xt,gi,QN,JN,ZN;class ug extends J{constructor(){super(...arguments);A(this,Xt);A(this,yn);A(this,Gm,0);A(this,Wm);A(this,cr);A(this,Ys);A(this,Qs);A(this,lh);A(this,ch);A(this,Ac)}build(t,r,s,i,o,a,c){y(this,Ys,r),y(this,Qs,s),y(this,lh,i),y(this,ch,o),y(this,Ac,a),y(this,Wm,c??0),y(this,cr,t),C(this,Xt,JN).call(this)}get thickness(){return l(this,Ac)}setLastElement(t){return l(this,cr).push(t),{path:{d:this.toSVGPath()}}}removeLastElement(){return l(this,cr).pop(),{path:{d:this.toSVGPath()}}}toSVGPath(){const t=[];for(const{line:r}of l(this,cr)){if(t.push(`M${J.svgRound(r[4])} ${J.svgRound(r[5])}`),r.length===6){t.push("Z");continue}if(r.length===12&&isNaN(r[6])){t.push(`L${J.svgRound(r[10])} ${J.svgRound(r[11])}`);continue}for(let s=6,i=r.length;s<i;s+=6){const[o,a,c,u,d,h]=r.subarray(s,s+6).map(J.svgRound);t.push(`C${o} ${a} ${c} ${u} ${d} ${h}`)}}return t.join("")}serialize([t,r,s,i],o){const a=[],c=[],[u,d,h,f]=C(this,Xt,QN).call(this);let p,v,m,x,g,w,b,E,_;switch(l(this,ch)){case 0:_=J._rescale,p=t,v=r+i,m=s,x=-i,g=t+u*s,w=r+(1-d-f)*i,b=t+(u+h)*s,E=r+(1-d)*i;break;case 90:_=J._rescaleAndSwap,p=t,v=r,m=s,x=i,g=t+d*s,w=r+u*i,b=t+(d+f)*s,E=r+(u+h)*i;break;case 180:_=J._rescale,p=t+s,v=r,m=-s,x=i,g=t+(1-u-h)*s,w=r+d*i,b=t+(1-u)*s,E=r+(d+f)*i;break;case 270:_=J._rescaleAndSwap,p=t+s,v=r+i,m=-s,x=-i,g=t+(1-d-f)*s,w=r+(1-u-h)*i,b=t+(1-d)*s,E=r+(1-u)*i;break}for(const{line:k,points:P}of l(this,cr))a.push(_(k,p,v,m,x,o?new Array(k.length):null)),c.push(_(P,p,v,m,x,o?new Array(P.length):null));return{lines:a,points:c,rect:[g,w,b,E]}}static deserialize(t,r,s,i,o,{paths:{lines:a,points:c},rotation:u,thickness:d}){const h=[];let f,p,v,m,x;switch(u){case 0:x=J._rescale,f=-t/s,p=r/i+1,v=1/s,m=-1/i;break;case 90:x=J._rescaleAndSwap,f=-r/i,p=-t/s,v=1/i,m=1/s;break;case 180:x=J._rescale,f=t/s+1,p=-r/i,v=-1/s,m=1/i;break;case 270:x=J._rescaleAndSwap,f=r/i+1,p=t/s+1,v=-1/i,m=-1/s;break}if(!a){a=[];for(const w of c){const b=w.length;if(b===2){a.push(new Float32Array([NaN,NaN,NaN,NaN,w[0],w[1]]));continue}if(b===4){a.push(new Float32Array([NaN,NaN,NaN,NaN,w[0],w[1],NaN,NaN,NaN,NaN,w[2],w[3]]));continue}const E=new Float32Array(3*(b-2));a.push(E);let[_,k,P,M]=w.subarray(0,4);E.set([NaN,NaN,NaN,NaN,_,k],0);for(let D=4;D<b;D+=2){const O=w[D],j=w[D+1];E.set(J.createBezierPoints(_,k,P,M,O,j),(D-2)*3),[_,k,P,M]=[P,M,O,j]}}}for(let w=0,b=a.length;w<b;w++)h.push({line:x(a[w].map(E=>E??NaN),f,p,v,m),points:x(c[w].map(E=>E??NaN),f,p,v,m)});const g=new this.prototype.constructor;return g.build(h,s,i,1,u,d,o),g}get box(){return l(this,yn)}updateProperty(t,r){return t==="stroke-width"?C(this,Xt,ZN).call(this,r):null}updateParentDimensions([t,r],s){const[i,o]=C(this,Xt,gi).call(this);y(this,Ys,t),y(this,Qs,r),y(this,lh,s);const[a,c]=C(this,Xt,gi).call(this),u=a-i,d=c-o,h=l(this,yn);return h[0]-=u,h[1]-=d,h[2]+=2*u,h[3]+=2*d,h}updateRotation(t){return y(this,Gm,t),{path:{transform:this.rotationTransform}}}get viewBox(){return l(this,yn).map(J.svgRound).join(" ")}get defaultProperties(){const[t,r]=l(this,yn);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`}}}get rotationTransform(){const[,,t,r]=l(this,yn);let s=0,i=0,o=0,a=0,c=0,u=0;switch(l(this,Gm)){case 90:i=r/t,o=-t/r,c=t;break;case 180:s=-1,a=-1,c=t,u=r;break;case 270:i=-r/t,o=t/r,u=r;break;default:return""}return`matrix(${s} ${i} ${o} ${a} ${J.svgRound(c)} ${J.svgRound(u)})`}getPathResizingSVGProperties([t,r,s,i]){const[o,a]=C(this,Xt,gi).call(this),[c,u,d,h]=l(this,yn);if(Math.abs(d-o)<=J.PRECISION||Math.abs(h-a)<=J.PRECISION){const x=t+s/2-(c+d/2),g=r+i/2-(u+h/2);return{path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:`${this.rotationTransform} translate(${x} ${g})`}}}const f=(s-2*o)/(d-2*o),p=(i-2*a)/(h-2*a),v=d/s,m=h/i;return{path:{"transform-origin":`${J.svgRound(c)} ${J.svgRound(u)}`,transform:`${this.rotationTransform} scale(${v} ${m}) translate(${J.svgRound(o)} ${J.svgRound(a)}) scale(${f} ${p}) translate(${J.svgRound(-o)} ${J.svgRound(-a)})`}}}getPathResizedSVGProperties([t,r,s,i]){const[o,a]=C(this,Xt,gi).call(this),c=l(this,yn),[u,d,h,f]=c;if(c[0]=t,c[1]=r,c[2]=s,c[3]=i,Math.abs(h-o)<=J.PRECISION||Math.abs(f-a)<=J.PRECISION){const g=t+s/2-(u+h/2),w=r+i/2-(d+f/2);for(const{line:b,points:E}of l(this,cr))J._translate(b,g,w,b),J._translate(E,g,w,E);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}const p=(s-2*o)/(h-2*o),v=(i-2*a)/(f-2*a),m=-p*(u+o)+t+o,x=-v*(d+a)+r+a;if(p!==1||v!==1||m!==0||x!==0)for(const{line:g,points:w}of l(this,cr))J._rescale(g,m,x,p,v,g),J._rescale(w,m,x,p,v,w);return{root:{viewBox:this.viewBox},path:{"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`,transform:this.rotationTransform||null,d:this.toSVGPath()}}}getPathTranslatedSVGProperties([t,r],s){const[i,o]=s,a=l(this,yn),c=t-a[0],u=r-a[1];if(l(this,Ys)===i&&l(this,Qs)===o)for(const{line:d,points:h}of l(this,cr))J._translate(d,c,u,d),J._translate(h,c,u,h);else{const d=l(this,Ys)/i,h=l(this,Qs)/o;y(this,Ys,i),y(this,Qs,o);for(const{line:f,points:p}of l(this,cr))J._rescale(f,c,u,d,h,f),J._rescale(p,c,u,d,h,p);a[2]*=d,a[3]*=h}return a[0]=t,a[1]=r,{root:{viewBox:this.viewBox},path:{d:this.toSVGPath(),"transform-origin":`${J.svgRound(t)} ${J.svgRound(r)}`}}}get defaultSVGProperties(){const t=l(this,yn);return{root:{viewBox:this.viewBox},rootClass:{draw:!0},path:{d:this.toSVGPath(),"transform-origin":`${J.svgRound(t[0])} ${J.svgRound(t[1])}`,transform:this.rotationTransform||null},bbox:t}}}yn=new WeakMap,Gm=new WeakMap,Wm=new WeakMap,cr=new WeakMap,Ys=new WeakMap,Qs=new WeakMap,lh=new WeakMap,ch=new WeakMap,Ac=new WeakMap,Xt=new WeakSet,gi=function(t=l(this,Ac)){const r=l(this,Wm)+t/2*l(this,lh);return l(this,ch)%180===0?[r/l(this,Ys),r/l(this,Qs)]:[r/l(this,Qs),r/l(this,Ys)]},QN=function(){const[t,r,s,i]=l(this,yn),[o,a]=C(this,Xt,gi).call(this,0);return[t+o,r+a,s-2*o,i-2*a]},JN=function(){const t=y(this,yn,new Float32Array([1/0,1/0,-1/0,-1/0]));for(const{line:i}of l(this,cr)){if(i.length<=12){for(let c=4,u=i.length;c<u;c+=6)ee.pointBoundingBox(i[c],i[c+1],t);continue}let o=i[4],a=i[5];for(let c=6,u=i.length;c<u;c+=6){const[d,h,f,p,v,m]=i.subarray(c,c+6);ee.bezierBoundingBox(o,a,d,h,f,p,v,m,t),o=v,a=m}}const[r,s]=C(this,Xt,gi).call(this);t[0]=bn(t[0]-r,0,1),t[1]=bn(t[1]-s,0,1),t[2]=bn(t[2]+r,0,1),t[3]=bn(t[3]+s,0,1),t[2]-=t[0],t[3]-=t[1]},ZN=function(t){const[r,s]=C(this,Xt,gi).call(this);y(this,Ac,t);const[i,o]=C(this,Xt,gi).call(this),[a,c]=[i-r,o-s],u=l(this,yn);return u[0]-=a,u[1]-=c,u[2]+=2*a,u[3]+=2*c,u};class q0 extends qN{constructor(e){super(),this._viewParameters=e,super.updateProperties({fill:"none",stroke:ze._defaultLineColor,"stroke-opacity":1,"stroke-width":1,"stroke-linecap":"round","stroke-linejoin":"round","stroke-miterlimit":10})}updateSVGProperty(e,t){e==="stroke-width"&&(t??(t=this["stroke-width"]),t*=this._viewParameters.realScale),super.updateSVGProperty(e,t)}clone(){const e=new q0(this._viewParameters);return e.updateAll(this),e}}var a0,eI;const Cu=class Cu extends $v{constructor(t){super({...t,name:"inkEditor"});A(this,a0);this._willKeepAspectRatio=!0,this.defaultL10nId="pdfjs-editor-ink-editor"}static initialize(t,r){ze.initialize(t,r),this._defaultDrawingOptions=new q0(r.viewParameters)}static getDefaultDrawingOptions(t){const r=this._defaultDrawingOptions.clone();return r.updateProperties(t),r}static get supportMultipleDrawings(){return!0}static get typesMap(){return pe(this,"typesMap",new Map([[ve.INK_THICKNESS,"stroke-width"],[ve.INK_COLOR,"stroke"],[ve.INK_OPACITY,"stroke-opacity"]]))}static createDrawerInstance(t,r,s,i,o){return new AH(t,r,s,i,o,this._defaultDrawingOptions["stroke-width"])}static deserializeDraw(t,r,s,i,o,a){return ug.deserialize(t,r,s,i,o,a)}static async deserialize(t,r,s){let i=null;if(t instanceof NA){const{data:{inkLists:a,rect:c,rotation:u,id:d,color:h,opacity:f,borderStyle:{rawWidth:p},popupRef:v,richText:m,contentsObj:x,creationDate:g,modificationDate:w},parent:{page:{pageNumber:b}}}=t;i=t={annotationType:ce.INK,color:Array.from(h),thickness:p,opacity:f,paths:{points:a},boxes:null,pageIndex:b-1,rect:c.slice(0),rotation:u,annotationElementId:d,id:d,deleted:!1,popupRef:v,richText:m,comment:(x==null?void 0:x.str)||null,creationDate:g,modificationDate:w}}const o=await super.deserialize(t,r,s);return o._initialData=i,t.comment&&o.setCommentData(t),o}get toolbarButtons(){return this._colorPicker||(this._colorPicker=new Fv(this)),[["colorPicker",this._colorPicker]]}get colorType(){return ve.INK_COLOR}get color(){return this._drawingOptions.stroke}get opacity(){return this._drawingOptions["stroke-opacity"]}onScaleChanging(){if(!this.parent)return;super.onScaleChanging();const{_drawId:t,_drawingOptions:r,parent:s}=this;r.updateSVGProperty("stroke-width"),s.drawLayer.updateProperties(t,r.toSVGProperties())}static onScaleChangingWhenDrawing(){const t=this._currentParent;t&&(super.onScaleChangingWhenDrawing(),this._defaultDrawingOptions.updateSVGProperty("stroke-width"),t.drawLayer.updateProperties(this._currentDrawId,this._defaultDrawingOptions.toSVGProperties()))}createDrawingOptions({color:t,thickness:r,opacity:s}){this._drawingOptions=Cu.getDefaultDrawingOptions({stroke:ee.makeHexColor(...t),"stroke-width":r,"stroke-opacity":s})}serialize(t=!1){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const{lines:r,points:s}=this.serializeDraw(t),{_drawingOptions:{stroke:i,"stroke-opacity":o,"stroke-width":a}}=this,c=Object.assign(super.serialize(t),{color:ze._colorManager.convert(i),opacity:o,thickness:a,paths:{lines:r,points:s}});return this.addComment(c),t?(c.isCopy=!0,c):this.annotationElementId&&!C(this,a0,eI).call(this,c)?null:(c.id=this.annotationElementId,c)}renderAnnotationElement(t){if(this.deleted)return t.hide(),null;const{points:r,rect:s}=this.serializeDraw(!1);return t.updateEdited({rect:s,thickness:this._drawingOptions["stroke-width"],points:r,popup:this.comment}),null}};a0=new WeakSet,eI=function(t){const{color:r,thickness:s,opacity:i,pageIndex:o}=this._initialData;return this.hasEditedComment||this._hasBeenMoved||this._hasBeenResized||t.color.some((a,c)=>a!==r[c])||t.thickness!==s||t.opacity!==i||t.pageIndex!==o},G(Cu,"_type","ink"),G(Cu,"_editorType",ce.INK),G(Cu,"_defaultDrawingOptions",null);let P1=Cu;class R1 extends ug{toSVGPath(){let e=super.toSVGPath();return e.endsWith("Z")||(e+="Z"),e}}const Qg=8,Yh=3;var Ec,Ce,M1,cs,tI,nI,N1,Wy,rI,sI,iI,I1,L1,oI;class to{static extractContoursFromText(e,{fontFamily:t,fontStyle:r,fontWeight:s},i,o,a,c){let u=new OffscreenCanvas(1,1),d=u.getContext("2d",{alpha:!1});const h=200,f=d.font=`${r} ${s} ${h}px ${t}`,{actualBoundingBoxLeft:p,actualBoundingBoxRight:v,actualBoundingBoxAscent:m,actualBoundingBoxDescent:x,fontBoundingBoxAscent:g,fontBoundingBoxDescent:w,width:b}=d.measureText(e),E=1.5,_=Math.ceil(Math.max(Math.abs(p)+Math.abs(v)||0,b)*E),k=Math.ceil(Math.max(Math.abs(m)+Math.abs(x)||h,Math.abs(g)+Math.abs(w)||h)*E);u=new OffscreenCanvas(_,k),d=u.getContext("2d",{alpha:!0,willReadFrequently:!0}),d.font=f,d.filter="grayscale(1)",d.fillStyle="white",d.fillRect(0,0,_,k),d.fillStyle="black",d.fillText(e,_*(E-1)/2,k*(3-E)/2);const P=C(this,Ce,I1).call(this,d.getImageData(0,0,_,k).data),M=C(this,Ce,iI).call(this,P),D=C(this,Ce,L1).call(this,M),O=C(this,Ce,N1).call(this,P,_,k,D);return this.processDrawnLines({lines:{curves:O,width:_,height:k},pageWidth:i,pageHeight:o,rotation:a,innerMargin:c,mustSmooth:!0,areContours:!0})}static process(e,t,r,s,i){const[o,a,c]=C(this,Ce,oI).call(this,e),[u,d]=C(this,Ce,sI).call(this,o,a,c,Math.hypot(a,c)*l(this,Ec).sigmaSFactor,l(this,Ec).sigmaR,l(this,Ec).kernelSize),h=C(this,Ce,L1).call(this,d),f=C(this,Ce,N1).call(this,u,a,c,h);return this.processDrawnLines({lines:{curves:f,width:a,height:c},pageWidth:t,pageHeight:r,rotation:s,innerMargin:i,mustSmooth:!0,areContours:!0})}static processDrawnLines({lines:e,pageWidth:t,pageHeight:r,rotation:s,innerMargin:i,mustSmooth:o,areContours:a}){s%180!==0&&([t,r]=[r,t]);const{curves:c,width:u,height:d}=e,h=e.thickness??0,f=[],p=Math.min(t/u,r/d),v=p/t,m=p/r,x=[];for(const{points:w}of c){const b=o?C(this,Ce,rI).call(this,w):w;if(!b)continue;x.push(b);const E=b.length,_=new Float32Array(E),k=new Float32Array(3*(E===2?2:E-2));if(f.push({line:k,points:_}),E===2){_[0]=b[0]*v,_[1]=b[1]*m,k.set([NaN,NaN,NaN,NaN,_[0],_[1]],0);continue}let[P,M,D,O]=b;P*=v,M*=m,D*=v,O*=m,_.set([P,M,D,O],0),k.set([NaN,NaN,NaN,NaN,P,M],0);for(let j=4;j<E;j+=2){const U=_[j]=b[j]*v,V=_[j+1]=b[j+1]*m;k.set(J.createBezierPoints(P,M,D,O,U,V),(j-2)*3),[P,M,D,O]=[D,O,U,V]}}if(f.length===0)return null;const g=a?new R1:new ug;return g.build(f,t,r,1,s,a?0:h,i),{outline:g,newCurves:x,areContours:a,thickness:h,width:u,height:d}}static async compressSignature({outlines:e,areContours:t,thickness:r,width:s,height:i}){let o=1/0,a=-1/0,c=0;for(const b of e){c+=b.length;for(let E=2,_=b.length;E<_;E++){const k=b[E]-b[E-2];o=Math.min(o,k),a=Math.max(a,k)}}let u;o>=-128&&a<=127?u=Int8Array:o>=-32768&&a<=32767?u=Int16Array:u=Int32Array;const d=e.length,h=Qg+Yh*d,f=new Uint32Array(h);let p=0;f[p++]=h*Uint32Array.BYTES_PER_ELEMENT+(c-2*d)*u.BYTES_PER_ELEMENT,f[p++]=0,f[p++]=s,f[p++]=i,f[p++]=t?0:1,f[p++]=Math.max(0,Math.floor(r??0)),f[p++]=d,f[p++]=u.BYTES_PER_ELEMENT;for(const b of e)f[p++]=b.length-2,f[p++]=b[0],f[p++]=b[1];const v=new CompressionStream("deflate-raw"),m=v.writable.getWriter();await m.ready,m.write(f);const x=u.prototype.constructor;for(const b of e){const E=new x(b.length-2);for(let _=2,k=b.length;_<k;_++)E[_-2]=b[_]-b[_-2];m.write(E)}m.close();const g=await new Response(v.readable).arrayBuffer(),w=new Uint8Array(g);return o2(w)}static async decompressSignature(e){try{const t=Uz(e),{readable:r,writable:s}=new DecompressionStream("deflate-raw"),i=s.getWriter();await i.ready,i.write(t).then(async()=>{await i.ready,await i.close()}).catch(()=>{});let o=null,a=0;for await(const b of r)o||(o=new Uint8Array(new Uint32Array(b.buffer,0,4)[0])),o.set(b,a),a+=b.length;const c=new Uint32Array(o.buffer,0,o.length>>2),u=c[1];if(u!==0)throw new Error(`Invalid version: ${u}`);const d=c[2],h=c[3],f=c[4]===0,p=c[5],v=c[6],m=c[7],x=[],g=(Qg+Yh*v)*Uint32Array.BYTES_PER_ELEMENT;let w;switch(m){case Int8Array.BYTES_PER_ELEMENT:w=new Int8Array(o.buffer,g);break;case Int16Array.BYTES_PER_ELEMENT:w=new Int16Array(o.buffer,g);break;case Int32Array.BYTES_PER_ELEMENT:w=new Int32Array(o.buffer,g);break}a=0;for(let b=0;b<v;b++){const E=c[Yh*b+Qg],_=new Float32Array(E+2);x.push(_);for(let k=0;k<Yh-1;k++)_[k]=c[Yh*b+Qg+k+1];for(let k=0;k<E;k++)_[k+2]=_[k]+w[a++]}return{areContours:f,thickness:p,outlines:x,width:d,height:h}}catch(t){return ae(`decompressSignature: ${t}`),null}}}Ec=new WeakMap,Ce=new WeakSet,M1=function(e,t,r,s){return r-=e,s-=t,r===0?s>0?0:4:r===1?s+6:2-s},cs=new WeakMap,tI=function(e,t,r,s,i,o,a){const c=C(this,Ce,M1).call(this,r,s,i,o);for(let u=0;u<8;u++){const d=(-u+c-a+16)%8,h=l(this,cs)[2*d],f=l(this,cs)[2*d+1];if(e[(r+h)*t+(s+f)]!==0)return d}return-1},nI=function(e,t,r,s,i,o,a){const c=C(this,Ce,M1).call(this,r,s,i,o);for(let u=0;u<8;u++){const d=(u+c+a+16)%8,h=l(this,cs)[2*d],f=l(this,cs)[2*d+1];if(e[(r+h)*t+(s+f)]!==0)return d}return-1},N1=function(e,t,r,s){const i=e.length,o=new Int32Array(i);for(let d=0;d<i;d++)o[d]=e[d]<=s?1:0;for(let d=1;d<r-1;d++)o[d*t]=o[d*t+t-1]=0;for(let d=0;d<t;d++)o[d]=o[t*r-1-d]=0;let a=1,c;const u=[];for(let d=1;d<r-1;d++){c=1;for(let h=1;h<t-1;h++){const f=d*t+h,p=o[f];if(p===0)continue;let v=d,m=h;if(p===1&&o[f-1]===0)a+=1,m-=1;else if(p>=1&&o[f+1]===0)a+=1,m+=1,p>1&&(c=p);else{p!==1&&(c=Math.abs(p));continue}const x=[h,d],g=m===h+1,w={isHole:g,points:x,id:a,parent:0};u.push(w);let b;for(const j of u)if(j.id===c){b=j;break}b?b.isHole?w.parent=g?b.parent:c:w.parent=g?c:b.parent:w.parent=g?c:0;const E=C(this,Ce,tI).call(this,o,t,d,h,v,m,0);if(E===-1){o[f]=-a,o[f]!==1&&(c=Math.abs(o[f]));continue}let _=l(this,cs)[2*E],k=l(this,cs)[2*E+1];const P=d+_,M=h+k;v=P,m=M;let D=d,O=h;for(;;){const j=C(this,Ce,nI).call(this,o,t,D,O,v,m,1);_=l(this,cs)[2*j],k=l(this,cs)[2*j+1];const U=D+_,V=O+k;x.push(V,U);const $=D*t+O;if(o[$+1]===0?o[$]=-a:o[$]===1&&(o[$]=a),U===d&&V===h&&D===P&&O===M){o[f]!==1&&(c=Math.abs(o[f]));break}else v=D,m=O,D=U,O=V}}}return u},Wy=function(e,t,r,s){if(r-t<=4){for(let P=t;P<r-2;P+=2)s.push(e[P],e[P+1]);return}const i=e[t],o=e[t+1],a=e[r-4]-i,c=e[r-3]-o,u=Math.hypot(a,c),d=a/u,h=c/u,f=d*o-h*i,p=c/a,v=1/u,m=Math.atan(p),x=Math.cos(m),g=Math.sin(m),w=v*(Math.abs(x)+Math.abs(g)),b=v*(1-w+w**2),E=Math.max(Math.atan(Math.abs(g+x)*b),Math.atan(Math.abs(g-x)*b));let _=0,k=t;for(let P=t+2;P<r-2;P+=2){const M=Math.abs(f-d*e[P+1]+h*e[P]);M>_&&(k=P,_=M)}_>(u*E)**2?(C(this,Ce,Wy).call(this,e,t,k+2,s),C(this,Ce,Wy).call(this,e,k,r,s)):s.push(i,o)},rI=function(e){const t=[],r=e.length;return C(this,Ce,Wy).call(this,e,0,r,t),t.push(e[r-2],e[r-1]),t.length<=4?null:t},sI=function(e,t,r,s,i,o){const a=new Float32Array(o**2),c=-2*s**2,u=o>>1;for(let m=0;m<o;m++){const x=(m-u)**2;for(let g=0;g<o;g++)a[m*o+g]=Math.exp((x+(g-u)**2)/c)}const d=new Float32Array(256),h=-2*i**2;for(let m=0;m<256;m++)d[m]=Math.exp(m**2/h);const f=e.length,p=new Uint8Array(f),v=new Uint32Array(256);for(let m=0;m<r;m++)for(let x=0;x<t;x++){const g=m*t+x,w=e[g];let b=0,E=0;for(let k=0;k<o;k++){const P=m+k-u;if(!(P<0||P>=r))for(let M=0;M<o;M++){const D=x+M-u;if(D<0||D>=t)continue;const O=e[P*t+D],j=a[k*o+M]*d[Math.abs(O-w)];b+=O*j,E+=j}}const _=p[g]=Math.round(b/E);v[_]++}return[p,v]},iI=function(e){const t=new Uint32Array(256);for(const r of e)t[r]++;return t},I1=function(e){const t=e.length,r=new Uint8ClampedArray(t>>2);let s=-1/0,i=1/0;for(let a=0,c=r.length;a<c;a++){const u=r[a]=e[a<<2];s=Math.max(s,u),i=Math.min(i,u)}const o=255/(s-i);for(let a=0,c=r.length;a<c;a++)r[a]=(r[a]-i)*o;return r},L1=function(e){let t,r=-1/0,s=-1/0;const i=e.findIndex(c=>c!==0);let o=i,a=i;for(t=i;t<256;t++){const c=e[t];c>r&&(t-o>s&&(s=t-o,a=t-1),r=c,o=t)}for(t=a-1;t>=0&&!(e[t]>e[t+1]);t--);return t},oI=function(e){const t=e,{width:r,height:s}=e,{maxDim:i}=l(this,Ec);let o=r,a=s;if(r>i||s>i){let f=r,p=s,v=Math.log2(Math.max(r,s)/i);const m=Math.floor(v);v=v===m?m-1:m;for(let g=0;g<v;g++){o=Math.ceil(f/2),a=Math.ceil(p/2);const w=new OffscreenCanvas(o,a);w.getContext("2d").drawImage(e,0,0,f,p,0,0,o,a),f=o,p=a,e!==t&&e.close(),e=w.transferToImageBitmap()}const x=Math.min(i/o,i/a);o=Math.round(o*x),a=Math.round(a*x)}const u=new OffscreenCanvas(o,a).getContext("2d",{willReadFrequently:!0});u.fillStyle="white",u.fillRect(0,0,o,a),u.filter="grayscale(1)",u.drawImage(e,0,0,e.width,e.height,0,0,o,a);const d=u.getImageData(0,0,o,a).data;return[C(this,Ce,I1).call(this,d),o,a]},A(to,Ce),A(to,Ec,{maxDim:512,sigmaSFactor:.02,sigmaR:25,kernelSize:16}),A(to,cs,new Int32Array([0,1,-1,1,-1,0,-1,-1,0,-1,1,-1,1,0,1,1]));class IA extends qN{constructor(){super(),super.updateProperties({fill:ze._defaultLineColor,"stroke-width":0})}clone(){const e=new IA;return e.updateAll(this),e}}class LA extends q0{constructor(e){super(e),super.updateProperties({stroke:ze._defaultLineColor,"stroke-width":1})}clone(){const e=new LA(this._viewParameters);return e.updateAll(this),e}}var xa,Js,Sa,Cc;const Wn=class Wn extends $v{constructor(t){super({...t,mustBeCommitted:!0,name:"signatureEditor"});A(this,xa,!1);A(this,Js,null);A(this,Sa,null);A(this,Cc,null);this._willKeepAspectRatio=!0,y(this,Sa,t.signatureData||null),y(this,Js,null),this.defaultL10nId="pdfjs-editor-signature-editor1"}static initialize(t,r){ze.initialize(t,r),this._defaultDrawingOptions=new IA,this._defaultDrawnSignatureOptions=new LA(r.viewParameters)}static getDefaultDrawingOptions(t){const r=this._defaultDrawingOptions.clone();return r.updateProperties(t),r}static get supportMultipleDrawings(){return!1}static get typesMap(){return pe(this,"typesMap",new Map)}static get isDrawer(){return!1}get telemetryFinalData(){return{type:"signature",hasDescription:!!l(this,Js)}}static computeTelemetryFinalData(t){const r=t.get("hasDescription");return{hasAltText:r.get(!0)??0,hasNoAltText:r.get(!1)??0}}get isResizable(){return!0}onScaleChanging(){this._drawId!==null&&super.onScaleChanging()}render(){if(this.div)return this.div;let t,r;const{_isCopy:s}=this;if(s&&(this._isCopy=!1,t=this.x,r=this.y),super.render(),this._drawId===null)if(l(this,Sa)){const{lines:i,mustSmooth:o,areContours:a,description:c,uuid:u,heightInPage:d}=l(this,Sa),{rawDims:{pageWidth:h,pageHeight:f},rotation:p}=this.parent.viewport,v=to.processDrawnLines({lines:i,pageWidth:h,pageHeight:f,rotation:p,innerMargin:Wn._INNER_MARGIN,mustSmooth:o,areContours:a});this.addSignature(v,d,c,u)}else this.div.setAttribute("data-l10n-args",JSON.stringify({description:""})),this.div.hidden=!0,this._uiManager.getSignature(this);else this.div.setAttribute("data-l10n-args",JSON.stringify({description:l(this,Js)||""}));return s&&(this._isCopy=!0,this._moveAfterPaste(t,r)),this.div}setUuid(t){y(this,Cc,t),this.addEditToolbar()}getUuid(){return l(this,Cc)}get description(){return l(this,Js)}set description(t){y(this,Js,t),this.div&&(this.div.setAttribute("data-l10n-args",JSON.stringify({description:t})),super.addEditToolbar().then(r=>{r==null||r.updateEditSignatureButton(t)}))}getSignaturePreview(){const{newCurves:t,areContours:r,thickness:s,width:i,height:o}=l(this,Sa),a=Math.max(i,o),c=to.processDrawnLines({lines:{curves:t.map(u=>({points:u})),thickness:s,width:i,height:o},pageWidth:a,pageHeight:a,rotation:0,innerMargin:0,mustSmooth:!1,areContours:r});return{areContours:r,outline:c.outline}}get toolbarButtons(){return this._uiManager.signatureManager?[["editSignature",this._uiManager.signatureManager]]:super.toolbarButtons}addSignature(t,r,s,i){const{x:o,y:a}=this,{outline:c}=y(this,Sa,t);y(this,xa,c instanceof R1),this.description=s;let u;l(this,xa)?u=Wn.getDefaultDrawingOptions():(u=Wn._defaultDrawnSignatureOptions.clone(),u.updateProperties({"stroke-width":c.thickness})),this._addOutlines({drawOutlines:c,drawingOptions:u});const[,d]=this.pageDimensions;let h=r/d;h=h>=1?.5:h,this.width*=h/this.height,this.width>=1&&(h*=.9/this.width,this.width=.9),this.height=h,this.setDims(),this.x=o,this.y=a,this.center(),this._onResized(),this.onScaleChanging(),this.rotate(),this._uiManager.addToAnnotationStorage(this),this.setUuid(i),this._reportTelemetry({action:"pdfjs.signature.inserted",data:{hasBeenSaved:!!i,hasDescription:!!s}}),this.div.hidden=!1}getFromImage(t){const{rawDims:{pageWidth:r,pageHeight:s},rotation:i}=this.parent.viewport;return to.process(t,r,s,i,Wn._INNER_MARGIN)}getFromText(t,r){const{rawDims:{pageWidth:s,pageHeight:i},rotation:o}=this.parent.viewport;return to.extractContoursFromText(t,r,s,i,o,Wn._INNER_MARGIN)}getDrawnSignature(t){const{rawDims:{pageWidth:r,pageHeight:s},rotation:i}=this.parent.viewport;return to.processDrawnLines({lines:t,pageWidth:r,pageHeight:s,rotation:i,innerMargin:Wn._INNER_MARGIN,mustSmooth:!1,areContours:!1})}createDrawingOptions({areContours:t,thickness:r}){t?this._drawingOptions=Wn.getDefaultDrawingOptions():(this._drawingOptions=Wn._defaultDrawnSignatureOptions.clone(),this._drawingOptions.updateProperties({"stroke-width":r}))}serialize(t=!1){if(this.isEmpty())return null;const{lines:r,points:s}=this.serializeDraw(t),{_drawingOptions:{"stroke-width":i}}=this,o=Object.assign(super.serialize(t),{isSignature:!0,areContours:l(this,xa),color:[0,0,0],thickness:l(this,xa)?0:i});return this.addComment(o),t?(o.paths={lines:r,points:s},o.uuid=l(this,Cc),o.isCopy=!0):o.lines=r,l(this,Js)&&(o.accessibilityData={type:"Figure",alt:l(this,Js)}),o}static deserializeDraw(t,r,s,i,o,a){return a.areContours?R1.deserialize(t,r,s,i,o,a):ug.deserialize(t,r,s,i,o,a)}static async deserialize(t,r,s){var o;const i=await super.deserialize(t,r,s);return y(i,xa,t.areContours),i.description=((o=t.accessibilityData)==null?void 0:o.alt)||"",y(i,Cc,t.uuid),i}};xa=new WeakMap,Js=new WeakMap,Sa=new WeakMap,Cc=new WeakMap,G(Wn,"_type","signature"),G(Wn,"_editorType",ce.SIGNATURE),G(Wn,"_defaultDrawingOptions",null);let D1=Wn;var qe,Dt,Aa,Yi,Ea,uh,Qi,_c,Zs,ur,dh,Se,Af,Ef,Ky,Xy,qy,F1,Yy,aI;class O1 extends ze{constructor(t){super({...t,name:"stampEditor"});A(this,Se);A(this,qe,null);A(this,Dt,null);A(this,Aa,null);A(this,Yi,null);A(this,Ea,null);A(this,uh,"");A(this,Qi,null);A(this,_c,!1);A(this,Zs,null);A(this,ur,!1);A(this,dh,!1);y(this,Yi,t.bitmapUrl),y(this,Ea,t.bitmapFile),this.defaultL10nId="pdfjs-editor-stamp-editor"}static initialize(t,r){ze.initialize(t,r)}static isHandlingMimeForPasting(t){return wx.includes(t)}static paste(t,r){r.pasteEditor({mode:ce.STAMP},{bitmapFile:t.getAsFile()})}altTextFinish(){this._uiManager.useNewAltTextFlow&&(this.div.hidden=!1),super.altTextFinish()}get telemetryFinalData(){var t;return{type:"stamp",hasAltText:!!((t=this.altTextData)!=null&&t.altText)}}static computeTelemetryFinalData(t){const r=t.get("hasAltText");return{hasAltText:r.get(!0)??0,hasNoAltText:r.get(!1)??0}}async mlGuessAltText(t=null,r=!0){if(this.hasAltTextData())return null;const{mlManager:s}=this._uiManager;if(!s)throw new Error("No ML.");if(!await s.isEnabledFor("altText"))throw new Error("ML isn't enabled for alt text.");const{data:i,width:o,height:a}=t||this.copyCanvas(null,null,!0).imageData,c=await s.guess({name:"altText",request:{data:i,width:o,height:a,channels:i.length/(o*a)}});if(!c)throw new Error("No response from the AI service.");if(c.error)throw new Error("Error from the AI service.");if(c.cancel)return null;if(!c.output)throw new Error("No valid response from the AI service.");const u=c.output;return await this.setGuessedAltText(u),r&&!this.hasAltTextData()&&(this.altTextData={alt:u,decorative:!1}),u}remove(){var t;l(this,Dt)&&(y(this,qe,null),this._uiManager.imageManager.deleteId(l(this,Dt)),(t=l(this,Qi))==null||t.remove(),y(this,Qi,null),l(this,Zs)&&(clearTimeout(l(this,Zs)),y(this,Zs,null))),super.remove()}rebuild(){if(!this.parent){l(this,Dt)&&C(this,Se,Ky).call(this);return}super.rebuild(),this.div!==null&&(l(this,Dt)&&l(this,Qi)===null&&C(this,Se,Ky).call(this),this.isAttachedToDOM||this.parent.add(this))}onceAdded(t){this._isDraggable=!0,t&&this.div.focus()}isEmpty(){return!(l(this,Aa)||l(this,qe)||l(this,Yi)||l(this,Ea)||l(this,Dt)||l(this,_c))}get toolbarButtons(){return[["altText",this.createAltText()]]}get isResizable(){return!0}render(){if(this.div)return this.div;let t,r;return this._isCopy&&(t=this.x,r=this.y),super.render(),this.div.hidden=!0,this.createAltText(),l(this,_c)||(l(this,qe)?C(this,Se,Xy).call(this):C(this,Se,Ky).call(this)),this._isCopy&&this._moveAfterPaste(t,r),this._uiManager.addShouldRescale(this),this.div}setCanvas(t,r){const{id:s,bitmap:i}=this._uiManager.imageManager.getFromCanvas(t,r);r.remove(),s&&this._uiManager.imageManager.isValidId(s)&&(y(this,Dt,s),i&&y(this,qe,i),y(this,_c,!1),C(this,Se,Xy).call(this))}_onResized(){this.onScaleChanging()}onScaleChanging(){if(!this.parent)return;l(this,Zs)!==null&&clearTimeout(l(this,Zs)),y(this,Zs,setTimeout(()=>{y(this,Zs,null),C(this,Se,F1).call(this)},200))}copyCanvas(t,r,s=!1){t||(t=224);const{width:i,height:o}=l(this,qe),a=new ai;let c=l(this,qe),u=i,d=o,h=null;if(r){if(i>r||o>r){const P=Math.min(r/i,r/o);u=Math.floor(i*P),d=Math.floor(o*P)}h=document.createElement("canvas");const p=h.width=Math.ceil(u*a.sx),v=h.height=Math.ceil(d*a.sy);l(this,ur)||(c=C(this,Se,qy).call(this,p,v));const m=h.getContext("2d");m.filter=this._uiManager.hcmFilter;let x="white",g="#cfcfd8";this._uiManager.hcmFilter!=="none"?g="black":Wz.isDarkMode&&(x="#8f8f9d",g="#42414d");const w=15,b=w*a.sx,E=w*a.sy,_=new OffscreenCanvas(b*2,E*2),k=_.getContext("2d");k.fillStyle=x,k.fillRect(0,0,b*2,E*2),k.fillStyle=g,k.fillRect(0,0,b,E),k.fillRect(b,E,b,E),m.fillStyle=m.createPattern(_,"repeat"),m.fillRect(0,0,p,v),m.drawImage(c,0,0,c.width,c.height,0,0,p,v)}let f=null;if(s){let p,v;if(a.symmetric&&c.width<t&&c.height<t)p=c.width,v=c.height;else if(c=l(this,qe),i>t||o>t){const g=Math.min(t/i,t/o);p=Math.floor(i*g),v=Math.floor(o*g),l(this,ur)||(c=C(this,Se,qy).call(this,p,v))}const x=new OffscreenCanvas(p,v).getContext("2d",{willReadFrequently:!0});x.drawImage(c,0,0,c.width,c.height,0,0,p,v),f={width:p,height:v,data:x.getImageData(0,0,p,v).data}}return{canvas:h,width:u,height:d,imageData:f}}static async deserialize(t,r,s){var x;let i=null,o=!1;if(t instanceof AN){const{data:{rect:g,rotation:w,id:b,structParent:E,popupRef:_,richText:k,contentsObj:P,creationDate:M,modificationDate:D},container:O,parent:{page:{pageNumber:j}},canvas:U}=t;let V,$;U?(delete t.canvas,{id:V,bitmap:$}=s.imageManager.getFromCanvas(O.id,U),U.remove()):(o=!0,t._hasNoCanvas=!0);const X=((x=await r._structTree.getAriaAttributes(`${CA}${b}`))==null?void 0:x.get("aria-label"))||"";i=t={annotationType:ce.STAMP,bitmapId:V,bitmap:$,pageIndex:j-1,rect:g.slice(0),rotation:w,annotationElementId:b,id:b,deleted:!1,accessibilityData:{decorative:!1,altText:X},isSvg:!1,structParent:E,popupRef:_,richText:k,comment:(P==null?void 0:P.str)||null,creationDate:M,modificationDate:D}}const a=await super.deserialize(t,r,s),{rect:c,bitmap:u,bitmapUrl:d,bitmapId:h,isSvg:f,accessibilityData:p}=t;o?(s.addMissingCanvas(t.id,a),y(a,_c,!0)):h&&s.imageManager.isValidId(h)?(y(a,Dt,h),u&&y(a,qe,u)):y(a,Yi,d),y(a,ur,f);const[v,m]=a.pageDimensions;return a.width=(c[2]-c[0])/v,a.height=(c[3]-c[1])/m,p&&(a.altTextData=p),a._initialData=i,t.comment&&a.setCommentData(t),y(a,dh,!!i),a}serialize(t=!1,r=null){if(this.isEmpty())return null;if(this.deleted)return this.serializeDeleted();const s=Object.assign(super.serialize(t),{bitmapId:l(this,Dt),isSvg:l(this,ur)});if(this.addComment(s),t)return s.bitmapUrl=C(this,Se,Yy).call(this,!0),s.accessibilityData=this.serializeAltText(!0),s.isCopy=!0,s;const{decorative:i,altText:o}=this.serializeAltText(!1);if(!i&&o&&(s.accessibilityData={type:"Figure",alt:o}),this.annotationElementId){const c=C(this,Se,aI).call(this,s);return c.isSame?null:(c.isSameAltText?delete s.accessibilityData:s.accessibilityData.structParent=this._initialData.structParent??-1,s.id=this.annotationElementId,delete s.bitmapId,s)}if(r===null)return s;r.stamps||(r.stamps=new Map);const a=l(this,ur)?(s.rect[2]-s.rect[0])*(s.rect[3]-s.rect[1]):null;if(!r.stamps.has(l(this,Dt)))r.stamps.set(l(this,Dt),{area:a,serialized:s}),s.bitmap=C(this,Se,Yy).call(this,!1);else if(l(this,ur)){const c=r.stamps.get(l(this,Dt));a>c.area&&(c.area=a,c.serialized.bitmap.close(),c.serialized.bitmap=C(this,Se,Yy).call(this,!1))}return s}renderAnnotationElement(t){return this.deleted?(t.hide(),null):(t.updateEdited({rect:this.getPDFRect(),popup:this.comment}),null)}}qe=new WeakMap,Dt=new WeakMap,Aa=new WeakMap,Yi=new WeakMap,Ea=new WeakMap,uh=new WeakMap,Qi=new WeakMap,_c=new WeakMap,Zs=new WeakMap,ur=new WeakMap,dh=new WeakMap,Se=new WeakSet,Af=function(t,r=!1){if(!t){this.remove();return}y(this,qe,t.bitmap),r||(y(this,Dt,t.id),y(this,ur,t.isSvg)),t.file&&y(this,uh,t.file.name),C(this,Se,Xy).call(this)},Ef=function(){if(y(this,Aa,null),this._uiManager.enableWaiting(!1),!!l(this,Qi)){if(this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&l(this,qe)){this.addEditToolbar().then(()=>{this._editToolbar.hide(),this._uiManager.editAltText(this,!0)});return}if(!this._uiManager.useNewAltTextWhenAddingImage&&this._uiManager.useNewAltTextFlow&&l(this,qe)){this._reportTelemetry({action:"pdfjs.image.image_added",data:{alt_text_modal:!1,alt_text_type:"empty"}});try{this.mlGuessAltText()}catch{}}this.div.focus()}},Ky=function(){if(l(this,Dt)){this._uiManager.enableWaiting(!0),this._uiManager.imageManager.getFromId(l(this,Dt)).then(s=>C(this,Se,Af).call(this,s,!0)).finally(()=>C(this,Se,Ef).call(this));return}if(l(this,Yi)){const s=l(this,Yi);y(this,Yi,null),this._uiManager.enableWaiting(!0),y(this,Aa,this._uiManager.imageManager.getFromUrl(s).then(i=>C(this,Se,Af).call(this,i)).finally(()=>C(this,Se,Ef).call(this)));return}if(l(this,Ea)){const s=l(this,Ea);y(this,Ea,null),this._uiManager.enableWaiting(!0),y(this,Aa,this._uiManager.imageManager.getFromFile(s).then(i=>C(this,Se,Af).call(this,i)).finally(()=>C(this,Se,Ef).call(this)));return}const t=document.createElement("input");t.type="file",t.accept=wx.join(",");const r=this._uiManager._signal;y(this,Aa,new Promise(s=>{t.addEventListener("change",async()=>{if(!t.files||t.files.length===0)this.remove();else{this._uiManager.enableWaiting(!0);const i=await this._uiManager.imageManager.getFromFile(t.files[0]);this._reportTelemetry({action:"pdfjs.image.image_selected",data:{alt_text_modal:this._uiManager.useNewAltTextFlow}}),C(this,Se,Af).call(this,i)}s()},{signal:r}),t.addEventListener("cancel",()=>{this.remove(),s()},{signal:r})}).finally(()=>C(this,Se,Ef).call(this))),t.click()},Xy=function(){var u;const{div:t}=this;let{width:r,height:s}=l(this,qe);const[i,o]=this.pageDimensions,a=.75;if(this.width)r=this.width*i,s=this.height*o;else if(r>a*i||s>a*o){const d=Math.min(a*i/r,a*o/s);r*=d,s*=d}this._uiManager.enableWaiting(!1);const c=y(this,Qi,document.createElement("canvas"));c.setAttribute("role","img"),this.addContainer(c),this.width=r/i,this.height=s/o,this.setDims(),(u=this._initialOptions)!=null&&u.isCentered?this.center():this.fixAndSetPosition(),this._initialOptions=null,(!this._uiManager.useNewAltTextWhenAddingImage||!this._uiManager.useNewAltTextFlow||this.annotationElementId)&&(t.hidden=!1),C(this,Se,F1).call(this),l(this,dh)||(this.parent.addUndoableEditor(this),y(this,dh,!0)),this._reportTelemetry({action:"inserted_image"}),l(this,uh)&&this.div.setAttribute("aria-description",l(this,uh)),this.annotationElementId||this._uiManager.a11yAlert("pdfjs-editor-stamp-added-alert")},qy=function(t,r){const{width:s,height:i}=l(this,qe);let o=s,a=i,c=l(this,qe);for(;o>2*t||a>2*r;){const u=o,d=a;o>2*t&&(o=o>=16384?Math.floor(o/2)-1:Math.ceil(o/2)),a>2*r&&(a=a>=16384?Math.floor(a/2)-1:Math.ceil(a/2));const h=new OffscreenCanvas(o,a);h.getContext("2d").drawImage(c,0,0,u,d,0,0,o,a),c=h.transferToImageBitmap()}return c},F1=function(){const[t,r]=this.parentDimensions,{width:s,height:i}=this,o=new ai,a=Math.ceil(s*t*o.sx),c=Math.ceil(i*r*o.sy),u=l(this,Qi);if(!u||u.width===a&&u.height===c)return;u.width=a,u.height=c;const d=l(this,ur)?l(this,qe):C(this,Se,qy).call(this,a,c),h=u.getContext("2d");h.filter=this._uiManager.hcmFilter,h.drawImage(d,0,0,d.width,d.height,0,0,a,c)},Yy=function(t){if(t){if(l(this,ur)){const i=this._uiManager.imageManager.getSvgUrl(l(this,Dt));if(i)return i}const r=document.createElement("canvas");return{width:r.width,height:r.height}=l(this,qe),r.getContext("2d").drawImage(l(this,qe),0,0),r.toDataURL()}if(l(this,ur)){const[r,s]=this.pageDimensions,i=Math.round(this.width*r*Xa.PDF_TO_CSS_UNITS),o=Math.round(this.height*s*Xa.PDF_TO_CSS_UNITS),a=new OffscreenCanvas(i,o);return a.getContext("2d").drawImage(l(this,qe),0,0,l(this,qe).width,l(this,qe).height,0,0,i,o),a.transferToImageBitmap()}return structuredClone(l(this,qe))},aI=function(t){var a;const{pageIndex:r,accessibilityData:{altText:s}}=this._initialData,i=t.pageIndex===r,o=(((a=t.accessibilityData)==null?void 0:a.alt)||"")===s;return{isSame:!this.hasEditedComment&&!this._hasBeenMoved&&!this._hasBeenResized&&i&&o,isSameAltText:o}},G(O1,"_type","stamp"),G(O1,"_editorType",ce.STAMP);var Tc,hh,Ca,_a,Ji,jn,Ta,fh,ph,us,Zi,Ot,eo,ka,mh,ne,Pa,Fe,B1,lI,_s,U1,$1,Qy;const Yr=class Yr{constructor({uiManager:e,pageIndex:t,div:r,structTreeLayer:s,accessibilityManager:i,annotationLayer:o,drawLayer:a,textLayer:c,viewport:u,l10n:d}){A(this,Fe);A(this,Tc);A(this,hh,!1);A(this,Ca,null);A(this,_a,null);A(this,Ji,null);A(this,jn,new Map);A(this,Ta,!1);A(this,fh,!1);A(this,ph,!1);A(this,us,null);A(this,Zi,null);A(this,Ot,null);A(this,eo,null);A(this,ka,null);A(this,mh,-1);A(this,ne);const h=[...l(Yr,Pa).values()];if(!Yr._initialized){Yr._initialized=!0;for(const f of h)f.initialize(d,e)}e.registerEditorTypes(h),y(this,ne,e),this.pageIndex=t,this.div=r,y(this,Tc,i),y(this,Ca,o),this.viewport=u,y(this,Ot,c),this.drawLayer=a,this._structTree=s,l(this,ne).addLayer(this)}get isEmpty(){return l(this,jn).size===0}get isInvisible(){return this.isEmpty&&l(this,ne).getMode()===ce.NONE}updateToolbar(e){l(this,ne).updateToolbar(e)}updateMode(e=l(this,ne).getMode()){switch(C(this,Fe,Qy).call(this),e){case ce.NONE:this.div.classList.toggle("nonEditing",!0),this.disableTextSelection(),this.togglePointerEvents(!1),this.toggleAnnotationLayerPointerEvents(!0),this.disableClick();return;case ce.INK:this.disableTextSelection(),this.togglePointerEvents(!0),this.enableClick();break;case ce.HIGHLIGHT:this.enableTextSelection(),this.togglePointerEvents(!1),this.disableClick();break;default:this.disableTextSelection(),this.togglePointerEvents(!0),this.enableClick()}this.toggleAnnotationLayerPointerEvents(!1);const{classList:t}=this.div;if(t.toggle("nonEditing",!1),e===ce.POPUP)t.toggle("commentEditing",!0);else{t.toggle("commentEditing",!1);for(const r of l(Yr,Pa).values())t.toggle(`${r._type}Editing`,e===r._editorType)}this.div.hidden=!1}hasTextLayer(e){var t;return e===((t=l(this,Ot))==null?void 0:t.div)}setEditingState(e){l(this,ne).setEditingState(e)}addCommands(e){l(this,ne).addCommands(e)}cleanUndoStack(e){l(this,ne).cleanUndoStack(e)}toggleDrawing(e=!1){this.div.classList.toggle("drawing",!e)}togglePointerEvents(e=!1){this.div.classList.toggle("disabled",!e)}toggleAnnotationLayerPointerEvents(e=!1){var t;(t=l(this,Ca))==null||t.div.classList.toggle("disabled",!e)}async enable(){var r;y(this,ph,!0),this.div.tabIndex=0,this.togglePointerEvents(!0),this.div.classList.toggle("nonEditing",!1),(r=l(this,ka))==null||r.abort(),y(this,ka,null);const e=new Set;for(const s of l(this,Fe,B1))s.enableEditing(),s.show(!0),s.annotationElementId&&(l(this,ne).removeChangedExistingAnnotation(s),e.add(s.annotationElementId));const t=l(this,Ca);if(t)for(const s of t.getEditableAnnotations()){if(s.hide(),l(this,ne).isDeletedAnnotationElement(s.data.id)||e.has(s.data.id))continue;const i=await this.deserialize(s);i&&(this.addOrRebuild(i),i.enableEditing())}y(this,ph,!1),l(this,ne)._eventBus.dispatch("editorsrendered",{source:this,pageNumber:this.pageIndex+1})}disable(){var r;if(y(this,fh,!0),this.div.tabIndex=-1,this.togglePointerEvents(!1),this.div.classList.toggle("nonEditing",!0),l(this,Ot)&&!l(this,ka)){y(this,ka,new AbortController);const s=l(this,ne).combinedSignal(l(this,ka));l(this,Ot).div.addEventListener("pointerdown",i=>{const{clientX:a,clientY:c,timeStamp:u}=i,d=l(this,mh);if(u-d>500){y(this,mh,u);return}y(this,mh,-1);const{classList:h}=this.div;h.toggle("getElements",!0);const f=document.elementsFromPoint(a,c);if(h.toggle("getElements",!1),!this.div.contains(f[0]))return;let p;const v=new RegExp(`^${op}[0-9]+$`);for(const x of f)if(v.test(x.id)){p=x.id;break}if(!p)return;const m=l(this,jn).get(p);(m==null?void 0:m.annotationElementId)===null&&(i.stopPropagation(),i.preventDefault(),m.dblclick(i))},{signal:s,capture:!0})}const e=l(this,Ca);if(e){const s=new Map,i=new Map;for(const a of l(this,Fe,B1)){if(a.disableEditing(),!a.annotationElementId){a.updateFakeAnnotationElement(e);continue}if(a.serialize()!==null){s.set(a.annotationElementId,a);continue}else i.set(a.annotationElementId,a);(r=this.getEditableAnnotation(a.annotationElementId))==null||r.show(),a.remove()}const o=e.getEditableAnnotations();for(const a of o){const{id:c}=a.data;if(l(this,ne).isDeletedAnnotationElement(c)){a.updateEdited({deleted:!0});continue}let u=i.get(c);if(u){u.resetAnnotationElement(a),u.show(!1),a.show();continue}u=s.get(c),u&&(l(this,ne).addChangedExistingAnnotation(u),u.renderAnnotationElement(a)&&u.show(!1)),a.show()}}C(this,Fe,Qy).call(this),this.isEmpty&&(this.div.hidden=!0);const{classList:t}=this.div;for(const s of l(Yr,Pa).values())t.remove(`${s._type}Editing`);this.disableTextSelection(),this.toggleAnnotationLayerPointerEvents(!0),y(this,fh,!1)}getEditableAnnotation(e){var t;return((t=l(this,Ca))==null?void 0:t.getEditableAnnotation(e))||null}setActiveEditor(e){l(this,ne).getActive()!==e&&l(this,ne).setActiveEditor(e)}enableTextSelection(){var e;if(this.div.tabIndex=-1,(e=l(this,Ot))!=null&&e.div&&!l(this,eo)){y(this,eo,new AbortController);const t=l(this,ne).combinedSignal(l(this,eo));l(this,Ot).div.addEventListener("pointerdown",C(this,Fe,lI).bind(this),{signal:t}),l(this,Ot).div.classList.add("highlighting")}}disableTextSelection(){var e;this.div.tabIndex=0,(e=l(this,Ot))!=null&&e.div&&l(this,eo)&&(l(this,eo).abort(),y(this,eo,null),l(this,Ot).div.classList.remove("highlighting"))}enableClick(){if(l(this,_a))return;y(this,_a,new AbortController);const e=l(this,ne).combinedSignal(l(this,_a));this.div.addEventListener("pointerdown",this.pointerdown.bind(this),{signal:e});const t=this.pointerup.bind(this);this.div.addEventListener("pointerup",t,{signal:e}),this.div.addEventListener("pointercancel",t,{signal:e})}disableClick(){var e;(e=l(this,_a))==null||e.abort(),y(this,_a,null)}attach(e){l(this,jn).set(e.id,e);const{annotationElementId:t}=e;t&&l(this,ne).isDeletedAnnotationElement(t)&&l(this,ne).removeDeletedAnnotationElement(e)}detach(e){var t;l(this,jn).delete(e.id),(t=l(this,Tc))==null||t.removePointerInTextLayer(e.contentDiv),!l(this,fh)&&e.annotationElementId&&l(this,ne).addDeletedAnnotationElement(e)}remove(e){this.detach(e),l(this,ne).removeEditor(e),e.div.remove(),e.isAttachedToDOM=!1}changeParent(e){var t;e.parent!==this&&(e.parent&&e.annotationElementId&&(l(this,ne).addDeletedAnnotationElement(e.annotationElementId),ze.deleteAnnotationElement(e),e.annotationElementId=null),this.attach(e),(t=e.parent)==null||t.detach(e),e.setParent(this),e.div&&e.isAttachedToDOM&&(e.div.remove(),this.div.append(e.div)))}add(e){if(!(e.parent===this&&e.isAttachedToDOM)){if(this.changeParent(e),l(this,ne).addEditor(e),this.attach(e),!e.isAttachedToDOM){const t=e.render();this.div.append(t),e.isAttachedToDOM=!0}e.fixAndSetPosition(),e.onceAdded(!l(this,ph)),l(this,ne).addToAnnotationStorage(e),e._reportTelemetry(e.telemetryInitialData)}}moveEditorInDOM(e){var r;if(!e.isAttachedToDOM)return;const{activeElement:t}=document;e.div.contains(t)&&!l(this,Ji)&&(e._focusEventsAllowed=!1,y(this,Ji,setTimeout(()=>{y(this,Ji,null),e.div.contains(document.activeElement)?e._focusEventsAllowed=!0:(e.div.addEventListener("focusin",()=>{e._focusEventsAllowed=!0},{once:!0,signal:l(this,ne)._signal}),t.focus())},0))),e._structTreeParentId=(r=l(this,Tc))==null?void 0:r.moveElementInDOM(this.div,e.div,e.contentDiv,!0)}addOrRebuild(e){e.needsToBeRebuilt()?(e.parent||(e.parent=this),e.rebuild(),e.show()):this.add(e)}addUndoableEditor(e){const t=()=>e._uiManager.rebuild(e),r=()=>{e.remove()};this.addCommands({cmd:t,undo:r,mustExec:!1})}getEditorByUID(e){for(const t of l(this,jn).values())if(t.uid===e)return t;return null}getNextId(){return l(this,ne).getId()}combinedSignal(e){return l(this,ne).combinedSignal(e)}canCreateNewEmptyEditor(){var e;return(e=l(this,Fe,_s))==null?void 0:e.canCreateNewEmptyEditor()}async pasteEditor(e,t){this.updateToolbar(e),await l(this,ne).updateMode(e.mode);const{offsetX:r,offsetY:s}=C(this,Fe,$1).call(this),i=this.getNextId(),o=C(this,Fe,U1).call(this,{parent:this,id:i,x:r,y:s,uiManager:l(this,ne),isCentered:!0,...t});o&&this.add(o)}async deserialize(e){var t;return await((t=l(Yr,Pa).get(e.annotationType??e.annotationEditorType))==null?void 0:t.deserialize(e,this,l(this,ne)))||null}createAndAddNewEditor(e,t,r={}){const s=this.getNextId(),i=C(this,Fe,U1).call(this,{parent:this,id:s,x:e.offsetX,y:e.offsetY,uiManager:l(this,ne),isCentered:t,...r});return i&&this.add(i),i}get boundingClientRect(){return this.div.getBoundingClientRect()}addNewEditor(e={}){this.createAndAddNewEditor(C(this,Fe,$1).call(this),!0,e)}setSelected(e){l(this,ne).setSelected(e)}toggleSelected(e){l(this,ne).toggleSelected(e)}unselect(e){l(this,ne).unselect(e)}pointerup(e){var s;const{isMac:t}=Qt.platform;if(e.button!==0||e.ctrlKey&&t||e.target!==this.div||!l(this,Ta)||(y(this,Ta,!1),(s=l(this,Fe,_s))!=null&&s.isDrawer&&l(this,Fe,_s).supportMultipleDrawings))return;if(!l(this,hh)){y(this,hh,!0);return}const r=l(this,ne).getMode();if(r===ce.STAMP||r===ce.SIGNATURE){l(this,ne).unselectAll();return}this.createAndAddNewEditor(e,!1)}pointerdown(e){var s;if(l(this,ne).getMode()===ce.HIGHLIGHT&&this.enableTextSelection(),l(this,Ta)){y(this,Ta,!1);return}const{isMac:t}=Qt.platform;if(e.button!==0||e.ctrlKey&&t||e.target!==this.div)return;if(y(this,Ta,!0),(s=l(this,Fe,_s))!=null&&s.isDrawer){this.startDrawingSession(e);return}const r=l(this,ne).getActive();y(this,hh,!r||r.isEmpty())}startDrawingSession(e){if(this.div.focus({preventScroll:!0}),l(this,us)){l(this,Fe,_s).startDrawing(this,l(this,ne),!1,e);return}l(this,ne).setCurrentDrawingSession(this),y(this,us,new AbortController);const t=l(this,ne).combinedSignal(l(this,us));this.div.addEventListener("blur",({relatedTarget:r})=>{r&&!this.div.contains(r)&&(y(this,Zi,null),this.commitOrRemove())},{signal:t}),l(this,Fe,_s).startDrawing(this,l(this,ne),!1,e)}pause(e){if(e){const{activeElement:t}=document;this.div.contains(t)&&y(this,Zi,t);return}l(this,Zi)&&setTimeout(()=>{var t;(t=l(this,Zi))==null||t.focus(),y(this,Zi,null)},0)}endDrawingSession(e=!1){return l(this,us)?(l(this,ne).setCurrentDrawingSession(null),l(this,us).abort(),y(this,us,null),y(this,Zi,null),l(this,Fe,_s).endDrawing(e)):null}findNewParent(e,t,r){const s=l(this,ne).findParent(t,r);return s===null||s===this?!1:(s.changeParent(e),!0)}commitOrRemove(){return l(this,us)?(this.endDrawingSession(),!0):!1}onScaleChanging(){l(this,us)&&l(this,Fe,_s).onScaleChangingWhenDrawing(this)}destroy(){var e,t;this.commitOrRemove(),((e=l(this,ne).getActive())==null?void 0:e.parent)===this&&(l(this,ne).commitOrRemove(),l(this,ne).setActiveEditor(null)),l(this,Ji)&&(clearTimeout(l(this,Ji)),y(this,Ji,null));for(const r of l(this,jn).values())(t=l(this,Tc))==null||t.removePointerInTextLayer(r.contentDiv),r.setParent(null),r.isAttachedToDOM=!1,r.div.remove();this.div=null,l(this,jn).clear(),l(this,ne).removeLayer(this)}render({viewport:e}){this.viewport=e,Fc(this.div,e);for(const t of l(this,ne).getEditors(this.pageIndex))this.add(t),t.rebuild();this.updateMode()}update({viewport:e}){l(this,ne).commitOrRemove(),C(this,Fe,Qy).call(this);const t=this.viewport.rotation,r=e.rotation;if(this.viewport=e,Fc(this.div,{rotation:r}),t!==r)for(const s of l(this,jn).values())s.rotate(r)}get pageDimensions(){const{pageWidth:e,pageHeight:t}=this.viewport.rawDims;return[e,t]}get scale(){return l(this,ne).viewParameters.realScale}};Tc=new WeakMap,hh=new WeakMap,Ca=new WeakMap,_a=new WeakMap,Ji=new WeakMap,jn=new WeakMap,Ta=new WeakMap,fh=new WeakMap,ph=new WeakMap,us=new WeakMap,Zi=new WeakMap,Ot=new WeakMap,eo=new WeakMap,ka=new WeakMap,mh=new WeakMap,ne=new WeakMap,Pa=new WeakMap,Fe=new WeakSet,B1=function(){return l(this,jn).size!==0?l(this,jn).values():l(this,ne).getEditors(this.pageIndex)},lI=function(e){l(this,ne).unselectAll();const{target:t}=e;if(t===l(this,Ot).div||(t.getAttribute("role")==="img"||t.classList.contains("endOfContent"))&&l(this,Ot).div.contains(t)){const{isMac:r}=Qt.platform;if(e.button!==0||e.ctrlKey&&r)return;l(this,ne).showAllEditors("highlight",!0,!0),l(this,Ot).div.classList.add("free"),this.toggleDrawing(),Uv.startHighlighting(this,l(this,ne).direction==="ltr",{target:l(this,Ot).div,x:e.x,y:e.y}),l(this,Ot).div.addEventListener("pointerup",()=>{l(this,Ot).div.classList.remove("free"),this.toggleDrawing(!0)},{once:!0,signal:l(this,ne)._signal}),e.preventDefault()}},_s=function(){return l(Yr,Pa).get(l(this,ne).getMode())},U1=function(e){const t=l(this,Fe,_s);return t?new t.prototype.constructor(e):null},$1=function(){const{x:e,y:t,width:r,height:s}=this.boundingClientRect,i=Math.max(0,e),o=Math.max(0,t),a=Math.min(window.innerWidth,e+r),c=Math.min(window.innerHeight,t+s),u=(i+a)/2-e,d=(o+c)/2-t,[h,f]=this.viewport.rotation%180===0?[u,d]:[d,u];return{offsetX:h,offsetY:f}},Qy=function(){for(const e of l(this,jn).values())e.isEmpty()&&e.remove()},G(Yr,"_initialized",!1),A(Yr,Pa,new Map([w1,P1,O1,Uv,D1].map(e=>[e._editorType,e])));let j1=Yr;var ds,vn,kc,Km,l0,cI,li,H1,uI,V1;const Et=class Et{constructor({pageIndex:e}){A(this,li);A(this,ds,null);A(this,vn,new Map);A(this,kc,new Map);this.pageIndex=e}setParent(e){if(!l(this,ds)){y(this,ds,e);return}if(l(this,ds)!==e){if(l(this,vn).size>0)for(const t of l(this,vn).values())t.remove(),e.append(t);y(this,ds,e)}}static get _svgFactory(){return pe(this,"_svgFactory",new jv)}draw(e,t=!1,r=!1){const s=ot(Et,Km)._++,i=C(this,li,H1).call(this),o=Et._svgFactory.createElement("defs");i.append(o);const a=Et._svgFactory.createElement("path");o.append(a);const c=`path_p${this.pageIndex}_${s}`;a.setAttribute("id",c),a.setAttribute("vector-effect","non-scaling-stroke"),t&&l(this,kc).set(s,a);const u=r?C(this,li,uI).call(this,o,c):null,d=Et._svgFactory.createElement("use");return i.append(d),d.setAttribute("href",`#${c}`),this.updateProperties(i,e),l(this,vn).set(s,i),{id:s,clipPathId:`url(#${u})`}}drawOutline(e,t){const r=ot(Et,Km)._++,s=C(this,li,H1).call(this),i=Et._svgFactory.createElement("defs");s.append(i);const o=Et._svgFactory.createElement("path");i.append(o);const a=`path_p${this.pageIndex}_${r}`;o.setAttribute("id",a),o.setAttribute("vector-effect","non-scaling-stroke");let c;if(t){const h=Et._svgFactory.createElement("mask");i.append(h),c=`mask_p${this.pageIndex}_${r}`,h.setAttribute("id",c),h.setAttribute("maskUnits","objectBoundingBox");const f=Et._svgFactory.createElement("rect");h.append(f),f.setAttribute("width","1"),f.setAttribute("height","1"),f.setAttribute("fill","white");const p=Et._svgFactory.createElement("use");h.append(p),p.setAttribute("href",`#${a}`),p.setAttribute("stroke","none"),p.setAttribute("fill","black"),p.setAttribute("fill-rule","nonzero"),p.classList.add("mask")}const u=Et._svgFactory.createElement("use");s.append(u),u.setAttribute("href",`#${a}`),c&&u.setAttribute("mask",`url(#${c})`);const d=u.cloneNode();return s.append(d),u.classList.add("mainOutline"),d.classList.add("secondaryOutline"),this.updateProperties(s,e),l(this,vn).set(r,s),r}finalizeDraw(e,t){l(this,kc).delete(e),this.updateProperties(e,t)}updateProperties(e,t){var c;if(!t)return;const{root:r,bbox:s,rootClass:i,path:o}=t,a=typeof e=="number"?l(this,vn).get(e):e;if(a){if(r&&C(this,li,V1).call(this,a,r),s&&C(c=Et,l0,cI).call(c,a,s),i){const{classList:u}=a;for(const[d,h]of Object.entries(i))u.toggle(d,h)}if(o){const d=a.firstChild.firstChild;C(this,li,V1).call(this,d,o)}}}updateParent(e,t){if(t===this)return;const r=l(this,vn).get(e);r&&(l(t,ds).append(r),l(this,vn).delete(e),l(t,vn).set(e,r))}remove(e){l(this,kc).delete(e),l(this,ds)!==null&&(l(this,vn).get(e).remove(),l(this,vn).delete(e))}destroy(){y(this,ds,null);for(const e of l(this,vn).values())e.remove();l(this,vn).clear(),l(this,kc).clear()}};ds=new WeakMap,vn=new WeakMap,kc=new WeakMap,Km=new WeakMap,l0=new WeakSet,cI=function(e,[t,r,s,i]){const{style:o}=e;o.top=`${100*r}%`,o.left=`${100*t}%`,o.width=`${100*s}%`,o.height=`${100*i}%`},li=new WeakSet,H1=function(){const e=Et._svgFactory.create(1,1,!0);return l(this,ds).append(e),e.setAttribute("aria-hidden",!0),e},uI=function(e,t){const r=Et._svgFactory.createElement("clipPath");e.append(r);const s=`clip_${t}`;r.setAttribute("id",s),r.setAttribute("clipPathUnits","objectBoundingBox");const i=Et._svgFactory.createElement("use");return r.append(i),i.setAttribute("href",`#${t}`),i.classList.add("clip"),s},V1=function(e,t){for(const[r,s]of Object.entries(t))s===null?e.removeAttribute(r):e.setAttribute(r,s)},A(Et,l0),A(Et,Km,0);let z1=Et;globalThis._pdfjsTestingUtils={HighlightOutliner:x1};globalThis.pdfjsLib={AbortException:Ka,AnnotationEditorLayer:j1,AnnotationEditorParamsType:ve,AnnotationEditorType:ce,AnnotationEditorUIManager:jc,AnnotationLayer:g1,AnnotationMode:Ro,AnnotationType:vt,applyOpacity:Xz,build:eH,ColorPicker:Ov,createValidAbsoluteUrl:n2,CSSConstants:Kz,DOMSVGFactory:jv,DrawLayer:z1,FeatureTest:Qt,fetchData:ig,findContrastColor:qz,getDocument:aN,getFilenameFromUrl:$z,getPdfFilenameFromUrl:zz,getRGB:ag,getUuid:i2,getXfaPageViewport:Vz,GlobalWorkerOptions:ni,ImageKind:wy,InvalidPDFException:yx,isDataScheme:K0,isPdfFile:TA,isValidExplicitDest:i5,MathClamp:bn,noContextMenu:Kr,normalizeUnicode:jz,OPS:ap,OutputScale:ai,PasswordResponses:Pz,PDFDataRangeTransport:lN,PDFDateString:Rv,PDFWorker:up,PermissionFlag:kz,PixelsPerInch:Xa,RenderingCancelledException:_A,renderRichText:l2,ResponseException:Pv,setLayerDimensions:Fc,shadow:pe,SignatureExtractor:to,stopEvent:ft,SupportedImageMimeTypes:wx,TextLayer:cp,TouchManager:Nv,updateUrlHash:r2,Util:ee,VerbosityLevel:V0,version:dN,XfaLayer:a2};ni.workerSrc=new URL("pdf.worker.min.mjs",import.meta.url).href;async function EH(n){return new Promise((e,t)=>{const r=new FileReader;r.onload=()=>{const s=r.result.split(",")[1];e(s)},r.onerror=t,r.readAsDataURL(n)})}async function dI(n,e){try{return(await Tz.recognize(n,"eng",{logger:r=>{r.status==="recognizing text"&&e&&e(Math.round(r.progress*100))}})).data.text.trim()}catch(t){return console.error("OCR error for image:",t),""}}async function CH(n,e){try{const t=await n.arrayBuffer(),s=await aN({data:t}).promise,i=s.numPages,o=[];for(let a=1;a<=i;a++){e&&e(Math.round(a/i*100));const c=await s.getPage(a),d=(await c.getTextContent()).items.map(h=>h.str).join(" ");if(d.trim())o.push(d);else{const h=c.getViewport({scale:2}),f=document.createElement("canvas"),p=f.getContext("2d");if(p){f.height=h.height,f.width=h.width,await c.render({canvasContext:p,viewport:h,canvas:f}).promise;const v=await new Promise(g=>{f.toBlob(w=>g(w),"image/png")}),m=new File([v],`page-${a}.png`,{type:"image/png"}),x=await dI(m);x&&o.push(x)}}}return o.join(`
 
 `).trim()}catch(t){return console.error("OCR error for PDF:",t),""}}async function _H(n,e){var t;try{e&&e(10);const r=await EH(n);e&&e(30);const s=await fetch("/api/transcribe",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({audio:r,filename:n.name,mimeType:n.type})});if(e&&e(80),!s.ok){const o=await s.json();return console.error("Transcription API error:",o),""}const i=await s.json();return e&&e(100),((t=i.text)==null?void 0:t.trim())||""}catch(r){return console.error("Transcription error for audio:",r),""}}async function TH(n,e){const t=n.type.toLowerCase(),r=n.name.toLowerCase(),s=["audio/ogg","audio/opus","audio/mpeg","audio/mp3","audio/mp4","audio/x-m4a","audio/wav","audio/webm"],i=/\.(ogg|opus|mp3|m4a|wav|webm)$/;return s.includes(t)||i.test(r)?_H(n,e):t==="application/pdf"||r.endsWith(".pdf")?CH(n,e):t.startsWith("image/")||r.match(/\.(jpg|jpeg|png|gif|bmp|tiff|webp)$/)?dI(n,e):(console.warn("Unsupported file type for OCR:",t,r),"")}var dg={},kH=function(){return typeof Promise=="function"&&Promise.prototype&&Promise.prototype.then},hI={},Ar={};let DA;const PH=[0,26,44,70,100,134,172,196,242,292,346,404,466,532,581,655,733,815,901,991,1085,1156,1258,1364,1474,1588,1706,1828,1921,2051,2185,2323,2465,2611,2761,2876,3034,3196,3362,3532,3706];Ar.getSymbolSize=function(e){if(!e)throw new Error('"version" cannot be null or undefined');if(e<1||e>40)throw new Error('"version" should be in range from 1 to 40');return e*4+17};Ar.getSymbolTotalCodewords=function(e){return PH[e]};Ar.getBCHDigit=function(n){let e=0;for(;n!==0;)e++,n>>>=1;return e};Ar.setToSJISFunction=function(e){if(typeof e!="function")throw new Error('"toSJISFunc" is not a valid function.');DA=e};Ar.isKanjiModeEnabled=function(){return typeof DA<"u"};Ar.toSJIS=function(e){return DA(e)};var Y0={};(function(n){n.L={bit:1},n.M={bit:0},n.Q={bit:3},n.H={bit:2};function e(t){if(typeof t!="string")throw new Error("Param is not a string");switch(t.toLowerCase()){case"l":case"low":return n.L;case"m":case"medium":return n.M;case"q":case"quartile":return n.Q;case"h":case"high":return n.H;default:throw new Error("Unknown EC Level: "+t)}}n.isValid=function(r){return r&&typeof r.bit<"u"&&r.bit>=0&&r.bit<4},n.from=function(r,s){if(n.isValid(r))return r;try{return e(r)}catch{return s}}})(Y0);function fI(){this.buffer=[],this.length=0}fI.prototype={get:function(n){const e=Math.floor(n/8);return(this.buffer[e]>>>7-n%8&1)===1},put:function(n,e){for(let t=0;t<e;t++)this.putBit((n>>>e-t-1&1)===1)},getLengthInBits:function(){return this.length},putBit:function(n){const e=Math.floor(this.length/8);this.buffer.length<=e&&this.buffer.push(0),n&&(this.buffer[e]|=128>>>this.length%8),this.length++}};var RH=fI;function hg(n){if(!n||n<1)throw new Error("BitMatrix size must be defined and greater than 0");this.size=n,this.data=new Uint8Array(n*n),this.reservedBit=new Uint8Array(n*n)}hg.prototype.set=function(n,e,t,r){const s=n*this.size+e;this.data[s]=t,r&&(this.reservedBit[s]=!0)};hg.prototype.get=function(n,e){return this.data[n*this.size+e]};hg.prototype.xor=function(n,e,t){this.data[n*this.size+e]^=t};hg.prototype.isReserved=function(n,e){return this.reservedBit[n*this.size+e]};var MH=hg,pI={};(function(n){const e=Ar.getSymbolSize;n.getRowColCoords=function(r){if(r===1)return[];const s=Math.floor(r/7)+2,i=e(r),o=i===145?26:Math.ceil((i-13)/(2*s-2))*2,a=[i-7];for(let c=1;c<s-1;c++)a[c]=a[c-1]-o;return a.push(6),a.reverse()},n.getPositions=function(r){const s=[],i=n.getRowColCoords(r),o=i.length;for(let a=0;a<o;a++)for(let c=0;c<o;c++)a===0&&c===0||a===0&&c===o-1||a===o-1&&c===0||s.push([i[a],i[c]]);return s}})(pI);var mI={};const NH=Ar.getSymbolSize,L_=7;mI.getPositions=function(e){const t=NH(e);return[[0,0],[t-L_,0],[0,t-L_]]};var gI={};(function(n){n.Patterns={PATTERN000:0,PATTERN001:1,PATTERN010:2,PATTERN011:3,PATTERN100:4,PATTERN101:5,PATTERN110:6,PATTERN111:7};const e={N1:3,N2:3,N3:40,N4:10};n.isValid=function(s){return s!=null&&s!==""&&!isNaN(s)&&s>=0&&s<=7},n.from=function(s){return n.isValid(s)?parseInt(s,10):void 0},n.getPenaltyN1=function(s){const i=s.size;let o=0,a=0,c=0,u=null,d=null;for(let h=0;h<i;h++){a=c=0,u=d=null;for(let f=0;f<i;f++){let p=s.get(h,f);p===u?a++:(a>=5&&(o+=e.N1+(a-5)),u=p,a=1),p=s.get(f,h),p===d?c++:(c>=5&&(o+=e.N1+(c-5)),d=p,c=1)}a>=5&&(o+=e.N1+(a-5)),c>=5&&(o+=e.N1+(c-5))}return o},n.getPenaltyN2=function(s){const i=s.size;let o=0;for(let a=0;a<i-1;a++)for(let c=0;c<i-1;c++){const u=s.get(a,c)+s.get(a,c+1)+s.get(a+1,c)+s.get(a+1,c+1);(u===4||u===0)&&o++}return o*e.N2},n.getPenaltyN3=function(s){const i=s.size;let o=0,a=0,c=0;for(let u=0;u<i;u++){a=c=0;for(let d=0;d<i;d++)a=a<<1&2047|s.get(u,d),d>=10&&(a===1488||a===93)&&o++,c=c<<1&2047|s.get(d,u),d>=10&&(c===1488||c===93)&&o++}return o*e.N3},n.getPenaltyN4=function(s){let i=0;const o=s.data.length;for(let c=0;c<o;c++)i+=s.data[c];return Math.abs(Math.ceil(i*100/o/5)-10)*e.N4};function t(r,s,i){switch(r){case n.Patterns.PATTERN000:return(s+i)%2===0;case n.Patterns.PATTERN001:return s%2===0;case n.Patterns.PATTERN010:return i%3===0;case n.Patterns.PATTERN011:return(s+i)%3===0;case n.Patterns.PATTERN100:return(Math.floor(s/2)+Math.floor(i/3))%2===0;case n.Patterns.PATTERN101:return s*i%2+s*i%3===0;case n.Patterns.PATTERN110:return(s*i%2+s*i%3)%2===0;case n.Patterns.PATTERN111:return(s*i%3+(s+i)%2)%2===0;default:throw new Error("bad maskPattern:"+r)}}n.applyMask=function(s,i){const o=i.size;for(let a=0;a<o;a++)for(let c=0;c<o;c++)i.isReserved(c,a)||i.xor(c,a,t(s,c,a))},n.getBestMask=function(s,i){const o=Object.keys(n.Patterns).length;let a=0,c=1/0;for(let u=0;u<o;u++){i(u),n.applyMask(u,s);const d=n.getPenaltyN1(s)+n.getPenaltyN2(s)+n.getPenaltyN3(s)+n.getPenaltyN4(s);n.applyMask(u,s),d<c&&(c=d,a=u)}return a}})(gI);var Q0={};const Na=Y0,Jg=[1,1,1,1,1,1,1,1,1,1,2,2,1,2,2,4,1,2,4,4,2,4,4,4,2,4,6,5,2,4,6,6,2,5,8,8,4,5,8,8,4,5,8,11,4,8,10,11,4,9,12,16,4,9,16,16,6,10,12,18,6,10,17,16,6,11,16,19,6,13,18,21,7,14,21,25,8,16,20,25,8,17,23,25,9,17,23,34,9,18,25,30,10,20,27,32,12,21,29,35,12,23,34,37,12,25,34,40,13,26,35,42,14,28,38,45,15,29,40,48,16,31,43,51,17,33,45,54,18,35,48,57,19,37,51,60,19,38,53,63,20,40,56,66,21,43,59,70,22,45,62,74,24,47,65,77,25,49,68,81],Zg=[7,10,13,17,10,16,22,28,15,26,36,44,20,36,52,64,26,48,72,88,36,64,96,112,40,72,108,130,48,88,132,156,60,110,160,192,72,130,192,224,80,150,224,264,96,176,260,308,104,198,288,352,120,216,320,384,132,240,360,432,144,280,408,480,168,308,448,532,180,338,504,588,196,364,546,650,224,416,600,700,224,442,644,750,252,476,690,816,270,504,750,900,300,560,810,960,312,588,870,1050,336,644,952,1110,360,700,1020,1200,390,728,1050,1260,420,784,1140,1350,450,812,1200,1440,480,868,1290,1530,510,924,1350,1620,540,980,1440,1710,570,1036,1530,1800,570,1064,1590,1890,600,1120,1680,1980,630,1204,1770,2100,660,1260,1860,2220,720,1316,1950,2310,750,1372,2040,2430];Q0.getBlocksCount=function(e,t){switch(t){case Na.L:return Jg[(e-1)*4+0];case Na.M:return Jg[(e-1)*4+1];case Na.Q:return Jg[(e-1)*4+2];case Na.H:return Jg[(e-1)*4+3];default:return}};Q0.getTotalCodewordsCount=function(e,t){switch(t){case Na.L:return Zg[(e-1)*4+0];case Na.M:return Zg[(e-1)*4+1];case Na.Q:return Zg[(e-1)*4+2];case Na.H:return Zg[(e-1)*4+3];default:return}};var yI={},J0={};const Df=new Uint8Array(512),zv=new Uint8Array(256);(function(){let e=1;for(let t=0;t<255;t++)Df[t]=e,zv[e]=t,e<<=1,e&256&&(e^=285);for(let t=255;t<512;t++)Df[t]=Df[t-255]})();J0.log=function(e){if(e<1)throw new Error("log("+e+")");return zv[e]};J0.exp=function(e){return Df[e]};J0.mul=function(e,t){return e===0||t===0?0:Df[zv[e]+zv[t]]};(function(n){const e=J0;n.mul=function(r,s){const i=new Uint8Array(r.length+s.length-1);for(let o=0;o<r.length;o++)for(let a=0;a<s.length;a++)i[o+a]^=e.mul(r[o],s[a]);return i},n.mod=function(r,s){let i=new Uint8Array(r);for(;i.length-s.length>=0;){const o=i[0];for(let c=0;c<s.length;c++)i[c]^=e.mul(s[c],o);let a=0;for(;a<i.length&&i[a]===0;)a++;i=i.slice(a)}return i},n.generateECPolynomial=function(r){let s=new Uint8Array([1]);for(let i=0;i<r;i++)s=n.mul(s,new Uint8Array([1,e.exp(i)]));return s}})(yI);const vI=yI;function OA(n){this.genPoly=void 0,this.degree=n,this.degree&&this.initialize(this.degree)}OA.prototype.initialize=function(e){this.degree=e,this.genPoly=vI.generateECPolynomial(this.degree)};OA.prototype.encode=function(e){if(!this.genPoly)throw new Error("Encoder not initialized");const t=new Uint8Array(e.length+this.degree);t.set(e);const r=vI.mod(t,this.genPoly),s=this.degree-r.length;if(s>0){const i=new Uint8Array(this.degree);return i.set(r,s),i}return r};var IH=OA,wI={},el={},FA={};FA.isValid=function(e){return!isNaN(e)&&e>=1&&e<=40};var ui={};const bI="[0-9]+",LH="[A-Z $%*+\\-./:]+";let dp="(?:[u3000-u303F]|[u3040-u309F]|[u30A0-u30FF]|[uFF00-uFFEF]|[u4E00-u9FAF]|[u2605-u2606]|[u2190-u2195]|u203B|[u2010u2015u2018u2019u2025u2026u201Cu201Du2225u2260]|[u0391-u0451]|[u00A7u00A8u00B1u00B4u00D7u00F7])+";dp=dp.replace(/u/g,"\\u");const DH="(?:(?![A-Z0-9 $%*+\\-./:]|"+dp+`)(?:.|[\r
 ]))+`;ui.KANJI=new RegExp(dp,"g");ui.BYTE_KANJI=new RegExp("[^A-Z0-9 $%*+\\-./:]+","g");ui.BYTE=new RegExp(DH,"g");ui.NUMERIC=new RegExp(bI,"g");ui.ALPHANUMERIC=new RegExp(LH,"g");const OH=new RegExp("^"+dp+"$"),FH=new RegExp("^"+bI+"$"),jH=new RegExp("^[A-Z0-9 $%*+\\-./:]+$");ui.testKanji=function(e){return OH.test(e)};ui.testNumeric=function(e){return FH.test(e)};ui.testAlphanumeric=function(e){return jH.test(e)};(function(n){const e=FA,t=ui;n.NUMERIC={id:"Numeric",bit:1,ccBits:[10,12,14]},n.ALPHANUMERIC={id:"Alphanumeric",bit:2,ccBits:[9,11,13]},n.BYTE={id:"Byte",bit:4,ccBits:[8,16,16]},n.KANJI={id:"Kanji",bit:8,ccBits:[8,10,12]},n.MIXED={bit:-1},n.getCharCountIndicator=function(i,o){if(!i.ccBits)throw new Error("Invalid mode: "+i);if(!e.isValid(o))throw new Error("Invalid version: "+o);return o>=1&&o<10?i.ccBits[0]:o<27?i.ccBits[1]:i.ccBits[2]},n.getBestModeForData=function(i){return t.testNumeric(i)?n.NUMERIC:t.testAlphanumeric(i)?n.ALPHANUMERIC:t.testKanji(i)?n.KANJI:n.BYTE},n.toString=function(i){if(i&&i.id)return i.id;throw new Error("Invalid mode")},n.isValid=function(i){return i&&i.bit&&i.ccBits};function r(s){if(typeof s!="string")throw new Error("Param is not a string");switch(s.toLowerCase()){case"numeric":return n.NUMERIC;case"alphanumeric":return n.ALPHANUMERIC;case"kanji":return n.KANJI;case"byte":return n.BYTE;default:throw new Error("Unknown mode: "+s)}}n.from=function(i,o){if(n.isValid(i))return i;try{return r(i)}catch{return o}}})(el);(function(n){const e=Ar,t=Q0,r=Y0,s=el,i=FA,o=7973,a=e.getBCHDigit(o);function c(f,p,v){for(let m=1;m<=40;m++)if(p<=n.getCapacity(m,v,f))return m}function u(f,p){return s.getCharCountIndicator(f,p)+4}function d(f,p){let v=0;return f.forEach(function(m){const x=u(m.mode,p);v+=x+m.getBitsLength()}),v}function h(f,p){for(let v=1;v<=40;v++)if(d(f,v)<=n.getCapacity(v,p,s.MIXED))return v}n.from=function(p,v){return i.isValid(p)?parseInt(p,10):v},n.getCapacity=function(p,v,m){if(!i.isValid(p))throw new Error("Invalid QR Code version");typeof m>"u"&&(m=s.BYTE);const x=e.getSymbolTotalCodewords(p),g=t.getTotalCodewordsCount(p,v),w=(x-g)*8;if(m===s.MIXED)return w;const b=w-u(m,p);switch(m){case s.NUMERIC:return Math.floor(b/10*3);case s.ALPHANUMERIC:return Math.floor(b/11*2);case s.KANJI:return Math.floor(b/13);case s.BYTE:default:return Math.floor(b/8)}},n.getBestVersionForData=function(p,v){let m;const x=r.from(v,r.M);if(Array.isArray(p)){if(p.length>1)return h(p,x);if(p.length===0)return 1;m=p[0]}else m=p;return c(m.mode,m.getLength(),x)},n.getEncodedBits=function(p){if(!i.isValid(p)||p<7)throw new Error("Invalid QR Code version");let v=p<<12;for(;e.getBCHDigit(v)-a>=0;)v^=o<<e.getBCHDigit(v)-a;return p<<12|v}})(wI);var xI={};const G1=Ar,SI=1335,BH=21522,D_=G1.getBCHDigit(SI);xI.getEncodedBits=function(e,t){const r=e.bit<<3|t;let s=r<<10;for(;G1.getBCHDigit(s)-D_>=0;)s^=SI<<G1.getBCHDigit(s)-D_;return(r<<10|s)^BH};var AI={};const UH=el;function _h(n){this.mode=UH.NUMERIC,this.data=n.toString()}_h.getBitsLength=function(e){return 10*Math.floor(e/3)+(e%3?e%3*3+1:0)};_h.prototype.getLength=function(){return this.data.length};_h.prototype.getBitsLength=function(){return _h.getBitsLength(this.data.length)};_h.prototype.write=function(e){let t,r,s;for(t=0;t+3<=this.data.length;t+=3)r=this.data.substr(t,3),s=parseInt(r,10),e.put(s,10);const i=this.data.length-t;i>0&&(r=this.data.substr(t),s=parseInt(r,10),e.put(s,i*3+1))};var $H=_h;const zH=el,rb=["0","1","2","3","4","5","6","7","8","9","A","B","C","D","E","F","G","H","I","J","K","L","M","N","O","P","Q","R","S","T","U","V","W","X","Y","Z"," ","$","%","*","+","-",".","/",":"];function Th(n){this.mode=zH.ALPHANUMERIC,this.data=n}Th.getBitsLength=function(e){return 11*Math.floor(e/2)+6*(e%2)};Th.prototype.getLength=function(){return this.data.length};Th.prototype.getBitsLength=function(){return Th.getBitsLength(this.data.length)};Th.prototype.write=function(e){let t;for(t=0;t+2<=this.data.length;t+=2){let r=rb.indexOf(this.data[t])*45;r+=rb.indexOf(this.data[t+1]),e.put(r,11)}this.data.length%2&&e.put(rb.indexOf(this.data[t]),6)};var HH=Th;const VH=el;function kh(n){this.mode=VH.BYTE,typeof n=="string"?this.data=new TextEncoder().encode(n):this.data=new Uint8Array(n)}kh.getBitsLength=function(e){return e*8};kh.prototype.getLength=function(){return this.data.length};kh.prototype.getBitsLength=function(){return kh.getBitsLength(this.data.length)};kh.prototype.write=function(n){for(let e=0,t=this.data.length;e<t;e++)n.put(this.data[e],8)};var GH=kh;const WH=el,KH=Ar;function Ph(n){this.mode=WH.KANJI,this.data=n}Ph.getBitsLength=function(e){return e*13};Ph.prototype.getLength=function(){return this.data.length};Ph.prototype.getBitsLength=function(){return Ph.getBitsLength(this.data.length)};Ph.prototype.write=function(n){let e;for(e=0;e<this.data.length;e++){let t=KH.toSJIS(this.data[e]);if(t>=33088&&t<=40956)t-=33088;else if(t>=57408&&t<=60351)t-=49472;else throw new Error("Invalid SJIS character: "+this.data[e]+`
@@ -225,24 +225,121 @@ Make sure your charset is UTF-8`);t=(t>>>8&255)*192+(t&255),n.put(t,13)}};var XH
 The chosen QR Code version cannot contain this amount of data.
 Minimum version required to store current data is: `+i+`.
 `);const o=l6(e,t,s),a=Z0.getSymbolSize(e),c=new QH(a);return r6(c,e),s6(c),i6(c,e),ob(c,t,0),e>=7&&o6(c,e),a6(c,o),isNaN(r)&&(r=W1.getBestMask(c,ob.bind(null,c,t))),W1.applyMask(r,c),ob(c,t,r),{modules:c,version:e,errorCorrectionLevel:t,maskPattern:r,segments:s}}hI.create=function(e,t){if(typeof e>"u"||e==="")throw new Error("No input text");let r=sb.M,s,i;return typeof t<"u"&&(r=sb.from(t.errorCorrectionLevel,sb.M),s=Hv.from(t.version),i=W1.from(t.maskPattern),t.toSJISFunc&&Z0.setToSJISFunction(t.toSJISFunc)),u6(e,s,r,i)};var CI={},jA={};(function(n){function e(t){if(typeof t=="number"&&(t=t.toString()),typeof t!="string")throw new Error("Color should be defined as hex string");let r=t.slice().replace("#","").split("");if(r.length<3||r.length===5||r.length>8)throw new Error("Invalid hex color: "+t);(r.length===3||r.length===4)&&(r=Array.prototype.concat.apply([],r.map(function(i){return[i,i]}))),r.length===6&&r.push("F","F");const s=parseInt(r.join(""),16);return{r:s>>24&255,g:s>>16&255,b:s>>8&255,a:s&255,hex:"#"+r.slice(0,6).join("")}}n.getOptions=function(r){r||(r={}),r.color||(r.color={});const s=typeof r.margin>"u"||r.margin===null||r.margin<0?4:r.margin,i=r.width&&r.width>=21?r.width:void 0,o=r.scale||4;return{width:i,scale:i?4:o,margin:s,color:{dark:e(r.color.dark||"#000000ff"),light:e(r.color.light||"#ffffffff")},type:r.type,rendererOpts:r.rendererOpts||{}}},n.getScale=function(r,s){return s.width&&s.width>=r+s.margin*2?s.width/(r+s.margin*2):s.scale},n.getImageWidth=function(r,s){const i=n.getScale(r,s);return Math.floor((r+s.margin*2)*i)},n.qrToImageData=function(r,s,i){const o=s.modules.size,a=s.modules.data,c=n.getScale(o,i),u=Math.floor((o+i.margin*2)*c),d=i.margin*c,h=[i.color.light,i.color.dark];for(let f=0;f<u;f++)for(let p=0;p<u;p++){let v=(f*u+p)*4,m=i.color.light;if(f>=d&&p>=d&&f<u-d&&p<u-d){const x=Math.floor((f-d)/c),g=Math.floor((p-d)/c);m=h[a[x*o+g]?1:0]}r[v++]=m.r,r[v++]=m.g,r[v++]=m.b,r[v]=m.a}}})(jA);(function(n){const e=jA;function t(s,i,o){s.clearRect(0,0,i.width,i.height),i.style||(i.style={}),i.height=o,i.width=o,i.style.height=o+"px",i.style.width=o+"px"}function r(){try{return document.createElement("canvas")}catch{throw new Error("You need to specify a canvas element")}}n.render=function(i,o,a){let c=a,u=o;typeof c>"u"&&(!o||!o.getContext)&&(c=o,o=void 0),o||(u=r()),c=e.getOptions(c);const d=e.getImageWidth(i.modules.size,c),h=u.getContext("2d"),f=h.createImageData(d,d);return e.qrToImageData(f.data,i,c),t(h,u,d),h.putImageData(f,0,0),u},n.renderToDataURL=function(i,o,a){let c=a;typeof c>"u"&&(!o||!o.getContext)&&(c=o,o=void 0),c||(c={});const u=n.render(i,o,c),d=c.type||"image/png",h=c.rendererOpts||{};return u.toDataURL(d,h.quality)}})(CI);var _I={};const d6=jA;function O_(n,e){const t=n.a/255,r=e+'="'+n.hex+'"';return t<1?r+" "+e+'-opacity="'+t.toFixed(2).slice(1)+'"':r}function ab(n,e,t){let r=n+e;return typeof t<"u"&&(r+=" "+t),r}function h6(n,e,t){let r="",s=0,i=!1,o=0;for(let a=0;a<n.length;a++){const c=Math.floor(a%e),u=Math.floor(a/e);!c&&!i&&(i=!0),n[a]?(o++,a>0&&c>0&&n[a-1]||(r+=i?ab("M",c+t,.5+u+t):ab("m",s,0),s=0,i=!1),c+1<e&&n[a+1]||(r+=ab("h",o),o=0)):s++}return r}_I.render=function(e,t,r){const s=d6.getOptions(t),i=e.modules.size,o=e.modules.data,a=i+s.margin*2,c=s.color.light.a?"<path "+O_(s.color.light,"fill")+' d="M0 0h'+a+"v"+a+'H0z"/>':"",u="<path "+O_(s.color.dark,"stroke")+' d="'+h6(o,i,s.margin)+'"/>',d='viewBox="0 0 '+a+" "+a+'"',f='<svg xmlns="http://www.w3.org/2000/svg" '+(s.width?'width="'+s.width+'" height="'+s.width+'" ':"")+d+' shape-rendering="crispEdges">'+c+u+`</svg>
-`;return typeof r=="function"&&r(null,f),f};const f6=kH,X1=hI,TI=CI,p6=_I;function BA(n,e,t,r,s){const i=[].slice.call(arguments,1),o=i.length,a=typeof i[o-1]=="function";if(!a&&!f6())throw new Error("Callback required as last argument");if(a){if(o<2)throw new Error("Too few arguments provided");o===2?(s=t,t=e,e=r=void 0):o===3&&(e.getContext&&typeof s>"u"?(s=r,r=void 0):(s=r,r=t,t=e,e=void 0))}else{if(o<1)throw new Error("Too few arguments provided");return o===1?(t=e,e=r=void 0):o===2&&!e.getContext&&(r=t,t=e,e=void 0),new Promise(function(c,u){try{const d=X1.create(t,r);c(n(d,e,r))}catch(d){u(d)}})}try{const c=X1.create(t,r);s(null,n(c,e,r))}catch(c){s(c)}}dg.create=X1.create;dg.toCanvas=BA.bind(null,TI.render);dg.toDataURL=BA.bind(null,TI.renderToDataURL);dg.toString=BA.bind(null,function(n,e,t){return p6.render(n,t)});function kI(n){return`verum_case_file_${n}`}function q1(n){const e=kI(n);try{const r=localStorage.getItem(e);if(r)try{return JSON.parse(r)}catch(s){console.error("Failed to parse case file, creating new one:",s)}}catch(r){console.error("LocalStorage access failed:",r)}const t={caseId:`case_${n}_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,createdAt:new Date().toISOString(),updatedAt:new Date().toISOString(),mode:n,messages:[],evidence:[],forensics:[]};try{localStorage.setItem(e,JSON.stringify(t))}catch(r){console.error("Failed to save case file to localStorage:",r)}return t}function lb(n,e){const r={...q1(n),...e,updatedAt:new Date().toISOString()},s=kI(n);try{localStorage.setItem(s,JSON.stringify(r))}catch(i){console.error("Failed to update case file in localStorage:",i)}return r}function m6(n){const e=`verum_session_key_${n}`;let t=null;try{t=localStorage.getItem(e)}catch(r){console.error("Failed to read session key from localStorage:",r)}if(!t){t=`session_${n}_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;try{localStorage.setItem(e,t)}catch(r){console.error("Failed to save session key to localStorage:",r)}}return t}function g6(){const e=new URLSearchParams(window.location.search).get("mode")||"chat",t=()=>e==="seal"?"Document verification and sealing mode. GPS location captured for jurisdiction. Upload files for analysis, and I can help verify authenticity or seal transcripts for legal purposes. I may refuse to seal documents with legal or criminal implications.":e==="tax"?"Tax assistance mode. GPS location captured for jurisdiction verification. Ask questions about tax returns, deductions, or tax law.":"GPS location captured for jurisdiction verification. Ask any legal questions or upload files for analysis. Cross-border issues will be handled with triple verification.",[r,s]=T.useState([{role:"System",text:t(),isSystem:!0}]),[i,o]=T.useState(""),[a,c]=T.useState(!1),[u,d]=T.useState(null),[h,f]=T.useState([]),[p,v]=T.useState(null),[m,x]=T.useState(null),[g,w]=T.useState(null),[b,E]=T.useState(!1),[_,k]=T.useState(null),P=T.useRef(null),M=T.useRef(null);T.useEffect(()=>{"geolocation"in navigator?navigator.geolocation.getCurrentPosition(N=>{const R={latitude:N.coords.latitude,longitude:N.coords.longitude,accuracy:N.coords.accuracy,timestamp:new Date().toISOString()};x(R);const I=lb(e,{location:R});v(I),console.log("GPS location captured for jurisdiction:",R)},N=>{console.info("Location not available:",N.message),w(N.message)},{enableHighAccuracy:!0,timeout:1e4,maximumAge:0}):w("Geolocation not supported")},[e]),T.useEffect(()=>{async function N(){try{const R=q1(e);v(R),R.location&&!m&&x(R.location);const I=m6(e),F=await(await vC("POST","/api/sessions",{sessionKey:I,mode:e})).json();d(F.id);const K=await(await fetch(`/api/sessions/${F.id}/messages`)).json();if(K.length>0){const re=K.map(Y=>({role:Y.role,text:Y.text,isSystem:Y.isSystem===1}));s([{role:"System",text:t(),isSystem:!0},...re]);const se=lb(e,{messages:re});v(se)}else s([{role:"System",text:t(),isSystem:!0}]);f([])}catch(R){console.error("Failed to initialize session:",R)}}N()},[e]),T.useEffect(()=>{P.current&&(P.current.scrollTop=P.current.scrollHeight)},[r]);const D=async(N,R,I=!1)=>{const L={role:N,text:R,isSystem:I};if(s(F=>[...F,L]),u&&!I)try{await vC("POST","/api/messages",{sessionId:u,role:N,text:R,isSystem:I})}catch(F){console.error("Failed to save message:",F)}},O=async N=>{const R=await crypto.subtle.digest("SHA-512",N);return Array.from(new Uint8Array(R)).map(L=>L.toString(16).padStart(2,"0")).join("")},j=async N=>{const R=N.target.files;if(!R)return;E(!0);const I=[];for(const L of Array.from(R))try{const F=L.type.toLowerCase(),z=L.name.toLowerCase(),K=["audio/ogg","audio/opus","audio/mpeg","audio/mp3","audio/mp4","audio/x-m4a","audio/wav","audio/webm"],re=/\.(ogg|opus|mp3|m4a|wav|webm)$/,se=K.includes(F)||re.test(z);k({fileName:L.name,progress:0}),D("System",`${se?"Transcribing audio":"Processing"} ${L.name}...`,!0);const Y=await TH(L,Zt=>{k({fileName:L.name,progress:Zt})}),ge=await L.arrayBuffer(),Ae=await O(ge),_e=btoa(new Uint8Array(ge).reduce((Zt,Gn)=>Zt+String.fromCharCode(Gn),"")),Be={name:L.name,type:L.type,size:L.size,content:_e,hash:Ae,extractedText:Y||void 0};if(I.push(Be),Y){const Zt=Y.length>100?Y.substring(0,100)+"...":Y;D("System",`✓ ${L.name} (${(L.size/1024).toFixed(1)} KB) → Hash: ${Ae.slice(0,16)}… | ${se?"Transcribed":"Extracted"}: "${Zt}"`,!0)}else D("System",`✓ ${L.name} (${(L.size/1024).toFixed(1)} KB) → Hash: ${Ae.slice(0,16)}… | No text ${se?"transcribed":"extracted"}`,!0)}catch(F){console.error(`Processing failed for ${L.name}:`,F),D("System",`⚠ ${L.name} - Processing failed, file uploaded without text extraction`,!0);const z=await L.arrayBuffer(),K=await O(z),re=btoa(new Uint8Array(z).reduce((se,Y)=>se+String.fromCharCode(Y),""));I.push({name:L.name,type:L.type,size:L.size,content:re,hash:K})}f(L=>[...L,...I]),E(!1),k(null),M.current&&(M.current.value="")},U=async()=>{const N=i.trim();if(N){D("You",N),o(""),c(!0);try{const R=q1(e),I={prompt:N,context:"legal",mode:e,location:m||R.location||null,caseFile:{caseId:R.caseId,createdAt:R.createdAt,mode:R.mode,evidence:R.evidence,forensics:R.forensics,location:m||R.location||null,messageCount:r.length}};if(h.length>0){I.files=h.map(K=>({name:K.name,type:K.type,size:K.size,content:K.content,hash:K.hash,extractedText:K.extractedText||void 0}));const z=lb(e,{evidence:[...R.evidence,...h]});v(z)}const F=await(await fetch("/api/assistant",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(I)})).json();D("Legal AI",(F==null?void 0:F.text)||"(no response)"),f([])}catch{D("Legal AI","(connection error)")}finally{c(!1)}}},V=N=>{N.key==="Enter"&&!N.shiftKey&&(N.preventDefault(),U())},$=()=>{const N={mode:e,timestamp:new Date().toISOString(),messages:r.map((F,z)=>({index:z,role:F.role,text:F.text,isSystem:F.isSystem||!1}))},R=new Blob([JSON.stringify(N,null,2)],{type:"application/json"}),I=URL.createObjectURL(R),L=document.createElement("a");L.href=I,L.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.json`,document.body.appendChild(L),L.click(),document.body.removeChild(L),URL.revokeObjectURL(I)},X=()=>{const N=new Date().toISOString(),R=`Verum Omnis Legal AI - Chat Export
+`;return typeof r=="function"&&r(null,f),f};const f6=kH,X1=hI,TI=CI,p6=_I;function BA(n,e,t,r,s){const i=[].slice.call(arguments,1),o=i.length,a=typeof i[o-1]=="function";if(!a&&!f6())throw new Error("Callback required as last argument");if(a){if(o<2)throw new Error("Too few arguments provided");o===2?(s=t,t=e,e=r=void 0):o===3&&(e.getContext&&typeof s>"u"?(s=r,r=void 0):(s=r,r=t,t=e,e=void 0))}else{if(o<1)throw new Error("Too few arguments provided");return o===1?(t=e,e=r=void 0):o===2&&!e.getContext&&(r=t,t=e,e=void 0),new Promise(function(c,u){try{const d=X1.create(t,r);c(n(d,e,r))}catch(d){u(d)}})}try{const c=X1.create(t,r);s(null,n(c,e,r))}catch(c){s(c)}}dg.create=X1.create;dg.toCanvas=BA.bind(null,TI.render);dg.toDataURL=BA.bind(null,TI.renderToDataURL);dg.toString=BA.bind(null,function(n,e,t){return p6.render(n,t)});async function b6(a){const c=await crypto.subtle.digest("SHA-512",a);return Array.from(new Uint8Array(c)).map(d=>d.toString(16).padStart(2,"0")).join("")}const j6="verum-seal.json";const P6=["Content SHA-512","Manifest SHA-512","Manifest signature"];function Q6(){try{return JSON.parse(localStorage.getItem("verum_trusted_signers")||"[]")}catch(r){return console.error("Failed to read trusted signers from localStorage:",r),[]}}function R6(t){try{Q6().some(e=>e.id===t)||localStorage.setItem("verum_trusted_signers",JSON.stringify([...Q6(),{id:t,pinnedAt:new Date().toISOString()}]))}catch(e){console.error("Failed to save trusted signer to localStorage:",e)}}async function T6(n,t){try{if((await Y6()).id===n)return"this device"}catch(e){console.error("Failed to load device key:",e)}const i=t.find(e=>e.deviceId===n);if(i)return`the device behind a seal recorded in case ${i.caseName||i.caseId}`;const r=Q6().find(e=>e.id===n);return r?`a signer you trusted on ${r.pinnedAt.slice(0,10)}`:null}async function q6(){try{return await a7(),(await c7()).flatMap(a=>(a.seals||[]).map(c=>({...c,caseId:a.caseId,caseName:a.name})))}catch(a){return console.error("Failed to read case files:",a),[]}}async function z6(a){if(typeof BarcodeDetector>"u")return null;const c=a.getViewport({scale:2}),d=document.createElement("canvas"),f=d.getContext("2d");if(!f)return null;d.height=c.height,d.width=c.width,await a.render({canvasContext:f,viewport:c,canvas:d}).promise;const n=await new BarcodeDetector({formats:["qr_code"]}).detect(d);return n.length>0?n[0].rawValue:null}async function D6(o,l){const{PDFDocument:p,StandardFonts:c}=window.PDFLib,d=await(await p.create()).embedFont(c.Helvetica),a=t=>t.replace(/\s+/g,""),s=[],e=[];for(let t=1;t<o.numPages;t++){const r=await o.getPage(t);s.push((await r.getTextContent()).items.map(f=>a(f.str)).filter(Boolean))}const[i=[],...h]=s,g=["VERUM OMNIS",L6,...M6].map(a).filter(Boolean),n=i.slice(-4),u=a(`${L6} (transcript continued)`);return g.every((t,r)=>i[r]===t)||e.push("page 1 does not start with the sealed heading and notes"),n.length===4&&n[1]===a("Patent Pending — Verum Omnis")&&n[2].startsWith("PartialSHA-512:")&&n[3].startsWith("Author:")||e.push("page 1 has text drawn after the seal footer"),h.every(t=>t[0]===u)||e.push("a transcript page is missing its continuation heading"),[...i.slice(g.length,-4),...h.flatMap(t=>t.slice(1))].join("")!==a(N6(d,l))&&e.push("the printed transcript differs from the signed transcript"),e.length?{status:"fail",detail:`Visible pages were changed after sealing: ${e.join(", ")}.`}:{status:"pass",detail:`Text on page${s.length>1?`s 1–${s.length}`:" 1"} matches the signed transcript.`}}async function B6(b,j){const F=await b.arrayBuffer(),f=await b6(F),p=[],t=(a,r,l)=>p.push({name:a,status:r,detail:l}),m=j.trim().toLowerCase(),T=await q6(),u=T.find(a=>a.fileHash===f);let x=null;m?t("File SHA-512",m===f?"pass":"fail",m===f?"Matches the expected hash.":`Expected ${m.slice(0,16)}…, computed ${f.slice(0,16)}…`):u?t("File SHA-512","pass",`Matches the seal recorded for case ${u.caseName||u.caseId} at ${u.createdAt}.`):t("File SHA-512","info","No expected hash supplied. Compare with the file hash shown in the sealing chat log.");const d=await aN({data:new Uint8Array(F.slice(0))}).promise;try{const{info:a}=await d.getMetadata(),r=Rv.toDateObject(a?.CreationDate),l=a?.Author||"",R=a?.Creator||"";t("Metadata",!!l&&R==="Verum Omnis Forensic System"&&!!r?"pass":"fail",`Author: ${l||"(missing)"} • Creator: ${R||"(missing)"} • CreationDate: ${r?r.toISOString():"(missing)"}`);const S=[];for(let e=1;e<=d.numPages;e++){const o=await d.getPage(e);S.push((await o.getTextContent()).items.map(n=>n.str).join(" "))}const N=S.join(`
+`),h=/Partial SHA-512:\s*([0-9a-f]{16})/.exec(N),M=/UTC:\s*(\d{4}-\d{2}-\d{2}T[\d:.]+Z)/.exec(S[0]||""),A=Object.values(await d.getAttachments()||{}),k=A.find(e=>e.filename===j6);let s=null;if(k)try{s=JSON.parse(new TextDecoder().decode(k.content))}catch(e){console.error("Failed to parse seal attachment:",e)}let g=null,D=null;try{g=await z6(await d.getPage(1))}catch(e){D=e instanceof Error?e.message:"Unknown error"}let i=null;if(g===null)t("QR payload",typeof BarcodeDetector>"u"?"skip":"fail",typeof BarcodeDetector>"u"?"QR decoding is not supported by this browser.":D?`QR decoding failed: ${D}`:"No QR code found on page 1.");else try{i=JSON.parse(g);const e=[];for(const o of["author","device","timestamp","caseId"])i[o]||e.push(`missing ${o}`);s&&s.qr!==g&&e.push("does not match the embedded seal payload"),M&&i.timestamp!==M[1]&&e.push("timestamp differs from the page 1 footer"),l&&i.author!==l&&e.push("author differs from the PDF metadata"),t("QR payload",e.length?"fail":"pass",e.length?`QR ${e.join(", ")}.`:`Case ${i.caseId} • Device ${i.device} • ${i.timestamp}`)}catch{t("QR payload","fail","QR code does not contain a Verum Omnis seal payload.")}if(!h)t("Content SHA-512","fail","No partial SHA-512 fingerprint found on page 1.");else if(!s)t("Content SHA-512","skip",`Printed fingerprint ${h[1]}, but this PDF has no embedded ${j6} to recompute it from.`);else{const e=await b6(new TextEncoder().encode(s.transcript+s.qr));t("Content SHA-512",e.startsWith(h[1])?"pass":"fail",e.startsWith(h[1])?`Recomputed fingerprint ${e.slice(0,16)} matches page 1.`:`Recomputed ${e.slice(0,16)}, page 1 shows ${h[1]}.`)}if(!i&&s)try{i=JSON.parse(s.qr)}catch{}const w=A.find(e=>e.filename===U6),C=A.find(e=>e.filename===V6);if(!w)t("Manifest signature","skip","This PDF was sealed before signed seal manifests were embedded.");else try{const e=JSON.parse(new TextDecoder().decode(w.content)),o=e.device.publicKey,n=[],q=await crypto.subtle.importKey("jwk",o,{name:"ECDSA",namedCurve:o.crv},!1,["verify"]);(!C||!await crypto.subtle.verify({name:"ECDSA",hash:"SHA-512"},q,C.content,w.content))&&n.push(C?"signature does not match the manifest":`${V6} is missing`),await H6(o)!==e.device.id&&n.push("device ID does not match the signing key"),i&&i.device!==e.device.id&&n.push("QR device differs from the signing device"),i&&i.caseId!==e.caseId&&n.push("QR case differs from the manifest case");const v=n.length?null:await T6(e.device.id,T);n.length||(x={id:e.device.id,trusted:!!v}),t("Manifest signature",n.length?"fail":v?"pass":"info",n.length?`Manifest ${n.join(", ")}.`:v?`Signed by device ${e.device.id} (${v}) • ${e.evidence.length} evidence item(s) • Case ${e.caseId}`:`Signature is valid, but device ${e.device.id} is not a trusted signer (not this device, not in any recorded seal, not trusted by you).`);const c=/Manifest SHA-512:\s*([0-9a-f]{64})\s*([0-9a-f]{64})/.exec(N),y=await b6(w.content);if(t("Manifest SHA-512",c&&c[1]+c[2]===y?"pass":"fail",c?c[1]+c[2]===y?`Certification page hash ${y.slice(0,16)}… matches the attached manifest.`:`Attached manifest hashes to ${y.slice(0,16)}…, the certification page shows ${c[1].slice(0,16)}….`:"No manifest SHA-512 found on the certification page."),s){const Q=await b6(new TextEncoder().encode(s.transcript));if(t("Manifest transcript",Q===e.transcript.sha512?"pass":"fail",Q===e.transcript.sha512?"Embedded transcript matches the manifest.":"Embedded transcript does not match the manifest hash."),!window.PDFLib)t("Printed transcript","skip","PDF library not loaded, so the visible pages could not be compared with the signed transcript.");else{const O=await D6(d,s.transcript);t("Printed transcript",O.status,O.detail)}}}catch(e){console.error("Failed to check seal manifest:",e),t("Manifest signature","fail","Attached manifest could not be read or verified.")}const H=i!=null&&i.timestamp?new Date(i.timestamp):null;if(!r||!H||isNaN(H.getTime()))t("Seal time","skip","Needs both the QR timestamp and the PDF CreationDate.");else{const e=Math.abs(r.getTime()-H.getTime())/1e3;t("Seal time",e<=120?"pass":"fail",`CreationDate is ${e.toFixed(0)}s from the QR timestamp.`)}}finally{await d.destroy()}const E=p.some(a=>a.status==="fail"),$=a=>p.some(r=>r.name===a&&r.status==="pass"),I=($("Manifest signature")||$("File SHA-512")&&p.some(a=>P6.includes(a.name)&&a.status==="pass"))&&$("Printed transcript"),P=E?"failed":I?"verified":"unverifiable";return{fileName:b.name,size:b.size,fileHash:f,checks:p,signer:x,verdict:P,verified:P==="verified"}}function J6(){const[r,x]=T.useState(null),[l,h]=T.useState(""),[t,o]=T.useState(null),[a,c]=T.useState(!1),[m,f]=T.useState(null),i=T.useRef(null),d=async e=>{if(e){c(!0),f(null),o(null);try{o(await B6(e,l))}catch(s){console.error("Seal verification failed:",s),f(s instanceof Error?s.message:"Unknown error")}finally{c(!1)}}},u=e=>{e&&(x(e),d(e))},p={pass:"✔ PASS",fail:"✘ FAIL",skip:"– SKIPPED",info:"ℹ INFO"},n={pass:"#22c55e",fail:"hsl(var(--destructive))",skip:"inherit",info:"inherit"};return S.jsxs("div",{className:"min-h-screen",children:[S.jsx(B0,{}),S.jsxs("main",{className:"mx-auto max-w-[1100px] px-4 py-6",children:[S.jsxs("div",{className:"flex items-center gap-2.5 py-3 border-b border-border","data-testid":"header-verify",children:[S.jsx(pA,{height:28}),S.jsx("strong",{className:"text-foreground",children:"Seal Verification"}),S.jsx("div",{className:"ml-auto opacity-80 text-sm px-2 py-1 rounded-lg bg-accent/30 border border-accent-border","data-testid":"text-mode",children:"VERIFY"})]}),S.jsx("p",{className:"text-sm text-muted-foreground my-4",children:"Drop a PDF sealed by Verum Omnis to re-check its SHA-512 fingerprints, QR payload, signed seal manifest and embedded metadata. Everything runs on this device; the file is never uploaded."}),S.jsx("input",{ref:i,type:"file",accept:"application/pdf,.pdf",onChange:e=>{var s;u((s=e.target.files)==null?void 0:s[0]),i.current&&(i.current.value="")},className:"hidden","data-testid":"input-verify-file",id:"verify-upload",disabled:a}),S.jsx("label",{htmlFor:"verify-upload",onDragOver:e=>e.preventDefault(),onDrop:e=>{e.preventDefault(),a||u(e.dataTransfer.files[0])},className:`block border border-dashed border-border rounded-xl p-3 text-center mb-4 ${a?"cursor-not-allowed opacity-60":"cursor-pointer hover-elevate"}`,"data-testid":"label-verify-upload",children:a?S.jsxs("div",{className:"flex items-center justify-center gap-2",children:[S.jsx(yj,{className:"w-4 h-4 animate-spin"}),S.jsxs("span",{children:["Verifying ",r?.name,"..."]})]}):r?`${r.name} — drop another sealed PDF to verify it`:"Drop a sealed PDF here or click to choose one"}),S.jsx(BR,{value:l,onChange:e=>h(e.target.value),placeholder:"Optional: paste the expected file SHA-512 from the sealing chat log",className:"w-full mb-4 font-mono","data-testid":"textarea-expected-hash"}),S.jsx("div",{className:"flex gap-2 flex-wrap mb-4",children:S.jsx(my,{onClick:()=>d(r),disabled:a||!r,"data-testid":"button-verify",children:"Re-check"})}),m&&S.jsxs("div",{className:"border border-border rounded-xl p-2.5 my-2 text-destructive","data-testid":"text-verify-error",children:["Could not read this PDF: ",m]}),t&&S.jsxs("div",{className:"border border-border rounded-xl bg-card p-3","data-testid":"container-verify-report",children:[S.jsx("div",{className:"font-semibold text-lg mb-2",style:{color:t.verdict==="verified"?n.pass:t.verdict==="failed"?n.fail:void 0},"data-testid":"text-verify-result",children:t.verdict==="verified"?"Seal verified":t.verdict==="failed"?"Seal NOT verified":"Cannot verify this seal"}),t.verdict==="unverifiable"&&S.jsx("div",{className:"text-sm mb-2","data-testid":"text-verify-unverifiable",children:"This file has no signature from a trusted signer and does not match a seal recorded on this device, so its authenticity cannot be confirmed. Matching metadata alone proves nothing."}),t.signer&&!t.signer.trusted&&S.jsxs("div",{className:"text-sm mb-2","data-testid":"text-verify-signer",children:["Signed by an unknown device, ",S.jsx("span",{className:"font-mono",children:t.signer.id}),". Trust it only if its owner has confirmed this device ID to you.",S.jsx(my,{size:"sm",variant:"outline",className:"ml-2",onClick:()=>{R6(t.signer.id),d(r)},"data-testid":"button-trust-signer",children:"Trust this signer"})]}),S.jsxs("div",{className:"text-xs text-muted-foreground mb-3 font-mono","data-testid":"text-verify-hash",children:[t.fileName," (",(t.size/1024).toFixed(1)," KB) — SHA-512: ",t.fileHash]}),S.jsx("div",{className:"space-y-2",children:t.checks.map((e,s)=>S.jsxs("div",{className:"border border-border rounded-lg p-2","data-testid":`verify-check-${s}`,children:[S.jsxs("div",{className:"flex items-center justify-between text-sm",children:[S.jsx("span",{className:"font-medium",children:e.name}),S.jsx("span",{style:{color:n[e.status]},children:p[e.status]})]}),S.jsx("div",{className:"text-xs text-muted-foreground mt-1",children:e.detail})]},s))})]})]})]})}const U6="verum-manifest.json",V6="verum-manifest.sig",L6="VERUM OMNIS — CERTIFIED DOCUMENT",M6=["This document is produced by Verum Omnis forensic system.","It contains a visible partial SHA-512 fingerprint and a QR code referencing author/device/timestamp.","Metadata embedded: Author, Creator, CreationDate (UTC). Seal payload and full transcript attached as verum-seal.json.","","Purpose: demonstration of sealed visual elements (watermark, patent tick, partial hash, QR).","","Notes:",`- A signed seal manifest (${U6}) is attached as a PDF associated file. It lists the case,`,"  location, transcript hash and every evidence item, and is signed by this device's key.","- The partial hash printed here covers the transcript and QR payload; the certification page (the last page)","  shows the manifest SHA-512."];let G6=null;function W6(){return G6||(G6=new Promise((s,t)=>{const o=indexedDB.open("verum-omnis",4);let r=!1;o.onupgradeneeded=()=>{const e=o.result;e.objectStoreNames.contains("keys")||e.createObjectStore("keys"),e.objectStoreNames.contains("cases")||e.createObjectStore("cases",{keyPath:"caseId"}).createIndex("mode","mode"),e.objectStoreNames.contains("blobs")||e.createObjectStore("blobs",{keyPath:"hash"}),e.objectStoreNames.contains("custody")||e.createObjectStore("custody",{keyPath:["caseId","seq"]}),e.objectStoreNames.contains("outbox")||e.createObjectStore("outbox",{keyPath:"id",autoIncrement:!0})},o.onsuccess=()=>{const e=o.result;if(r){e.close();return}e.onversionchange=()=>{e.close(),G6=null},s(e)},o.onerror=()=>{G6=null,t(o.error)},o.onblocked=()=>{r=!0,G6=null,t(new Error("Storage upgrade is blocked by another open Verum Omnis tab. Close other tabs and try again."))}})),G6}async function X6(e,n,i){const t=await W6();return new Promise((u,m)=>{const r=t.transaction(e,n),w=i(r.objectStore(e));r.oncomplete=()=>u(w?.result),r.onerror=r.onabort=()=>m(r.error)})}async function H6(e){return`VO-${(await b6(new TextEncoder().encode(JSON.stringify({crv:e.crv,kty:e.kty,x:e.x,y:e.y})))).slice(0,16).toUpperCase()}`}let K6=null;function Y6(){return K6||(K6=(async()=>{let e=await X6("keys","readonly",r=>r.get("device"));if(!e){const r=await crypto.subtle.generateKey({name:"ECDSA",namedCurve:"P-384"},!1,["sign","verify"]);e={privateKey:r.privateKey,publicKey:r.publicKey,createdAt:new Date().toISOString()},await X6("keys","readwrite",w=>w.put(e,"device"))}const{kty:n,crv:i,x:t,y:u}=await crypto.subtle.exportKey("jwk",e.publicKey),m={kty:n,crv:i,x:t,y:u};return{...e,publicJwk:m,id:await H6(m)}})().catch(e=>{throw K6=null,e})),K6}const O7=new WeakMap;function N6(t,a){let e=O7.get(t);e||(e=new Set(t.getCharacterSet()),O7.set(t,e));const n={"✓":"v","✔":"v","✕":"x","✘":"x","→":"->","←":"<-","⚠":"!","	":"    ","\n":`
+`};return Array.from(a.replace(/\r/g,"")).map(r=>e.has(r.codePointAt(0))?r:n[r]??"?").join("")}async function k6({text:f,caseFile:n,location:u,timestamp:l=new Date().toISOString()}){const{PDFDocument:k,StandardFonts:S,rgb:L,degrees:U,AFRelationship:T}=window.PDFLib,o=await Y6(),m=n?.caseId||"unknown",g=new TextEncoder,D=JSON.stringify({author:"Liam Highcock",device:o.id,timestamp:l,caseId:m}),I=await dg.toDataURL(D,{width:150}),v=await b6(g.encode(f+D)),N=v.slice(0,16),H=await b6(g.encode(f)),x=(n?.evidence||[]).map(i=>({name:i.name,type:i.type,size:i.size,sha512:i.hash})),R=JSON.stringify({format:"verum-seal-manifest/1",caseId:m,mode:n?.mode||null,sealedAt:l,location:u||null,jurisdiction:n?.jurisdiction||null,transcript:{sha512:H,characters:f.length},contentSha512:v,evidence:x,device:{id:o.id,algorithm:"ECDSA-P384-SHA512",publicKey:o.publicJwk}},null,2),$=g.encode(R),b=await b6($),E=new Uint8Array(await crypto.subtle.sign({name:"ECDSA",hash:"SHA-512"},o.privateKey,$)),t=await k.create(),c=new Date(l);t.setTitle("Verum Omnis — Certified Document"),t.setAuthor("Liam Highcock"),t.setSubject(`Case ${m} • Device ${o.id}`),t.setKeywords(["verum-omnis",m,o.id,`manifest-sha512:${b}`]),t.setCreator("Verum Omnis Forensic System"),t.setProducer("Verum Omnis Legal AI"),t.setCreationDate(c),await t.attach(g.encode(JSON.stringify({qr:D,transcript:f})),j6,{mimeType:"application/json",description:"Verum Omnis seal payload and full transcript",creationDate:c,modificationDate:c,afRelationship:T.Source}),await t.attach($,U6,{mimeType:"application/json",description:"Verum Omnis seal manifest",creationDate:c,modificationDate:c,afRelationship:T.Data}),await t.attach(E,V6,{mimeType:"application/octet-stream",description:`Detached ECDSA P-384 / SHA-512 signature over ${U6} by device ${o.id}`,creationDate:c,modificationDate:c,afRelationship:T.Supplement});const a=await t.embedFont(S.Helvetica),r=await t.embedFont(S.HelveticaBold),J=await t.embedFont(S.ZapfDingbats),s=t.addPage([595.28,841.89]),{width:w,height:y}=s.getSize(),P=await t.embedPng(I),z=P.scale(.5);s.drawText("VERUM OMNIS",{x:w/2-100,y:y/2+50,size:60,font:r,color:L(.9,.9,.9),rotate:U(30),opacity:.15});let e=y-60;const O=L6;s.drawText(O,{x:(w-r.widthOfTextAtSize(O,16))/2,y:e,size:16,font:r}),e-=40;for(const i of M6)s.drawText(i,{x:50,y:e,size:9,font:a}),e-=12;e-=20,t9(t,{font:a,page:s,y:e,bottom:120,onPage:i=>i.drawText(`${L6} (transcript continued)`,{x:50,y:y-40,size:8,font:r})}).text(f,{leading:11}),s.drawText("✔",{x:40,y:55,size:9,font:J}),s.drawText("Patent Pending — Verum Omnis",{x:52,y:55,size:9,font:a}),s.drawText(`Partial SHA-512: ${N} (truncated)`,{x:40,y:40,size:8,font:a}),s.drawImage(P,{x:w-z.width-40,y:30,width:z.width,height:z.height});const C=`Author: Liam Highcock • Device: ${o.id} • UTC: ${l}`;s.drawText(C,{x:(w-a.widthOfTextAtSize(C,7))/2,y:20,size:7,font:a});const h=t.addPage([595.28,841.89]);e=y-60;const V="Verum Omnis — Certification";h.drawText(V,{x:(w-r.widthOfTextAtSize(V,18))/2,y:e,size:18,font:r}),e-=50;for(const i of[`This document carries a seal manifest (${U6}) as a PDF associated file, together with a`,`detached ECDSA P-384 / SHA-512 signature (${V6}) made with the sealing device's own key.`,"The manifest hash below is computed over the attached manifest, not over this PDF, so it stays","verifiable in every copy. Re-check any copy offline in Verum Omnis Verify mode (/chat?mode=verify).",""])h.drawText(i,{x:60,y:e,size:10,font:a}),e-=15;const A=(i,d)=>{h.drawText(i,{x:60,y:e,size:10,font:r}),e-=15;for(let p=0;p<d.length;p+=64)h.drawText(d.slice(p,p+64),{x:60,y:e,size:8,font:r}),e-=12;e-=8};A("Manifest SHA-512:",b),A("Transcript SHA-512:",H),A("Device ID:",o.id);const q=u?`${u.latitude.toFixed(6)}, ${u.longitude.toFixed(6)} (±${u.accuracy.toFixed(0)}m)`:"Not captured",F=n!=null&&n.jurisdiction?N6(a,R8(n.jurisdiction)):"Not set";for(const i of[`Case: ${m}`,`Location: ${q}`,`Jurisdiction: ${F}`,`Sealed UTC: ${l}`,"",`Evidence items (${x.length}):`])h.drawText(i,{x:60,y:e,size:9,font:a}),e-=13;for(const[i,d]of x.entries()){if(e<=60){h.drawText(`... and ${x.length-i} more (see ${U6})`,{x:60,y:e,size:8,font:a});break}h.drawText(N6(a,`${i+1}. ${d.name.length>48?d.name.slice(0,48)+"...":d.name} (${(d.size/1024).toFixed(1)} KB) ${d.sha512.slice(0,32)}...`),{x:60,y:e,size:8,font:a}),e-=11}const j=await t.save();return{bytes:j,fileHash:await b6(j),contentHash:v,manifestHash:b,device:o,caseId:m,timestamp:l,pageCount:t.getPageCount()}}function s7(e){try{return localStorage.getItem(`verum_active_case_${e}`)}catch(t){return console.error("Failed to read active case from localStorage:",t),null}}function t7(e,t){try{localStorage.setItem(`verum_active_case_${e}`,t)}catch(s){console.error("Failed to save active case to localStorage:",s)}}function c7(e){return X6("cases","readonly",t=>e?t.index("mode").getAll(e):t.getAll())}function e7(e){return X6("cases","readonly",t=>t.get(e))}function i7(e){return X6("cases","readwrite",t=>t.put(e))}function o7(e){return X6("blobs","readwrite",t=>t.put({hash:e.hash,name:e.name,type:e.type,size:e.size,data:e.data}))}function r7(e){return X6("blobs","readonly",t=>t.get(e))}async function l7(e){const t=await e7(e);if(!t)return;await X6("cases","readwrite",o=>o.delete(e)),await I7(e);const s=new Set((await c7()).flatMap(o=>o.evidence.map(d=>d.hash)));for(const o of t.evidence)s.has(o.hash)||await X6("blobs","readwrite",d=>d.delete(o.hash))}function n7(e,t){const s=new Date().toISOString();return{caseId:`case_${e}_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,name:t,status:"active",createdAt:s,updatedAt:s,mode:e,sessionKey:`session_${e}_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,sessionId:null,messages:[],evidence:[],forensics:[],seals:[]}}let P7=null;function a7(){return P7||(P7=(async()=>{let e=[];try{e=Object.keys(localStorage).filter(t=>t.startsWith("verum_case_file_"))}catch(t){console.error("LocalStorage access failed:",t);return}for(const t of e)try{const s=JSON.parse(localStorage.getItem(t)),o=s.mode||t.slice(16),d=`verum_session_key_${o}`,l=[];for(const{content:v,...h}of s.evidence||[])v&&await o7({...h,data:Uint8Array.from(atob(v),f=>f.charCodeAt(0)).buffer}),l.push(h);await e7(s.caseId)||await i7({...s,name:s.name||`${o.charAt(0).toUpperCase()+o.slice(1)} case`,status:"active",mode:o,sessionKey:localStorage.getItem(d),sessionId:null,evidence:l,seals:s.seals||[]}),s7(o)||t7(o,s.caseId),localStorage.removeItem(t),localStorage.removeItem(d)}catch(s){console.error(`Failed to migrate ${t} to IndexedDB:`,s)}})().catch(e=>{throw P7=null,e})),P7}function u7(e){const[t,s]=T.useState([]),[o,d]=T.useState(null),[l,v]=T.useState(()=>s7(e)),h=T.useRef(null),f=a=>{h.current=a,d(a)};T.useEffect(()=>{let a=!1;return(async()=>{try{await a7();const n=(await c7(e)).sort((i,u)=>u.updatedAt.localeCompare(i.updatedAt));let r=n.find(i=>i.caseId===l)||n.find(i=>i.status!=="archived");r||(r=n7(e,`${e.charAt(0).toUpperCase()+e.slice(1)} case 1`),await i7(r),n.unshift(r)),t7(e,r.caseId),a||(s(n),f(r))}catch(n){console.error("Failed to load case files:",n)}})(),()=>{a=!0}},[e,l]);const w=T.useCallback(async a=>{const n=h.current;if(!n)return null;const r={...n,...typeof a=="function"?a(n):a,updatedAt:new Date().toISOString()};f(r),s(i=>i.map(u=>u.caseId===r.caseId?r:u));try{await i7(r)}catch(i){console.error("Failed to save case file:",i)}return r},[]),m=a=>{t7(e,a),v(a)},y=async a=>{const n=n7(e,a);await i7(n),s(r=>[n,...r]),m(n.caseId)},c=async(a,n)=>{const r=t.find(u=>u.caseId===a);if(!r)return;if(a===o?.caseId){await w({name:n});return}const i={...r,name:n,updatedAt:new Date().toISOString()};await i7(i),s(u=>u.map(g=>g.caseId===a?i:g))},p=a=>{const n=t.find(r=>r.caseId!==a&&r.status!=="archived");n?m(n.caseId):y(`${e.charAt(0).toUpperCase()+e.slice(1)} case ${t.length+1}`)};return{cases:t,caseFile:o,caseRef:h,updateCase:w,selectCase:m,createCase:y,renameCase:c,archiveCase:async(a,n)=>{const r=t.find(u=>u.caseId===a);if(!r)return;const i={...r,status:n?"archived":"active",updatedAt:new Date().toISOString()};await i7(i),s(u=>u.map(g=>g.caseId===a?i:g)),a===o?.caseId&&(n?p(a):f(i))},deleteCase:async a=>{await l7(a),s(n=>n.filter(r=>r.caseId!==a)),a===o?.caseId&&p(a)}}}function x7({workspace:e,disabled:t}){const[s,o]=T.useState(!1),{cases:d,caseFile:l}=e;if(!l)return null;const v=d.filter(c=>s||c.status!=="archived"||c.caseId===l.caseId),h=l.status==="archived",f=d.filter(c=>c.status==="archived").length,w=()=>{const c=window.prompt("Rename case",l.name);c&&c.trim()&&e.renameCase(l.caseId,c.trim())},m=()=>{const c=window.prompt("Name for the new case",`Case ${d.length+1}`);c&&c.trim()&&e.createCase(c.trim())},y=()=>{window.confirm(`Delete "${l.name}" and its stored evidence from this device? This cannot be undone.`)&&e.deleteCase(l.caseId)};return S.jsxs("div",{className:"flex items-center gap-2 flex-wrap py-3 border-b border-border","data-testid":"container-case-manager",children:[S.jsx("select",{value:l.caseId,onChange:c=>e.selectCase(c.target.value),disabled:t,className:"min-h-8 rounded-md px-3 text-sm bg-card border border-border text-foreground","data-testid":"select-case",children:v.map(c=>S.jsxs("option",{value:c.caseId,children:[c.name,c.status==="archived"?" (archived)":""," — ",c.evidence.length," evidence"]},c.caseId))}),S.jsx(my,{size:"sm",variant:"outline",onClick:m,disabled:t,"data-testid":"button-case-new",children:"New case"}),S.jsx(my,{size:"sm",variant:"outline",onClick:w,disabled:t,"data-testid":"button-case-rename",children:"Rename"}),S.jsx(my,{size:"sm",variant:"outline",onClick:()=>e.archiveCase(l.caseId,!h),disabled:t,"data-testid":"button-case-archive",children:h?"Restore":"Archive"}),S.jsx(my,{size:"sm",variant:"outline",onClick:y,disabled:t,"data-testid":"button-case-delete",children:"Delete"}),f>0&&S.jsxs("label",{className:"ml-auto flex items-center gap-2 text-xs opacity-70","data-testid":"label-show-archived",children:[S.jsx("input",{type:"checkbox",checked:s,onChange:c=>o(c.target.checked)}),"Show archived (",f,")"]})]})}const A7="0".repeat(128),D7=new Map;function v7(t){return X6("custody","readonly",a=>a.getAll(IDBKeyRange.bound([t,0],[t,1/0])))}function w7(t){return b6(new TextEncoder().encode(JSON.stringify([t.caseId,t.seq,t.type,t.at,t.location,t.fileName,t.fileHash,t.detail,t.prevHash])))}function C7(t,a){const s=(D7.get(t)||Promise.resolve()).catch(()=>{}).then(async()=>{const i=await v7(t),o=i[i.length-1],r=a.location?{latitude:a.location.latitude,longitude:a.location.longitude,accuracy:a.location.accuracy}:null,e={caseId:t,seq:o?o.seq+1:0,type:a.type,at:new Date().toISOString(),location:r,fileName:a.fileName||null,fileHash:a.fileHash||null,detail:a.detail||"",prevHash:o?o.hash:A7};return e.hash=await w7(e),await X6("custody","readwrite",c=>c.add(e)),window.dispatchEvent(new CustomEvent("verum-custody",{detail:{caseId:t}})),e});return D7.set(t,s),s}async function E7(t){const a=[];let s=null;for(const i of t){const o=[];await w7(i)!==i.hash&&o.push("entry hash does not match its contents"),i.prevHash!==(s?s.hash:A7)&&o.push("previous-entry link is broken"),i.seq!==(s?s.seq+1:0)&&o.push(`sequence gap before #${i.seq}`),a.push({...i,problems:o}),s=i}return{entries:a,intact:a.every(i=>i.problems.length===0)}}function I7(t){return X6("custody","readwrite",a=>a.delete(IDBKeyRange.bound([t,0],[t,1/0])))}function G7(t,a){const s=URL.createObjectURL(t),i=document.createElement("a");i.href=s,i.download=a,document.body.appendChild(i),i.click(),document.body.removeChild(i),URL.revokeObjectURL(s)}function Q7({caseFile:t,onExport:a}){const[s,i]=T.useState(null),o=t.caseId;T.useEffect(()=>{let e=!1;const c=()=>v7(o).then(E7).then(l=>{e||i(l)}).catch(l=>console.error("Failed to load custody log:",l)),d=l=>{l.detail.caseId===o&&c()};return c(),window.addEventListener("verum-custody",d),()=>{e=!0,window.removeEventListener("verum-custody",d)}},[o]);const r=async e=>{if(!s)return;const c=new Date().toISOString(),d=`verum-custody-${o}-${c.split("T")[0]}.${e}`,l=s.entries.map(({problems:n,...h})=>({...h,linkIntact:n.length===0})),u=e==="json"?new Blob([JSON.stringify({format:"verum-custody-log/1",caseId:o,caseName:t.name,exportedAt:c,intact:s.intact,hashAlgorithm:"SHA-512 over JSON [caseId, seq, type, at, location, fileName, fileHash, detail, prevHash]",entries:l},null,2)],{type:"application/json"}):new Blob([`Seq,Timestamp,Event,Latitude,Longitude,Accuracy,File,FileSHA512,Detail,PrevHash,Hash,LinkIntact
+`+l.map(n=>[n.seq,n.at,n.type,n.location?n.location.latitude:"",n.location?n.location.longitude:"",n.location?n.location.accuracy:"",`"${(n.fileName||"").replace(/"/g,'""')}"`,n.fileHash||"",`"${n.detail.replace(/"/g,'""')}"`,n.prevHash,n.hash,n.linkIntact].join(",")).join(`
+`)],{type:"text/csv"});G7(u,d),a(u,d,`Custody log exported as ${e.toUpperCase()}`)};return s?S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card","data-testid":"container-custody-log",children:[S.jsxs("div",{className:"flex items-center justify-between gap-2 flex-wrap text-sm font-medium mb-2",children:[S.jsxs("span",{children:["Chain of custody (",s.entries.length," events)"]}),S.jsx("span",{style:{color:s.intact?"#22c55e":"hsl(var(--destructive))"},"data-testid":"text-custody-status",children:s.intact?"✔ Hash chain intact":"✘ Hash chain BROKEN"}),S.jsxs("div",{className:"flex gap-2",children:[S.jsx(my,{size:"sm",variant:"outline",onClick:()=>r("json"),"data-testid":"button-custody-export-json",children:"Export JSON"}),S.jsx(my,{size:"sm",variant:"outline",onClick:()=>r("csv"),"data-testid":"button-custody-export-csv",children:"Export CSV"})]})]}),s.entries.length===0?S.jsx("div",{className:"text-xs text-muted-foreground italic",children:"No custody events recorded for this case yet."}):S.jsx("div",{className:"space-y-1 overflow-auto",style:{maxHeight:"40svh"},children:s.entries.map(e=>S.jsxs("div",{className:"border border-border rounded-lg p-2 text-xs",style:e.problems.length?{borderColor:"hsl(var(--destructive))"}:void 0,"data-testid":`custody-entry-${e.seq}`,children:[S.jsxs("div",{className:"flex items-center justify-between gap-2",children:[S.jsxs("span",{className:"font-medium",children:["#",e.seq," ",e.type.toUpperCase(),e.fileName?` — ${e.fileName}`:""]}),S.jsx("span",{className:"text-muted-foreground",children:e.at})]}),e.detail&&S.jsx("div",{className:"text-muted-foreground mt-1",children:e.detail}),S.jsxs("div",{className:"text-muted-foreground mt-1 font-mono truncate",children:[e.fileHash?`file ${e.fileHash.slice(0,16)}… • `:"",e.location?`📍 ${e.location.latitude.toFixed(4)}, ${e.location.longitude.toFixed(4)} • `:"","prev ",e.prevHash.slice(0,12),"… → ",e.hash.slice(0,12),"…"]}),e.problems.length>0&&S.jsxs("div",{className:"text-destructive mt-1",children:["✘ ",e.problems.join("; ")]})]},e.seq))})]}):null}const Y7={jan:0,feb:1,mar:2,apr:3,may:4,jun:5,jul:6,aug:7,sep:8,oct:9,nov:10,dec:11},a8={invoice:"Invoice",inv:"Invoice",account:"Account",acct:"Account",acc:"Account",reference:"Reference",ref:"Reference",case:"Case",cas:"Case",order:"Order",policy:"Policy",receipt:"Receipt",statement:"Statement",claim:"Claim",contract:"Contract",iban:"IBAN"},c8={R:"ZAR",ZAR:"ZAR",AED:"AED",DH:"AED",DHS:"AED",USD:"USD",US$:"USD",$:"USD","£":"GBP",GBP:"GBP","€":"EUR",EUR:"EUR"};function e8(r,i){return r.slice(Math.max(0,i-70),i+90).replace(/\s+/g," ").trim()}function Z7(r){const i=[],o="(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)",c=(s,d,n,e)=>{d<100&&(d+=d<50?2e3:1900);const t=new Date(Date.UTC(d,n,e));t.getUTCMonth()!==n||d<1900||d>2100||i.some(l=>l.index===s.index)||i.push({iso:t.toISOString().slice(0,10),raw:s[0],index:s.index})};for(const s of r.matchAll(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g))c(s,+s[1],s[2]-1,+s[3]);for(const s of r.matchAll(/\b(\d{1,2})[\/.](\d{1,2})[\/.](\d{4}|\d{2})\b/g)){let d=+s[1],n=+s[2];n>12&&d<=12&&([d,n]=[n,d]),c(s,+s[3],n-1,d)}for(const s of r.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${o}\\.?,?\\s+(\\d{4})\\b`,"gi")))c(s,+s[3],Y7[s[2].slice(0,3).toLowerCase()],+s[1]);for(const s of r.matchAll(new RegExp(`\\b${o}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`,"gi")))c(s,+s[3],Y7[s[1].slice(0,3).toLowerCase()],+s[2]);return i.sort((s,d)=>s.index-d.index)}function $7(r){const i=[],o="(\\d{1,3}(?:[ ,]\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?)",c=(s,d,n)=>{i.some(e=>Math.abs(e.index-s.index)<3)||i.push({currency:c8[d.toUpperCase()],value:parseFloat(n.replace(/[ ,]/g,"")),raw:s[0].trim(),index:s.index})};for(const s of r.matchAll(new RegExp(`(?<![A-Za-z])(R|ZAR|AED|Dhs?|USD|US\\$|\\$|£|GBP|€|EUR)\\s?${o}(?!\\d)`,"g")))c(s,s[1],s[2]);for(const s of r.matchAll(new RegExp(`(?<![\\d.,])${o}\\s?(ZAR|AED|USD|GBP|EUR)\\b`,"g")))c(s,s[2],s[1]);return i.sort((s,d)=>s.index-d.index)}function i8(r){const i=[];for(const o of r.matchAll(/\b(invoice|inv|account|acct|acc|reference|ref|case|cas|order|policy|receipt|statement|claim|contract)\.?\s*(?:no\.?|number|num\.?|#)?\s*[:#]?\s*([A-Z0-9][A-Z0-9\-\/]{1,}[A-Z0-9])\b/gi)){const c=o[2].toUpperCase();/\d/.test(c)&&i.push({kind:a8[o[1].toLowerCase()],value:c,raw:o[0],index:o.index})}for(const o of r.matchAll(/\b[A-Z]{2}\d{2}(?:\s?[A-Z0-9]{4}){3,7}(?:\s?[A-Z0-9]{1,3})?\b/g))i.push({kind:"IBAN",value:o[0].replace(/\s/g,""),raw:o[0],index:o.index});return i}function l8(r){const i=[],o=[];for(const c of r.matchAll(/\b(?:Mr|Mrs|Ms|Miss|Dr|Prof|Adv|Advocate|Judge|Magistrate|Capt|Sgt|Sergeant|Constable|Col|Sheikh)\.?\s+((?:[A-Z][a-zA-Z'-]+ ?){1,3})/g))i.push(c[0].trim());for(const c of r.matchAll(/\b(?:Name|Employee|Complainant|Accused|Witness|Signed by|Attention|Attn)\s*[:.]?\s*([A-Z][a-z'-]+(?: [A-Z][a-z'-]+){1,2})/g))i.push(c[1]);for(const c of r.matchAll(/\b(?:[A-Z][\w&'.-]* ){0,4}[A-Z][\w&'.-]* (?:\(Pty\) Ltd|Pty Ltd|Ltd|Limited|LLC|L\.L\.C|Inc|Incorporated|Corp|Corporation|PLC|plc|Bank|FZE|FZCO|FZ-LLC|GmbH|Holdings|Group|Trust|Attorneys|Associates|Municipality|Police Service)(?![\w-])\.?/g))o.push(c[0].trim());return{people:i,organisations:o}}function n8(r,i){return i.find(c=>/(?:\bdated?|\bissued?(?: on)?|invoice date|statement date|date of issue)\s*[:\-]?\s*$/i.test(r.slice(Math.max(0,c.index-30),c.index)))||i.find(c=>c.index<400)||null}function T7(p){const r=p.filter(t=>t.extractedText&&t.extractedText.trim()).map(t=>{const e=t.extractedText,s=Z7(e);return{source:{name:t.name,hash:t.hash},text:e,dates:s,documentDate:n8(e,s),amounts:$7(e),references:i8(e),...l8(e)}}),u=[],a=[],m=new Set;for(const t of r)for(const e of t.dates){const s=e8(t.text,e.index),n=`${e.iso}|${t.source.hash}|${s}`;m.has(n)||(m.add(n),u.push({iso:e.iso,raw:e.raw,snippet:s,source:t.source,isDocumentDate:e===t.documentDate}))}u.sort((t,e)=>t.iso.localeCompare(e.iso)||t.source.name.localeCompare(e.source.name));const l=new Map;for(const t of r)for(const e of t.references){const s=`${e.kind} ${e.value}`,n=l.get(s)||{kind:e.kind,value:e.value,mentions:[]},i=t.amounts.filter(o=>Math.abs(o.index-e.index)<=160).sort((o,c)=>Math.abs(o.index-e.index)-Math.abs(c.index-e.index))[0];n.mentions.push({doc:t,reference:e,amount:i||null}),l.set(s,n)}for(const[t,e]of l){const s=e.mentions.filter(o=>o.amount),n=new Map;for(const o of s){const c=`${o.amount.currency} ${o.amount.value.toLocaleString("en",{minimumFractionDigits:2,maximumFractionDigits:2})}`;n.has(c)||n.set(c,o)}n.size>1&&a.push({type:"conflicting-amounts",severity:"high",title:`${t} appears with ${n.size} different amounts`,detail:[...n].map(([o,c])=>`${o} in ${c.doc.source.name}`).join("; "),evidence:[...n.values()].map(o=>({source:o.doc.source,snippet:e8(o.doc.text,o.reference.index)}))});const i=e.mentions.filter(o=>o.reference.index<400&&o.doc.documentDate&&!/\b(?:for|re|regarding|settle\w*|pay\w*|against|see|per|quot\w*|cit\w*|under|towards?)\s*[:\-]?\s*$/i.test(o.doc.text.slice(Math.max(0,o.reference.index-40),o.reference.index).split(`
+`).pop())).sort((o,c)=>o.doc.documentDate.iso.localeCompare(c.doc.documentDate.iso))[0];if(i)for(const o of e.mentions){const c=o.doc;c!==i.doc&&c.documentDate&&c.documentDate.iso<i.doc.documentDate.iso&&!a.some(f=>f.type==="reference-before-issue"&&f.key===`${t}|${c.source.hash}`)&&a.push({type:"reference-before-issue",key:`${t}|${c.source.hash}`,severity:"high",title:`${c.source.name} (dated ${c.documentDate.iso}) cites ${t}, which is only issued on ${i.doc.documentDate.iso}`,detail:`${i.doc.source.name} issues ${t} on ${i.doc.documentDate.iso}.`,evidence:[{source:c.source,snippet:e8(c.text,o.reference.index)},{source:i.doc.source,snippet:e8(i.doc.text,i.reference.index)}]})}}for(const t of r)if(t.documentDate)for(const e of t.dates){const s=t.text.slice(Math.max(0,e.index-80),e.index).split(/[.;!?\n]/).pop();e.iso>t.documentDate.iso&&/\b(?:was|were|had|did|occurred|happened|took place|held|signed|paid|received|sent|delivered|completed|issued|met|visited|attended|transferred|collected|returned|arrived|left)\b/i.test(s)&&!/(?:due|payable|by|before|until|expir\w*|deadline|valid|no later than|from|effective|next)\s*(?:date|on)?\s*[:\-]?\s*$/i.test(t.text.slice(Math.max(0,e.index-30),e.index))&&a.push({type:"impossible-event",severity:"medium",title:`${t.source.name} is dated ${t.documentDate.iso} but describes ${e.iso}`,detail:`"${e.raw}" falls after the document's own date.`,evidence:[{source:t.source,snippet:e8(t.text,e.index)}]})}const d=t=>{const e=new Map;for(const s of r)for(const n of t(s)){const i=e.get(n)||{value:n,count:0,sources:[]};i.count++,i.sources.some(o=>o.hash===s.source.hash)||i.sources.push(s.source),e.set(n,i)}return[...e.values()].sort((s,n)=>n.count-s.count)};return{documents:r.length,chronology:u,findings:a.map(({key:t,...e})=>e),entities:{people:d(t=>t.people),organisations:d(t=>t.organisations),references:d(t=>t.references.map(e=>`${e.kind} ${e.value}`)),amounts:d(t=>t.amounts.map(e=>`${e.currency} ${e.value.toFixed(2)}`))}}}function o8({source:r}){return S.jsxs("span",{className:"text-muted-foreground font-mono",title:`SHA-512: ${r.hash}`,children:[r.name," · ",r.hash.slice(0,12),"…"]})}function R7({items:r}){const i=r.map(n=>`${n.hash}:${n.extractedText?n.extractedText.length:0}`).join("|"),o=T.useMemo(()=>T7(r),[i]),[c,s]=T.useState("findings"),d=[["findings",`Findings (${o.findings.length})`],["timeline",`Timeline (${o.chronology.length})`],["entities","Entities"]];return S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card","data-testid":"container-evidence-analysis",children:[S.jsxs("div",{className:"flex items-center justify-between gap-2 flex-wrap text-sm font-medium mb-2",children:[S.jsxs("span",{children:["Evidence analysis — ",o.documents," document(s) with text"]}),S.jsx("div",{className:"flex gap-2",children:d.map(([n,e])=>S.jsx(my,{size:"sm",variant:c===n?"secondary":"outline",onClick:()=>s(n),"data-testid":`button-analysis-${n}`,children:e},n))})]}),S.jsxs("div",{className:"space-y-1 overflow-auto text-xs",style:{maxHeight:"40svh"},children:[c==="findings"&&(o.findings.length===0?S.jsx("div",{className:"text-muted-foreground italic",children:"No contradictions detected in the extracted text."}):o.findings.map((n,e)=>S.jsxs("div",{className:"border border-border rounded-lg p-2",style:{borderColor:n.severity==="high"?"hsl(var(--destructive))":void 0},"data-testid":`analysis-finding-${e}`,children:[S.jsxs("div",{className:"font-medium",children:[n.severity==="high"?"✘ ":"⚠ ",n.title]}),S.jsx("div",{className:"text-muted-foreground mt-1",children:n.detail}),n.evidence.map((t,l)=>S.jsxs("div",{className:"mt-1",children:[S.jsx(o8,{source:t.source}),S.jsxs("div",{className:"opacity-70",children:["“",t.snippet,"”"]})]},l))]},e))),c==="timeline"&&(o.chronology.length===0?S.jsx("div",{className:"text-muted-foreground italic",children:"No dates found in the extracted text."}):o.chronology.map((n,e)=>S.jsxs("div",{className:"border border-border rounded-lg p-2","data-testid":`analysis-event-${e}`,children:[S.jsxs("div",{className:"flex items-center justify-between gap-2",children:[S.jsxs("span",{className:"font-medium",children:[n.iso,n.isDocumentDate?" — document date":""]}),S.jsx(o8,{source:n.source})]}),S.jsxs("div",{className:"opacity-70 mt-1",children:["“",n.snippet,"”"]})]},e))),c==="entities"&&[["People",o.entities.people],["Organisations",o.entities.organisations],["Account / reference numbers",o.entities.references],["Amounts",o.entities.amounts]].map(([n,e])=>S.jsxs("div",{className:"border border-border rounded-lg p-2",children:[S.jsxs("div",{className:"font-medium mb-1",children:[n," (",e.length,")"]}),e.length===0?S.jsx("div",{className:"text-muted-foreground italic",children:"None found"}):e.map(t=>S.jsxs("div",{className:"flex items-center justify-between gap-2",children:[S.jsxs("span",{children:[t.value,t.count>1?` ×${t.count}`:""]}),S.jsx("span",{className:"truncate",children:t.sources.map((l,u)=>S.jsxs("span",{children:[u>0?", ":"",S.jsx(o8,{source:l})]},u))})]},t.value))]},n))]})]})}function p8(r){let s="";for(let e=0;e<r.length;e+=32768)s+=String.fromCharCode.apply(null,r.subarray(e,e+32768));return btoa(s)}function u8(){try{return localStorage.getItem("verum_file_refs")==="sha512"}catch(e){return console.error("Failed to read file reference support from localStorage:",e),!1}}function v8(e){try{e?localStorage.setItem("verum_file_refs","sha512"):localStorage.removeItem("verum_file_refs")}catch(r){console.error("Failed to save file reference support to localStorage:",r)}}async function f8(r,s){const c=new Set(u8()?r.evidence.filter(t=>t.sentAt).map(t=>t.hash):[]);return Promise.all(s.map(async t=>{const a={name:t.name,type:t.type,size:t.size,hash:t.hash};if(c.has(t.hash))return{...a,ref:!0,extractedText:t.extractedText||void 0};let e=t.content;if(!e){const n=await r7(t.hash);e=n?p8(new Uint8Array(n.data)):void 0}return{...a,content:e,extractedText:t.extractedText||void 0}}))}async function h8(t,a){return Promise.all(t.map(async n=>{if(!n.ref||!a.includes(n.hash))return n;const{ref:e,...s}=n,r=await r7(n.hash);if(!r)throw Object.assign(new Error(`${n.name} is no longer stored on this device`),{status:410});return{...s,content:p8(new Uint8Array(r.data))}}))}async function s8(o,{signal:c,onText:i,headers:l,resent:b=!1}){const s=await fetch("/api/assistant",{method:"POST",headers:{"Content-Type":"application/json",Accept:"text/event-stream, application/x-ndjson, application/json",...l},body:JSON.stringify({...o,stream:!0}),signal:c}).catch(e=>{throw c&&c.aborted?e:Object.assign(e,{offline:!0})});if(s.status===409&&!b){const e=(await s.clone().json().catch(()=>null)||{}).missing;if(Array.isArray(e)&&(o.files||[]).some(t=>t.ref&&e.includes(t.hash)))return s8({...o,files:await h8(o.files,e)},{signal:c,onText:i,headers:l,resent:!0})}if(!s.ok)throw Object.assign(new Error(`${s.status}: ${(await s.text()).slice(0,200)||s.statusText}`),{status:s.status});v8(s.headers.get("X-Verum-File-Refs")==="sha512");const f=s.headers.get("Content-Type")||"";if(!s.body||f.includes("application/json")){const e=await s.json(),t=e?.text||"";return i(t),t}const u=s.body.getReader(),p=new TextDecoder,h=f.includes("text/event-stream"),m=h||f.includes("ndjson");let d="",r="",a=!1;const w=e=>{let t=e.trim();if(h){if(!t.startsWith("data:"))return;t=t.slice(5).trim()}if(!t)return;if(t==="[DONE]"){a=!0;return}let n;try{n=JSON.parse(t)}catch{n={delta:t}}if(n.error)throw new Error(n.error);typeof n.delta=="string"?r+=n.delta:typeof n.text=="string"&&(r=n.text),n.done&&(a=!0)};for(;!a;){const{value:e,done:t}=await u.read();if(t)break;const n=p.decode(e,{stream:!0});if(!m){r+=n,i(r);continue}d+=n;const y=d.split(`
+`);d=y.pop();for(const j of y)if(w(j),a)break;i(r)}return a?u.cancel().catch(()=>{}):m&&(w(d+p.decode()),i(r)),r}function d8({provenance:r}){const{mode:s,location:e,evidence:t}=r;return S.jsxs("div",{className:"text-xs text-muted-foreground mt-1",title:t.length?`Evidence SHA-512 in context:
+${t.join(`
+`)}`:"No evidence in context","data-testid":"text-message-provenance",children:["Context: ",s.toUpperCase()," • ",t.length," evidence",t.length?` (${t.map(n=>n.slice(0,8)).join(", ")})`:""," • ",e?`📍 ${e.latitude.toFixed(2)}°, ${e.longitude.toFixed(2)}°`:"📍 No location"]})}let a9=null,b9=null;function c9(e){return window.dispatchEvent(new CustomEvent("verum-outbox",{detail:e})),e.handled}async function e9(e){const i=await X6("outbox","readwrite",a=>a.add({...e,createdAt:new Date().toISOString(),attempts:0,failed:!1}));return c9({entry:{...e,id:i},status:"pending",handled:!1}),i9(),i}function j9(e){return X6("outbox","readonly",i=>i.getAll()).then(i=>i.filter(a=>a.caseId===e))}async function k9(e,i,a){const n=await fetch(e,{method:"POST",headers:{"Content-Type":"application/json","Idempotency-Key":i},body:JSON.stringify(a),credentials:"include"});if(!n.ok)throw Object.assign(new Error(`${n.status}: ${await n.text()||n.statusText}`),{status:n.status});return n}async function l9(s,i){if(s.kind==="message"){let e=i.get(s.sessionKey);return e||(e=(await(await k9("/api/sessions",`session:${s.sessionKey}`,{sessionKey:s.sessionKey,mode:s.mode})).json()).id,i.set(s.sessionKey,e)),await k9("/api/messages",s.key,{sessionId:e,...s.body,clientId:s.messageId}),{sessionId:e}}if(s.kind==="assistant")return{text:await s8(s.body,{onText:()=>{},headers:{"Idempotency-Key":s.key}})};const a=await r7(s.hash);if(!a)throw Object.assign(new Error(`${s.name} is no longer stored on this device`),{status:410});const o=await(await k9("/api/transcribe",s.key,{audio:p8(new Uint8Array(a.data)),filename:s.name,mimeType:s.mimeType})).json();return{text:(o?.text||"").trim()}}function n9(e,i,a){const n=t=>t.id!==e.messageId?t:e.kind==="message"?{...t,sync:i,syncError:a.error}:e.kind!=="assistant"||i==="pending"?t:i==="synced"?{...t,text:a.text||"(no response)",queued:!1}:{...t,queued:!1,sync:void 0,failed:!0,error:a.error,retry:e.retry},s=e.kind==="assistant"&&i==="synced"?new Set((e.body.files||[]).map(t=>t.hash)):null;return{message:n,evidence:t=>e.kind==="transcribe"&&i==="synced"&&t.hash===e.hash?{...t,extractedText:a.text||t.extractedText}:s&&s.has(t.hash)&&!t.sentAt?{...t,sentAt:new Date().toISOString()}:t}}async function o9(e,i,a){const d={entry:e,status:i,...a,handled:!1};if(e.kind==="transcribe"&&i==="synced"&&a.text&&await C7(e.caseId,{type:"transcription",location:e.location,fileName:e.name,fileHash:e.hash,detail:`Queued transcription result: ${a.text.length} characters, text SHA-512 ${await b6(new TextEncoder().encode(a.text))}`}).catch(s=>console.error("Failed to record custody event:",s)),e.kind==="assistant"&&i==="synced")for(const s of e.body.files||[])await C7(e.caseId,{type:"send",location:e.body.location,fileName:s.name,fileHash:s.hash,detail:s.ref?"Referenced by hash in queued /api/assistant request":"Sent to /api/assistant from the outbox"}).catch(o=>console.error("Failed to record custody event:",o));if(!c9(d)){const s=await e7(e.caseId);if(s){const{message:o,evidence:c}=n9(e,i,a);await i7({...s,sessionId:s.sessionId||a.sessionId||null,messages:(s.messages||[]).map(o),evidence:s.evidence.map(c),updatedAt:new Date().toISOString()})}}e.kind==="assistant"&&i==="synced"&&await e9({kind:"message",key:`message:${e.messageId}`,caseId:e.caseId,messageId:e.messageId,sessionKey:e.sessionKey,mode:e.mode,body:{role:"Legal AI",text:a.text||"(no response)",isSystem:!1}})}function i9(){return a9||(a9=(async()=>{if(clearTimeout(b9),!navigator.onLine)return;const r=new Map;let i=0,n=!1;for(;;){const t=(await X6("outbox","readonly",e=>e.getAll())).find(e=>!e.failed);if(!t)break;try{const e=await l9(t,r);await X6("outbox","readwrite",a=>a.delete(t.id)),i++,await o9(t,"synced",e)}catch(e){const a=e instanceof Error?e.message:"Unknown error",o=e.status>=400&&e.status<500&&e.status!==408&&e.status!==429;if(await X6("outbox","readwrite",s=>o&&t.kind!=="message"?s.delete(t.id):s.put({...t,attempts:t.attempts+1,failed:o,lastError:a})),o){await o9(t,"failed",{error:a});continue}n=!0;break}}n&&(b9=setTimeout(i9,3e4)),c9({drained:!n,replayed:i,handled:!1})})().catch(r=>console.error("Outbox replay failed:",r)).finally(()=>{a9=null})),a9}async function q9(e){const i=await X6("outbox","readonly",a=>a.getAll());for(const a of i)a.messageId===e&&a.failed&&(await X6("outbox","readwrite",n=>n.put({...a,failed:!1})),c9({entry:a,status:"pending",handled:!1}));return i9()}function r9(e,i,a){const n=[...i],s=[];return{messages:[...e.map(t=>{if(t.isSystem||t.failed||t.stopped||t.queued||t.streaming)return t;const d=n.findIndex(r=>r.clientId?r.clientId===t.id:r.role===t.role&&r.text===t.text);if(d>=0)return n.splice(d,1),{...t,sync:"synced",syncError:void 0};const c={...t,id:t.id||`msg_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,sync:"pending"};return a.has(c.id)||s.push(c),c}),...n.map(t=>({id:t.clientId||`srv_${t.id}`,role:t.role,text:t.text,isSystem:t.isSystem===1,at:t.createdAt,sync:"synced"}))],missing:s}}window.addEventListener("online",()=>{i9()});function s9(o,n,i,s){const r=[];for(const w of N6(o,n).split(`
+`)){let a="";for(const u of w.split(" ")){const c=a?`${a} ${u}`:u;if(o.widthOfTextAtSize(c,i)<=s){a=c;continue}for(a&&r.push(a),a=u;o.widthOfTextAtSize(a,i)>s;){let g=1;for(;g<a.length-1&&o.widthOfTextAtSize(a.slice(0,g+1),i)<=s;)g++;r.push(a.slice(0,g)),a=a.slice(g)}}r.push(a)}return r}function t9(o,{font:n,page:i=null,y:s=0,bottom:r=60,onPage:w}){const a={page:i,y:s,bottom:r},u=()=>{a.page=o.addPage([595.28,841.89]),a.y=781.89,a.bottom=60,w&&w(a.page)},c=(x=0)=>{(!a.page||a.y-x<a.bottom)&&u()};return{state:a,add:u,ensure:c,text:(x,{face:m=n,size:f=9,leading:d=f+3,indent:p=0,color:h}={})=>{for(const t of s9(m,x,f,495.28-p))c(),t&&a.page.drawText(t,{x:50+p,y:a.y,size:f,font:m,color:h}),a.y-=d},gap:x=>{a.y-=x}}}function u9(o,n,i){const s=o.getPages();s.forEach((r,w)=>{const{width:a}=r.getSize(),u=N6(n,`${i} • Page ${w+1} of ${s.length}`);r.drawText(u,{x:a-40-n.widthOfTextAtSize(u,7),y:20,size:7,font:n})})}function x9(o){let n="";for(let i=o+1;i>0;i=Math.floor((i-1)/26))n=String.fromCharCode(65+(i-1)%26)+n;return n}async function z9(o,n){const i=await createImageBitmap(new Blob([o],{type:n})),s=document.createElement("canvas"),r=s.getContext("2d");if(!r)throw new Error("Canvas is not available");s.width=i.width,s.height=i.height,r.drawImage(i,0,0);const w=await new Promise(a=>s.toBlob(a,"image/png"));if(!w)throw new Error("Image could not be converted to PNG");return w.arrayBuffer()}async function D8(o){return Promise.all(o.evidence.map(async(n,i)=>{const s=await r7(n.hash),r=s?s.data:null;return{exhibit:x9(i),name:n.name,type:n.type||"application/octet-stream",size:n.size,sha512:n.hash,extractedText:n.extractedText||"",data:r,stored:!!r,intact:!!r&&await b6(r)===n.hash}}))}async function E8({caseFile:o,messages:n,location:i,timestamp:s}){const r=await Y6(),w=n.filter(c=>c.text).map(c=>`[${c.at||"time not recorded"}] ${c.role}: ${c.text}`).join(`
+
+`),a=await D8(o),u={format:"verum-evidence-bundle/1",caseId:o.caseId,caseName:o.name,mode:o.mode,preparedAt:s,location:i||null,device:r.id,transcript:{sha512:await b6(new TextEncoder().encode(w)),messages:n.length},exhibits:a.map(({data:c,extractedText:g,...x})=>({...x,path:x.stored?`originals/${x.exhibit} - ${x.name.replace(/[\\/:*?"<>|]/g,"_")}`:null,extractedTextSha512:null}))};for(const[c,g]of a.entries())g.extractedText&&(u.exhibits[c].extractedTextSha512=await b6(new TextEncoder().encode(g.extractedText)));return{device:r,transcript:w,exhibits:a,manifest:u}}async function A8({caseFile:o,messages:n,location:i,timestamp:s=new Date().toISOString()}){const{PDFDocument:r,StandardFonts:w,rgb:a,AFRelationship:u}=window.PDFLib,{device:c,exhibits:g,manifest:x}=await E8({caseFile:o,messages:n,location:i,timestamp:s}),m=new Date(s),f=a(.4,.4,.4),d=await r.create();d.setTitle(`Verum Omnis — Evidence Bundle — ${o.name}`),d.setAuthor("Liam Highcock"),d.setSubject(`Case ${o.caseId} • Device ${c.id}`),d.setKeywords(["verum-omnis","evidence-bundle",o.caseId,c.id]),d.setCreator("Verum Omnis Forensic System"),d.setProducer("Verum Omnis Legal AI"),d.setCreationDate(m),await d.attach(new TextEncoder().encode(JSON.stringify(x,null,2)),"verum-bundle-manifest.json",{mimeType:"application/json",description:"Verum Omnis evidence bundle manifest",creationDate:m,modificationDate:m,afRelationship:u.Data});const p=await d.embedFont(w.Helvetica),h=await d.embedFont(w.HelveticaBold),t=t9(d,{font:p}),S=d.addPage([595.28,841.89]),z=(e,T,$,v,l)=>{const b=N6(l,T);e.drawText(b,{x:(595.28-l.widthOfTextAtSize(b,v))/2,y:$,size:v,font:l})};z(S,"VERUM OMNIS",700,14,h),z(S,"EVIDENCE BUNDLE",660,28,h),z(S,o.name,620,16,p);const A=i?`${i.latitude.toFixed(6)}, ${i.longitude.toFixed(6)} (±${i.accuracy.toFixed(0)}m)`:"Not captured";t.state.page=S,t.state.y=540,t.state.bottom=60;for(const e of[`Case reference: ${o.caseId}`,`Mode: ${o.mode.toUpperCase()}`,`Prepared (UTC): ${s}`,`Prepared on device: ${c.id}`,`Location: ${A}`,`Transcript: ${n.length} messages`,`Exhibits: ${g.length}`,"",`Transcript SHA-512: ${x.transcript.sha512}`])t.text(e,{size:10,leading:15});t.gap(20),t.text("Every exhibit is identified by the SHA-512 of the original file as received. The schedule at the end of this bundle lists each hash; the same data is attached to this PDF as verum-bundle-manifest.json and shipped with the evidence ZIP export.",{size:9,color:f});const P=["Transcript",...g.map(e=>`Exhibit ${e.exhibit} — ${e.name}`),"Schedule of exhibits"],I=Array.from({length:Math.ceil(P.length/45)},()=>d.addPage([595.28,841.89])),U=[];t.add(),U.push(d.getPageCount()),t.text("Transcript",{face:h,size:16,leading:28});for(const e of n)e.text&&(t.ensure(40),t.text(`${e.role} — ${e.at||"time not recorded"}`,{face:h,size:10,leading:14}),t.text(e.text),t.gap(8));n.length===0&&t.text("No messages recorded in this case.",{color:f});for(const e of g){t.add(),U.push(d.getPageCount()),t.text(`EXHIBIT ${e.exhibit}`,{face:h,size:22,leading:32}),t.text(e.name,{face:h,size:12,leading:18});for(const l of[`Type: ${e.type}`,`Size: ${e.size} bytes`,`SHA-512: ${e.sha512.slice(0,64)}`,`         ${e.sha512.slice(64)}`,`Original: ${e.stored?e.intact?"stored on this device; hash re-verified":"stored copy does NOT match the recorded hash":"not stored on this device"}`])t.text(l,{size:9,leading:13});t.gap(12);const T=e.type==="application/pdf"||/\.pdf$/i.test(e.name),$=e.type.startsWith("image/"),v=e.type.startsWith("audio/")||/\.(ogg|opus|mp3|m4a|wav|webm)$/i.test(e.name);if(e.data&&T)try{const l=await r.load(e.data,{ignoreEncryption:!0}),b=await d.copyPages(l,l.getPageIndices());t.text(`The original document follows (${b.length} page${b.length===1?"":"s"}).`,{color:f}),b.forEach((y,D)=>{d.addPage(y);const{height:C}=y.getSize();y.drawText(`Exhibit ${e.exhibit} • original page ${D+1} of ${b.length}`,{x:20,y:C-15,size:8,font:h,color:f})}),t.state.page=null}catch(l){t.text(`The original PDF could not be merged (${l instanceof Error?l.message:"unknown error"}). It is included unchanged in the evidence ZIP.`,{color:f})}else if(e.data&&$)try{const l=e.type==="image/png"?await d.embedPng(e.data):e.type==="image/jpeg"||e.type==="image/jpg"?await d.embedJpg(e.data):await d.embedPng(await z9(e.data,e.type)),b=()=>Math.min(1,495.28/l.width,(t.state.y-t.state.bottom)/l.height);let y=b();y*l.height<Math.min(l.height,200)&&(t.add(),y=b()),t.state.page.drawImage(l,{x:50,y:t.state.y-l.height*y,width:l.width*y,height:l.height*y}),t.gap(l.height*y+12)}catch(l){t.text(`The image could not be embedded (${l instanceof Error?l.message:"unknown error"}). It is included unchanged in the evidence ZIP.`,{color:f})}else T||$||t.text(`${v?"Audio":"This file type"} cannot be reproduced on paper. The original is included in the evidence ZIP and is identified by the SHA-512 above.`,{color:f});e.extractedText&&(t.ensure(40),t.gap(6),t.text(v?"Transcription":"Extracted text (OCR)",{face:h,size:11,leading:16}),t.text(e.extractedText))}t.add(),U.push(d.getPageCount()),t.text("Schedule of exhibits",{face:h,size:16,leading:28});for(const e of g)t.ensure(52),t.text(`Exhibit ${e.exhibit} — ${e.name}`,{face:h,size:10,leading:14}),t.text(`${e.type} • ${e.size} bytes • ${e.stored?e.intact?"original verified":"HASH MISMATCH":"original not stored"}`,{size:8,leading:11,color:f}),t.text(`SHA-512: ${e.sha512.slice(0,64)}`,{size:8,leading:11,indent:10}),t.text(`         ${e.sha512.slice(64)}`,{size:8,leading:11,indent:10}),t.gap(8);g.length===0&&t.text("No evidence has been added to this case.",{color:f}),I.forEach((e,T)=>{let $=781.89;T===0&&(e.drawText("Contents",{x:50,y:$,size:16,font:h}),$-=36);for(const[v,l]of P.slice(T*45,T*45+45).entries()){const b=String(U[T*45+v]),y=s9(p,l,10,420)[0];e.drawText(y,{x:50,y:$,size:10,font:p}),e.drawText(b,{x:545.28-p.widthOfTextAtSize(b,10),y:$,size:10,font:p}),$-=15}}),u9(d,p,`Verum Omnis • Case ${o.caseId}`);const E=await d.save();return{bytes:E,fileHash:await b6(E),pageCount:d.getPageCount(),exhibits:x.exhibits,device:c,timestamp:s}}let B8=null;function G8(o){if(!B8){B8=new Uint32Array(256);for(let i=0;i<256;i++){let s=i;for(let r=0;r<8;r++)s=s&1?3988292384^s>>>1:s>>>1;B8[i]=s>>>0}}let n=4294967295;for(let i=0;i<o.length;i++)n=B8[(n^o[i])&255]^n>>>8;return(n^4294967295)>>>0}function H8(o,n=new Date){const i=new TextEncoder,s=[],r=[],w=n.getHours()<<11|n.getMinutes()<<5|n.getSeconds()>>1,a=n.getFullYear()-1980<<9|n.getMonth()+1<<5|n.getDate();let u=0;for(const x of o){const m=i.encode(x.path),f=x.data,d=G8(f),p=new DataView(new ArrayBuffer(30)),h=new DataView(new ArrayBuffer(46));p.setUint32(0,67324752,!0),p.setUint16(4,20,!0),p.setUint16(6,2048,!0),p.setUint16(10,w,!0),p.setUint16(12,a,!0),p.setUint32(14,d,!0),p.setUint32(18,f.length,!0),p.setUint32(22,f.length,!0),p.setUint16(26,m.length,!0),h.setUint32(0,33639248,!0),h.setUint16(4,20,!0),h.setUint16(6,20,!0),h.setUint16(8,2048,!0),h.setUint16(12,w,!0),h.setUint16(14,a,!0),h.setUint32(16,d,!0),h.setUint32(20,f.length,!0),h.setUint32(24,f.length,!0),h.setUint16(28,m.length,!0),h.setUint32(42,u,!0),s.push(p,m,f),r.push(h,m),u+=30+m.length+f.length}const c=r.reduce((x,m)=>x+m.byteLength,0),g=new DataView(new ArrayBuffer(22));return g.setUint32(0,101010256,!0),g.setUint16(8,o.length,!0),g.setUint16(10,o.length,!0),g.setUint32(12,c,!0),g.setUint32(16,u,!0),new Blob([...s,...r,g],{type:"application/zip"})}async function I8({caseFile:o,messages:n,location:i,timestamp:s=new Date().toISOString()}){const{transcript:r,exhibits:w,manifest:a}=await E8({caseFile:o,messages:n,location:i,timestamp:s}),u=new TextEncoder,c=[];for(const[g,x]of w.entries())x.data&&c.push({path:a.exhibits[g].path,data:new Uint8Array(x.data)}),x.extractedText&&c.push({path:`extracted-text/${x.exhibit}.txt`,data:u.encode(x.extractedText)});return c.push({path:"transcript.txt",data:u.encode(r)},{path:"manifest.json",data:u.encode(JSON.stringify(a,null,2))}),{blob:H8(c,new Date(s)),manifest:a}}let J8=null;function K8(){return J8||(J8=fetch(new URL("jurisdictions.json",import.meta.url)).then(t=>{if(!t.ok)throw new Error(`${t.status}: ${t.statusText}`);return t.json()}).catch(t=>{throw J8=null,t})),J8}function L8(t){try{return new Intl.DisplayNames(["en"],{type:"region"}).of(t)||t}catch{return t}}function N8(t,o,n){let c=!1;for(const r of t)for(let i=0,a=r.length-2;i<r.length;a=i,i+=2){const d=r[i],s=r[i+1],l=r[a],v=r[a+1];s>n!=v>n&&o<(l-d)*(n-s)/(v-s)+d&&(c=!c)}return c}function O8(t,o,n){const c=Math.cos(n*Math.PI/180);let r=1/0;for(const i of t)for(let a=2;a<i.length;a+=2){const d=(i[a-2]-o)*c,s=i[a-1]-n,l=(i[a]-o)*c,v=i[a+1]-n,f=l-d,p=v-s,u=Math.max(0,Math.min(1,-(d*f+s*p)/(f*f+p*p||1)));r=Math.min(r,Math.hypot(d+u*f,s+u*p))}return r*111.32}function P8(t,o,n,c){const r=c/111.32/Math.max(.2,Math.cos(n*Math.PI/180)),i=t.filter(s=>o>=s.bbox[0]-r&&o<=s.bbox[2]+r&&n>=s.bbox[1]-r&&n<=s.bbox[3]+r),a=i.find(s=>N8(s.rings,o,n));if(a)return{item:a,distanceKm:0};let d=null;for(const s of i){const l=O8(s.rings,o,n);l<=c&&(!d||l<d.distanceKm)&&(d={item:s,distanceKm:l})}return d}async function Q8(t){const o=await K8(),{latitude:n,longitude:c}=t,r=Math.max(5,Math.min(50,(t.accuracy||0)/1e3+5)),i=P8(o.countries,c,n,r);if(!i)return null;const a=P8(o.subdivisions.filter(d=>d.country===i.item.code),c,n,r);return{countryCode:i.item.code,country:L8(i.item.code),subdivisionCode:a?a.item.code:null,subdivision:a?a.item.name:null,subdivisionType:a?a.item.type:null,approximate:i.distanceKm>0||!!a&&a.distanceKm>0,source:"gps",resolvedAt:new Date().toISOString()}}function R8(t){return t?t.subdivision?`${t.subdivision}, ${t.country}`:t.country:"Unknown jurisdiction"}const S8={ZA:{currency:"ZAR",policeService:()=>"South African Police Service",forum:t=>t.subdivision?`the Magistrates' Court or the ${t.subdivision} Division of the High Court of South Africa`:"the Magistrates' Court or the High Court of South Africa",basis:{demand:"This letter places you in mora. Interest will be claimed at the rate prescribed under the Prescribed Rate of Interest Act 55 of 1975 from the date of demand until the date of payment.",police:"The digital evidence is tendered as data messages in terms of section 15 of the Electronic Communications and Transactions Act 25 of 2002.",preservation:"Data messages will be relied on in terms of section 15 of the Electronic Communications and Transactions Act 25 of 2002. Destruction or alteration of relevant evidence after receipt of this notice will be placed before the court, and an adverse inference and costs will be sought."}},AE:{currency:"AED",policeService:t=>t.subdivision?`${t.subdivision} Police`:"the police",forum:t=>({"AE-DU":"the Dubai Courts","AE-AZ":"the courts of the Abu Dhabi Judicial Department","AE-RK":"the Ras Al Khaimah Courts"})[t.subdivisionCode]||"the Federal Courts of the United Arab Emirates",basis:{demand:"This notice is a formal demand under the Civil Transactions Law (Federal Law No. 5 of 1985) and may be served through a notary public. If payment is not made, our client may apply for a payment order or commence proceedings under the Civil Procedure Code (Federal Decree-Law No. 42 of 2022).",police:"This complaint is lodged for investigation under the Criminal Procedure Law (Federal Decree-Law No. 38 of 2022).",preservation:"Electronic records will be relied on under the Law of Evidence in Civil and Commercial Transactions (Federal Decree-Law No. 35 of 2022). Destroying or concealing relevant evidence after receipt of this notice may expose you to civil and criminal liability."}}},T8=[{id:"demand",title:"Letter of demand",fields:[["sender","From (you or your client)",""],["recipient","To (debtor name and address)",""],["amount","Amount claimed",""],["days","Days to pay","14"]],body:`{{date}}
+
+To: {{recipient}}
+
+LETTER OF DEMAND
+Re: {{caseName}} (ref. {{caseId}})
+
+We write on behalf of {{sender}}.
+
+{{facts}}
+
+Our client accordingly demands payment of {{currency}} {{amount}} within {{days}} days of the date of this letter.
+
+{{legalBasis}}
+
+Should payment not be received within that period, our client will institute proceedings in {{forum}} without further notice and will seek interest and costs.
+
+The following evidence, identified by SHA-512 hash, has been preserved and will be relied upon:
+{{evidence}}
+
+Yours faithfully,
+
+{{sender}}`},{id:"police",title:"Police statement cover letter",fields:[["sender","Complainant",""],["station","Police station",""],["reference","Case / CAS number",""]],body:`{{date}}
+
+To: The Station Commander, {{police}}
+{{station}}
+
+COVER LETTER: STATEMENT AND SUPPORTING EVIDENCE
+Complainant: {{sender}}
+Case reference: {{reference}}
+Matter: {{caseName}} ({{jurisdiction}})
+
+I submit my statement together with the evidence listed below for investigation and for inclusion in the case docket.
+
+Summary of facts:
+{{facts}}
+
+{{legalBasis}}
+
+Evidence (each item is identified by its SHA-512 hash so that its integrity can be verified independently):
+{{evidence}}
+
+The evidence was sealed with Verum Omnis. The seal manifest and chain-of-custody log are available on request.
+
+Yours faithfully,
+
+{{sender}}`},{id:"preservation",title:"Preservation-of-evidence notice",fields:[["sender","From",""],["recipient","To (person or organisation holding the evidence)",""],["categories","Evidence to preserve","emails, messages, call records, CCTV footage, financial records and device logs"],["days","Days to confirm","7"]],body:`{{date}}
+
+To: {{recipient}}
+
+NOTICE TO PRESERVE EVIDENCE
+Re: {{caseName}} (ref. {{caseId}})
+
+Litigation and/or a criminal investigation concerning the matter described below is reasonably anticipated. You are required to preserve, and to suspend the deletion, alteration or overwriting of, all documents and electronically stored information relevant to it, including {{categories}}.
+
+Matter:
+{{facts}}
+
+{{legalBasis}}
+
+The evidence already held by {{sender}} is listed below with its SHA-512 hash. Any copy you hold can be compared against these values:
+{{evidence}}
+
+Please confirm in writing within {{days}} days that preservation measures are in place.
+
+{{sender}}`}];function U8(t){const{chronology:o}=T7(t.evidence);return o.length?o.slice(0,12).map(n=>`• ${n.iso} — ${n.snippet} (${n.source.name})`).join(`
+`):""}function V8(t,{caseFile:o,jurisdiction:n,fields:c,facts:r}){const i=n&&S8[n.countryCode],a=R8(n),d={...c,date:new Date().toLocaleDateString("en-GB",{day:"numeric",month:"long",year:"numeric"}),caseName:o.name,caseId:o.caseId,jurisdiction:a,facts:r,currency:c.currency||(i?i.currency:""),police:i?i.policeService(n):"the police",forum:i?i.forum(n):`the competent courts in ${a}`,legalBasis:i?i.basis[t.id]:`This notice is issued under the laws applicable in ${a}.`,evidence:o.evidence.length?o.evidence.map((s,l)=>`Exhibit ${x9(l)} — ${s.name}
+  SHA-512: ${s.hash}`).join(`
+`):"No evidence has been added to this case yet."};return t.body.replace(/\{\{(\w+)\}\}/g,(s,l)=>d[l]!=null&&String(d[l]).trim()!==""?String(d[l]):`[${l}]`)}function W8({caseFile:r,location:u,onChange:x,onSeal:g,busy:j}){const[s,N]=T.useState(null),[h,y]=T.useState("demand"),[C,w]=T.useState({}),[p,f]=T.useState(()=>U8(r)),[a,o]=T.useState(""),t=r.jurisdiction||null,l=T8.find(e=>e.id===h);T.useEffect(()=>{K8().then(N).catch(e=>console.error("Failed to load jurisdiction boundaries:",e))},[]),T.useEffect(()=>{f(U8(r)),o("")},[r.caseId]);const D=T.useMemo(()=>s?s.countries.map(e=>({code:e.code,name:L8(e.code)})).sort((e,i)=>e.name.localeCompare(i.name)):[],[s]),d=s&&t?s.subdivisions.filter(e=>e.country===t.countryCode):[],b=(e,i)=>{const n=d.find(c=>c.code===i&&c.country===e)||null;x(e?{countryCode:e,country:L8(e),subdivisionCode:n?n.code:null,subdivision:n?n.name:null,subdivisionType:n?n.type:null,approximate:!1,source:"manual",resolvedAt:new Date().toISOString()}:null)},G=()=>{u&&Q8(u).then(e=>x(e)).catch(e=>console.error("Failed to resolve jurisdiction:",e))},v=Object.fromEntries(l.fields.map(([e,,i])=>[e,C[e]??i])),L=()=>o(V8(l,{caseFile:r,jurisdiction:t,fields:v,facts:p.trim()})),m="min-h-8 rounded-md px-3 text-sm bg-card border border-border text-foreground",R="w-full min-h-8 rounded-md px-3 text-sm bg-card border border-border text-foreground";return S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card space-y-3","data-testid":"container-jurisdiction",children:[S.jsxs("div",{className:"flex items-center gap-2 flex-wrap text-sm",children:[S.jsx("span",{className:"font-medium",children:"Jurisdiction:"}),S.jsx("span",{"data-testid":"text-jurisdiction",children:R8(t)}),t&&S.jsx("span",{className:"text-xs text-muted-foreground",children:t.source==="manual"?"(set manually)":t.approximate?"(from GPS, near a boundary — please confirm)":"(from GPS)"})]}),S.jsxs("div",{className:"flex items-center gap-2 flex-wrap",children:[S.jsxs("select",{value:t?t.countryCode:"",onChange:e=>b(e.target.value,null),disabled:!s,className:m,"data-testid":"select-jurisdiction-country",children:[S.jsx("option",{value:"",children:s?"Choose country…":"Loading boundaries…"}),D.map(e=>S.jsx("option",{value:e.code,children:e.name},e.code))]}),d.length>0&&S.jsxs("select",{value:t.subdivisionCode||"",onChange:e=>b(t.countryCode,e.target.value),className:m,"data-testid":"select-jurisdiction-subdivision",children:[S.jsxs("option",{value:"",children:["Choose ",(d[0].type||"region").toLowerCase(),"…"]}),d.map(e=>S.jsx("option",{value:e.code,children:e.name},e.code))]}),S.jsx(my,{size:"sm",variant:"outline",onClick:G,disabled:!u||!s,"data-testid":"button-jurisdiction-gps",children:"Use GPS"})]}),t&&s&&d.length===0&&S.jsx("p",{className:"text-xs text-muted-foreground","data-testid":"text-jurisdiction-no-regions",children:"Regional boundaries are only bundled for South Africa and the United Arab Emirates; other countries are resolved at country level only."}),S.jsxs("div",{className:"border-t border-border pt-3 space-y-2",children:[S.jsxs("div",{className:"flex items-center gap-2 flex-wrap",children:[S.jsx("span",{className:"text-sm font-medium",children:"Legal notice:"}),S.jsx("select",{value:h,onChange:e=>{y(e.target.value),o("")},className:m,"data-testid":"select-notice-template",children:T8.map(e=>S.jsx("option",{value:e.id,children:e.title},e.id))})]}),l.fields.map(([e,i])=>S.jsxs("label",{className:"block text-xs text-muted-foreground",children:[i,S.jsx("input",{value:v[e],onChange:n=>w(c=>({...c,[e]:n.target.value})),className:R,"data-testid":`input-notice-${e}`})]},e)),S.jsxs("label",{className:"block text-xs text-muted-foreground",children:["Facts (prefilled from the evidence timeline)",S.jsx(BR,{value:p,onChange:e=>f(e.target.value),placeholder:"Describe the facts relied on…",className:"w-full min-h-[80px]","data-testid":"textarea-notice-facts"})]}),S.jsxs("div",{className:"flex gap-2 flex-wrap",children:[S.jsx(my,{size:"sm",variant:"outline",onClick:L,"data-testid":"button-notice-generate",children:a?"Regenerate":"Generate draft"}),a&&S.jsx(my,{size:"sm",onClick:()=>g(a,l),disabled:j,"data-testid":"button-notice-seal",children:"Seal notice to PDF"})]}),a&&S.jsx(BR,{value:a,onChange:e=>o(e.target.value),rows:16,className:"w-full min-h-[110px] font-mono text-xs","data-testid":"textarea-notice-draft"}),a&&S.jsx("div",{className:"text-xs text-muted-foreground",children:"Statutory references are a starting point only. Have the notice checked by a legal practitioner in this jurisdiction before you serve it."}),a&&/\[\w+\]/.test(a)&&S.jsx("div",{className:"text-xs text-destructive","data-testid":"text-notice-missing",children:"Fill in the bracketed placeholders before sealing."})]})]})}const X8={ZA:{start:[2,1],currency:"ZAR"},GB:{start:[3,6],currency:"GBP"},AU:{start:[6,1],currency:"AUD"},NZ:{start:[3,1],currency:"NZD"},IN:{start:[3,1],currency:"INR"},HK:{start:[3,1],currency:"HKD"},PK:{start:[6,1],currency:"PKR"},AE:{start:[0,1],currency:"AED"},US:{start:[0,1],currency:"USD"},CA:{start:[0,1],currency:"CAD"},IE:{start:[0,1],currency:"EUR"},DE:{start:[0,1],currency:"EUR"},FR:{start:[0,1],currency:"EUR"},NL:{start:[0,1],currency:"EUR"}},Y8=[{type:"irp5",label:"IRP5 / IT3(a)",category:"income",pattern:/\bIRP\s?5\b|\bIT\s?3\s?\(a\)/i,amount:/gross remuneration|total (?:income|remuneration)|(?:gross|total) taxable income/i},{type:"p60",label:"P60",category:"income",pattern:/\bP60\b|end of year certificate/i,amount:/pay in this employment|total (?:pay|for year)|taxable pay/i},{type:"payslip",label:"Payslip",category:"income",pattern:/\bpay\s?slip\b|salary advice|\bnet pay\b|\bgross (?:pay|salary|earnings)\b/i,amount:/gross (?:pay|salary|earnings|remuneration)|total earnings/i},{type:"tax-certificate",label:"Tax certificate",category:"deductible",pattern:/\bIT\s?3\s?\(b\)|tax certificate|section 18A|medical (?:aid|scheme) (?:tax )?certificate|retirement annuity|certificate of (?:contributions|donation)/i,amount:/total (?:contributions?|donations?|amount)|amount (?:donated|paid|contributed)|contributions/i},{type:"bank-statement",label:"Bank statement",category:"excluded",pattern:/bank statement|statement of account|opening balance|closing balance/i,amount:/closing balance/i},{type:"invoice",label:"Invoice",category:"deductible",pattern:/\binvoice\b/i,amount:/(?<!sub[\s-]?)\btotal(?: due| payable| amount| incl(?:uding|\.)? VAT)?\b|amount (?:due|payable)|balance due/i},{type:"receipt",label:"Receipt",category:"deductible",pattern:/\breceipt\b|till slip|cash sale|thank you for (?:your )?(?:purchase|shopping)/i,amount:/(?<!sub[\s-]?)\btotal\b|amount (?:paid|tendered|due)/i}],Z8={type:"other",label:"Other",category:"excluded",amount:/(?<!sub[\s-]?)\btotal\b|amount/i};function $8(r,a){const e=[];for(const l of r.matchAll(new RegExp(`(?:${a.source})(?:[^\\d\\n]|\\d+(?:\\.\\d+)?\\s?%){0,30}?(R|ZAR|AED|Dhs?|USD|US\\$|\\$|£|GBP|€|EUR)?\\s?(-?\\d{1,3}(?:[ ,]\\d{3})+(?:\\.\\d{1,2})?|-?\\d+(?:\\.\\d{1,2})?)(?![\\d%])`,"gi"))){const u=parseFloat(l[2].replace(/[ ,]/g,""));isFinite(u)&&e.push({value:u,currency:l[1]?c8[l[1].toUpperCase()]:null,raw:l[0].trim(),index:l.index})}return e}function _8(r,a){const e=r.match(new RegExp(`(?:${a.source})\\s*[:\\-]\\s*([^\\n]{2,60})`,"i"));return e?{value:e[1].trim(),raw:e[0].trim(),index:e.index}:null}function X9(l){const n=l.extractedText||"",a=Y8.find(e=>e.pattern.test(`${l.name}
+${n}`))||Z8,y=Z7(n),o=n8(n,y)||y[0]||null,h={},c=$8(n,a.amount),u=a.type==="bank-statement"?c[c.length-1]:c.reduce((e,t)=>!e||t.value>e.value?t:e,null),i=a.category==="income"?null:$8(n,/\bVAT\b(?! ?(?:no|number|reg))|\bGST\b|tax amount/i)[0]||null,s=a.category==="income"&&$8(n,/\bPAYE\b|income tax|tax deducted/i)[0]||null,d=(a.category==="income"?_8(n,/employer(?:'s)?(?: trading)?(?: name)?/i):_8(n,/\b(?:supplier|vendor|seller|merchant|billed by|issued by)/i))||(()=>{const e=l8(n).organisations[0];if(e)return{value:e,raw:e,index:n.indexOf(e)};const t=n.split(`
+`).map(r=>r.trim()).find(r=>r.length>=3&&r.length<=60&&/[A-Za-z]{3}/.test(r)&&!(a.pattern&&a.pattern.test(r)));return t?{value:t,raw:t,index:n.indexOf(t)}:null})();for(const[e,t]of Object.entries({date:o,amount:u,vat:i,withheld:s,counterparty:d}))t&&(h[e]={raw:t.raw,snippet:e8(n,t.index)});const m=u&&u.currency||($7(n).find(e=>e.currency)||{}).currency||null;return{hash:l.hash,source:{name:l.name,hash:l.hash},type:a.type,category:a.category,date:o?o.iso:null,counterparty:d?d.value:"",currency:m,amount:u?u.value:null,vat:i?i.value:null,withheld:s?s.value:null,trace:h}}function Y9(r,a){const[e,l]=(X8[a]||{start:[0,1]}).start,u=new Date(`${r}T00:00:00Z`),s=u.getUTCFullYear(),c=u<new Date(Date.UTC(s,e,l))?s-1:s;return{label:e===0&&l===1?String(c):`${c}/${String(c+1).slice(2)}`,start:new Date(Date.UTC(c,e,l)).toISOString().slice(0,10),end:new Date(Date.UTC(c+1,e,l-1)).toISOString().slice(0,10)}}function Z9(r,a){const e=a.tax&&a.tax.edits||{},l=a.jurisdiction&&X8[a.jurisdiction.countryCode];return r.map(u=>{const s=X9(u),c=e[u.hash]||{};return{...s,currency:s.currency||(l?l.currency:""),...c,edited:Object.keys(c)}})}function $9(r,a){const e=a?a.countryCode:null,[l,u]=(X8[e]||{start:[0,1]}).start,s=new Map,c=n=>Math.round(n*100)/100,o=r.map(n=>({taxYear:n.date?Y9(n.date,e).label:"Undated",date:n.date,type:n.type,category:n.category,counterparty:n.counterparty,currency:n.currency||"",amount:n.amount,vat:n.vat,withheld:n.withheld,source:n.source,edited:n.edited})).sort((n,d)=>(n.date||"9999").localeCompare(d.date||"9999"));for(const n of r){if(n.category==="excluded")continue;const d=n.date?Y9(n.date,e):{label:"Undated",start:null,end:null},x=`${d.label}|${n.currency||""}`;let p=s.get(x);p||s.set(x,p={...d,currency:n.currency||"",income:0,withheld:0,deductible:0,vat:0,sources:[],types:new Set}),n.category==="income"?(p.income+=n.amount||0,p.withheld+=n.withheld||0):(p.deductible+=n.amount||0,p.vat+=n.vat||0),p.sources.push(n.hash),p.types.add(n.type)}return{format:"verum-tax-worksheet/1",jurisdiction:e,taxYearStart:new Date(Date.UTC(2e3,l,u)).toLocaleDateString("en-GB",{day:"numeric",month:"long",timeZone:"UTC"}),generatedAt:new Date().toISOString(),years:[...s.values()].sort((n,d)=>(n.start||"9999").localeCompare(d.start||"9999")||n.currency.localeCompare(d.currency)).map(({types:n,...d})=>({...d,warning:n.has("payslip")&&(n.has("irp5")||n.has("p60"))?"Counts both payslips and an annual employee tax certificate; exclude one of them so the income is not counted twice.":null,income:c(d.income),withheld:c(d.withheld),deductible:c(d.deductible),vat:c(d.vat),net:c(d.income-d.deductible)})),rows:o}}function _9(r){const a=e=>e==null?"":typeof e=="number"?e.toFixed(2):`"${String(e).replace(/"/g,'""')}"`;return`TaxYear,Date,Type,Category,Counterparty,Currency,Amount,VAT,TaxWithheld,SourceFile,SourceSHA512,EditedFields
+`+r.rows.map(e=>[a(e.taxYear),e.date||"",e.type,e.category,a(e.counterparty),e.currency,a(e.amount),a(e.vat),a(e.withheld),a(e.source.name),e.source.hash,a(e.edited.join(" "))].join(",")).join(`
+`)+`
+
+TaxYear,Start,End,Currency,Income,TaxWithheld,DeductibleExpenses,VATOnExpenses,IncomeLessDeductions,Documents
+`+r.years.map(e=>[a(e.label),e.start||"",e.end||"",e.currency,a(e.income),a(e.withheld),a(e.deductible),a(e.vat),a(e.net),e.sources.length].join(",")).join(`
+`)}function f9(r,a){const e=s=>s==null?"—":s.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2}),l=[`TAX WORKSHEET — ${a.name}`,`Case: ${a.caseId}`,`Jurisdiction: ${a.jurisdiction?R8(a.jurisdiction):"not set"} (tax year starts ${r.taxYearStart})`,`Generated: ${r.generatedAt}`,""];for(const s of r.years){l.push(`TAX YEAR ${s.label}${s.start?` (${s.start} to ${s.end})`:""}${s.currency?` — ${s.currency}`:""}`,`  Income: ${e(s.income)}`,`  Tax withheld: ${e(s.withheld)}`,`  Deductible expenses: ${e(s.deductible)}`,`  VAT on expenses: ${e(s.vat)}`,`  Income less deductions: ${e(s.net)}`,...s.warning?[`  Warning: ${s.warning}`]:[],"","  Figures:");for(const c of r.rows.filter(o=>o.taxYear===s.label&&o.currency===s.currency&&o.category!=="excluded"))l.push(`  ${c.date||"undated"}  ${c.category}  ${c.type}  ${c.counterparty||"—"}  ${e(c.amount)}${c.vat!=null?` (VAT ${e(c.vat)})`:""}${c.withheld!=null?` (withheld ${e(c.withheld)})`:""}${c.edited.length?" *":""}`,`      from ${c.source.name}, SHA-512 ${c.source.hash}`);l.push("")}const u=r.rows.filter(s=>s.category==="excluded");return u.length&&l.push("EXCLUDED FROM TOTALS",...u.map(s=>`  ${s.source.name} (${s.type}), SHA-512 ${s.source.hash}`),""),l.push("* Figure edited by hand after extraction; compare it with the source document.","Extracted figures are a working aid, not a tax assessment. Check them against the source documents before filing."),l.join(`
+`)}function g9({caseFile:a,items:h,onEdit:n,onExport:u,onSeal:m,busy:p}){const j=h.map(e=>`${e.hash}:${(e.extractedText||"").length}`).join("|"),s=T.useMemo(()=>Z9(h,a),[j,a.tax,a.jurisdiction]),l=T.useMemo(()=>$9(s,a.jurisdiction),[s,a.jurisdiction]),b=()=>{const e=`verum-tax-worksheet-${a.caseId}-${l.generatedAt.split("T")[0]}.csv`,t=new Blob([_9(l)],{type:"text/csv"});G7(t,e),u(t,e,`Tax worksheet exported as CSV (${s.length} documents)`)},c=e=>{const t=parseFloat(String(e).replace(/[^\d.\-]/g,""));return isFinite(t)?t:null},g=e=>{const t=Z7(e)[0];return t?t.iso:null},r="w-full min-h-8 rounded-md px-2 text-xs bg-card border border-border text-foreground",d=(e,t,i,v,f)=>S.jsx("td",{className:"p-1",style:{minWidth:v},children:S.jsx("input",{defaultValue:e[t]??"",onBlur:o=>{const x=i?i(o.target.value):o.target.value.trim();x!==e[t]&&n(e.hash,{[t]:x})},inputMode:f,className:r,style:e.edited.includes(t)?{borderColor:"#f59e0b"}:void 0,title:e.edited.includes(t)?"Edited by hand":e.trace[t]?`Extracted "${e.trace[t].raw}" from ${e.source.name}:
+…${e.trace[t].snippet}…`:"Not found in the document","data-testid":`input-tax-${t}-${e.hash.slice(0,8)}`},`${e.hash}-${t}-${e[t]}`)});return S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card","data-testid":"container-tax-workspace",children:[S.jsxs("div",{className:"flex items-center justify-between gap-2 flex-wrap text-sm font-medium mb-2",children:[S.jsxs("span",{children:["Tax worksheet (",s.length," documents • tax year starts ",l.taxYearStart,")"]}),S.jsxs("div",{className:"flex gap-2",children:[S.jsx(my,{size:"sm",variant:"outline",onClick:b,disabled:!s.length,"data-testid":"button-tax-export-csv",children:"Export CSV"}),S.jsx(my,{size:"sm",onClick:()=>m(f9(l,a)),disabled:!s.length||p,"data-testid":"button-tax-seal",children:"Seal worksheet PDF"})]})]}),s.length===0?S.jsx("div",{className:"text-xs text-muted-foreground italic",children:"Upload payslips, IRP5s, invoices, receipts or bank statements. Each document is classified and its figures extracted here."}):S.jsxs(S.Fragment,{children:[S.jsx("div",{className:"overflow-auto",style:{maxHeight:"50svh"},children:S.jsxs("table",{className:"w-full text-xs",children:[S.jsx("thead",{children:S.jsx("tr",{className:"text-left text-muted-foreground",children:["Source","Type","Category","Date","Employer / supplier","Currency","Amount","VAT","Tax withheld",""].map(e=>S.jsx("th",{className:"p-1 font-medium",children:e},e))})}),S.jsx("tbody",{children:s.map(e=>S.jsxs("tr",{className:"border-t border-border","data-testid":`row-tax-${e.hash.slice(0,8)}`,children:[S.jsxs("td",{className:"p-1",style:{maxWidth:160},title:`${e.source.name}
+SHA-512 ${e.source.hash}`,children:[S.jsx("div",{className:"truncate",children:e.source.name}),S.jsxs("div",{className:"font-mono text-muted-foreground",children:[e.source.hash.slice(0,12),"…"]})]}),S.jsx("td",{className:"p-1",children:S.jsx("select",{value:e.type,onChange:t=>n(e.hash,{type:t.target.value,category:([...Y8,Z8].find(i=>i.type===t.target.value)||Z8).category}),className:r,"data-testid":`select-tax-type-${e.hash.slice(0,8)}`,children:[...Y8,Z8].map(t=>S.jsx("option",{value:t.type,children:t.label},t.type))})}),S.jsx("td",{className:"p-1",children:S.jsxs("select",{value:e.category,onChange:t=>n(e.hash,{category:t.target.value}),className:r,"data-testid":`select-tax-category-${e.hash.slice(0,8)}`,children:[S.jsx("option",{value:"income",children:"Income"}),S.jsx("option",{value:"deductible",children:"Deductible"}),S.jsx("option",{value:"excluded",children:"Excluded"})]})}),d(e,"date",g,100),d(e,"counterparty",null,140),d(e,"currency",null,56),d(e,"amount",c,90,"decimal"),d(e,"vat",c,70,"decimal"),d(e,"withheld",c,80,"decimal"),S.jsx("td",{className:"p-1",children:e.edited.length>0&&S.jsx(my,{size:"sm",variant:"ghost",onClick:()=>n(e.hash,null),title:"Discard edits and use the extracted figures","data-testid":`button-tax-reset-${e.hash.slice(0,8)}`,children:"↺"})})]},e.hash))})]})}),S.jsx("div",{className:"mt-2 space-y-1","data-testid":"container-tax-years",children:l.years.map(e=>S.jsxs("div",{className:"text-xs border border-border rounded-lg p-2","data-testid":`tax-year-${e.label}`,children:[S.jsxs("span",{className:"font-medium",children:["Tax year ",e.label,e.currency?` (${e.currency})`:""]}),e.start&&S.jsxs("span",{className:"text-muted-foreground",children:[" ",e.start," to ",e.end]}),S.jsxs("div",{children:["Income ",e.income.toFixed(2)," • withheld ",e.withheld.toFixed(2)," • deductible ",e.deductible.toFixed(2)," • VAT ",e.vat.toFixed(2)," • income less deductions ",e.net.toFixed(2)]}),e.warning&&S.jsxs("div",{className:"text-destructive",children:["⚠ ",e.warning]})]},`${e.label}|${e.currency}`))})]})]})}function g6(){const e=new URLSearchParams(window.location.search).get("mode")||"chat",t=()=>e==="seal"?"Document verification and sealing mode. GPS location captured for jurisdiction. Upload files for analysis, and I can help verify authenticity or seal transcripts for legal purposes. I may refuse to seal documents with legal or criminal implications.":e==="tax"?"Tax workspace. GPS location captured to set your tax year. Upload payslips, IRP5s, invoices, receipts or bank statements: each one is classified and its figures are extracted into the worksheet below, which is sent with your questions.":"GPS location captured for jurisdiction verification. Ask any legal questions or upload files for analysis. Cross-border issues will be handled with triple verification.",[r,s]=T.useState([{role:"System",text:t(),isSystem:!0}]),[i,o]=T.useState(""),[a,c]=T.useState(!1),[u,d]=T.useState(null),[h,f]=T.useState([]),Ie=u7(e),{caseFile:p,caseRef:ye,updateCase:v}=Ie,[m,x]=T.useState(null),[g,w]=T.useState(null),[b,E]=T.useState(!1),[_,k]=T.useState(null),P=T.useRef(null),M=T.useRef(null),Ze=T.useRef(null),[Ke,Ve]=T.useState(!1),[We,Xe]=T.useState(!1),[st,Yt]=T.useState(!1),et=T.useRef(null),nt=T.useRef(null);T.useEffect(()=>{"geolocation"in navigator?navigator.geolocation.getCurrentPosition(N=>{const R={latitude:N.coords.latitude,longitude:N.coords.longitude,accuracy:N.coords.accuracy,timestamp:new Date().toISOString()};x(R),console.log("GPS location captured for jurisdiction:",R)},N=>{console.info("Location not available:",N.message),w(N.message)},{enableHighAccuracy:!0,timeout:1e4,maximumAge:0}):w("Geolocation not supported")},[e]),T.useEffect(()=>{m&&p&&p.location!==m&&v({location:m})},[m,p==null?void 0:p.caseId]),T.useEffect(()=>{const N=p==null?void 0:p.jurisdiction;if(!m||!p||(N==null?void 0:N.source)==="manual")return;let R=!1;return Q8(m).then(I=>{R||!I||N&&N.countryCode===I.countryCode&&N.subdivisionCode===I.subdivisionCode&&N.approximate===I.approximate||v({jurisdiction:I})}).catch(I=>console.error("Failed to resolve jurisdiction:",I)),()=>{R=!0}},[m,p==null?void 0:p.caseId]),T.useEffect(()=>{const R=ye.current;if(!R)return;let Q=!1;async function N(){d(null),f([]),s([{role:"System",text:t(),isSystem:!0},...R.messages||[]]),Ze.current=R.caseId,R.location&&!m&&x(R.location);const I=R.sessionKey||`session_${e}_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;I!==R.sessionKey&&await v({sessionKey:I});try{const F=await(await vC("POST","/api/sessions",{sessionKey:I,mode:e})).json();if(Q)return;d(F.id),F.id!==R.sessionId&&await v({sessionId:F.id}),await rt(F.id,()=>Q)}catch(F){navigator.onLine&&console.error("Failed to create session:",F)}}return N(),()=>{Q=!0}},[e,p==null?void 0:p.caseId]),T.useEffect(()=>{p&&Ze.current===p.caseId&&!r.some(N=>N.streaming)&&v({messages:r.slice(1)})},[r]),T.useEffect(()=>{P.current&&(P.current.scrollTop=P.current.scrollHeight)},[r]),T.useEffect(()=>{const N=R=>{var I;(I=nt.current)==null||I.call(nt,R.detail)};return window.addEventListener("verum-outbox",N),i9(),()=>window.removeEventListener("verum-outbox",N)},[]);const Oe=N=>{const R=ye.current;R&&e9({kind:"message",key:`message:${N.id}`,caseId:R.caseId,messageId:N.id,sessionKey:R.sessionKey,mode:e,body:{role:N.role,text:N.text,isSystem:!1}}).catch(I=>console.error("Failed to queue message:",I))},D=(N,R,I=!1,L={})=>{const F={id:`msg_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,role:N,text:R,isSystem:I,at:new Date().toISOString(),...L};s(z=>[...z,F]),I||F.streaming||Oe(F)},rt=async(N,R=()=>!1)=>{const I=ye.current,L=await(await vC("GET",`/api/sessions/${N}/messages`)).json(),F=new Set((await j9(I.caseId)).filter(re=>re.kind==="message").map(re=>re.messageId));if(R()||!ye.current||ye.current.caseId!==I.caseId)return;const{messages:z,missing:K}=r9(I.messages||[],L,F);s(re=>[re[0],...z]);for(const re of K)Oe(re)},ut=N=>{const R=ye.current;if(!R)return;if(N.drained){N.replayed&&!u&&!a&&R.sessionId&&(d(R.sessionId),rt(R.sessionId).catch(z=>console.error("Failed to reconcile messages:",z)));return}if(N.entry.caseId!==R.caseId)return;N.handled=!0;const{message:I,evidence:L}=n9(N.entry,N.status,N);if(s(F=>F.map(I)),N.status==="synced"&&N.entry.kind!=="message"&&v(F=>({evidence:F.evidence.map(L)})),N.entry.kind==="transcribe"&&N.status!=="pending")if(N.status==="failed")D("System",`⚠ ${N.entry.name} - Queued transcription failed: ${N.error}`,!0);else{f(z=>z.map(K=>K.hash===N.entry.hash?{...K,extractedText:N.text||K.extractedText}:K));const F=N.text.length>100?N.text.substring(0,100)+"...":N.text;D("System",N.text?`✓ ${N.entry.name} → Transcribed after reconnecting: "${F}"`:`✓ ${N.entry.name} → No text transcribed after reconnecting`,!0)}N.sessionId&&!R.sessionId&&v({sessionId:N.sessionId})},tt=(N,R)=>s(I=>I.map(L=>L.id===N?{...L,...typeof R=="function"?R(L):R}:L)),O=b6,Je=(N,R={})=>{const I=ye.current;I&&C7(I.caseId,{type:N,location:m||I.location,...R}).catch(L=>console.error("Failed to record custody event:",L))},Qe=(N,R,I)=>{N.arrayBuffer().then(O).then(L=>Je("export",{fileName:R,fileHash:L,detail:I}))},j=async N=>{const R=N.target.files;if(!R)return;E(!0);const I=[];for(const L of Array.from(R))try{const F=L.type.toLowerCase(),z=L.name.toLowerCase(),K=["audio/ogg","audio/opus","audio/mpeg","audio/mp3","audio/mp4","audio/x-m4a","audio/wav","audio/webm"],re=/\.(ogg|opus|mp3|m4a|wav|webm)$/,se=K.includes(F)||re.test(z),ot=se&&!navigator.onLine;k({fileName:L.name,progress:0}),D("System",`${ot?"Storing":se?"Transcribing audio":"Processing"} ${L.name}...`,!0);const Y=ot?"":await TH(L,Zt=>{k({fileName:L.name,progress:Zt})}),ge=await L.arrayBuffer(),Ae=await O(ge),_e=btoa(new Uint8Array(ge).reduce((Zt,Gn)=>Zt+String.fromCharCode(Gn),"")),Be={name:L.name,type:L.type,size:L.size,content:_e,hash:Ae,data:ge,extractedText:Y||void 0};if(I.push(Be),Je("ingest",{fileName:L.name,fileHash:Ae,detail:`${L.type||"unknown type"}, ${L.size} bytes`}),Y&&Je(se?"transcription":"ocr",{fileName:L.name,fileHash:Ae,detail:`${se?"Transcription":"Text extraction"} result: ${Y.length} characters, text SHA-512 ${await O(new TextEncoder().encode(Y))}`}),Y){const Zt=Y.length>100?Y.substring(0,100)+"...":Y;D("System",`✓ ${L.name} (${(L.size/1024).toFixed(1)} KB) → Hash: ${Ae.slice(0,16)}… | ${se?"Transcribed":"Extracted"}: "${Zt}"`,!0)}else if(ot){const Zt=ye.current;await o7(Be),Zt&&await e9({kind:"transcribe",key:`transcribe:${Zt.caseId}:${Ae}`,caseId:Zt.caseId,hash:Ae,name:L.name,mimeType:L.type,location:m||Zt.location||null}),D("System",`⏳ ${L.name} (${(L.size/1024).toFixed(1)} KB) → Hash: ${Ae.slice(0,16)}… | Offline: transcription queued until the connection returns`,!0)}else D("System",`✓ ${L.name} (${(L.size/1024).toFixed(1)} KB) → Hash: ${Ae.slice(0,16)}… | No text ${se?"transcribed":"extracted"}`,!0)}catch(F){console.error(`Processing failed for ${L.name}:`,F),D("System",`⚠ ${L.name} - Processing failed, file uploaded without text extraction`,!0);const z=await L.arrayBuffer(),K=await O(z),re=btoa(new Uint8Array(z).reduce((se,Y)=>se+String.fromCharCode(Y),""));I.push({name:L.name,type:L.type,size:L.size,content:re,hash:K,data:z}),Je("ingest",{fileName:L.name,fileHash:K,detail:`${L.type||"unknown type"}, ${L.size} bytes; text extraction failed`})}f(L=>[...L,...I]),E(!1),k(null),M.current&&(M.current.value="")},Ge=async(N,R,I)=>{const L=ye.current;if(!L)return;const F=new AbortController,z=m||L.location||null,K=I||`msg_${Date.now()}_${Math.random().toString(36).substr(2,9)}`,re={mode:e,location:z,evidence:[...new Set([...L.evidence.map(Y=>Y.hash),...R.map(Y=>Y.hash)])],at:new Date().toISOString()};let se=null;et.current=F,c(!0),I?tt(I,{text:"",streaming:!0,failed:!1,stopped:!1,queued:!1,error:void 0,sync:void 0,provenance:re}):D("Legal AI","",!1,{id:K,streaming:!0,provenance:re});try{const Y=se={prompt:N,context:"legal",mode:e,location:z,jurisdiction:L.jurisdiction||null,caseFile:{caseId:L.caseId,createdAt:L.createdAt,mode:L.mode,evidence:L.evidence,forensics:L.forensics,location:z,jurisdiction:L.jurisdiction||null,messageCount:r.length}};e==="tax"&&(Y.taxWorksheet=$9(Z9([...L.evidence,...R.filter(Ae=>!L.evidence.some(_e=>_e.hash===Ae.hash))],L),L.jurisdiction));if(R.length>0){Y.files=await f8(L,R);const Ae=R.filter(_e=>!L.evidence.some(Be=>Be.hash===_e.hash));for(const _e of Ae)await o7(_e);Ae.length>0&&await v(_e=>({evidence:[..._e.evidence,...Ae.map(({content:Be,data:Ct,...Pt})=>Pt)]}))}if(!navigator.onLine)throw Object.assign(new Error("Offline"),{offline:!0});const ge=await s8(Y,{signal:F.signal,onText:Ae=>tt(K,{text:Ae}),headers:{"Idempotency-Key":`assistant:${K}`}})||"(no response)";for(const Ae of Y.files||[])Je("send",{fileName:Ae.name,fileHash:Ae.hash,detail:Ae.ref?"Referenced by hash in /api/assistant request":"Sent to /api/assistant"});tt(K,{text:ge,streaming:!1}),Oe({id:K,role:"Legal AI",text:ge}),R.length>0&&(await v(Ae=>({evidence:Ae.evidence.map(_e=>!_e.sentAt&&R.some(Be=>Be.hash===_e.hash)?{..._e,sentAt:new Date().toISOString()}:_e)})),f(Ae=>Ae.filter(_e=>!R.some(Be=>Be.hash===_e.hash))))}catch(Y){F.signal.aborted?tt(K,ge=>({streaming:!1,stopped:!0,text:ge.text||"(stopped before any response)"})):se&&(Y==null?void 0:Y.offline)?(tt(K,{streaming:!1,queued:!0,sync:"pending",text:"(queued — will be sent when the connection returns)"}),f(ge=>ge.filter(Ae=>!R.some(_e=>_e.hash===Ae.hash))),e9({kind:"assistant",key:`assistant:${K}`,caseId:L.caseId,messageId:K,sessionKey:L.sessionKey,mode:e,body:se,retry:{prompt:N,files:R.map(({content:ge,data:Ae,..._e})=>_e)}}).catch(ge=>console.error("Failed to queue assistant request:",ge))):(console.error("Assistant request failed:",Y),tt(K,ge=>({streaming:!1,failed:!0,text:ge.text||"(connection error)",error:Y instanceof Error?Y.message:"Unknown error",retry:{prompt:N,files:R.map(({content:Ae,data:_e,...Be})=>Be)}})))}finally{et.current===F&&(et.current=null),c(!1)}},U=async()=>{const N=i.trim();N&&(D("You",N),o(""),await Ge(N,h))},Ye=N=>{!a&&N.retry&&Ge(N.retry.prompt,N.retry.files,N.id)},V=N=>{N.key==="Enter"&&!N.shiftKey&&(N.preventDefault(),U())},$=()=>{const N={mode:e,timestamp:new Date().toISOString(),messages:r.map((F,z)=>({index:z,role:F.role,text:F.text,isSystem:F.isSystem||!1,at:F.at,provenance:F.provenance}))},R=new Blob([JSON.stringify(N,null,2)],{type:"application/json"}),I=URL.createObjectURL(R),L=document.createElement("a");L.href=I,L.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.json`,document.body.appendChild(L),L.click(),document.body.removeChild(L),URL.revokeObjectURL(I),Qe(R,L.download,"Chat exported as JSON")},X=()=>{const N=new Date().toISOString(),R=`Verum Omnis Legal AI - Chat Export
 Mode: ${e.toUpperCase()}
 Date: ${N}
 ${"=".repeat(60)}
 
 `,I=r.map(re=>`${re.role}: ${re.text}`).join(`
 
-`),L=R+I,F=new Blob([L],{type:"text/plain"}),z=URL.createObjectURL(F),K=document.createElement("a");K.href=z,K.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.txt`,document.body.appendChild(K),K.click(),document.body.removeChild(K),URL.revokeObjectURL(z)},H=()=>{const N=new Date().toISOString(),R=`Index,Timestamp,Mode,Role,Message,IsSystem
-`,I=r.map((re,se)=>{const Y=`"${re.text.replace(/"/g,'""')}"`;return`${se},${N},${e},${re.role},${Y},${re.isSystem||!1}`}).join(`
-`),L=R+I,F=new Blob([L],{type:"text/csv"}),z=URL.createObjectURL(F),K=document.createElement("a");K.href=z,K.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.csv`,document.body.appendChild(K),K.click(),document.body.removeChild(K),URL.revokeObjectURL(z)},B=async()=>{try{if(!window.PDFLib){D("System","PDF library not loaded. Please refresh the page and try again.",!0);return}const N=new Date().toISOString(),R=r.map(xs=>`${xs.role}: ${xs.text}`).join(`
-`),I=JSON.stringify({author:"Liam Highcock",device:"User-Device-Unknown",timestamp:N,caseId:(p==null?void 0:p.caseId)||"unknown"}),L=await dg.toDataURL(I,{width:150}),z=(await O(new TextEncoder().encode(R+I))).slice(0,16),{PDFDocument:K,StandardFonts:re,rgb:se}=window.PDFLib,Y=await K.create();Y.setTitle("Verum Omnis — Certified Document"),Y.setAuthor("Liam Highcock"),Y.setCreator("Verum Omnis Forensic System"),Y.setProducer("Verum Omnis Legal AI"),Y.setCreationDate(new Date);const ge=await Y.embedFont(re.Helvetica),Ae=await Y.embedFont(re.HelveticaBold),_e=Y.addPage([595.28,841.89]),{width:Be,height:Zt}=_e.getSize(),Gn=await Y.embedPng(L),vo=Gn.scale(.5);_e.drawText("VERUM OMNIS",{x:Be/2-100,y:Zt/2+50,size:60,font:Ae,color:se(.9,.9,.9),rotate:{angle:Math.PI/6,type:1},opacity:.15});let it=Zt-60;const fg="VERUM OMNIS — CERTIFIED DOCUMENT",ew=ge.widthOfTextAtSize(fg,16);_e.drawText(fg,{x:(Be-ew)/2,y:it,size:16,font:Ae}),it-=40;const tw=["This document is produced by Verum Omnis forensic system.","It contains a visible partial SHA-512 fingerprint and a QR code referencing author/device/timestamp.","Metadata embedded: Author, Creator, CreationDate (UTC).","","Purpose: demonstration of sealed visual elements (watermark, patent tick, partial hash, QR).","","Notes:","- Embedding the file's own hash INSIDE the file changes the hash (circular).","- The partial hash printed here is computed over the document content used to generate the PDF and is","  intended as a visible fingerprint. The final file SHA-512 is shown in the chat after creation."];for(const xs of tw)_e.drawText(xs,{x:50,y:it,size:9,font:ge}),it-=12;it-=20;const Xc=R.split(`
-`);for(const xs of Xc){if(it<=120)break;const DI=xs.length>90?xs.slice(0,90)+"...":xs;_e.drawText(DI,{x:50,y:it,size:9,font:ge}),it-=11}_e.drawText("✔ Patent Pending — Verum Omnis",{x:40,y:55,size:9,font:ge}),_e.drawText(`Partial SHA-512: ${z} (truncated)`,{x:40,y:40,size:8,font:ge}),_e.drawImage(Gn,{x:Be-vo.width-40,y:30,width:vo.width,height:vo.height});const WA=`Author: Liam Highcock • Device: User-Device-Unknown • UTC: ${N}`,PI=ge.widthOfTextAtSize(WA,7);_e.drawText(WA,{x:(Be-PI)/2,y:20,size:7,font:ge});const qc=Y.addPage([595.28,841.89]),RI=await Y.save(),nw=await O(RI);it=Zt-60;const KA="Verum Omnis — Certification",MI=Ae.widthOfTextAtSize(KA,18);qc.drawText(KA,{x:(Be-MI)/2,y:it,size:18,font:Ae}),it-=50;const NI=["This page shows the computed SHA-512 fingerprint for this PDF document.","Note: Embedding a hash inside the file changes the file, so the hash shown below is","computed over the document bytes BEFORE this certification text is rendered (to avoid circular problem).","The true file hash of the complete downloaded PDF is provided in the chat message.","",""];for(const xs of NI)qc.drawText(xs,{x:60,y:it,size:10,font:ge}),it-=15;qc.drawText("SHA-512 (document content before certification):",{x:60,y:it,size:10,font:Ae}),it-=15,qc.drawText(nw.slice(0,100),{x:60,y:it,size:8,font:Ae}),it-=12,qc.drawText(nw.slice(100),{x:60,y:it,size:8,font:Ae}),it-=20,qc.drawText(`Generated UTC: ${N}`,{x:60,y:it,size:9,font:ge});const XA=await Y.save(),II=await O(XA),LI=new Blob([XA],{type:"application/pdf"}),qA=URL.createObjectURL(LI),rw=document.createElement("a");rw.href=qA,rw.download=`verum-sealed-${Date.now()}.pdf`,rw.click(),URL.revokeObjectURL(qA),D("System",`PDF sealed successfully!
+`),L=R+I,F=new Blob([L],{type:"text/plain"}),z=URL.createObjectURL(F),K=document.createElement("a");K.href=z,K.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.txt`,document.body.appendChild(K),K.click(),document.body.removeChild(K),URL.revokeObjectURL(z),Qe(F,K.download,"Chat exported as TXT")},H=()=>{const N=new Date().toISOString(),R=`Index,Timestamp,Mode,Role,Message,IsSystem
+`,I=r.map((re,se)=>{const Y=`"${re.text.replace(/"/g,'""')}"`;return`${se},${re.at||N},${e},${re.role},${Y},${re.isSystem||!1}`}).join(`
+`),L=R+I,F=new Blob([L],{type:"text/csv"}),z=URL.createObjectURL(F),K=document.createElement("a");K.href=z,K.download=`verum-chat-${e}-${new Date().toISOString().split("T")[0]}.csv`,document.body.appendChild(K),K.click(),document.body.removeChild(K),URL.revokeObjectURL(z),Qe(F,K.download,"Chat exported as CSV")},pt=async(R,Q,Z)=>{try{if(!window.PDFLib){D("System","PDF library not loaded. Please refresh the page and try again.",!0);return}const N=new Date().toISOString(),I=await k6({text:R,caseFile:ye.current,location:m||(p==null?void 0:p.location)||null,timestamp:N}),L=URL.createObjectURL(new Blob([I.bytes],{type:"application/pdf"})),z=document.createElement("a");z.href=L,z.download=Q,z.click(),URL.revokeObjectURL(L),v(F=>({seals:[...F.seals||[],{fileHash:I.fileHash,contentHash:I.contentHash.slice(0,16),manifestHash:I.manifestHash,deviceId:I.device.id,createdAt:N}]})),Je("seal",{fileName:z.download,fileHash:I.fileHash,detail:`${Z}; manifest SHA-512 ${I.manifestHash}; device ${I.device.id}`}),D("System",`${Z} sealed successfully!
+
+Device: ${I.device.id}
+
+Manifest SHA-512 (certification page, page ${I.pageCount}): ${I.manifestHash}
+
+File SHA-512 (downloaded): ${I.fileHash}
+
+Re-check this file at any time in Verify mode (/chat?mode=verify).`,!0)}catch(N){console.error("Failed to create PDF:",N),D("System",`Failed to create PDF: ${N instanceof Error?N.message:"Unknown error"}`,!0)}},B=()=>pt(r.map(N=>`${N.role}: ${N.text}`).join(`
+`),`verum-sealed-${Date.now()}.pdf`,"Sealed PDF"),ft=(N,R)=>pt(N,`verum-notice-${R.id}-${Date.now()}.pdf`,R.title),ht=async()=>{const N=ye.current;if(!N)return;if(!window.PDFLib){D("System","PDF library not loaded. Please refresh the page and try again.",!0);return}D("System",`Building court bundle for ${N.name} (${N.evidence.length} exhibits)...`,!0);try{const R=await A8({caseFile:N,messages:r.slice(1),location:m||N.location||null}),I=`verum-bundle-${N.caseId}-${R.timestamp.split("T")[0]}.pdf`,L=R.exhibits.filter(F=>!F.stored).length;G7(new Blob([R.bytes],{type:"application/pdf"}),I),Je("export",{fileName:I,fileHash:R.fileHash,detail:`Court bundle PDF: ${R.pageCount} pages, ${R.exhibits.length} exhibits`}),D("System",`Court bundle ready: ${I}
 
-Content SHA-512 (page 2): ${nw}
+Pages: ${R.pageCount} • Exhibits: ${R.exhibits.length}${L?` (${L} original${L===1?"":"s"} not stored on this device)`:""}
 
-File SHA-512 (downloaded): ${II}`,!0)}catch(N){console.error("Failed to create PDF:",N),D("System",`Failed to create PDF: ${N instanceof Error?N.message:"Unknown error"}`,!0)}};return S.jsxs("div",{className:"min-h-screen",children:[S.jsx(B0,{}),S.jsxs("main",{className:"mx-auto max-w-[1100px] px-4 py-6",children:[S.jsxs("div",{className:"flex items-center gap-2.5 py-3 border-b border-border","data-testid":"header-chat",children:[S.jsx(pA,{height:28}),S.jsx("strong",{className:"text-foreground",children:"Legal AI"}),S.jsxs("div",{className:"ml-auto flex items-center gap-3",children:[m&&S.jsxs("div",{className:"text-xs opacity-70 px-2 py-1 rounded-lg bg-card border border-border","data-testid":"text-location-info",title:`GPS Location for Jurisdiction Verification
+File SHA-512: ${R.fileHash}`,!0)}catch(R){console.error("Failed to build court bundle:",R),D("System",`Failed to build court bundle: ${R instanceof Error?R.message:"Unknown error"}`,!0)}},dt=async()=>{const N=ye.current;if(N)try{const R=new Date().toISOString(),{blob:I,manifest:L}=await I8({caseFile:N,messages:r.slice(1),location:m||N.location||null,timestamp:R}),F=`verum-evidence-${N.caseId}-${R.split("T")[0]}.zip`;G7(I,F),Qe(I,F,`Evidence ZIP: ${L.exhibits.filter(z=>z.stored).length} of ${L.exhibits.length} originals with manifest`)}catch(R){console.error("Failed to build evidence ZIP:",R),D("System",`Failed to build evidence ZIP: ${R instanceof Error?R.message:"Unknown error"}`,!0)}};return nt.current=ut,S.jsxs("div",{className:"min-h-screen",children:[S.jsx(B0,{}),S.jsxs("main",{className:"mx-auto max-w-[1100px] px-4 py-6",children:[S.jsxs("div",{className:"flex items-center gap-2.5 py-3 border-b border-border","data-testid":"header-chat",children:[S.jsx(pA,{height:28}),S.jsx("strong",{className:"text-foreground",children:"Legal AI"}),S.jsxs("div",{className:"ml-auto flex items-center gap-3",children:[m&&S.jsxs("div",{className:"text-xs opacity-70 px-2 py-1 rounded-lg bg-card border border-border","data-testid":"text-location-info",title:`GPS Location for Jurisdiction Verification
 Latitude: ${m.latitude.toFixed(6)}
 Longitude: ${m.longitude.toFixed(6)}
 Accuracy: ±${m.accuracy.toFixed(0)}m`,children:["📍 ",m.latitude.toFixed(2),"°, ",m.longitude.toFixed(2),"°"]}),g&&!m&&S.jsx("div",{className:"text-xs opacity-70 text-muted-foreground px-2 py-1 rounded-lg bg-muted/30 border border-border","data-testid":"text-location-error",title:`Location access denied or unavailable.
 Jurisdiction verification will use default settings.
-Error: ${g}`,children:"📍 Location: Not Available"}),p&&S.jsxs("div",{className:"text-xs opacity-70","data-testid":"text-case-info",children:["Case: ",p.caseId.slice(-8)," | Evidence: ",p.evidence.length]}),S.jsx("div",{className:"opacity-80 text-sm px-2 py-1 rounded-lg bg-accent/30 border border-accent-border","data-testid":"text-mode",children:e.toUpperCase()})]})]}),S.jsx("div",{ref:P,className:"my-4 border border-border rounded-xl bg-card p-3 overflow-auto",style:{minHeight:"50svh",maxHeight:"70svh"},"data-testid":"log-messages",children:r.map((N,R)=>S.jsxs("div",{className:`border border-border rounded-xl p-2.5 my-2 ${N.isSystem?"opacity-85":""}`,"data-testid":`message-${R}`,children:[S.jsxs("strong",{children:[N.role,":"]})," ",N.text]},R))}),S.jsx("input",{ref:M,type:"file",multiple:!0,onChange:j,className:"hidden","data-testid":"input-file",id:"file-upload",disabled:b}),S.jsx("label",{htmlFor:"file-upload",className:`block border border-dashed border-border rounded-xl p-3 text-center mb-4 ${b?"cursor-not-allowed opacity-60":"cursor-pointer hover-elevate"}`,"data-testid":"label-file-upload",children:b?S.jsxs("div",{className:"flex items-center justify-center gap-2",children:[S.jsx(yj,{className:"w-4 h-4 animate-spin"}),S.jsxs("span",{children:["Processing ",_==null?void 0:_.fileName,"...",_&&_.progress>0&&` (${_.progress}%)`]})]}):"Upload files for analysis (OCR + audio transcription enabled)"}),h.length>0&&S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card","data-testid":"container-uploaded-files",children:[S.jsxs("div",{className:"text-sm font-medium mb-2",children:["Files ready to send (",h.length,"):"]}),S.jsx("div",{className:"space-y-2",children:h.map((N,R)=>S.jsxs("div",{className:"border border-border rounded-lg p-2","data-testid":`file-ready-${R}`,children:[S.jsxs("div",{className:"flex items-center justify-between text-sm mb-1",children:[S.jsxs("div",{className:"flex-1 truncate",children:[S.jsx("span",{className:"font-medium",children:N.name}),S.jsxs("span",{className:"text-muted-foreground ml-2",children:["(",(N.size/1024).toFixed(1)," KB)"]})]}),S.jsx("button",{onClick:()=>f(I=>I.filter((L,F)=>F!==R)),className:"ml-2 text-muted-foreground hover:text-foreground","data-testid":`button-remove-file-${R}`,children:"✕"})]}),N.extractedText&&S.jsxs("div",{className:"text-xs text-muted-foreground mt-1 p-1.5 bg-muted/30 rounded border border-border","data-testid":`text-extracted-preview-${R}`,children:[S.jsx("strong",{children:"Extracted text:"})," ",N.extractedText.length>100?N.extractedText.substring(0,100)+"...":N.extractedText]}),!N.extractedText&&S.jsx("div",{className:"text-xs text-muted-foreground mt-1 italic","data-testid":`text-no-extraction-${R}`,children:"No text extracted"})]},R))})]}),S.jsx(BR,{value:i,onChange:N=>o(N.target.value),onKeyDown:V,placeholder:"Ask a legal question or describe your evidence…",className:"w-full min-h-[110px] mb-4","data-testid":"textarea-input"}),S.jsxs("div",{className:"flex gap-2 flex-wrap",children:[S.jsx(my,{onClick:U,disabled:a||!i.trim(),"data-testid":"button-send",children:a?"Sending...":"Send"}),e==="seal"&&S.jsx(my,{onClick:B,variant:"secondary","data-testid":"button-seal-pdf",children:"Seal to PDF"}),S.jsxs(o$,{children:[S.jsx(a$,{asChild:!0,children:S.jsxs(my,{variant:"outline","data-testid":"button-export",children:[S.jsx(mj,{className:"w-4 h-4 mr-2"}),"Export"]})}),S.jsxs(QM,{children:[S.jsx(vy,{onClick:$,"data-testid":"menu-export-json",children:"Export as JSON"}),S.jsx(vy,{onClick:X,"data-testid":"menu-export-txt",children:"Export as TXT"}),S.jsx(vy,{onClick:H,"data-testid":"menu-export-csv",children:"Export as CSV"})]})]})]})]})]})}function y6(){return S.jsxs("div",{className:"min-h-screen",children:[S.jsx(B0,{}),S.jsxs("main",{className:"mx-auto max-w-[1100px] px-4 py-16 text-center",children:[S.jsx("h1",{className:"text-6xl font-bold text-foreground mb-4","data-testid":"text-404-title",children:"404"}),S.jsx("p",{className:"text-xl text-muted mb-8","data-testid":"text-404-message",children:"Page not found"}),S.jsx(io,{href:"/",className:"inline-block px-5 py-3.5 rounded-xl bg-card border border-border text-foreground hover-elevate active-elevate-2","data-testid":"button-home",children:"Return Home"})]})]})}function v6(){return S.jsxs($O,{children:[S.jsx(Mg,{path:"/",component:O3}),S.jsx(Mg,{path:"/institutions",component:z3}),S.jsx(Mg,{path:"/chat",children:()=>S.jsx(g6,{},window.location.search)}),S.jsx(Mg,{component:y6})]})}function w6(){return T.useEffect(()=>{document.documentElement.classList.add("dark")},[]),S.jsx(N3,{children:S.jsx(dF,{client:fF,children:S.jsxs(R3,{children:[S.jsx(rB,{}),S.jsx(v6,{})]})})})}console.log("[DEBUG] main.tsx executing");const Y1=document.getElementById("root");console.log("[DEBUG] root element:",Y1);Y1?(console.log("[DEBUG] Creating React root and rendering App"),iP(Y1).render(S.jsx(w6,{})),console.log("[DEBUG] App rendered successfully")):console.error("[DEBUG] Root element not found!");
+Error: ${g}`,children:"📍 Location: Not Available"}),p&&S.jsxs("button",{type:"button",onClick:()=>Yt(N=>!N),className:"text-xs opacity-70 px-2 py-1 rounded-lg bg-card border border-border","data-testid":"button-jurisdiction-badge",title:p.jurisdiction?`Jurisdiction (${p.jurisdiction.source==="manual"?"set manually":"from GPS"})${p.jurisdiction.approximate?"\nNear a boundary — please confirm":""}\nClick to change or draft a legal notice`:"Jurisdiction not resolved — click to set it manually",children:["⚖ ",p.jurisdiction?R8(p.jurisdiction):"Set jurisdiction",p.jurisdiction&&p.jurisdiction.approximate?" ?":""]}),p&&S.jsxs("div",{className:"text-xs opacity-70","data-testid":"text-case-info",children:["Case: ",p.name||p.caseId.slice(-8)," | Evidence: ",p.evidence.length]}),S.jsx("div",{className:"opacity-80 text-sm px-2 py-1 rounded-lg bg-accent/30 border border-accent-border","data-testid":"text-mode",children:e.toUpperCase()})]})]}),S.jsx(x7,{workspace:Ie,disabled:a||b}),S.jsx("div",{ref:P,className:"my-4 border border-border rounded-xl bg-card p-3 overflow-auto",style:{minHeight:"50svh",maxHeight:"70svh"},"data-testid":"log-messages",children:r.map((N,R)=>S.jsxs("div",{className:`border border-border rounded-xl p-2.5 my-2 ${N.isSystem?"opacity-85":""}`,"data-testid":`message-${R}`,children:[S.jsxs("strong",{children:[N.role,":"]})," ",N.text,N.streaming&&S.jsx(yj,{className:"inline w-3 h-3 ml-2 animate-spin"}),N.stopped&&S.jsx("span",{className:"text-xs text-muted-foreground ml-2",children:"(stopped)"}),N.sync&&S.jsx("span",{className:"text-xs ml-2",style:N.sync==="failed"?{color:"hsl(var(--destructive))"}:{opacity:.6},title:N.syncError,"data-testid":`text-message-sync-${R}`,children:{pending:"⏳ pending",synced:"✓ synced",failed:"⚠ failed"}[N.sync]}),N.sync==="failed"&&S.jsx(my,{size:"sm",variant:"ghost",className:"ml-2",onClick:()=>{q9(N.id)},"data-testid":`button-retry-sync-${R}`,children:"Retry sync"}),N.failed&&S.jsxs("div",{className:"flex items-center gap-2 mt-2 text-xs text-destructive","data-testid":`text-message-error-${R}`,children:[S.jsx("span",{children:N.error}),N.retry&&S.jsx(my,{size:"sm",variant:"outline",onClick:()=>Ye(N),disabled:a,"data-testid":`button-retry-${R}`,children:"Retry"})]}),N.provenance&&!N.streaming&&S.jsx(d8,{provenance:N.provenance})]},R))}),S.jsx("input",{ref:M,type:"file",multiple:!0,onChange:j,className:"hidden","data-testid":"input-file",id:"file-upload",disabled:b}),S.jsx("label",{htmlFor:"file-upload",className:`block border border-dashed border-border rounded-xl p-3 text-center mb-4 ${b?"cursor-not-allowed opacity-60":"cursor-pointer hover-elevate"}`,"data-testid":"label-file-upload",children:b?S.jsxs("div",{className:"flex items-center justify-center gap-2",children:[S.jsx(yj,{className:"w-4 h-4 animate-spin"}),S.jsxs("span",{children:["Processing ",_==null?void 0:_.fileName,"...",_&&_.progress>0&&` (${_.progress}%)`]})]}):"Upload files for analysis (OCR + audio transcription enabled)"}),h.length>0&&S.jsxs("div",{className:"mb-4 p-3 border border-border rounded-xl bg-card","data-testid":"container-uploaded-files",children:[S.jsxs("div",{className:"text-sm font-medium mb-2",children:["Files ready to send (",h.length,"):"]}),S.jsx("div",{className:"space-y-2",children:h.map((N,R)=>S.jsxs("div",{className:"border border-border rounded-lg p-2","data-testid":`file-ready-${R}`,children:[S.jsxs("div",{className:"flex items-center justify-between text-sm mb-1",children:[S.jsxs("div",{className:"flex-1 truncate",children:[S.jsx("span",{className:"font-medium",children:N.name}),S.jsxs("span",{className:"text-muted-foreground ml-2",children:["(",(N.size/1024).toFixed(1)," KB)"]})]}),S.jsx("button",{onClick:()=>{Je("remove",{fileName:N.name,fileHash:N.hash,detail:"Removed from the files ready to send"}),f(I=>I.filter((L,F)=>F!==R))},className:"ml-2 text-muted-foreground hover:text-foreground","data-testid":`button-remove-file-${R}`,children:"✕"})]}),N.extractedText&&S.jsxs("div",{className:"text-xs text-muted-foreground mt-1 p-1.5 bg-muted/30 rounded border border-border","data-testid":`text-extracted-preview-${R}`,children:[S.jsx("strong",{children:"Extracted text:"})," ",N.extractedText.length>100?N.extractedText.substring(0,100)+"...":N.extractedText]}),!N.extractedText&&S.jsx("div",{className:"text-xs text-muted-foreground mt-1 italic","data-testid":`text-no-extraction-${R}`,children:"No text extracted"})]},R))})]}),e==="tax"&&p&&S.jsx(g9,{caseFile:p,items:[...p.evidence,...h.filter(N=>!p.evidence.some(R=>R.hash===N.hash))],onEdit:(N,R)=>v(I=>{const L={...I.tax&&I.tax.edits};return R?L[N]={...L[N],...R}:delete L[N],{tax:{...I.tax,edits:L}}}),onExport:Qe,onSeal:N=>pt(N,`verum-tax-worksheet-${p.caseId}-${Date.now()}.pdf`,"Tax worksheet"),busy:a}),Ke&&p&&S.jsx(Q7,{caseFile:p,onExport:Qe}),st&&p&&S.jsx(W8,{caseFile:p,location:m,onChange:N=>v({jurisdiction:N}),onSeal:ft,busy:a}),We&&p&&S.jsx(R7,{items:[...p.evidence,...h.filter(N=>!p.evidence.some(R=>R.hash===N.hash))]}),S.jsx(BR,{value:i,onChange:N=>o(N.target.value),onKeyDown:V,placeholder:"Ask a legal question or describe your evidence…",className:"w-full min-h-[110px] mb-4","data-testid":"textarea-input"}),S.jsxs("div",{className:"flex gap-2 flex-wrap",children:[S.jsx(my,{onClick:U,disabled:a||!i.trim()||!p,"data-testid":"button-send",children:a?"Sending...":"Send"}),a&&S.jsx(my,{variant:"destructive",onClick:()=>{var N;(N=et.current)==null||N.abort()},"data-testid":"button-stop",children:"Stop"}),e==="seal"&&S.jsx(my,{onClick:B,variant:"secondary","data-testid":"button-seal-pdf",children:"Seal to PDF"}),e==="seal"&&S.jsx(my,{asChild:!0,variant:"outline",children:S.jsx(io,{href:"/chat?mode=verify","data-testid":"link-verify-pdf",children:"Verify a sealed PDF"})}),S.jsxs(o$,{children:[S.jsx(a$,{asChild:!0,children:S.jsxs(my,{variant:"outline","data-testid":"button-export",children:[S.jsx(mj,{className:"w-4 h-4 mr-2"}),"Export"]})}),S.jsxs(QM,{children:[S.jsx(vy,{onClick:$,"data-testid":"menu-export-json",children:"Export as JSON"}),S.jsx(vy,{onClick:X,"data-testid":"menu-export-txt",children:"Export as TXT"}),S.jsx(vy,{onClick:H,"data-testid":"menu-export-csv",children:"Export as CSV"}),S.jsx(vy,{onClick:ht,disabled:!p,"data-testid":"menu-export-bundle",children:"Court bundle (PDF)"}),S.jsx(vy,{onClick:dt,disabled:!p,"data-testid":"menu-export-zip",children:"Evidence ZIP"})]})]}),S.jsx(my,{variant:"outline",onClick:()=>Ve(N=>!N),disabled:!p,"data-testid":"button-custody-log",children:Ke?"Hide custody log":"Custody log"}),S.jsx(my,{variant:"outline",onClick:()=>Xe(N=>!N),disabled:!p,"data-testid":"button-evidence-analysis",children:We?"Hide timeline":"Evidence timeline"}),S.jsx(my,{variant:"outline",onClick:()=>Yt(N=>!N),disabled:!p,"data-testid":"button-legal-notice",children:st?"Hide legal notice":"Legal notice"})]})]})]})}function y6(){return S.jsxs("div",{className:"min-h-screen",children:[S.jsx(B0,{}),S.jsxs("main",{className:"mx-auto max-w-[1100px] px-4 py-16 text-center",children:[S.jsx("h1",{className:"text-6xl font-bold text-foreground mb-4","data-testid":"text-404-title",children:"404"}),S.jsx("p",{className:"text-xl text-muted mb-8","data-testid":"text-404-message",children:"Page not found"}),S.jsx(io,{href:"/",className:"inline-block px-5 py-3.5 rounded-xl bg-card border border-border text-foreground hover-elevate active-elevate-2","data-testid":"button-home",children:"Return Home"})]})]})}function v6(){return S.jsxs($O,{children:[S.jsx(Mg,{path:"/",component:O3}),S.jsx(Mg,{path:"/institutions",component:z3}),S.jsx(Mg,{path:"/chat",children:()=>new URLSearchParams(window.location.search).get("mode")==="verify"?S.jsx(J6,{}):S.jsx(g6,{},window.location.search)}),S.jsx(Mg,{component:y6})]})}function w6(){return T.useEffect(()=>{document.documentElement.classList.add("dark")},[]),S.jsx(N3,{children:S.jsx(dF,{client:fF,children:S.jsxs(R3,{children:[S.jsx(rB,{}),S.jsx(v6,{})]})})})}console.log("[DEBUG] main.tsx executing");const Y1=document.getElementById("root");console.log("[DEBUG] root element:",Y1);Y1?(console.log("[DEBUG] Creating React root and rendering App"),iP(Y1).render(S.jsx(w6,{})),console.log("[DEBUG] App rendered successfully")):console.error("[DEBUG] Root element not found!");
@@ -60,6 +60,7 @@ echo "Copying web assets..."
 cp -f index.html www/
 cp -rf assets www/
 cp -f favicon.png www/
+cp -f sw.js www/
 [ -f firebase.json ] && cp -f firebase.json www/ || true
 
 echo -e "${GREEN}✓ Web assets prepared${NC}"
@@ -0,0 +1,102 @@
+// Verum Omnis service worker: keeps the app shell, the pdf.js worker, the
+// jurisdiction boundaries and the CDN libraries (pdf-lib, Tesseract) available
+// when the device has no signal.
+// Scripts, styles and data are fetched network first because they can change
+// under the same file name; bump CACHE_VERSION to drop everything cached so far.
+const CACHE_VERSION = 'verum-shell-v3';
+const RUNTIME_CACHE = 'verum-runtime-v1';
+
+const SHELL = [
+  './',
+  'index.html',
+  'favicon.png',
+  'assets/index-BbQdUqyF.js',
+  'assets/index-C3ktOol-.css',
+  'assets/pdf.worker.min.mjs',
+  'assets/jurisdictions.json',
+  'assets/logo2_1761854847446-Da952KdJ.png',
+  'assets/logo3_1761854847416-Bnu_mNfy.png',
+  'assets/mainlogo_1761854847320-DGwsmXaN.png',
+];
+
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key !== CACHE_VERSION && key !== RUNTIME_CACHE).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first for page loads so a deploy is picked up straight away,
+// falling back to the cached shell for every client-side route.
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_VERSION);
+      cache.put('index.html', response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match('index.html')) || Response.error();
+  }
+}
+
+// Network first for same-origin code and data, so an in-place update reaches
+// clients on their next load; the cached copy is only used offline.
+async function handleFresh(request) {
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok) {
+      const cache = await caches.open(CACHE_VERSION);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match(request)) || Response.error();
+  }
+}
+
+// Cache first for images and CDN libraries; they never change under the same URL.
+async function handleAsset(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  // API calls are queued by the in-app outbox, never served from cache.
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin && /\.(?:m?js|json|css)$/.test(url.pathname)) {
+    event.respondWith(handleFresh(request));
+  } else if (url.origin === self.location.origin && !url.pathname.endsWith('.mp4')) {
+    event.respondWith(handleAsset(request, CACHE_VERSION));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleAsset(request, RUNTIME_CACHE));
+  }
+});